@@ -0,0 +1,125 @@
+// API access control - API keys with scopes and an IP/CIDR allowlist for the external control API
+
+const crypto = require('crypto');
+const net = require('net');
+
+// 'read' can fetch state, 'control' can also send commands
+const SCOPES = ['read', 'control'];
+
+/**
+ * Normalize a remote address (strips the IPv4-mapped IPv6 prefix Node reports on dual-stack sockets)
+ * @param {string} address - req.socket.remoteAddress
+ * @returns {string}
+ */
+function normalizeAddress(address) {
+  if (!address) return '';
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : address;
+}
+
+/**
+ * Build an allowlist from "192.168.1.0/24, 10.0.0.5, fd00::/8" style entries
+ * @param {string|Array} entries - Comma/newline separated string or array of IPs/CIDRs
+ * @returns {Object} { blockList: net.BlockList|null, invalid: string[] } - null blockList allows everyone
+ */
+function createAllowlist(entries) {
+  const list = (Array.isArray(entries) ? entries : String(entries || '').split(/[\s,]+/))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  if (list.length === 0) return { blockList: null, invalid: [] };
+
+  const blockList = new net.BlockList();
+  const invalid = [];
+
+  list.forEach(entry => {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIP(address);
+    if (!family) {
+      invalid.push(entry);
+      return;
+    }
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+
+    if (prefix === undefined) {
+      blockList.addAddress(address, type);
+      return;
+    }
+    const bits = parseInt(prefix);
+    if (!/^\d+$/.test(prefix) || bits > (family === 6 ? 128 : 32)) {
+      invalid.push(entry);
+      return;
+    }
+    blockList.addSubnet(address, bits, type);
+  });
+
+  return { blockList, invalid };
+}
+
+/**
+ * Check a remote address against the allowlist
+ * @param {Object} allowlist - From createAllowlist
+ * @param {string} remoteAddress - req.socket.remoteAddress
+ * @returns {boolean}
+ */
+function isAddressAllowed(allowlist, remoteAddress) {
+  if (!allowlist?.blockList) return true;
+  const address = normalizeAddress(remoteAddress);
+  const family = net.isIP(address);
+  if (!family) return false;
+  return allowlist.blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Read the API key from a request
+ * Accepts "Authorization: Bearer <key>", "X-API-Key: <key>" or ?token=<key> (for WebSocket clients
+ * that can't set headers)
+ * @param {http.IncomingMessage} req
+ * @param {URL} url - Parsed request URL
+ * @returns {string|null}
+ */
+function getRequestToken(req, url) {
+  const authorization = req.headers['authorization'] || '';
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1].trim();
+  if (req.headers['x-api-key']) return String(req.headers['x-api-key']).trim();
+  return url?.searchParams.get('token') || null;
+}
+
+// Compare digests so the time taken doesn't depend on how much of the key matched
+function keysMatch(a, b) {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest();
+  const digestB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Find the API key entry for a token
+ * @param {Array} keys - [{ id, name, key, scope }]
+ * @param {string} token - Token from the request
+ * @returns {Object|null} Matching key entry
+ */
+function findApiKey(keys, token) {
+  if (!token) return null;
+  return (keys || []).find(entry => entry.key && keysMatch(entry.key, token)) || null;
+}
+
+/**
+ * Check that a key grants a scope ('control' includes 'read')
+ * @param {Object} apiKey - Key entry
+ * @param {string} scope - 'read' | 'control'
+ * @returns {boolean}
+ */
+function hasScope(apiKey, scope) {
+  if (!apiKey) return false;
+  return SCOPES.indexOf(apiKey.scope) >= SCOPES.indexOf(scope);
+}
+
+module.exports = {
+  SCOPES,
+  normalizeAddress,
+  createAllowlist,
+  isAddressAllowed,
+  getRequestToken,
+  findApiKey,
+  hasScope
+};
@@ -0,0 +1,446 @@
+// API Documentation - OpenAPI 3 description and the built-in docs page for the external control API
+// The command catalogue comes from the renderer (commandHandler.js getCommandList), so the docs
+// always match the commands the running client accepts
+
+const CATEGORY_LABELS = {
+  transport: 'Transport',
+  client: 'Client',
+  caspar: 'CasparCG',
+  mixer: 'Mixer',
+  macro: 'Macro'
+};
+
+// Param schema (see commandHandler.js param()) -> JSON schema
+function toJsonSchema(param) {
+  const schema = { type: param.type };
+  if (param.type === 'object') schema.additionalProperties = true;
+  ['minimum', 'maximum', 'enum', 'default', 'description'].forEach(key => {
+    if (param[key] !== undefined) schema[key] = param[key];
+  });
+  return schema;
+}
+
+// Example request params: required params and params with a default
+function exampleParams(params) {
+  const example = {};
+  params.forEach(param => {
+    if (param.default !== undefined) {
+      example[param.name] = param.default;
+    } else if (param.required) {
+      example[param.name] = param.enum ? param.enum[0]
+        : param.type === 'integer' || param.type === 'number' ? (param.minimum ?? 1)
+        : param.type === 'boolean' ? false
+        : param.type === 'object' ? {}
+        : param.name;
+    }
+  });
+  return example;
+}
+
+// Shared JSON error body
+const ERROR_RESPONSE = {
+  description: 'Error',
+  content: {
+    'application/json': {
+      schema: { $ref: '#/components/schemas/Error' }
+    }
+  }
+};
+
+const JSON_RESPONSE = (description) => ({
+  description,
+  content: { 'application/json': { schema: { type: 'object' } } }
+});
+
+function resourcePath(summary, methods, pathParams) {
+  const parameters = pathParams.map(name => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: name === 'itemId' ? 'string' : 'integer' }
+  }));
+  const operations = {};
+  methods.forEach(([method, description]) => {
+    operations[method] = {
+      tags: ['Resources'],
+      summary: `${summary} - ${description}`,
+      parameters,
+      ...(method === 'post' || method === 'patch'
+        ? { requestBody: { content: { 'application/json': { schema: { type: 'object' } } } } }
+        : {}),
+      responses: {
+        [method === 'post' ? '201' : '200']: JSON_RESPONSE('Resource'),
+        400: ERROR_RESPONSE,
+        404: ERROR_RESPONSE
+      }
+    };
+  });
+  return operations;
+}
+
+/**
+ * Build the OpenAPI 3 document
+ * @param {Array} commands - [{ command, params, description, category }] from getCommandList
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenApiDocument(commands = []) {
+  const commandSchemas = {};
+  const mapping = {};
+  const examples = {};
+
+  commands.forEach(({ command, params, description, category }) => {
+    const schemaName = `Command.${command}`;
+    commandSchemas[schemaName] = {
+      type: 'object',
+      description,
+      'x-category': category,
+      required: ['command'],
+      properties: {
+        command: { type: 'string', enum: [command] },
+        params: {
+          type: 'object',
+          required: params.filter(p => p.required).map(p => p.name),
+          properties: Object.fromEntries(params.map(p => [p.name, toJsonSchema(p)]))
+        }
+      }
+    };
+    if (commandSchemas[schemaName].properties.params.required.length === 0) {
+      delete commandSchemas[schemaName].properties.params.required;
+    }
+    mapping[command] = `#/components/schemas/${schemaName}`;
+    examples[command] = { summary: description, value: { command, params: exampleParams(params) } };
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'CasparPlayer API',
+      version: '1.0.0',
+      description: 'Control CasparPlayer playout. Commands are sent to POST /api/command; ' +
+        'channels, layers and playlist items are also available as REST resources under /api/channels.'
+    },
+    servers: [{ url: '/' }],
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }, { apiKeyQuery: [] }],
+    tags: [
+      { name: 'Commands', description: 'Unified command system shared with macros' },
+      { name: 'State', description: 'Read-only state and status' },
+      { name: 'Resources', description: 'Channels, layers and playlist items' },
+      { name: 'Documentation' }
+    ],
+    paths: {
+      '/api/command': {
+        post: {
+          tags: ['Commands'],
+          summary: 'Execute a command (control key)',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  oneOf: Object.values(mapping).map($ref => ({ $ref })),
+                  discriminator: { propertyName: 'command', mapping }
+                },
+                examples
+              }
+            }
+          },
+          responses: {
+            200: JSON_RESPONSE('Command executed'),
+            400: {
+              description: 'Unknown command or invalid params',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+            },
+            401: ERROR_RESPONSE,
+            403: ERROR_RESPONSE,
+            500: ERROR_RESPONSE
+          }
+        }
+      },
+      '/api/state': {
+        get: {
+          tags: ['State'],
+          summary: 'Current channels, layers, macros and connection state (read key)',
+          responses: { 200: JSON_RESPONSE('State'), 401: ERROR_RESPONSE }
+        }
+      },
+      '/api/events': {
+        get: {
+          tags: ['State'],
+          summary: 'Server-Sent Events stream of state changes and playout events (read key)',
+          description: 'Topic changes arrive as "state" events ({ type: snapshot | update | removed, topic, data }), ' +
+            'playout events under their own name. Reconnect with Last-Event-ID to receive missed events.',
+          parameters: [
+            { name: 'types', in: 'query', required: false, schema: { type: 'string' }, description: 'Comma separated event types, e.g. state,item.*' },
+            { name: 'topics', in: 'query', required: false, schema: { type: 'string' }, description: 'Comma separated state topics, e.g. channel.1.#' },
+            { name: 'Last-Event-ID', in: 'header', required: false, schema: { type: 'string' }, description: 'Resume after this event id' }
+          ],
+          responses: {
+            200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+            400: ERROR_RESPONSE,
+            401: ERROR_RESPONSE
+          }
+        }
+      },
+      '/api/status': {
+        get: {
+          tags: ['State'],
+          summary: 'API server status',
+          security: [],
+          responses: { 200: JSON_RESPONSE('Status') }
+        }
+      },
+      '/api/commands': {
+        get: {
+          tags: ['Commands'],
+          summary: 'Command catalogue grouped by category, with typed params',
+          security: [],
+          responses: { 200: JSON_RESPONSE('Commands') }
+        }
+      },
+      '/api/channels': resourcePath('Channels', [['get', 'list'], ['post', 'add']], []),
+      '/api/channels/{channel}': resourcePath('Channel', [['get', 'read'], ['patch', 'rename'], ['delete', 'delete']], ['channel']),
+      '/api/channels/{channel}/layers': resourcePath('Layers', [['get', 'list'], ['post', 'add']], ['channel']),
+      '/api/channels/{channel}/layers/{layer}': resourcePath('Layer', [['get', 'read'], ['patch', 'update'], ['delete', 'delete']], ['channel', 'layer']),
+      '/api/channels/{channel}/layers/{layer}/playlist': resourcePath('Playlist', [['get', 'read']], ['channel', 'layer']),
+      '/api/channels/{channel}/layers/{layer}/playlist/items': resourcePath('Playlist items', [['get', 'list'], ['post', 'insert']], ['channel', 'layer']),
+      '/api/channels/{channel}/layers/{layer}/playlist/items/{itemId}': resourcePath('Playlist item', [['get', 'read'], ['patch', 'update'], ['delete', 'remove']], ['channel', 'layer', 'itemId']),
+      '/api/openapi.json': {
+        get: {
+          tags: ['Documentation'],
+          summary: 'This document',
+          security: [],
+          responses: { 200: JSON_RESPONSE('OpenAPI document') }
+        }
+      },
+      '/api/docs': {
+        get: {
+          tags: ['Documentation'],
+          summary: 'Interactive command reference',
+          security: [],
+          responses: { 200: { description: 'HTML page', content: { 'text/html': {} } } }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        apiKeyQuery: { type: 'apiKey', in: 'query', name: 'token' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string' }
+          }
+        },
+        ValidationError: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { field: { type: 'string' }, message: { type: 'string' } }
+              }
+            }
+          }
+        },
+        ...commandSchemas
+      }
+    }
+  };
+}
+
+/**
+ * Group the command catalogue for GET /api/commands
+ * @param {Array} commands - From getCommandList
+ * @returns {Object} { [category]: [{ command, params, description }] }
+ */
+function groupCommands(commands = []) {
+  const grouped = {};
+  commands.forEach(({ command, params, description, category }) => {
+    if (!grouped[category]) grouped[category] = [];
+    grouped[category].push({ command, params, description });
+  });
+  return grouped;
+}
+
+// Docs page - reads /api/openapi.json and builds a form per command. Text is set with textContent
+// so descriptions never become markup.
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>CasparPlayer API</title>
+<style>
+  :root { --bg: #1a1a1a; --panel: #242424; --border: #3a3a3a; --text: #e0e0e0; --muted: #999; --accent: #4a9eff; --error: #ff5c5c; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: var(--bg); color: var(--text); }
+  header { position: sticky; top: 0; display: flex; align-items: center; gap: 16px; padding: 12px 24px; background: var(--panel); border-bottom: 1px solid var(--border); }
+  header h1 { flex: 1; margin: 0; font-size: 18px; }
+  main { max-width: 960px; margin: 0 auto; padding: 16px 24px 48px; }
+  h2 { margin: 24px 0 8px; font-size: 15px; color: var(--muted); text-transform: uppercase; letter-spacing: 0.05em; }
+  details { margin-bottom: 6px; background: var(--panel); border: 1px solid var(--border); border-radius: 4px; }
+  summary { padding: 8px 12px; cursor: pointer; }
+  summary code { color: var(--accent); margin-right: 12px; }
+  .body { padding: 0 12px 12px; }
+  table { width: 100%; border-collapse: collapse; margin: 8px 0; }
+  th, td { padding: 4px 8px; border-bottom: 1px solid var(--border); text-align: left; vertical-align: top; }
+  th { color: var(--muted); font-weight: normal; }
+  input, select, textarea { width: 100%; padding: 4px 6px; background: var(--bg); color: var(--text); border: 1px solid var(--border); border-radius: 3px; font: inherit; }
+  input[type=checkbox] { width: auto; }
+  button { padding: 6px 14px; background: var(--accent); color: #fff; border: 0; border-radius: 3px; cursor: pointer; }
+  pre { margin: 8px 0 0; padding: 8px; background: var(--bg); border: 1px solid var(--border); border-radius: 3px; overflow: auto; white-space: pre-wrap; }
+  .required { color: var(--error); }
+  .muted { color: var(--muted); }
+  #key { width: 320px; }
+</style>
+</head>
+<body>
+<header>
+  <h1>CasparPlayer API</h1>
+  <label class="muted" for="key">API key</label>
+  <input id="key" type="password" placeholder="Control key to try commands">
+</header>
+<main>
+  <p class="muted">Send commands as <code>POST /api/command</code> with <code>{ "command": ..., "params": { ... } }</code>.
+    The full description is at <a href="/api/openapi.json" style="color: var(--accent)">/api/openapi.json</a>.</p>
+  <div id="commands">Loading…</div>
+  <h2>Endpoints</h2>
+  <table id="endpoints"></table>
+</main>
+<script>
+  const keyInput = document.getElementById('key');
+  keyInput.value = localStorage.getItem('casparplayer-api-key') || '';
+  keyInput.addEventListener('change', () => localStorage.setItem('casparplayer-api-key', keyInput.value));
+
+  const labels = ${JSON.stringify(CATEGORY_LABELS)};
+
+  function el(tag, props = {}, children = []) {
+    const node = Object.assign(document.createElement(tag), props);
+    children.forEach(child => node.append(child));
+    return node;
+  }
+
+  function createInput(name, schema) {
+    if (schema.type === 'boolean') {
+      return el('input', { type: 'checkbox', name, checked: schema.default === true });
+    }
+    if (schema.enum) {
+      const select = el('select', { name }, schema.enum.map(v => el('option', { value: v, textContent: v })));
+      if (schema.default !== undefined) select.value = schema.default;
+      return select;
+    }
+    if (schema.type === 'object') {
+      return el('textarea', { name, rows: 2, placeholder: '{ }' });
+    }
+    const numeric = schema.type === 'integer' || schema.type === 'number';
+    return el('input', {
+      name,
+      type: numeric ? 'number' : 'text',
+      step: schema.type === 'integer' ? '1' : 'any',
+      placeholder: schema.default !== undefined ? String(schema.default) : ''
+    });
+  }
+
+  function readParams(form, properties) {
+    const params = {};
+    Object.entries(properties).forEach(([name, schema]) => {
+      const input = form.elements[name];
+      if (schema.type === 'boolean') {
+        params[name] = input.checked;
+      } else if (input.value !== '') {
+        if (schema.type === 'integer' || schema.type === 'number') params[name] = Number(input.value);
+        else if (schema.type === 'object') {
+          try { params[name] = JSON.parse(input.value); } catch (e) { params[name] = input.value; }
+        } else params[name] = input.value;
+      }
+    });
+    return params;
+  }
+
+  function renderCommand(schema) {
+    const command = schema.properties.command.enum[0];
+    const properties = schema.properties.params.properties;
+    const required = schema.properties.params.required || [];
+
+    const rows = Object.entries(properties).map(([name, p]) => {
+      const range = [p.minimum !== undefined ? 'min ' + p.minimum : '', p.maximum !== undefined ? 'max ' + p.maximum : '']
+        .filter(Boolean).join(', ');
+      return el('tr', {}, [
+        el('td', {}, [el('code', { textContent: name }), required.includes(name) ? el('span', { className: 'required', textContent: ' *' }) : '']),
+        el('td', { className: 'muted', textContent: p.type + (range ? ' (' + range + ')' : '') }),
+        el('td', { textContent: p.description || '' }),
+        el('td', {}, [createInput(name, p)])
+      ]);
+    });
+
+    const output = el('pre', { hidden: true });
+    const form = el('form', {}, [
+      rows.length ? el('table', {}, [el('tr', {}, ['Param', 'Type', 'Description', 'Value'].map(t => el('th', { textContent: t }))), ...rows])
+        : el('p', { className: 'muted', textContent: 'No params' }),
+      el('button', { type: 'submit', textContent: 'Send' }),
+      output
+    ]);
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const body = { command, params: readParams(form, properties) };
+      output.hidden = false;
+      output.textContent = 'POST /api/command\\n' + JSON.stringify(body, null, 2);
+      try {
+        const response = await fetch('/api/command', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + keyInput.value },
+          body: JSON.stringify(body)
+        });
+        output.textContent += '\\n\\n' + response.status + '\\n' + JSON.stringify(await response.json(), null, 2);
+      } catch (error) {
+        output.textContent += '\\n\\n' + error.message;
+      }
+    });
+
+    return el('details', {}, [
+      el('summary', {}, [el('code', { textContent: command }), schema.description]),
+      el('div', { className: 'body' }, [form])
+    ]);
+  }
+
+  fetch('/api/openapi.json').then(r => r.json()).then(doc => {
+    const container = document.getElementById('commands');
+    container.textContent = '';
+
+    const groups = {};
+    Object.values(doc.components.schemas)
+      .filter(schema => schema['x-category'])
+      .forEach(schema => (groups[schema['x-category']] = groups[schema['x-category']] || []).push(schema));
+    Object.entries(groups).forEach(([category, schemas]) => {
+      container.append(el('h2', { textContent: labels[category] || category }), ...schemas.map(renderCommand));
+    });
+
+    const endpoints = document.getElementById('endpoints');
+    Object.entries(doc.paths).forEach(([path, operations]) => {
+      Object.entries(operations).forEach(([method, op]) => {
+        endpoints.append(el('tr', {}, [
+          el('td', {}, [el('code', { textContent: method.toUpperCase() + ' ' + path })]),
+          el('td', { textContent: op.summary })
+        ]));
+      });
+    });
+  }).catch(error => {
+    document.getElementById('commands').textContent = 'Could not load openapi.json: ' + error.message;
+  });
+</script>
+</body>
+</html>
+`;
+
+module.exports = {
+  buildOpenApiDocument,
+  groupCommands,
+  DOCS_PAGE
+};
@@ -3,18 +3,112 @@
 
 const http = require('http');
 const { EventEmitter } = require('events');
+const { createAllowlist, isAddressAllowed, normalizeAddress, getRequestToken, findApiKey, hasScope } = require('./apiAuth');
+const { acceptWebSocket, CLOSE_CODES } = require('./webSocket');
+const { buildTopics, diffTopics, matchesTopic, isValidPattern } = require('./apiTopics');
+const { buildOpenApiDocument, groupCommands, DOCS_PAGE } = require('./apiDocs');
+const { STATE_EVENT, EventBacklog, isFrameTopic, formatEvent, parseEventFilter, acceptsTopic, acceptsEntry } = require('./eventStream');
+
+// Number of rejected requests kept for Settings > API
+const MAX_REJECTIONS = 50;
+
+// Bytes queued for a WebSocket client before topic updates are held back
+const WS_HIGH_WATER_MARK = 256 * 1024;
+
+// Clients that don't answer a ping within this interval are dropped
+const WS_HEARTBEAT_INTERVAL = 30000;
+
+// Bytes queued for an event stream client before it is disconnected - it reconnects and resumes
+// from the backlog, or gets fresh snapshots if it fell too far behind
+const SSE_HIGH_WATER_MARK = 1024 * 1024;
+
+// Reconnect delay suggested to EventSource clients (ms)
+const SSE_RETRY = 3000;
 
 // Store for single server instance
 let serverInstance = null;
 
 class ApiServer extends EventEmitter {
-  constructor(port, callbacks = {}) {
+  constructor(port, callbacks = {}, security = {}, commands = []) {
     super();
     this.port = port;
+    this.commands = commands; // Command catalogue from the renderer (getCommandList)
     this.server = null;
     this.wsClients = new Set();
+    this.sseClients = new Set();
+    this.eventBacklog = new EventBacklog();
     this.callbacks = callbacks;
     this.isRunning = false;
+    this.rejections = [];
+    this.topicValues = {};
+    this.heartbeatTimer = null;
+    this.setSecurity(security);
+  }
+
+  // Update API keys and allowlist without restarting the server
+  setSecurity({ keys = [], allowlist = '' } = {}) {
+    this.apiKeys = keys;
+    this.allowlist = createAllowlist(allowlist);
+    if (this.allowlist.invalid.length > 0) {
+      console.warn('[ApiServer] Ignoring invalid allowlist entries:', this.allowlist.invalid.join(', '));
+    }
+
+    // Drop WebSocket clients whose key was removed or whose address is no longer allowed
+    for (const client of this.wsClients) {
+      if (!findApiKey(this.apiKeys, client.apiKey.key) || !isAddressAllowed(this.allowlist, client.remoteAddress)) {
+        console.log('[ApiServer] Closing WebSocket client after access change');
+        client.close(CLOSE_CODES.POLICY_VIOLATION, 'Access revoked');
+      }
+    }
+    for (const client of this.sseClients) {
+      if (!findApiKey(this.apiKeys, client.apiKey.key) || !isAddressAllowed(this.allowlist, client.remoteAddress)) {
+        console.log('[ApiServer] Closing event stream client after access change');
+        client.res.end();
+      }
+    }
+  }
+
+  // Log a rejected request and keep it for the settings view
+  recordRejection(remoteAddress, path, reason) {
+    const rejection = {
+      time: new Date().toISOString(),
+      address: normalizeAddress(remoteAddress),
+      path,
+      reason
+    };
+    console.warn(`[ApiServer] Rejected ${rejection.address} ${path}: ${reason}`);
+    this.rejections = [rejection, ...this.rejections].slice(0, MAX_REJECTIONS);
+  }
+
+  /**
+   * Check the caller's API key for a scope
+   * @returns {Object|null} { apiKey } if allowed, or { status, error } to send back
+   */
+  authorize(req, url, scope) {
+    const token = getRequestToken(req, url);
+    if (!token) {
+      return { status: 401, error: 'API key required' };
+    }
+    const apiKey = findApiKey(this.apiKeys, token);
+    if (!apiKey) {
+      return { status: 401, error: 'Invalid API key' };
+    }
+    if (!hasScope(apiKey, scope)) {
+      return { status: 403, error: `API key "${apiKey.name}" is not allowed to ${scope === 'control' ? 'send commands' : 'read state'}` };
+    }
+    return { apiKey };
+  }
+
+  // Authorize an HTTP request, answering it if rejected
+  // Returns the caller's API key, or null if the request was rejected
+  requireScope(req, res, url, scope) {
+    const result = this.authorize(req, url, scope);
+    if (result.apiKey) return result.apiKey;
+
+    this.recordRejection(req.socket.remoteAddress, url.pathname, result.error);
+    res.writeHead(result.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: result.error }));
+    return null;
   }
 
   async start() {
@@ -48,19 +142,28 @@ class ApiServer extends EventEmitter {
       this.server.listen(this.port, '0.0.0.0', () => {
         console.log(`[ApiServer] HTTP/WebSocket server listening on port ${this.port}`);
         this.isRunning = true;
+        this.heartbeatTimer = setInterval(() => this.checkHeartbeats(), WS_HEARTBEAT_INTERVAL);
         resolve();
       });
     });
   }
 
   handleRequest(req, res) {
-    const url = req.url || '/';
+    const parsedUrl = new URL(req.url || '/', 'http://localhost');
+    const url = parsedUrl.pathname;
     const method = req.method;
 
+    if (!isAddressAllowed(this.allowlist, req.socket.remoteAddress)) {
+      this.recordRejection(req.socket.remoteAddress, url, 'Address not in allowlist');
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Forbidden' }));
+      return;
+    }
+
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
 
     if (method === 'OPTIONS') {
       res.writeHead(204);
@@ -70,18 +173,30 @@ class ApiServer extends EventEmitter {
 
     // Route requests
     if (url === '/api/command' && method === 'POST') {
-      this.handleCommandRequest(req, res);
+      if (this.requireScope(req, res, parsedUrl, 'control')) this.handleCommandRequest(req, res);
     } else if (url === '/api/state' && method === 'GET') {
-      this.handleStateRequest(req, res);
+      if (this.requireScope(req, res, parsedUrl, 'read')) this.handleStateRequest(req, res);
+    } else if (url === '/api/events' && method === 'GET') {
+      const apiKey = this.requireScope(req, res, parsedUrl, 'read');
+      if (apiKey) this.handleEventStreamRequest(req, res, parsedUrl, apiKey);
+    } else if (url === '/api/channels' || url.startsWith('/api/channels/')) {
+      // Reading resources needs a read key, changing them needs a control key
+      if (this.requireScope(req, res, parsedUrl, method === 'GET' ? 'read' : 'control')) {
+        this.handleResourceRequest(req, res, url);
+      }
     } else if (url === '/api/status' && method === 'GET') {
       this.handleStatusRequest(req, res);
     } else if (url === '/api/commands' && method === 'GET') {
       this.handleCommandListRequest(req, res);
+    } else if (url === '/api/openapi.json' && method === 'GET') {
+      this.handleOpenApiRequest(req, res);
+    } else if (url === '/api/docs' && method === 'GET') {
+      this.handleDocsRequest(req, res);
     } else if (url === '/' || url === '/api') {
       this.handleRootRequest(req, res);
     } else {
       res.writeHead(404, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Not found', endpoints: ['/api/command', '/api/state', '/api/status', '/api/commands'] }));
+      res.end(JSON.stringify({ error: 'Not found', endpoints: ['/api/command', '/api/state', '/api/events', '/api/channels', '/api/status', '/api/commands', '/api/openapi.json', '/api/docs'] }));
     }
   }
 
@@ -128,8 +243,10 @@ class ApiServer extends EventEmitter {
           res.writeHead(200, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ success: true, result }));
         } catch (err) {
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: err.message }));
+          // Unknown commands and params that don't match the command's schema are the caller's fault
+          const isInvalid = !!err.errors || err.message.startsWith('Unknown command');
+          res.writeHead(isInvalid ? 400 : 500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: err.message, ...(err.errors ? { errors: err.errors } : {}) }));
         }
       } else {
         res.writeHead(503, { 'Content-Type': 'application/json' });
@@ -141,6 +258,27 @@ class ApiServer extends EventEmitter {
     }
   }
 
+  // /api/channels/... - REST resources for channels, layers and playlist items (handled in the renderer)
+  async handleResourceRequest(req, res, path) {
+    try {
+      const body = req.method === 'POST' || req.method === 'PATCH' ? await this.parseBody(req) : {};
+
+      if (!this.callbacks.onResourceRequest) {
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Resource handler not available' }));
+        return;
+      }
+
+      const response = await this.callbacks.onResourceRequest(req.method, path, body);
+      res.writeHead(response.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response.body));
+    } catch (err) {
+      const status = err.message === 'Invalid JSON' || err.message === 'Request body too large' ? 400 : 500;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: err.message }));
+    }
+  }
+
   // GET /api/state - Get current app state
   async handleStateRequest(req, res) {
     try {
@@ -158,6 +296,74 @@ class ApiServer extends EventEmitter {
     }
   }
 
+  /**
+   * GET /api/events - Server-Sent Events stream of state changes and playout events
+   * A client resuming with Last-Event-ID gets the entries it missed; a new client, or one whose id
+   * has dropped out of the backlog, starts with a snapshot of every topic it follows
+   */
+  handleEventStreamRequest(req, res, parsedUrl, apiKey) {
+    const filter = parseEventFilter(parsedUrl.searchParams);
+    if (filter.invalid.length > 0) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: `Invalid filter: ${filter.invalid.join(', ')}` }));
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Stop reverse proxies buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    req.socket.setNoDelay(true);
+    res.write(`retry: ${SSE_RETRY}\n\n`);
+
+    const sseClient = {
+      res,
+      apiKey,
+      remoteAddress: req.socket.remoteAddress,
+      filter
+    };
+    this.sseClients.add(sseClient);
+    console.log('[ApiServer] Event stream client connected, total:', this.sseClients.size);
+
+    res.on('close', () => {
+      this.sseClients.delete(sseClient);
+      console.log('[ApiServer] Event stream client disconnected, total:', this.sseClients.size);
+    });
+
+    // EventSource sends Last-Event-ID when it reconnects; plain HTTP clients can use ?lastEventId=
+    const lastEventId = req.headers['last-event-id'] || parsedUrl.searchParams.get('lastEventId');
+    const missed = lastEventId ? this.eventBacklog.since(lastEventId) : null;
+
+    if (missed) {
+      missed
+        .filter(entry => acceptsEntry(filter, entry))
+        .forEach(entry => this.sendStreamEvent(sseClient, entry.id, entry.type, entry.data));
+    }
+
+    // Time topics aren't in the backlog, so resumed clients get their current value too
+    Object.keys(this.topicValues)
+      .filter(topic => (!missed || isFrameTopic(topic)) && acceptsTopic(filter, topic))
+      .forEach(topic => this.sendStreamEvent(sseClient, this.eventBacklog.lastId, STATE_EVENT, {
+        type: 'snapshot',
+        topic,
+        data: this.topicValues[topic]
+      }));
+  }
+
+  // Write one event, dropping the client if it has stopped reading
+  sendStreamEvent(sseClient, id, type, data) {
+    if (sseClient.res.writableEnded) return;
+    if (sseClient.res.writableLength > SSE_HIGH_WATER_MARK) {
+      console.log('[ApiServer] Dropping slow event stream client');
+      sseClient.res.destroy();
+      return;
+    }
+    sseClient.res.write(formatEvent(id, type, data));
+  }
+
   // GET /api/status - Get server status
   handleStatusRequest(req, res) {
     const status = {
@@ -165,58 +371,30 @@ class ApiServer extends EventEmitter {
       server: {
         port: this.port,
         isRunning: this.isRunning,
-        wsClients: this.wsClients.size
+        wsClients: this.wsClients.size,
+        sseClients: this.sseClients.size
       }
     };
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(status));
   }
 
-  // GET /api/commands - List available commands
+  // GET /api/commands - List available commands with their param schemas
   handleCommandListRequest(req, res) {
-    // Import command list from commandHandler (sent from renderer)
-    const commands = {
-      transport: [
-        { command: 'play', params: ['channel', 'layer', 'itemIndex?'], description: 'Play playlist item' },
-        { command: 'pause', params: ['channel', 'layer'], description: 'Pause playback' },
-        { command: 'resume', params: ['channel', 'layer'], description: 'Resume playback' },
-        { command: 'playPauseResume', params: ['channel', 'layer', 'itemIndex?'], description: 'Toggle play/pause/resume' },
-        { command: 'stop', params: ['channel', 'layer'], description: 'Stop playback' },
-        { command: 'next', params: ['channel', 'layer'], description: 'Next playlist item' },
-        { command: 'prev', params: ['channel', 'layer'], description: 'Previous playlist item' }
-      ],
-      client: [
-        { command: 'togglePlaylistMode', params: ['channel', 'layer'], description: 'Toggle auto-advance' },
-        { command: 'toggleLoopMode', params: ['channel', 'layer'], description: 'Toggle playlist loop' },
-        { command: 'toggleLoopItem', params: ['channel', 'layer'], description: 'Toggle item loop' },
-        { command: 'loadRundown', params: ['name'], description: 'Load rundown' },
-        { command: 'saveRundown', params: ['name'], description: 'Save rundown' },
-        { command: 'clearAll', params: [], description: 'Clear all channels' },
-        { command: 'addChannel', params: [], description: 'Add channel' },
-        { command: 'addLayer', params: ['channel'], description: 'Add layer' },
-        { command: 'deleteChannel', params: ['channel'], description: 'Delete channel' },
-        { command: 'deleteLayer', params: ['channel', 'layer'], description: 'Delete layer' }
-      ],
-      caspar: [
-        { command: 'casparPlay', params: ['channel', 'layer', 'clip', 'options?'], description: 'Direct PLAY' },
-        { command: 'casparStop', params: ['channel', 'layer'], description: 'Direct STOP' },
-        { command: 'casparPause', params: ['channel', 'layer'], description: 'Direct PAUSE' },
-        { command: 'casparResume', params: ['channel', 'layer'], description: 'Direct RESUME' },
-        { command: 'casparClear', params: ['channel', 'layer?'], description: 'Clear layer/channel' },
-        { command: 'casparLoadBg', params: ['channel', 'layer', 'clip', 'options?'], description: 'Load in background' },
-        { command: 'cgAdd', params: ['channel', 'layer', 'template', 'playOnLoad?', 'data?'], description: 'Add template' },
-        { command: 'cgPlay', params: ['channel', 'layer'], description: 'Play template' },
-        { command: 'cgStop', params: ['channel', 'layer'], description: 'Stop template' },
-        { command: 'cgUpdate', params: ['channel', 'layer', 'data'], description: 'Update template data' },
-        { command: 'custom', params: ['amcp'], description: 'Raw AMCP command' }
-      ],
-      macro: [
-        { command: 'executeMacro', params: ['macroId'], description: 'Execute saved macro' }
-      ]
-    };
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, commands: groupCommands(this.commands) }));
+  }
 
+  // GET /api/openapi.json - OpenAPI description generated from the command catalogue
+  handleOpenApiRequest(req, res) {
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ success: true, commands }));
+    res.end(JSON.stringify(buildOpenApiDocument(this.commands)));
+  }
+
+  // GET /api/docs - Interactive docs page
+  handleDocsRequest(req, res) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(DOCS_PAGE);
   }
 
   // GET / - API info
@@ -225,20 +403,33 @@ class ApiServer extends EventEmitter {
       name: 'CasparCG Client API',
       version: '1.0.0',
       endpoints: {
-        'POST /api/command': 'Execute command { command, params }',
-        'GET /api/state': 'Get current app state',
+        'POST /api/command': 'Execute command { command, params } (control key)',
+        'GET /api/state': 'Get current app state (read key)',
+        'GET /api/events': 'Server-Sent Events stream of state changes and playout events (read key, ?types=, ?topics=)',
+        'GET|POST /api/channels': 'List or add channels',
+        'GET|PATCH|DELETE /api/channels/:channel': 'Channel (name)',
+        'GET|POST /api/channels/:channel/layers': 'List or add layers',
+        'GET|PATCH|DELETE /api/channels/:channel/layers/:layer': 'Layer (name, playlistMode, loopMode, loopItem, defaultTransition)',
+        'GET /api/channels/:channel/layers/:layer/playlist': 'Playlist with current index',
+        'GET|POST /api/channels/:channel/layers/:layer/playlist/items': 'List items or insert { clip | path | macroId, index?, ... }',
+        'GET|PATCH|DELETE /api/channels/:channel/layers/:layer/playlist/items/:itemId': 'Item (index, duration, inFrame, outFrame, transition, scheduledStart, startMacro, endMacro)',
         'GET /api/status': 'Get server status',
-        'GET /api/commands': 'List available commands'
+        'GET /api/commands': 'List available commands with typed params',
+        'GET /api/openapi.json': 'OpenAPI 3 description',
+        'GET /api/docs': 'Interactive command reference'
       },
-      websocket: `ws://localhost:${this.port}/ws`
+      authentication: 'Authorization: Bearer <key>, X-API-Key: <key> or ?token=<key>',
+      websocket: `ws://localhost:${this.port}/ws?token=<key>`,
+      events: `http://localhost:${this.port}/api/events?token=<key>`
     };
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(info));
   }
 
-  // Handle WebSocket upgrade (simple implementation without external library)
+  // Handle WebSocket upgrade
   handleWebSocketUpgrade(req, socket, head) {
-    const url = req.url || '/';
+    const parsedUrl = new URL(req.url || '/', 'http://localhost');
+    const url = parsedUrl.pathname;
 
     // Only accept /ws path
     if (url !== '/ws' && url !== '/ws/') {
@@ -247,123 +438,62 @@ class ApiServer extends EventEmitter {
       return;
     }
 
-    // Get WebSocket key from headers
-    const key = req.headers['sec-websocket-key'];
-    if (!key) {
-      socket.write('HTTP/1.1 400 Bad Request\r\n\r\n');
+    if (!isAddressAllowed(this.allowlist, req.socket.remoteAddress)) {
+      this.recordRejection(req.socket.remoteAddress, url, 'Address not in allowlist');
+      socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    // Read scope receives state, commands are checked per message
+    const auth = this.authorize(req, parsedUrl, 'read');
+    if (!auth.apiKey) {
+      this.recordRejection(req.socket.remoteAddress, url, auth.error);
+      socket.write(`HTTP/1.1 ${auth.status === 403 ? '403 Forbidden' : '401 Unauthorized'}\r\n\r\n`);
       socket.destroy();
       return;
     }
 
-    // Create WebSocket accept key
-    const crypto = require('crypto');
-    const acceptKey = crypto
-      .createHash('sha1')
-      .update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
-      .digest('base64');
-
-    // Send upgrade response
-    socket.write(
-      'HTTP/1.1 101 Switching Protocols\r\n' +
-      'Upgrade: websocket\r\n' +
-      'Connection: Upgrade\r\n' +
-      `Sec-WebSocket-Accept: ${acceptKey}\r\n` +
-      '\r\n'
-    );
-
-    // Create a simple WebSocket wrapper
+    const connection = acceptWebSocket(req, socket, head);
+    if (!connection) return;
+
     const wsClient = {
-      socket,
-      send: (data) => this.sendWebSocketFrame(socket, data),
-      close: () => {
-        this.wsClients.delete(wsClient);
-        socket.end();
-      }
+      connection,
+      apiKey: auth.apiKey,
+      remoteAddress: req.socket.remoteAddress,
+      subscriptions: new Set(),
+      // Topics waiting for the client to catch up (see sendTopicUpdate)
+      pending: new Set(),
+      send: (data) => connection.send(data),
+      close: (code, reason) => connection.close(code, reason)
     };
 
     this.wsClients.add(wsClient);
     console.log('[ApiServer] WebSocket client connected, total:', this.wsClients.size);
 
-    // Handle incoming WebSocket frames
-    socket.on('data', (buffer) => {
-      this.handleWebSocketData(buffer, wsClient);
+    connection.on('message', (message) => {
+      this.handleWebSocketMessage(message, wsClient);
     });
 
-    socket.on('close', () => {
-      this.wsClients.delete(wsClient);
-      console.log('[ApiServer] WebSocket client disconnected, total:', this.wsClients.size);
+    connection.on('drain', () => {
+      this.flushPendingTopics(wsClient);
     });
 
-    socket.on('error', (err) => {
-      if (err.code !== 'ECONNRESET') {
-        console.warn('[ApiServer] WebSocket error:', err.message);
-      }
+    connection.on('close', (code) => {
       this.wsClients.delete(wsClient);
+      console.log(`[ApiServer] WebSocket client disconnected (${code}), total:`, this.wsClients.size);
     });
 
-    // Send welcome message
-    wsClient.send(JSON.stringify({ type: 'connected', message: 'WebSocket connected' }));
-  }
-
-  // Parse WebSocket frame and handle data
-  handleWebSocketData(buffer, wsClient) {
-    try {
-      // Simple WebSocket frame parsing
-      const firstByte = buffer[0];
-      const opcode = firstByte & 0x0F;
-
-      // Handle close frame
-      if (opcode === 0x08) {
-        wsClient.close();
-        return;
-      }
-
-      // Handle ping frame
-      if (opcode === 0x09) {
-        // Send pong
-        const pongFrame = Buffer.alloc(2);
-        pongFrame[0] = 0x8A; // Pong frame
-        pongFrame[1] = 0x00;
-        wsClient.socket.write(pongFrame);
-        return;
-      }
-
-      // Only handle text frames
-      if (opcode !== 0x01) return;
-
-      const secondByte = buffer[1];
-      const isMasked = (secondByte & 0x80) !== 0;
-      let payloadLength = secondByte & 0x7F;
-      let offset = 2;
-
-      if (payloadLength === 126) {
-        payloadLength = buffer.readUInt16BE(2);
-        offset = 4;
-      } else if (payloadLength === 127) {
-        // Skip 64-bit length for simplicity
-        return;
-      }
-
-      let maskingKey = null;
-      if (isMasked) {
-        maskingKey = buffer.slice(offset, offset + 4);
-        offset += 4;
-      }
-
-      let payload = buffer.slice(offset, offset + payloadLength);
-
-      // Unmask if needed
-      if (isMasked && maskingKey) {
-        for (let i = 0; i < payload.length; i++) {
-          payload[i] ^= maskingKey[i % 4];
-        }
-      }
+    connection.on('error', (err) => {
+      console.warn('[ApiServer] WebSocket error:', err.message);
+    });
 
-      const message = payload.toString('utf8');
-      this.handleWebSocketMessage(message, wsClient);
-    } catch (err) {
-      console.error('[ApiServer] Error parsing WebSocket frame:', err);
-    }
+    // Send welcome message
+    wsClient.send({
+      type: 'connected',
+      message: 'WebSocket connected',
+      topics: Object.keys(this.topicValues)
+    });
   }
 
   // Handle WebSocket message
@@ -373,118 +503,218 @@ class ApiServer extends EventEmitter {
       console.log('[ApiServer] WebSocket message:', data);
 
       if (data.type === 'command' && data.command) {
+        // The key may have been removed or downgraded since the client connected
+        const apiKey = findApiKey(this.apiKeys, wsClient.apiKey.key);
+        if (!hasScope(apiKey, 'control')) {
+          const error = apiKey ? `API key "${apiKey.name}" is read-only` : 'API key has been revoked';
+          this.recordRejection(wsClient.remoteAddress, `/ws ${data.command}`, error);
+          wsClient.send({ type: 'command_result', id: data.id, success: false, error });
+          return;
+        }
+
         // Execute command
         if (this.callbacks.onCommand) {
           try {
             const result = await this.callbacks.onCommand(data.command, data.params || {});
-            wsClient.send(JSON.stringify({
+            wsClient.send({
               type: 'command_result',
               id: data.id,
               success: true,
               result
-            }));
+            });
           } catch (err) {
-            wsClient.send(JSON.stringify({
+            wsClient.send({
               type: 'command_result',
               id: data.id,
               success: false,
-              error: err.message
-            }));
+              error: err.message,
+              ...(err.errors ? { errors: err.errors } : {})
+            });
+          }
+        }
+      } else if (data.type === 'subscribe' || data.type === 'unsubscribe') {
+        const patterns = Array.isArray(data.topics) ? data.topics : [data.topic];
+        const invalid = patterns.filter(pattern => !isValidPattern(pattern));
+        if (invalid.length > 0) {
+          wsClient.send({ type: 'error', id: data.id, error: `Invalid topic: ${invalid.join(', ')}` });
+          return;
+        }
+
+        if (data.type === 'subscribe') {
+          patterns.forEach(pattern => wsClient.subscriptions.add(pattern));
+          wsClient.send({ type: 'subscribed', id: data.id, topics: [...wsClient.subscriptions] });
+
+          // Start the client off with the current value of each newly matched topic
+          Object.keys(this.topicValues)
+            .filter(topic => patterns.some(pattern => matchesTopic(pattern, topic)))
+            .forEach(topic => this.sendTopicUpdate(wsClient, { topic, snapshot: true }));
+        } else {
+          patterns.forEach(pattern => wsClient.subscriptions.delete(pattern));
+          for (const topic of wsClient.pending) {
+            if (!this.isSubscribed(wsClient, topic)) wsClient.pending.delete(topic);
           }
+          wsClient.send({ type: 'unsubscribed', id: data.id, topics: [...wsClient.subscriptions] });
         }
+      } else if (data.type === 'topics') {
+        wsClient.send({ type: 'topics', id: data.id, topics: Object.keys(this.topicValues) });
       } else if (data.type === 'get_state') {
         // Get current state
         if (this.callbacks.onStateRequest) {
           const state = await this.callbacks.onStateRequest();
-          wsClient.send(JSON.stringify({
+          wsClient.send({
             type: 'state',
             id: data.id,
             state
-          }));
+          });
         }
       } else if (data.type === 'ping') {
-        wsClient.send(JSON.stringify({ type: 'pong', id: data.id }));
+        wsClient.send({ type: 'pong', id: data.id });
       }
     } catch (err) {
       console.error('[ApiServer] Error handling WebSocket message:', err);
-      wsClient.send(JSON.stringify({ type: 'error', error: err.message }));
+      wsClient.send({ type: 'error', error: err.message });
     }
   }
 
-  // Send WebSocket frame
-  sendWebSocketFrame(socket, data) {
-    if (socket.destroyed || socket.writableEnded) return;
-
-    const payload = typeof data === 'string' ? data : JSON.stringify(data);
-    const payloadBuffer = Buffer.from(payload, 'utf8');
-    const payloadLength = payloadBuffer.length;
-
-    let frame;
-    if (payloadLength < 126) {
-      frame = Buffer.alloc(2 + payloadLength);
-      frame[0] = 0x81; // FIN + text frame
-      frame[1] = payloadLength;
-      payloadBuffer.copy(frame, 2);
-    } else if (payloadLength < 65536) {
-      frame = Buffer.alloc(4 + payloadLength);
-      frame[0] = 0x81;
-      frame[1] = 126;
-      frame.writeUInt16BE(payloadLength, 2);
-      payloadBuffer.copy(frame, 4);
+  isSubscribed(wsClient, topic) {
+    for (const pattern of wsClient.subscriptions) {
+      if (matchesTopic(pattern, topic)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Send a topic change to one client
+   * A client that isn't reading fast enough stops getting deltas; the topic is remembered and
+   * its latest value sent as a snapshot once the socket drains, so slow clients skip
+   * intermediate values instead of buffering them
+   * @param {Object} wsClient
+   * @param {Object} update - { topic, changes } | { topic, removed: true } | { topic, snapshot: true }
+   */
+  sendTopicUpdate(wsClient, update) {
+    if (wsClient.pending.size > 0 || !this.canSend(wsClient)) {
+      wsClient.pending.add(update.topic);
+      return;
+    }
+
+    if (update.snapshot || update.removed) {
+      this.sendTopicSnapshot(wsClient, update.topic);
     } else {
-      // For very large payloads (unlikely for our use case)
-      frame = Buffer.alloc(10 + payloadLength);
-      frame[0] = 0x81;
-      frame[1] = 127;
-      frame.writeBigUInt64BE(BigInt(payloadLength), 2);
-      payloadBuffer.copy(frame, 10);
+      wsClient.send({ type: 'update', topic: update.topic, data: update.changes });
     }
+  }
 
-    try {
-      socket.write(frame);
-    } catch (err) {
-      console.warn('[ApiServer] Error sending WebSocket frame:', err.message);
+  sendTopicSnapshot(wsClient, topic) {
+    const value = this.topicValues[topic];
+    wsClient.send(value ? { type: 'snapshot', topic, data: value } : { type: 'removed', topic });
+  }
+
+  flushPendingTopics(wsClient) {
+    for (const topic of wsClient.pending) {
+      // Still behind - the next drain picks up where this left off
+      if (!this.canSend(wsClient)) return;
+      wsClient.pending.delete(topic);
+      this.sendTopicSnapshot(wsClient, topic);
     }
   }
 
-  // Broadcast state to all WebSocket clients
-  broadcastState(state) {
-    const message = JSON.stringify({ type: 'state', data: state });
+  // Closed sockets and clients over the high water mark get nothing more until they drain
+  canSend(wsClient) {
+    return wsClient.connection.isOpen && wsClient.connection.bufferedAmount <= WS_HIGH_WATER_MARK;
+  }
+
+  // Publish a new state, sending subscribers only the topics (and keys) that changed
+  publishState(state) {
+    const next = buildTopics(state);
+    const updates = diffTopics(this.topicValues, next);
+    this.topicValues = next;
+    if (updates.length === 0) return;
+
     for (const client of this.wsClients) {
-      try {
-        client.send(message);
-      } catch (err) {
-        // Remove dead clients
-        this.wsClients.delete(client);
-      }
+      if (!client.connection.isOpen || client.subscriptions.size === 0) continue;
+      updates.forEach(update => {
+        if (this.isSubscribed(client, update.topic)) {
+          this.sendTopicUpdate(client, update);
+        }
+      });
     }
+
+    updates.forEach(update => {
+      const data = update.removed
+        ? { type: 'removed', topic: update.topic }
+        : { type: 'update', topic: update.topic, data: update.changes };
+      const entry = isFrameTopic(update.topic)
+        ? { id: this.eventBacklog.lastId, type: STATE_EVENT, data }
+        : this.eventBacklog.add(STATE_EVENT, data);
+      this.streamEntry(entry);
+    });
   }
 
-  // Broadcast event to all WebSocket clients
+  // Broadcast event to all WebSocket and event stream clients
+  // Events can't be merged like topics, so a client that is behind misses them (the event stream
+  // keeps a backlog for clients that need every event)
   broadcastEvent(event, data) {
     const message = JSON.stringify({ type: 'event', event, data });
     for (const client of this.wsClients) {
-      try {
-        client.send(message);
-      } catch (err) {
-        this.wsClients.delete(client);
+      if (!this.canSend(client)) {
+        if (client.connection.isOpen && !client.droppingEvents) {
+          client.droppingEvents = true;
+          console.warn('[ApiServer] WebSocket client is behind, dropping events until it catches up');
+        }
+        continue;
+      }
+      client.droppingEvents = false;
+      client.send(message);
+    }
+    this.streamEntry(this.eventBacklog.add(event, data));
+  }
+
+  // Send a backlog entry to the event stream clients whose filter accepts it
+  streamEntry(entry) {
+    for (const client of this.sseClients) {
+      if (acceptsEntry(client.filter, entry)) {
+        this.sendStreamEvent(client, entry.id, entry.type, entry.data);
+      }
+    }
+  }
+
+  // Ping WebSocket clients and drop the ones that didn't answer the previous ping
+  checkHeartbeats() {
+    for (const client of this.wsClients) {
+      if (!client.connection.isAlive) {
+        console.log('[ApiServer] Dropping unresponsive WebSocket client');
+        client.connection.terminate();
+        continue;
       }
+      client.connection.ping();
+    }
+    // Comment lines keep idle event streams open through proxies
+    for (const client of this.sseClients) {
+      if (!client.res.writableEnded) client.res.write(': ping\n\n');
     }
   }
 
   async stop() {
     console.log('[ApiServer] Stopping server...');
 
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
     // Close all WebSocket clients
     for (const client of this.wsClients) {
       try {
-        client.close();
+        client.close(CLOSE_CODES.GOING_AWAY, 'Server stopping');
       } catch (err) {
         // Ignore
       }
     }
     this.wsClients.clear();
 
+    for (const client of this.sseClients) {
+      client.res.end();
+    }
+    this.sseClients.clear();
+
     if (this.server) {
       return new Promise((resolve) => {
         this.server.close(() => {
@@ -511,17 +741,19 @@ class ApiServer extends EventEmitter {
     return {
       isRunning: this.isRunning,
       port: this.port,
-      wsClients: this.wsClients.size
+      wsClients: this.wsClients.size,
+      sseClients: this.sseClients.size,
+      rejections: this.rejections
     };
   }
 }
 
 // Module exports - singleton pattern
-async function start(port, callbacks) {
+async function start(port, callbacks, security, commands) {
   // Stop existing server if running
   await stop();
 
-  serverInstance = new ApiServer(port, callbacks);
+  serverInstance = new ApiServer(port, callbacks, security, commands);
   await serverInstance.start();
   return serverInstance.getStatus();
 }
@@ -537,12 +769,18 @@ function getStatus() {
   if (serverInstance) {
     return serverInstance.getStatus();
   }
-  return { isRunning: false, port: null, wsClients: 0 };
+  return { isRunning: false, port: null, wsClients: 0, sseClients: 0, rejections: [] };
+}
+
+function setSecurity(security) {
+  if (serverInstance) {
+    serverInstance.setSecurity(security);
+  }
 }
 
-function broadcastState(state) {
+function publishState(state) {
   if (serverInstance) {
-    serverInstance.broadcastState(state);
+    serverInstance.publishState(state);
   }
 }
 
@@ -556,6 +794,7 @@ module.exports = {
   start,
   stop,
   getStatus,
-  broadcastState,
+  setSecurity,
+  publishState,
   broadcastEvent
 };
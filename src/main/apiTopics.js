@@ -0,0 +1,153 @@
+// API Topics - splits the API state into topics WebSocket clients can subscribe to, and works
+// out what changed between two states so only deltas are pushed
+//
+// Topics:
+//   connection                  Main/backup/server connection status
+//   rundown                     Channel and layer structure, saved rundowns
+//   macros                      Macro list
+//   channel.<n>.layer.<m>       Layer playback state (current item, modes, mixer)
+//   channel.<n>.layer.<m>.time  Layer position and playlist timing (changes every frame)
+//   channel.<n>.telemetry       Server telemetry: format, profiler, outputs, per-layer producer/resolution
+//   channel.<n>.audio           Audio levels in dBFS (changes every frame)
+
+/**
+ * Split API state into topic values
+ * @param {Object} state - State from getStateForApi in the renderer
+ * @returns {Object} { [topic]: Object }
+ */
+function buildTopics(state) {
+  const channels = state?.channels || [];
+  const topics = {
+    connection: { ...(state?.connection || {}) },
+    rundown: {
+      channels: channels.map(ch => ({
+        id: ch.id,
+        name: ch.name,
+        server: ch.server,
+        serverChannel: ch.serverChannel,
+        layers: ch.layers.map(l => ({
+          id: l.id,
+          casparLayer: l.casparLayer,
+          playlistLength: l.playlistLength
+        }))
+      })),
+      rundowns: state?.rundowns || []
+    },
+    macros: { macros: state?.macros || [] }
+  };
+
+  channels.forEach(ch => {
+    if (ch.telemetry) {
+      const { audio, ...telemetry } = ch.telemetry;
+      topics[`channel.${ch.id}.telemetry`] = telemetry;
+      topics[`channel.${ch.id}.audio`] = audio;
+    }
+
+    ch.layers.forEach(l => {
+      const topic = `channel.${ch.id}.layer.${l.id}`;
+      topics[topic] = {
+        isPlaying: l.isPlaying,
+        isPaused: l.isPaused,
+        currentIndex: l.currentIndex,
+        currentItem: l.currentItem,
+        nextItem: l.nextItem,
+        playlistMode: l.playlistMode,
+        loopMode: l.loopMode,
+        loopItem: l.loopItem,
+        playlistLength: l.playlistLength,
+        mixer: l.mixer
+      };
+      topics[`${topic}.time`] = {
+        currentTime: l.currentTime,
+        duration: l.duration,
+        timing: l.timing
+      };
+    });
+  });
+
+  return topics;
+}
+
+/**
+ * Compare two topic values key by key
+ * @param {Object} previous - Last value sent
+ * @param {Object} next - New value
+ * @returns {Object|null} Changed keys with their new values (removed keys as null), or null if nothing changed
+ */
+function diffTopic(previous, next) {
+  const changes = {};
+  let changed = false;
+
+  Object.keys(next).forEach(key => {
+    if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+      changes[key] = next[key] === undefined ? null : next[key];
+      changed = true;
+    }
+  });
+  Object.keys(previous).forEach(key => {
+    if (!(key in next)) {
+      changes[key] = null;
+      changed = true;
+    }
+  });
+
+  return changed ? changes : null;
+}
+
+/**
+ * Work out which topics changed between two states
+ * @param {Object} previous - Topic values from the last publish
+ * @param {Object} next - New topic values
+ * @returns {Array} [{ topic, changes }] for changed topics and [{ topic, removed: true }] for topics that went away
+ */
+function diffTopics(previous, next) {
+  const updates = [];
+
+  Object.entries(next).forEach(([topic, value]) => {
+    if (!previous[topic]) {
+      updates.push({ topic, changes: value });
+      return;
+    }
+    const changes = diffTopic(previous[topic], value);
+    if (changes) updates.push({ topic, changes });
+  });
+  Object.keys(previous).forEach(topic => {
+    if (!next[topic]) updates.push({ topic, removed: true });
+  });
+
+  return updates;
+}
+
+/**
+ * Check a topic against a subscription pattern
+ * "*" matches one segment and a trailing "#" matches any remaining segments,
+ * e.g. "channel.1.layer.*.time" or "channel.1.#"
+ * @param {string} pattern - Subscription
+ * @param {string} topic - Topic name
+ * @returns {boolean}
+ */
+function matchesTopic(pattern, topic) {
+  const patternParts = pattern.split('.');
+  const topicParts = topic.split('.');
+
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i] === '#' && i === patternParts.length - 1) return true;
+    if (i >= topicParts.length) return false;
+    if (patternParts[i] !== '*' && patternParts[i] !== topicParts[i]) return false;
+  }
+  return patternParts.length === topicParts.length;
+}
+
+// Check a subscription pattern is well formed
+function isValidPattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern) return false;
+  const parts = pattern.split('.');
+  return parts.every((part, i) => part !== '' && (part !== '#' || i === parts.length - 1));
+}
+
+module.exports = {
+  buildTopics,
+  diffTopics,
+  matchesTopic,
+  isValidPattern
+};
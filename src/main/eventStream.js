@@ -0,0 +1,124 @@
+// Event Stream - backlog, filtering and framing for the Server-Sent Events endpoint (GET /api/events)
+//
+// Every state change and playout event gets an id ("<epoch>-<sequence>") and is kept in a short
+// backlog, so a client that reconnects with Last-Event-ID gets what it missed. The epoch changes
+// each time the API server starts, so ids from an earlier run are never mistaken for current ones
+
+const { matchesTopic, isValidPattern } = require('./apiTopics');
+
+// Entries kept for Last-Event-ID resume
+const MAX_BACKLOG = 500;
+
+// SSE event type used for topic changes - playout events use their own name (e.g. item.started)
+const STATE_EVENT = 'state';
+
+// Position and audio level topics change every frame and only their latest value matters, so they
+// are streamed but not kept in the backlog (a resumed client gets a fresh snapshot instead)
+function isFrameTopic(topic) {
+  return topic.endsWith('.time') || topic.endsWith('.audio');
+}
+
+class EventBacklog {
+  constructor(size = MAX_BACKLOG) {
+    this.size = size;
+    this.epoch = Date.now().toString(36);
+    this.sequence = 0;
+    this.entries = [];
+  }
+
+  get lastId() {
+    return `${this.epoch}-${this.sequence}`;
+  }
+
+  /**
+   * Add an entry
+   * @param {string} type - SSE event type
+   * @param {Object} data - Event data
+   * @returns {Object} { id, sequence, type, data }
+   */
+  add(type, data) {
+    this.sequence += 1;
+    const entry = { id: this.lastId, sequence: this.sequence, type, data };
+    this.entries.push(entry);
+    if (this.entries.length > this.size) this.entries.shift();
+    return entry;
+  }
+
+  /**
+   * Entries after an event id
+   * @param {string} lastEventId - Last-Event-ID sent by the client
+   * @returns {Array|null} Missed entries, or null if the id is unknown or has dropped out of the backlog
+   */
+  since(lastEventId) {
+    const [epoch, sequenceText] = String(lastEventId).split('-');
+    const sequence = Number(sequenceText);
+    if (epoch !== this.epoch || !Number.isInteger(sequence) || sequence < 0 || sequence > this.sequence) {
+      return null;
+    }
+    if (sequence === this.sequence) return [];
+
+    const oldest = this.entries[0];
+    if (!oldest || sequence < oldest.sequence - 1) return null;
+    return this.entries.filter(entry => entry.sequence > sequence);
+  }
+}
+
+/**
+ * Frame one SSE event
+ * JSON.stringify never emits raw newlines, so the data always fits on one "data:" line
+ * @param {string} id - Event id (omitted if empty)
+ * @param {string} type - Event type
+ * @param {Object} data - Event data
+ * @returns {string}
+ */
+function formatEvent(id, type, data) {
+  return `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function parseList(value) {
+  if (value === null) return null;
+  const list = value.split(',').map(item => item.trim()).filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+/**
+ * Read the filter from the query string
+ * ?types=item.*,state limits event types, ?topics=channel.1.# limits the state topics.
+ * Both take comma separated patterns with the same "*" / "#" wildcards as WebSocket topics
+ * @param {URLSearchParams} searchParams
+ * @returns {Object} { types: string[]|null, topics: string[]|null, invalid: string[] } - null means everything
+ */
+function parseEventFilter(searchParams) {
+  const types = parseList(searchParams.get('types'));
+  const topics = parseList(searchParams.get('topics'));
+  const invalid = [...(types || []), ...(topics || [])].filter(pattern => !isValidPattern(pattern));
+  return { types, topics, invalid };
+}
+
+function acceptsType(filter, type) {
+  return !filter.types || filter.types.some(pattern => matchesTopic(pattern, type));
+}
+
+function acceptsTopic(filter, topic) {
+  return acceptsType(filter, STATE_EVENT) && (!filter.topics || filter.topics.some(pattern => matchesTopic(pattern, topic)));
+}
+
+/**
+ * Check an entry against a client's filter
+ * @param {Object} filter - From parseEventFilter
+ * @param {Object} entry - { type, data } - state entries carry data.topic
+ * @returns {boolean}
+ */
+function acceptsEntry(filter, entry) {
+  return entry.type === STATE_EVENT ? acceptsTopic(filter, entry.data.topic) : acceptsType(filter, entry.type);
+}
+
+module.exports = {
+  STATE_EVENT,
+  EventBacklog,
+  isFrameTopic,
+  formatEvent,
+  parseEventFilter,
+  acceptsTopic,
+  acceptsEntry
+};
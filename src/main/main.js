@@ -4,8 +4,11 @@ const fs = require('fs');
 const mediaScanner = require('./mediaScanner');
 const thumbnailGenerator = require('./thumbnailGenerator');
 const oscService = require('./oscService');
+const oscControl = require('./oscControl');
+const oscFeedback = require('./oscFeedback');
 const streamRelay = require('./streamRelay');
 const apiServer = require('./apiServer');
+const webhooks = require('./webhooks');
 
 
 let mainWindow;
@@ -18,9 +21,10 @@ const workspacesPath = path.join(userDataPath, 'workspaces');
 const macrosPath = path.join(userDataPath, 'macros');
 const rundownsPath = path.join(userDataPath, 'rundowns');
 const cachePath = path.join(userDataPath, 'cache', 'thumbnails');
+const asRunPath = path.join(userDataPath, 'asrun');
 
 // Ensure directories exist
-[workspacesPath, macrosPath, rundownsPath, cachePath].forEach(dir => {
+[workspacesPath, macrosPath, rundownsPath, cachePath, asRunPath].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
@@ -238,6 +242,53 @@ ipcMain.handle('macro:delete', async (event, id) => {
   }
 });
 
+// Macro bundle import/export - the renderer builds and reads bundles, main only picks and reads/writes the file
+const MACRO_BUNDLE_FILTER = { name: 'Macro Bundle', extensions: ['json'] };
+
+ipcMain.handle('macro:export', async (event, name, content) => {
+  try {
+    const safeName = (name || 'macros').replace(/[^a-z0-9_-]/gi, '_');
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Macros',
+      defaultPath: `${safeName}.json`,
+      filters: [MACRO_BUNDLE_FILTER]
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+
+    fs.writeFileSync(result.filePath, content);
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    console.error('Error exporting macros:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('macro:import', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import Macros',
+      properties: ['openFile'],
+      filters: [MACRO_BUNDLE_FILTER]
+    });
+    if (result.canceled || !result.filePaths[0]) {
+      return { success: false, canceled: true };
+    }
+
+    const filePath = result.filePaths[0];
+    return {
+      success: true,
+      filePath,
+      name: path.basename(filePath, path.extname(filePath)),
+      content: fs.readFileSync(filePath, 'utf8')
+    };
+  } catch (error) {
+    console.error('Error importing macros:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Provide paths to renderer
 ipcMain.handle('app:getPaths', async () => {
   return {
@@ -337,13 +388,13 @@ ipcMain.handle('media:clearCache', async () => {
 });
 
 // OSC Server management
-ipcMain.handle('osc:start', async (event, port) => {
+ipcMain.handle('osc:start', async (event, port, serverId = 'main') => {
   try {
     await oscService.start(port, (message) => {
       if (mainWindow && !mainWindow.isDestroyed()) {
         mainWindow.webContents.send('osc:message', message);
       }
-    });
+    }, serverId);
     return { success: true };
   } catch (error) {
     console.error('Error starting OSC server:', error);
@@ -351,9 +402,9 @@ ipcMain.handle('osc:start', async (event, port) => {
   }
 });
 
-ipcMain.handle('osc:stop', async () => {
+ipcMain.handle('osc:stop', async (event, serverId) => {
   try {
-    oscService.stop();
+    oscService.stop(serverId);
     return { success: true };
   } catch (error) {
     console.error('Error stopping OSC server:', error);
@@ -361,8 +412,34 @@ ipcMain.handle('osc:stop', async () => {
   }
 });
 
-ipcMain.handle('osc:status', async () => {
-  return { running: oscService.isRunning() };
+ipcMain.handle('osc:status', async (event, serverId) => {
+  return { running: oscService.isRunning(serverId) };
+});
+
+// OSC control input - control messages for the app itself, mapped to commands in the renderer
+ipcMain.handle('oscControl:start', async (event, port, allowlist) => {
+  try {
+    await oscControl.start(port, allowlist, (message) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('oscControl:message', message);
+      }
+    });
+    return { success: true, ...oscControl.getStatus() };
+  } catch (error) {
+    console.error('Error starting OSC control:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('oscControl:stop', async () => {
+  oscControl.stop();
+  return { success: true };
+});
+
+// OSC feedback output - layer state sent to control surfaces
+ipcMain.handle('oscFeedback:configure', async (event, config) => {
+  oscFeedback.configure(config);
+  return { success: true };
 });
 
 // Rundown management
@@ -440,6 +517,164 @@ ipcMain.handle('rundown:delete', async (event, name) => {
   }
 });
 
+// Rundown import/export - the renderer converts formats, main only picks and reads/writes the file
+const RUNDOWN_FILE_FILTERS = {
+  json: { name: 'JSON Rundown', extensions: ['json'] },
+  csv: { name: 'CSV', extensions: ['csv'] },
+  xml: { name: 'CasparCG Client Rundown', extensions: ['xml'] }
+};
+
+ipcMain.handle('rundown:export', async (event, name, format, content) => {
+  try {
+    const filter = RUNDOWN_FILE_FILTERS[format];
+    if (!filter) {
+      return { success: false, error: `Unsupported format: ${format}` };
+    }
+    const safeName = (name || 'rundown').replace(/[^a-z0-9_-]/gi, '_');
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Rundown',
+      defaultPath: `${safeName}.${filter.extensions[0]}`,
+      filters: [filter]
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+
+    fs.writeFileSync(result.filePath, content);
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    console.error('Error exporting rundown:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rundown:import', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import Rundown',
+      properties: ['openFile'],
+      filters: [
+        { name: 'Rundowns', extensions: ['json', 'csv', 'xml'] },
+        ...Object.values(RUNDOWN_FILE_FILTERS)
+      ]
+    });
+    if (result.canceled || !result.filePaths[0]) {
+      return { success: false, canceled: true };
+    }
+
+    const filePath = result.filePaths[0];
+    return {
+      success: true,
+      filePath,
+      name: path.basename(filePath, path.extname(filePath)),
+      content: fs.readFileSync(filePath, 'utf8')
+    };
+  } catch (error) {
+    console.error('Error importing rundown:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// As-run log: one JSON line per entry, one file per day (asrun-YYYY-MM-DD.jsonl)
+const ASRUN_CSV_COLUMNS = ['startedAt', 'endedAt', 'type', 'itemType', 'source', 'channel', 'layer', 'name', 'clip', 'inPoint', 'outPoint', 'duration', 'details'];
+
+function getAsRunFilePath(date) {
+  const safeDate = String(date).replace(/[^0-9-]/g, '');
+  return path.join(asRunPath, `asrun-${safeDate}.jsonl`);
+}
+
+function readAsRunEntries(date) {
+  const filePath = getAsRunFilePath(date);
+  if (!fs.existsSync(filePath)) return [];
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null; // Skip partial lines
+      }
+    })
+    .filter(Boolean);
+}
+
+function asRunEntriesToCsv(entries) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  const lines = [ASRUN_CSV_COLUMNS.join(',')];
+  entries.forEach(entry => {
+    lines.push(ASRUN_CSV_COLUMNS.map(column => escape(entry[column])).join(','));
+  });
+  return lines.join('\n');
+}
+
+ipcMain.handle('asrun:append', async (event, entry) => {
+  try {
+    // File is picked by the entry's local start date
+    const started = new Date(entry.startedAt || Date.now());
+    const date = [
+      started.getFullYear(),
+      String(started.getMonth() + 1).padStart(2, '0'),
+      String(started.getDate()).padStart(2, '0')
+    ].join('-');
+    fs.appendFileSync(getAsRunFilePath(date), JSON.stringify(entry) + '\n');
+    return { success: true };
+  } catch (error) {
+    console.error('Error writing as-run entry:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('asrun:dates', async () => {
+  try {
+    return fs.readdirSync(asRunPath)
+      .map(file => file.match(/^asrun-(\d{4}-\d{2}-\d{2})\.jsonl$/))
+      .filter(Boolean)
+      .map(match => match[1])
+      .sort((a, b) => b.localeCompare(a));
+  } catch (error) {
+    console.error('Error listing as-run logs:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('asrun:load', async (event, date) => {
+  try {
+    return { success: true, entries: readAsRunEntries(date) };
+  } catch (error) {
+    console.error('Error loading as-run log:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('asrun:export', async (event, date, format) => {
+  try {
+    const extension = format === 'csv' ? 'csv' : 'json';
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export As-Run Log',
+      defaultPath: `asrun-${date}.${extension}`,
+      filters: [{ name: extension.toUpperCase(), extensions: [extension] }]
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+
+    const entries = readAsRunEntries(date);
+    const content = format === 'csv'
+      ? asRunEntriesToCsv(entries)
+      : JSON.stringify({ date, exportedAt: new Date().toISOString(), entries }, null, 2);
+    fs.writeFileSync(result.filePath, content);
+    return { success: true, filePath: result.filePath, count: entries.length };
+  } catch (error) {
+    console.error('Error exporting as-run log:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Stream Relay management for MPEGTS live preview
 ipcMain.handle('stream:startRelay', async (event, channelId, port) => {
   try {
@@ -483,7 +718,7 @@ ipcMain.handle('stream:getRelayStatus', async (event, channelId) => {
 });
 
 // API Server management for external control (Bitfocus Companion, vMix, Stream Deck, etc.)
-ipcMain.handle('api:start', async (event, port) => {
+ipcMain.handle('api:start', async (event, port, security, commands) => {
   try {
     const result = await apiServer.start(port, {
       // Handle incoming commands from API
@@ -500,7 +735,10 @@ ipcMain.handle('api:start', async (event, port) => {
                 if (response.success) {
                   resolve(response.result);
                 } else {
-                  reject(new Error(response.error || 'Command failed'));
+                  const error = new Error(response.error || 'Command failed');
+                  // Param validation errors, answered with 400 by the API server
+                  if (response.errors) error.errors = response.errors;
+                  reject(error);
                 }
               }
             };
@@ -519,6 +757,32 @@ ipcMain.handle('api:start', async (event, port) => {
           }
         });
       },
+      // Handle REST resource requests from API - resolves to { status, body }
+      onResourceRequest: (method, path, body) => {
+        return new Promise((resolve, reject) => {
+          if (mainWindow && !mainWindow.isDestroyed()) {
+            const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+
+            const responseHandler = (event, response) => {
+              if (response.requestId === requestId) {
+                ipcMain.removeListener('api:resource-response', responseHandler);
+                resolve({ status: response.status, body: response.body });
+              }
+            };
+            ipcMain.on('api:resource-response', responseHandler);
+
+            mainWindow.webContents.send('api:resource', { method, path, body, requestId });
+
+            // Timeout after 10 seconds
+            setTimeout(() => {
+              ipcMain.removeListener('api:resource-response', responseHandler);
+              reject(new Error('Request timeout'));
+            }, 10000);
+          } else {
+            reject(new Error('Application window not available'));
+          }
+        });
+      },
       // Handle state requests from API
       onStateRequest: () => {
         return new Promise((resolve, reject) => {
@@ -545,7 +809,7 @@ ipcMain.handle('api:start', async (event, port) => {
           }
         });
       }
-    });
+    }, security, commands);
     return { success: true, ...result };
   } catch (error) {
     console.error('Error starting API server:', error);
@@ -567,18 +831,50 @@ ipcMain.handle('api:status', async () => {
   return apiServer.getStatus();
 });
 
-// Broadcast state changes to API WebSocket clients
-ipcMain.on('api:broadcast-state', (event, state) => {
-  apiServer.broadcastState(state);
+// Update API keys / allowlist on the running server
+ipcMain.handle('api:setSecurity', async (event, security) => {
+  apiServer.setSecurity(security);
+  return { success: true };
+});
+
+// Publish state changes to API WebSocket subscribers and OSC feedback targets
+ipcMain.on('api:publish-state', (event, state) => {
+  apiServer.publishState(state);
+  oscFeedback.publishState(state);
 });
 
-// Broadcast events to API WebSocket clients
+// Broadcast events to API WebSocket clients and webhook targets
 ipcMain.on('api:broadcast-event', (event, eventName, data) => {
   apiServer.broadcastEvent(eventName, data);
+  webhooks.dispatch(eventName, data);
+});
+
+// Webhook targets and delivery log
+
+ipcMain.handle('webhooks:setTargets', async (event, targets) => {
+  webhooks.setTargets(targets);
+  return { success: true };
+});
+
+ipcMain.handle('webhooks:log', async () => {
+  return webhooks.getDeliveryLog();
+});
+
+ipcMain.handle('webhooks:test', async (event, target) => {
+  try {
+    const delivery = await webhooks.sendTest(target);
+    return { success: delivery.status === 'delivered', delivery, error: delivery.error };
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    return { success: false, error: error.message };
+  }
 });
 
 // Cleanup on app quit
 app.on('will-quit', async () => {
+  webhooks.stop();
+  oscControl.stop();
+  oscFeedback.stop();
   await apiServer.stop();
   await streamRelay.stopAllRelays();
 });
\ No newline at end of file
@@ -0,0 +1,87 @@
+// OSC Control - a UDP port that accepts OSC control messages for the app itself
+// (TouchOSC, QLab, lighting desks). Separate from oscService, which only listens to CasparCG.
+// Messages are passed on to the renderer, which maps them onto commands (see services/oscControl.js)
+
+const dgram = require('dgram');
+const { parseOscData } = require('./oscService');
+const { createAllowlist, isAddressAllowed } = require('./apiAuth');
+
+let udpServer = null;
+let listenPort = null;
+
+/**
+ * Start listening for control messages
+ * @param {number} port - UDP port
+ * @param {string} allowlist - Comma separated IPs/CIDR ranges allowed to send (empty = any)
+ * @param {Function} onMessage - Called with { address, args, source: { address, port } }
+ */
+function start(port, allowlist, onMessage) {
+  return new Promise((resolve, reject) => {
+    stop();
+
+    const allowed = createAllowlist(allowlist);
+    if (allowed.invalid.length > 0) {
+      console.warn('[OSC Control] Ignoring invalid allowlist entries:', allowed.invalid.join(', '));
+    }
+    if (!allowlist || !allowlist.trim()) {
+      console.warn('[OSC Control] No allowlist set - any host that can reach the port can control playout');
+    }
+
+    const socket = dgram.createSocket('udp4');
+    udpServer = socket;
+
+    socket.on('error', (err) => {
+      console.error('[OSC Control] Server error:', err);
+      socket.close();
+      if (udpServer === socket) {
+        udpServer = null;
+        listenPort = null;
+      }
+      reject(err.code === 'EADDRINUSE' ? new Error(`Port ${port} is already in use`) : err);
+    });
+
+    socket.on('message', (msg, rinfo) => {
+      if (!isAddressAllowed(allowed, rinfo.address)) {
+        console.warn(`[OSC Control] Ignoring message from ${rinfo.address} (not in allowlist)`);
+        return;
+      }
+      try {
+        parseOscData(msg).forEach(({ address, args }) => {
+          onMessage({ address, args, source: { address: rinfo.address, port: rinfo.port } });
+        });
+      } catch (err) {
+        console.warn('[OSC Control] Could not parse message:', err.message);
+      }
+    });
+
+    socket.on('listening', () => {
+      listenPort = socket.address().port;
+      console.log(`[OSC Control] Listening on UDP port ${listenPort}`);
+      resolve(true);
+    });
+
+    socket.bind(port, '0.0.0.0');
+  });
+}
+
+function stop() {
+  if (!udpServer) return;
+  try {
+    udpServer.close();
+    console.log('[OSC Control] Stopped');
+  } catch (error) {
+    console.error('[OSC Control] Error stopping:', error);
+  }
+  udpServer = null;
+  listenPort = null;
+}
+
+function getStatus() {
+  return { isRunning: !!udpServer && listenPort !== null, port: listenPort };
+}
+
+module.exports = {
+  start,
+  stop,
+  getStatus
+};
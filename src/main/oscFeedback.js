@@ -0,0 +1,159 @@
+// OSC Feedback - sends per-layer state to control surfaces (TouchOSC, Companion) for tally and countdowns
+// Built from the same state the API publishes (getStateForApi in the renderer). Values are sent at a
+// fixed rate and only when they change, with a periodic full refresh for surfaces that start late
+//
+// Addresses, per layer, under /casparplayer/channel/<c>/layer/<l>/:
+//   playing, paused, playlistmode, loopmode  1 or 0
+//   name, next                               Current and next item names ('' if none)
+//   remaining                                Seconds left in the current item, to its out point
+//   remaining/text                           Same as M:SS (H:MM:SS over an hour)
+//   playlist/remaining                       Seconds left in the playlist
+
+const dgram = require('dgram');
+const { encodeOscMessage } = require('./oscService');
+
+// Same prefix as the OSC control input, so one TouchOSC layout can send and receive
+const OSC_ADDRESS_PREFIX = '/casparplayer';
+
+// Updates per second when no rate is configured
+const DEFAULT_RATE = 10;
+const MAX_RATE = 50;
+
+// Everything is resent this often, so surfaces that started late or dropped packets catch up
+const FULL_REFRESH_INTERVAL = 5000;
+
+let socket = null;
+let targets = [];
+let timer = null;
+let latestState = null;
+let lastSent = new Map(); // address -> encoded args
+let lastFullRefresh = 0;
+const failingTargets = new Set(); // Warned once until a send to them succeeds again
+
+// Countdown text: seconds rounded up, so 0:00 only shows once the item has ended
+function formatRemaining(seconds) {
+  const total = Math.max(0, Math.ceil(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Turn API state into feedback messages
+ * @param {Object} state - From getStateForApi
+ * @returns {Array} [{ address, args }]
+ */
+function buildFeedback(state) {
+  const messages = [];
+
+  (state?.channels || []).forEach(channel => {
+    channel.layers.forEach(layer => {
+      const base = `${OSC_ADDRESS_PREFIX}/channel/${channel.id}/layer/${layer.id}`;
+      // itemRemaining honours the item's in/out points (see getApiTiming in the renderer)
+      const remaining = layer.isPlaying || layer.isPaused
+        ? Math.max(0, layer.timing?.itemRemaining || 0)
+        : 0;
+
+      messages.push(
+        { address: `${base}/playing`, args: [layer.isPlaying ? 1 : 0] },
+        { address: `${base}/paused`, args: [layer.isPaused ? 1 : 0] },
+        { address: `${base}/playlistmode`, args: [layer.playlistMode ? 1 : 0] },
+        { address: `${base}/loopmode`, args: [layer.loopMode ? 1 : 0] },
+        { address: `${base}/name`, args: [layer.currentItem || ''] },
+        { address: `${base}/next`, args: [layer.nextItem || ''] },
+        { address: `${base}/remaining`, args: [Math.round(remaining * 100) / 100] },
+        { address: `${base}/remaining/text`, args: [formatRemaining(remaining)] },
+        { address: `${base}/playlist/remaining`, args: [Math.round((layer.timing?.remaining || 0) * 100) / 100] }
+      );
+    });
+  });
+
+  return messages;
+}
+
+function activeTargets() {
+  return targets.filter(target => target.enabled !== false && target.host && target.port);
+}
+
+// Send what changed since the last tick (or everything, on a full refresh)
+function tick() {
+  const recipients = activeTargets();
+  if (!latestState || recipients.length === 0) return;
+
+  const now = Date.now();
+  const fullRefresh = now - lastFullRefresh >= FULL_REFRESH_INTERVAL;
+  if (fullRefresh) lastFullRefresh = now;
+
+  buildFeedback(latestState).forEach(({ address, args }) => {
+    const encoded = JSON.stringify(args);
+    if (!fullRefresh && lastSent.get(address) === encoded) return;
+    lastSent.set(address, encoded);
+
+    const packet = encodeOscMessage(address, args);
+    recipients.forEach(target => {
+      const key = `${target.host}:${target.port}`;
+      socket.send(packet, target.port, target.host, (err) => {
+        if (!err) {
+          failingTargets.delete(key);
+        } else if (!failingTargets.has(key)) {
+          failingTargets.add(key);
+          console.warn(`[OSC Feedback] Send to ${key} failed:`, err.message);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Set the feedback targets and rate
+ * @param {Object} config - { targets: [{ id, name, host, port, enabled }], rate: updates per second }
+ */
+function configure({ targets: list = [], rate = DEFAULT_RATE } = {}) {
+  targets = Array.isArray(list) ? list : [];
+  // New or changed targets get the full state on the next tick
+  lastSent = new Map();
+  lastFullRefresh = 0;
+
+  clearInterval(timer);
+  timer = null;
+
+  if (activeTargets().length === 0) {
+    stop();
+    return;
+  }
+
+  if (!socket) {
+    socket = dgram.createSocket('udp4');
+    socket.on('error', (err) => {
+      console.error('[OSC Feedback] Socket error:', err);
+    });
+  }
+
+  const interval = 1000 / Math.min(MAX_RATE, Math.max(1, Number(rate) || DEFAULT_RATE));
+  timer = setInterval(tick, interval);
+}
+
+// Keep the latest state - it is sent on the next tick
+function publishState(state) {
+  latestState = state;
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+  if (socket) {
+    try {
+      socket.close();
+    } catch (error) {
+      // Already closed
+    }
+    socket = null;
+  }
+}
+
+module.exports = {
+  configure,
+  publishState,
+  stop
+};
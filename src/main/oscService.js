@@ -1,7 +1,7 @@
 const dgram = require('dgram');
 
-let udpServer = null;
-let messageCallback = null;
+// One UDP listener per CasparCG server, keyed by server id ('main', 'backup')
+const udpServers = new Map();
 
 // Debug mode - set to false for production (reduces CPU usage from logging at 30fps)
 const DEBUG_OSC = false;
@@ -135,36 +135,157 @@ function align4(n) {
   return (n + 3) & ~3;
 }
 
+/**
+ * Encode a null-terminated, 4-byte padded OSC string
+ */
+function encodeOscString(str) {
+  const bytes = Buffer.from(str, 'utf8');
+  const buffer = Buffer.alloc(align4(bytes.length + 1));
+  bytes.copy(buffer);
+  return buffer;
+}
+
+/**
+ * Encode a single OSC message
+ * Numbers are sent as float32, strings as strings and booleans as T/F
+ * @param {string} address - OSC address
+ * @param {Array} args - Argument values
+ * @returns {Buffer}
+ */
+function encodeOscMessage(address, args = []) {
+  let typeTag = ',';
+  const data = [];
+
+  args.forEach(arg => {
+    if (typeof arg === 'number') {
+      typeTag += 'f';
+      const buffer = Buffer.alloc(4);
+      buffer.writeFloatBE(arg);
+      data.push(buffer);
+    } else if (typeof arg === 'boolean') {
+      typeTag += arg ? 'T' : 'F';
+    } else {
+      typeTag += 's';
+      data.push(encodeOscString(String(arg ?? '')));
+    }
+  });
+
+  return Buffer.concat([encodeOscString(address), encodeOscString(typeTag), ...data]);
+}
+
+// Telemetry addresses below /channel/<n>/ -> metric name
+// Covers the 2.0 layout and the 2.1+ layout (framerate, mixer/audio/volume)
+const CHANNEL_METRICS = {
+  'format': 'format',
+  'framerate': 'frameRate',
+  'profiler/time': 'profiler',
+  'mixer/audio/nb_channels': 'audioChannels',
+  'mixer/audio/volume': 'audioLevels'
+};
+
+// Telemetry addresses below /channel/<n>/stage/layer/<l>/ (after an optional foreground/) -> metric name
+// file/... comes from the ffmpeg producer, host/... from template hosts (HTML, Flash)
+const LAYER_METRICS = {
+  'type': 'producer',
+  'producer': 'producer',
+  'producer/type': 'producer',
+  'background/type': 'backgroundProducer',
+  'background/producer': 'backgroundProducer',
+  'file/path': 'path',
+  'host/path': 'path',
+  'file/name': 'fileName',
+  'file/fps': 'fps',
+  'file/streams/0/fps': 'fps',
+  'host/fps': 'fps',
+  'file/video/width': 'width',
+  'host/width': 'width',
+  'file/video/height': 'height',
+  'host/height': 'height',
+  'file/video/field': 'field',
+  'file/video/codec': 'videoCodec',
+  'file/audio/codec': 'audioCodec',
+  'file/audio/sample-rate': 'sampleRate',
+  'file/audio/channels': 'audioChannels',
+  'profiler/time': 'profiler'
+};
+
+// Per audio channel level (2.0): mixer/audio/<n>/dBFS
+const AUDIO_LEVEL_PATTERN = /^mixer\/audio\/(\d+)\/dBFS$/;
+
+// Consumer stats: output/port/<p>/type | frame | profiler/time
+const OUTPUT_PATTERN = /^output\/port\/(\d+)\/(type|frame|profiler\/time)$/;
+const OUTPUT_METRICS = { 'type': 'outputType', 'frame': 'outputFrame', 'profiler/time': 'outputProfiler' };
+
+/**
+ * Classify a telemetry address
+ * @param {string} channelPath - Address below /channel/<n>/
+ * @param {string|null} layerPath - Address below the layer, if it is a layer address
+ * @returns {Object} { metric, index } - metric is null for addresses that aren't telemetry;
+ *   index is the audio channel or output port for per-channel/per-port metrics
+ */
+function classifyMetric(channelPath, layerPath) {
+  if (layerPath !== null) {
+    const path = layerPath.startsWith('foreground/') ? layerPath.slice('foreground/'.length) : layerPath;
+    return { metric: LAYER_METRICS[path] || null, index: null };
+  }
+
+  if (CHANNEL_METRICS[channelPath]) {
+    return { metric: CHANNEL_METRICS[channelPath], index: null };
+  }
+  const audio = channelPath.match(AUDIO_LEVEL_PATTERN);
+  if (audio) {
+    return { metric: 'audioLevel', index: parseInt(audio[1]) };
+  }
+  const output = channelPath.match(OUTPUT_PATTERN);
+  if (output) {
+    return { metric: OUTPUT_METRICS[output[2]], index: parseInt(output[1]) };
+  }
+  return { metric: null, index: null };
+}
+
 /**
  * Parse CasparCG OSC address to extract channel, layer, and type
+ * type drives playback (time, paused, ...); metric marks server telemetry (audio levels, producer,
+ * resolution, profiler, outputs) - an address can have both
  * Examples:
  * /channel/1/stage/layer/10/file/time
  * /channel/1/stage/layer/10/foreground/file/time
  * /channel/1/stage/layer/10/foreground/paused
+ * /channel/1/mixer/audio/1/dBFS
  */
 function parseOscAddress(address) {
   const result = {
     channel: null,
     layer: null,
     type: null,
-    property: null
+    property: null,
+    metric: null,
+    index: null
   };
 
   const parts = address.split('/').filter(p => p);
 
   if (parts[0] === 'channel' && parts.length >= 2) {
     result.channel = parseInt(parts[1]);
+    const isLayer = parts[2] === 'stage' && parts[3] === 'layer' && parts.length >= 5;
+    const propertyPath = isLayer ? parts.slice(5).join('/') : null;
+
+    const { metric, index } = classifyMetric(parts.slice(2).join('/'), propertyPath);
+    result.metric = metric;
+    result.index = index;
 
-    if (parts[2] === 'stage' && parts[3] === 'layer' && parts.length >= 5) {
+    if (isLayer) {
       result.layer = parseInt(parts[4]);
 
       // Get the property path after the layer number
-      const propertyPath = parts.slice(5).join('/');
       result.property = propertyPath;
 
       // Determine the type based on the last part of the address
+      // (profiler/time is how long the layer took to render, not the clip position)
       const lastPart = parts[parts.length - 1];
-      if (lastPart === 'time') {
+      if (metric === 'profiler') {
+        result.type = null;
+      } else if (lastPart === 'time') {
         result.type = 'time';
       } else if (lastPart === 'frame') {
         result.type = 'frame';
@@ -183,22 +304,31 @@ function parseOscAddress(address) {
   return result;
 }
 
-function start(port, onMessage) {
+/**
+ * Start listening for OSC from a CasparCG server
+ * Messages are tagged with the server id so the renderer can tell main and backup apart
+ * @param {number} port - UDP port the server sends OSC to
+ * @param {Function} onMessage - Called with { address, args, parsed, source, server }
+ * @param {string} serverId - Server id (defaults to 'main')
+ */
+function start(port, onMessage, serverId = 'main') {
   return new Promise((resolve, reject) => {
     try {
-      if (udpServer) {
-        stop();
+      if (udpServers.has(serverId)) {
+        stop(serverId);
       }
 
-      messageCallback = onMessage;
-
       // Create UDP4 socket
-      udpServer = dgram.createSocket('udp4');
+      const udpServer = dgram.createSocket('udp4');
+      udpServers.set(serverId, udpServer);
 
       udpServer.on('error', (err) => {
-        console.error('[OSC] Server error:', err);
+        console.error(`[OSC] Server error (${serverId}):`, err);
         udpServer.close();
-        udpServer = null;
+        if (udpServers.get(serverId) === udpServer) {
+          udpServers.delete(serverId);
+        }
+        reject(err);
       });
 
       udpServer.on('message', (msg, rinfo) => {
@@ -213,15 +343,16 @@ function start(port, onMessage) {
 
             // Debug logging - only log messages with recognized types
             if (DEBUG_OSC && parsed.type) {
-              console.log(`[OSC] ${address} [${args.join(', ')}] -> ch=${parsed.channel}, layer=${parsed.layer}, type=${parsed.type}`);
+              console.log(`[OSC] ${serverId} ${address} [${args.join(', ')}] -> ch=${parsed.channel}, layer=${parsed.layer}, type=${parsed.type}`);
             }
 
-            if (messageCallback) {
-              messageCallback({
+            if (onMessage) {
+              onMessage({
                 address,
                 args,
                 parsed,
-                source: rinfo
+                source: rinfo,
+                server: serverId
               });
             }
           }
@@ -234,7 +365,7 @@ function start(port, onMessage) {
 
       udpServer.on('listening', () => {
         const addr = udpServer.address();
-        console.log(`[OSC] UDP Server listening on ${addr.address}:${addr.port}`);
+        console.log(`[OSC] UDP Server (${serverId}) listening on ${addr.address}:${addr.port}`);
         resolve(true);
       });
 
@@ -248,26 +379,34 @@ function start(port, onMessage) {
   });
 }
 
-function stop() {
-  if (udpServer) {
+/**
+ * Stop the OSC listener for one server, or all listeners if no id is given
+ * @param {string} [serverId] - Server id
+ */
+function stop(serverId) {
+  const ids = serverId ? [serverId] : Array.from(udpServers.keys());
+  ids.forEach(id => {
+    const udpServer = udpServers.get(id);
+    if (!udpServer) return;
     try {
       udpServer.close();
-      udpServer = null;
-      messageCallback = null;
-      console.log('[OSC] Server stopped');
+      console.log(`[OSC] Server (${id}) stopped`);
     } catch (error) {
       console.error('[OSC] Error stopping server:', error);
     }
-  }
+    udpServers.delete(id);
+  });
 }
 
-function isRunning() {
-  return udpServer !== null;
+function isRunning(serverId) {
+  return serverId ? udpServers.has(serverId) : udpServers.size > 0;
 }
 
 module.exports = {
   start,
   stop,
   isRunning,
-  parseOscAddress
+  parseOscData,
+  parseOscAddress,
+  encodeOscMessage
 };
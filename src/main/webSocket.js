@@ -0,0 +1,394 @@
+// WebSocket server side (RFC 6455) for the external control API
+// Handles the upgrade handshake, framing across TCP chunks, fragmented messages, 64-bit lengths,
+// ping/pong and the close handshake. Messages are text (JSON) only.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Largest message accepted from a client (after reassembling fragments)
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+
+// How long to wait for the client's close frame before dropping the socket
+const CLOSE_TIMEOUT = 5000;
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+};
+
+const CLOSE_CODES = {
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED_DATA: 1003,
+  NO_STATUS: 1005,
+  INVALID_PAYLOAD: 1007,
+  POLICY_VIOLATION: 1008,
+  MESSAGE_TOO_BIG: 1009
+};
+
+const STATES = {
+  OPEN: 'open',
+  CLOSING: 'closing',
+  CLOSED: 'closed'
+};
+
+// Close codes a peer is allowed to send (RFC 6455 7.4)
+function isValidCloseCode(code) {
+  return (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) ||
+    (code >= 3000 && code <= 4999);
+}
+
+/**
+ * Build a single unmasked server frame
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function createFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode; // FIN + opcode
+
+  return Buffer.concat([header, payload]);
+}
+
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.state = STATES.OPEN;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null; // { opcode, chunks, size } while a fragmented message is in progress
+    this.closeTimer = null;
+    this.isAlive = true;
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this.handleData(chunk));
+    socket.on('drain', () => this.emit('drain'));
+    socket.on('close', () => this.handleSocketClose());
+    socket.on('error', (err) => {
+      if (err.code !== 'ECONNRESET' && err.code !== 'EPIPE') {
+        this.emit('error', err);
+      }
+    });
+  }
+
+  // Bytes queued in the socket that the client hasn't read yet
+  get bufferedAmount() {
+    return this.socket.writableLength;
+  }
+
+  get isOpen() {
+    return this.state === STATES.OPEN;
+  }
+
+  handleData(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    // A chunk can hold several frames, or only part of one
+    while (this.state !== STATES.CLOSED) {
+      const frame = this.readFrame();
+      if (!frame) break;
+      this.handleFrame(frame);
+    }
+  }
+
+  /**
+   * Take one complete frame off the buffer
+   * @returns {Object|null} { fin, opcode, payload }, or null if more data is needed or the frame was rejected
+   */
+  readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const rsv = buffer[0] & 0x70;
+    const opcode = buffer[0] & 0x0F;
+    const isMasked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+
+    // No extensions are negotiated, so reserved bits must be clear
+    if (rsv !== 0) {
+      this.fail(CLOSE_CODES.PROTOCOL_ERROR, 'Reserved bits set');
+      return null;
+    }
+    // Clients must mask every frame
+    if (!isMasked) {
+      this.fail(CLOSE_CODES.PROTOCOL_ERROR, 'Client frames must be masked');
+      return null;
+    }
+
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      const longLength = buffer.readBigUInt64BE(2);
+      if (longLength > BigInt(MAX_MESSAGE_SIZE)) {
+        this.fail(CLOSE_CODES.MESSAGE_TOO_BIG, 'Message too big');
+        return null;
+      }
+      length = Number(longLength);
+      offset = 10;
+    }
+
+    if (opcode >= OPCODES.CLOSE && (!fin || length > 125)) {
+      this.fail(CLOSE_CODES.PROTOCOL_ERROR, 'Invalid control frame');
+      return null;
+    }
+    if (length > MAX_MESSAGE_SIZE) {
+      this.fail(CLOSE_CODES.MESSAGE_TOO_BIG, 'Message too big');
+      return null;
+    }
+
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i & 3];
+    }
+
+    this.buffer = buffer.subarray(offset + 4 + length);
+    return { fin, opcode, payload };
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.TEXT:
+      case OPCODES.BINARY:
+        if (this.fragments) {
+          this.fail(CLOSE_CODES.PROTOCOL_ERROR, 'Expected continuation frame');
+          return;
+        }
+        this.fragments = { opcode, chunks: [payload], size: payload.length };
+        break;
+
+      case OPCODES.CONTINUATION:
+        if (!this.fragments) {
+          this.fail(CLOSE_CODES.PROTOCOL_ERROR, 'Unexpected continuation frame');
+          return;
+        }
+        this.fragments.chunks.push(payload);
+        this.fragments.size += payload.length;
+        if (this.fragments.size > MAX_MESSAGE_SIZE) {
+          this.fail(CLOSE_CODES.MESSAGE_TOO_BIG, 'Message too big');
+          return;
+        }
+        break;
+
+      case OPCODES.PING:
+        this.sendFrame(OPCODES.PONG, payload);
+        return;
+
+      case OPCODES.PONG:
+        this.isAlive = true;
+        return;
+
+      case OPCODES.CLOSE:
+        this.handleCloseFrame(payload);
+        return;
+
+      default:
+        this.fail(CLOSE_CODES.PROTOCOL_ERROR, `Unknown opcode ${opcode}`);
+        return;
+    }
+
+    if (!fin) return;
+
+    const { opcode: messageOpcode, chunks } = this.fragments;
+    this.fragments = null;
+
+    if (messageOpcode === OPCODES.BINARY) {
+      this.fail(CLOSE_CODES.UNSUPPORTED_DATA, 'Binary messages are not supported');
+      return;
+    }
+
+    let message;
+    try {
+      message = new TextDecoder('utf-8', { fatal: true }).decode(Buffer.concat(chunks));
+    } catch (err) {
+      this.fail(CLOSE_CODES.INVALID_PAYLOAD, 'Invalid UTF-8');
+      return;
+    }
+
+    if (this.state === STATES.OPEN) {
+      this.emit('message', message);
+    }
+  }
+
+  handleCloseFrame(payload) {
+    let code = CLOSE_CODES.NO_STATUS;
+    let reason = '';
+
+    if (payload.length === 1) {
+      this.fail(CLOSE_CODES.PROTOCOL_ERROR, 'Invalid close frame');
+      return;
+    }
+    if (payload.length >= 2) {
+      code = payload.readUInt16BE(0);
+      try {
+        reason = new TextDecoder('utf-8', { fatal: true }).decode(payload.subarray(2));
+      } catch (err) {
+        this.fail(CLOSE_CODES.INVALID_PAYLOAD, 'Invalid close reason');
+        return;
+      }
+      if (!isValidCloseCode(code)) {
+        this.fail(CLOSE_CODES.PROTOCOL_ERROR, 'Invalid close code');
+        return;
+      }
+    }
+
+    this.closeCode = code;
+    this.closeReason = reason;
+
+    if (this.state === STATES.OPEN) {
+      // Client started the close - echo it back, then we're done
+      const reply = Buffer.alloc(2);
+      reply.writeUInt16BE(code === CLOSE_CODES.NO_STATUS ? CLOSE_CODES.NORMAL : code, 0);
+      this.sendFrame(OPCODES.CLOSE, reply);
+      this.state = STATES.CLOSING;
+    }
+    // Either way both sides have now sent a close frame
+    this.socket.end();
+  }
+
+  handleSocketClose() {
+    if (this.state === STATES.CLOSED) return;
+    this.state = STATES.CLOSED;
+    clearTimeout(this.closeTimer);
+    this.emit('close', this.closeCode || 1006, this.closeReason || '');
+  }
+
+  sendFrame(opcode, payload) {
+    if (this.socket.destroyed || this.socket.writableEnded) return false;
+    try {
+      return this.socket.write(createFrame(opcode, payload));
+    } catch (err) {
+      console.warn('[WebSocket] Error sending frame:', err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send a text message
+   * @param {string|Object} data - Objects are sent as JSON
+   * @returns {boolean} false if the message could not be sent or the socket buffer is full
+   */
+  send(data) {
+    if (this.state !== STATES.OPEN) return false;
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    return this.sendFrame(OPCODES.TEXT, Buffer.from(text, 'utf8'));
+  }
+
+  ping() {
+    if (this.state !== STATES.OPEN) return;
+    this.isAlive = false;
+    this.sendFrame(OPCODES.PING, Buffer.alloc(0));
+  }
+
+  /**
+   * Start the close handshake
+   * @param {number} code - Close code
+   * @param {string} reason - Short reason (kept under the 123 byte control frame limit)
+   */
+  close(code = CLOSE_CODES.NORMAL, reason = '') {
+    if (this.state !== STATES.OPEN) return;
+    this.state = STATES.CLOSING;
+
+    const reasonBuffer = Buffer.from(reason, 'utf8').subarray(0, 123);
+    const payload = Buffer.alloc(2 + reasonBuffer.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBuffer.copy(payload, 2);
+    this.sendFrame(OPCODES.CLOSE, payload);
+
+    this.closeTimer = setTimeout(() => this.terminate(), CLOSE_TIMEOUT);
+  }
+
+  // Close after a protocol error - no more frames are read from this client
+  fail(code, reason) {
+    console.warn(`[WebSocket] Closing connection (${code}): ${reason}`);
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null;
+    this.close(code, reason);
+    this.socket.pause();
+  }
+
+  // Drop the connection without a handshake
+  terminate() {
+    this.socket.destroy();
+  }
+}
+
+/**
+ * Complete the HTTP upgrade for a WebSocket request
+ * Callers check path and authorization first.
+ * @param {http.IncomingMessage} req
+ * @param {net.Socket} socket
+ * @param {Buffer} head - First bytes after the upgrade request
+ * @returns {WebSocketConnection|null} Connection, or null if the handshake was rejected
+ */
+function acceptWebSocket(req, socket, head) {
+  const key = req.headers['sec-websocket-key'];
+  const upgrade = (req.headers['upgrade'] || '').toLowerCase();
+
+  if (req.method !== 'GET' || upgrade !== 'websocket' || !key ||
+      Buffer.from(key, 'base64').length !== 16) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  if (req.headers['sec-websocket-version'] !== '13') {
+    socket.end('HTTP/1.1 426 Upgrade Required\r\nSec-WebSocket-Version: 13\r\n\r\n');
+    return null;
+  }
+
+  const acceptKey = crypto
+    .createHash('sha1')
+    .update(key + HANDSHAKE_GUID)
+    .digest('base64');
+
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${acceptKey}\r\n` +
+    '\r\n'
+  );
+
+  const connection = new WebSocketConnection(socket);
+  // Frames that arrived with the upgrade request are read once the caller has attached listeners
+  if (head && head.length > 0) {
+    process.nextTick(() => connection.handleData(head));
+  }
+  return connection;
+}
+
+module.exports = {
+  CLOSE_CODES,
+  MAX_MESSAGE_SIZE,
+  WebSocketConnection,
+  acceptWebSocket
+};
@@ -0,0 +1,192 @@
+// Webhooks - POSTs playout events to configured URLs
+// Failed deliveries are retried with backoff, every request is HMAC signed when the target has a
+// secret, and recent deliveries are kept for Settings > Webhooks
+
+const crypto = require('crypto');
+
+// Wait before each retry - a delivery is tried at most RETRY_DELAYS.length + 1 times
+const RETRY_DELAYS = [2000, 10000, 30000, 120000, 600000];
+
+const REQUEST_TIMEOUT = 10000;
+
+// Number of deliveries kept in the log
+const MAX_LOG_ENTRIES = 100;
+
+let targets = [];
+let deliveryLog = [];
+const retryTimers = new Set();
+
+/**
+ * Replace the configured targets
+ * @param {Array} list - [{ id, name, url, secret, events: string[], enabled }]
+ */
+function setTargets(list) {
+  targets = Array.isArray(list) ? list : [];
+}
+
+// Empty events list means every event
+function wantsEvent(target, event) {
+  if (target.enabled === false || !target.url) return false;
+  return !target.events || target.events.length === 0 || target.events.includes(event);
+}
+
+/**
+ * Signature sent in X-CasparPlayer-Signature
+ * Receivers recompute HMAC-SHA256 over "<timestamp>.<body>" with the shared secret
+ * @param {string} secret - Target secret
+ * @param {string} timestamp - Unix seconds, as sent in X-CasparPlayer-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+function recordDelivery(delivery) {
+  deliveryLog = [delivery, ...deliveryLog].slice(0, MAX_LOG_ENTRIES);
+}
+
+function createDelivery(target, event, data) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    targetId: target.id,
+    targetName: target.name || target.url,
+    url: target.url,
+    event,
+    status: 'pending', // pending | retrying | delivered | failed
+    attempts: 0,
+    responseStatus: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: null,
+    completedAt: null
+  };
+  const body = JSON.stringify({
+    id: delivery.id,
+    event,
+    timestamp: data?.timestamp || delivery.createdAt,
+    data: data || {}
+  });
+  recordDelivery(delivery);
+  return { delivery, body };
+}
+
+function finishDelivery(delivery, status, error = null) {
+  delivery.status = status;
+  delivery.error = error;
+  delivery.nextAttemptAt = null;
+  delivery.completedAt = new Date().toISOString();
+}
+
+/**
+ * Send one attempt of a delivery, scheduling a retry if it failed in a way worth retrying
+ * @param {Object} target - Target at the time of the attempt
+ * @param {Object} delivery - Log entry (updated in place)
+ * @param {string} body - JSON body (identical across retries so receivers can de-duplicate on id)
+ * @param {boolean} retry - false for test sends
+ */
+async function attemptDelivery(target, delivery, body, retry = true) {
+  delivery.attempts += 1;
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'CasparPlayer-Webhook',
+    'X-CasparPlayer-Event': delivery.event,
+    'X-CasparPlayer-Delivery': delivery.id,
+    'X-CasparPlayer-Timestamp': timestamp
+  };
+  if (target.secret) {
+    headers['X-CasparPlayer-Signature'] = signPayload(target.secret, timestamp, body);
+  }
+
+  let error;
+  let retryable;
+  try {
+    const response = await fetch(target.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    delivery.responseStatus = response.status;
+    if (response.ok) {
+      finishDelivery(delivery, 'delivered');
+      return;
+    }
+    error = `HTTP ${response.status}`;
+    // Client errors won't succeed on retry, apart from rate limiting and timeouts
+    retryable = response.status >= 500 || response.status === 429 || response.status === 408;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? 'Timed out' : (err.cause?.code || err.cause?.message || err.message);
+    retryable = true;
+  }
+
+  const delay = RETRY_DELAYS[delivery.attempts - 1];
+  if (!retry || !retryable || delay === undefined) {
+    console.warn(`[Webhooks] ${delivery.event} to ${delivery.url} failed after ${delivery.attempts} attempt(s): ${error}`);
+    finishDelivery(delivery, 'failed', error);
+    return;
+  }
+
+  delivery.status = 'retrying';
+  delivery.error = error;
+  delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+
+  const timer = setTimeout(() => {
+    retryTimers.delete(timer);
+    // Use the current settings - the target may have been edited, disabled or removed since
+    const current = targets.find(t => t.id === delivery.targetId);
+    if (!current || current.enabled === false || !current.url) {
+      finishDelivery(delivery, 'failed', 'Target removed or disabled');
+      return;
+    }
+    attemptDelivery(current, delivery, body);
+  }, delay);
+  retryTimers.add(timer);
+}
+
+/**
+ * Deliver an event to every target subscribed to it
+ * @param {string} event - Event name (e.g. 'item.started')
+ * @param {Object} data - Event payload
+ */
+function dispatch(event, data) {
+  targets.filter(target => wantsEvent(target, event)).forEach(target => {
+    const { delivery, body } = createDelivery(target, event, data);
+    attemptDelivery(target, delivery, body);
+  });
+}
+
+/**
+ * Send a test event to a target (whether or not it is saved or enabled), without retries
+ * @param {Object} target - Target settings
+ * @returns {Promise<Object>} Delivery log entry after the attempt
+ */
+async function sendTest(target) {
+  const { delivery, body } = createDelivery(target, 'test', {
+    message: 'Test delivery from CasparPlayer',
+    timestamp: new Date().toISOString()
+  });
+  await attemptDelivery(target, delivery, body, false);
+  return { ...delivery };
+}
+
+function getDeliveryLog() {
+  return deliveryLog.map(delivery => ({ ...delivery }));
+}
+
+// Cancel pending retries (app quit)
+function stop() {
+  retryTimers.forEach(timer => clearTimeout(timer));
+  retryTimers.clear();
+}
+
+module.exports = {
+  setTargets,
+  dispatch,
+  sendTest,
+  getDeliveryLog,
+  signPayload,
+  stop
+};
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import './styles/App.css';
 import ConnectionDialog from './components/ConnectionDialog';
 import Settings from './components/Settings';
+import PreflightDialog from './components/PreflightDialog';
 import Header from './components/Header';
 import Sidebar from './components/Sidebar';
 import ChannelsContainer from './components/ChannelsContainer';
@@ -14,6 +15,8 @@ function AppContent() {
     setShowConnectionDialog,
     showSettings,
     setShowSettings,
+    showPreflight,
+    setShowPreflight,
     connection,
     connectToCaspar,
     settings,
@@ -94,6 +97,10 @@ function AppContent() {
         <Settings onClose={() => setShowSettings(false)} />
       )}
 
+      {showPreflight && (
+        <PreflightDialog onClose={() => setShowPreflight(false)} />
+      )}
+
       <Header />
 
       <div className="app-main">
@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import StyledSelect from './StyledSelect';
+import './AsRunLog.css';
+
+const { ipcRenderer } = window.require('electron');
+
+const SOURCE_LABELS = {
+  manual: 'Manual',
+  'auto-advance': 'Auto',
+  loop: 'Loop',
+  schedule: 'Schedule',
+  api: 'API',
+  osc: 'OSC',
+  macro: 'Macro'
+};
+
+const formatTime = (isoString) => {
+  if (!isoString) return '--:--:--';
+  return new Date(isoString).toLocaleTimeString([], { hour12: false });
+};
+
+const formatDuration = (seconds) => {
+  if (!(seconds > 0)) return '';
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${String(secs).padStart(2, '0')}`;
+};
+
+/**
+ * AsRunLog - browse and export the daily as-run log
+ */
+export default function AsRunLog() {
+  const [dates, setDates] = useState([]);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const loadDates = useCallback(async () => {
+    const available = await ipcRenderer.invoke('asrun:dates');
+    setDates(available);
+    setSelectedDate(current => (current && available.includes(current)) ? current : (available[0] || null));
+  }, []);
+
+  const loadEntries = useCallback(async () => {
+    if (!selectedDate) {
+      setEntries([]);
+      return;
+    }
+    const result = await ipcRenderer.invoke('asrun:load', selectedDate);
+    if (result.success) {
+      setEntries(result.entries);
+      setError(null);
+    } else {
+      setError(result.error || 'Failed to load as-run log');
+    }
+  }, [selectedDate]);
+
+  useEffect(() => {
+    loadDates();
+  }, [loadDates]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const handleRefresh = async () => {
+    await loadDates();
+    await loadEntries();
+  };
+
+  const handleExport = async (format) => {
+    if (!selectedDate) return;
+    setExporting(true);
+    setError(null);
+    try {
+      const result = await ipcRenderer.invoke('asrun:export', selectedDate, format);
+      if (!result.success && !result.canceled) {
+        setError(result.error || 'Failed to export as-run log');
+      }
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="asrun-log">
+      <div className="asrun-log-header">
+        <StyledSelect
+          className="asrun-date-select"
+          value={selectedDate || ''}
+          onChange={setSelectedDate}
+          options={dates.length > 0
+            ? dates.map(date => ({ value: date, label: date }))
+            : [{ value: '', label: 'No logs' }]}
+        />
+        <button className="btn btn-secondary" onClick={() => handleExport('csv')} disabled={!selectedDate || exporting}>
+          CSV
+        </button>
+        <button className="btn btn-secondary" onClick={() => handleExport('json')} disabled={!selectedDate || exporting}>
+          JSON
+        </button>
+        <button className="btn btn-icon" onClick={handleRefresh} title="Refresh">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+            <path d="M23 4v6h-6" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <path d="M1 20v-6h6" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+          </svg>
+        </button>
+      </div>
+
+      {error && (
+        <div className="rundown-error">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/>
+          </svg>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="asrun-entries">
+        {entries.length === 0 ? (
+          <div className="rundown-empty">
+            <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" opacity="0.3">
+              <circle cx="12" cy="12" r="10" strokeWidth="2"/>
+              <polyline points="12 6 12 12 16 14" strokeWidth="2" strokeLinecap="round"/>
+            </svg>
+            <p>Nothing has aired yet</p>
+            <p className="text-sm text-tertiary">Played clips, macros and API commands are logged here</p>
+          </div>
+        ) : (
+          // Newest first
+          [...entries].reverse().map(entry => (
+            <div key={entry.id} className={`asrun-entry asrun-${entry.type}`}>
+              <span className="asrun-time">{formatTime(entry.startedAt)}</span>
+              <div className="asrun-info">
+                <span className="asrun-name" title={entry.clip || entry.details || entry.name}>{entry.name}</span>
+                <span className="asrun-meta">
+                  {entry.channel !== null && entry.channel !== undefined && `${entry.channel}-${entry.layer ?? '?'} | `}
+                  {entry.type === 'clip' ? `${formatTime(entry.startedAt)} - ${formatTime(entry.endedAt)}` : entry.type}
+                </span>
+              </div>
+              <span className="asrun-duration">{formatDuration(entry.duration)}</span>
+              <span className={`asrun-source asrun-source-${entry.source}`}>
+                {SOURCE_LABELS[entry.source] || entry.source}
+              </span>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
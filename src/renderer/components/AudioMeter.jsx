@@ -0,0 +1,80 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { METER_MARKS, createMeter, updateMeter, levelToPercent } from '../utils/audioMeter';
+import './AudioMeter.css';
+
+// Meters redraw at most this often - levels arrive every frame and the rest of the app
+// only re-renders on the slower telemetry snapshot
+const DRAW_INTERVAL = 1000 / 30;
+
+export default function AudioMeter({ channelId, silent = false, showScale = false }) {
+  const { getAudioLevels } = useApp();
+  const metersRef = useRef([]);
+  const [display, setDisplay] = useState([]);
+
+  useEffect(() => {
+    let frame = null;
+    let lastDraw = 0;
+
+    const draw = (timestamp) => {
+      frame = requestAnimationFrame(draw);
+      if (timestamp - lastDraw < DRAW_INTERVAL) return;
+      lastDraw = timestamp;
+
+      const now = Date.now();
+      const levels = getAudioLevels(channelId);
+      const meters = metersRef.current;
+      meters.length = levels.length;
+      levels.forEach((level, index) => {
+        if (!meters[index]) meters[index] = createMeter();
+        updateMeter(meters[index], level, now);
+      });
+
+      const next = meters.map(({ peak, rms, hold, clip }) => ({ peak, rms, hold, clip }));
+      setDisplay(prev => (prev.length === 0 && next.length === 0 ? prev : next));
+    };
+
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [channelId, getAudioLevels]);
+
+  const resetClips = useCallback(() => {
+    metersRef.current.forEach(meter => {
+      if (meter) meter.clip = false;
+    });
+  }, []);
+
+  // No audio telemetry from the server (not connected, or OSC not set up)
+  if (display.length === 0) return null;
+
+  return (
+    <div
+      className={`audio-meter ${silent ? 'silent' : ''}`}
+      onClick={resetClips}
+      title="Audio levels: peak, RMS and peak hold. Click to reset clip indicators"
+    >
+      {showScale && (
+        <div className="audio-meter-scale">
+          {METER_MARKS.map(mark => (
+            <span key={mark} style={{ bottom: `${levelToPercent(mark)}%` }}>{mark}</span>
+          ))}
+        </div>
+      )}
+      {display.map((meter, index) => (
+        <div key={index} className="audio-meter-channel">
+          <div className={`audio-meter-clip ${meter.clip ? 'active' : ''}`} />
+          <div className="audio-meter-bar">
+            <div
+              className="audio-meter-peak"
+              style={{ clipPath: `inset(${100 - levelToPercent(meter.peak)}% 0 0 0)` }}
+            />
+            <div className="audio-meter-rms" style={{ height: `${levelToPercent(meter.rms)}%` }} />
+            {meter.hold > meter.peak && levelToPercent(meter.hold) > 0 && (
+              <div className="audio-meter-hold" style={{ bottom: `${levelToPercent(meter.hold)}%` }} />
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
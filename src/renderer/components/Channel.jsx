@@ -1,12 +1,16 @@
 import React, { useState, useRef, useCallback, useEffect } from 'react';
 import { useApp } from '../context/AppContext';
+import { MAIN_SERVER_ID, getChannelRoute } from '../services/serverRouting';
 import Layer from './Layer';
 import Preview from './Preview';
+import AudioMeter from './AudioMeter';
+import StyledSelect from './StyledSelect';
 import './Channel.css';
 
 export default function Channel({ channel, isExpanded = false, isHidden = false }) {
-  const { deleteChannel, addLayer, toggleExpandChannel, state, setExpandedPreviewHeight, renameChannel } = useApp();
+  const { deleteChannel, addLayer, toggleExpandChannel, state, setExpandedPreviewHeight, renameChannel, connection, settings, telemetry, silenceAlarms } = useApp();
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [showServerEditor, setShowServerEditor] = useState(false);
   const [isResizing, setIsResizing] = useState(false);
   const [isEditingName, setIsEditingName] = useState(false);
   const [editName, setEditName] = useState(channel.name);
@@ -87,6 +91,15 @@ export default function Channel({ channel, isExpanded = false, isHidden = false
     setShowDeleteConfirm(false);
   };
 
+  // Server this channel plays on
+  const route = getChannelRoute(channel);
+  const serverProfile = (settings.servers || []).find(server => server.id === route.serverId);
+  const serverName = route.serverId === MAIN_SERVER_ID
+    ? (settings.serverName || 'Main')
+    : (serverProfile?.name || 'Unknown server');
+  const serverState = route.serverId === MAIN_SERVER_ID ? connection : connection.servers?.[route.serverId];
+  const serverOnline = connection.isConnected && !!serverState?.isConnected;
+
   // Calculate channel width based on layers (only in normal mode)
   const baseWidth = 420; // preview + 1 layer
   const layerWidth = 392; // each additional layer
@@ -145,7 +158,24 @@ export default function Channel({ channel, isExpanded = false, isHidden = false
                 {channel.channelFrameRate && `${channel.channelFrameRate}fps`}
               </span>
             )}
+            <span
+              className="channel-server"
+              onClick={() => setShowServerEditor(!showServerEditor)}
+              title={`${serverName}${serverState?.host ? ` (${serverState.host}:${serverState.port})` : ''} - click to change server`}
+            >
+              <span className={`channel-server-dot ${serverOnline ? 'connected' : ''}`}></span>
+              {serverName} / CH {route.casparChannel}
+            </span>
+            <RenderLoad telemetry={telemetry[channel.id]} />
+            {silenceAlarms[channel.id] && (
+              <span className="channel-silence" title={`No audio since ${new Date(silenceAlarms[channel.id]).toLocaleTimeString()}`}>
+                SILENCE
+              </span>
+            )}
           </div>
+          {showServerEditor && (
+            <ChannelServerEditor channel={channel} onClose={() => setShowServerEditor(false)} />
+          )}
           <div className="channel-actions">
             <button
               className="btn-icon"
@@ -175,6 +205,7 @@ export default function Channel({ channel, isExpanded = false, isHidden = false
         style={isExpanded ? { height: `${expandedPreviewHeight}px` } : undefined}
       >
         <Preview channelId={channel.id} expanded={isExpanded} />
+        <AudioMeter channelId={channel.id} silent={!!silenceAlarms[channel.id]} showScale={isExpanded} />
         {isExpanded && (
           <div
             className={`preview-resize-handle ${isResizing ? 'resizing' : ''}`}
@@ -213,4 +244,70 @@ export default function Channel({ channel, isExpanded = false, isHidden = false
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
+// Popover to assign a channel to a server and a channel number on that server
+function ChannelServerEditor({ channel, onClose }) {
+  const { settings, setChannelServer } = useApp();
+  const route = getChannelRoute(channel);
+  const [serverId, setServerId] = useState(route.serverId);
+  const [serverChannel, setServerChannel] = useState(route.casparChannel);
+
+  const options = [
+    { value: MAIN_SERVER_ID, label: settings.serverName || 'Main' },
+    ...(settings.servers || []).map(server => ({ value: server.id, label: server.name || server.host }))
+  ];
+
+  const handleDone = () => {
+    const channelNumber = parseInt(serverChannel) || channel.id;
+    if (serverId !== route.serverId || channelNumber !== route.casparChannel) {
+      // Store null when the channel number matches the app channel so renumbering keeps working
+      setChannelServer(channel.id, serverId, channelNumber === channel.id ? null : channelNumber);
+    }
+    onClose();
+  };
+
+  return (
+    <div className="channel-server-editor" onClick={e => e.stopPropagation()}>
+      <div className="io-row">
+        <label>Server</label>
+        <StyledSelect value={serverId} onChange={setServerId} options={options} />
+      </div>
+      <div className="io-row">
+        <label>CH</label>
+        <input
+          type="number"
+          className="io-input"
+          min="1"
+          value={serverChannel}
+          onChange={e => setServerChannel(e.target.value)}
+          onKeyDown={e => e.key === 'Enter' && handleDone()}
+          title="Channel number on the server"
+        />
+      </div>
+      <div className="io-row io-actions">
+        <button className="io-clear-btn" onClick={onClose}>Cancel</button>
+        <button className="io-done-btn" onClick={handleDone}>Done</button>
+      </div>
+    </div>
+  );
+}
+
+// Render time against the frame budget, from the server's profiler - over 100% means dropped frames
+function RenderLoad({ telemetry }) {
+  const { actual, expected } = telemetry?.profiler || {};
+  if (!(actual >= 0) || !(expected > 0)) return null;
+
+  const load = Math.round((actual / expected) * 100);
+  const outputs = Object.entries(telemetry.outputs || {})
+    .map(([port, output]) => `Output ${port}: ${output.type || 'unknown'}${output.profiler?.actual >= 0 ? ` (${(output.profiler.actual * 1000).toFixed(1)}ms)` : ''}`);
+  const title = [
+    `Render ${(actual * 1000).toFixed(1)}ms of ${(expected * 1000).toFixed(1)}ms per frame`,
+    ...outputs
+  ].join('\n');
+
+  return (
+    <span className={`channel-load ${load > 100 ? 'overloaded' : load > 80 ? 'high' : ''}`} title={title}>
+      {load}%
+    </span>
+  );
+}
@@ -2,10 +2,11 @@ import React from 'react';
 import { useApp } from '../context/AppContext';
 import Layer from './Layer';
 import Preview from './Preview';
+import AudioMeter from './AudioMeter';
 import './ExpandedChannel.css';
 
 export default function ExpandedChannel() {
-  const { state, toggleExpandChannel, addLayer } = useApp();
+  const { state, toggleExpandChannel, addLayer, silenceAlarms } = useApp();
   const channel = state.channels.find(ch => ch.id === state.ui.expandedChannel);
 
   if (!channel) {
@@ -26,6 +27,11 @@ export default function ExpandedChannel() {
           Back to All Channels
         </button>
         <h2 className="expanded-title">{channel.name}</h2>
+        {silenceAlarms[channel.id] && (
+          <span className="channel-silence" title={`No audio since ${new Date(silenceAlarms[channel.id]).toLocaleTimeString()}`}>
+            SILENCE
+          </span>
+        )}
         <button
           className="btn btn-primary"
           onClick={() => addLayer(channel.id)}
@@ -40,6 +46,7 @@ export default function ExpandedChannel() {
 
       <div className="expanded-preview">
         <Preview channelId={channel.id} expanded={true} />
+        <AudioMeter channelId={channel.id} silent={!!silenceAlarms[channel.id]} showScale={true} />
       </div>
 
       <div className="expanded-layers">
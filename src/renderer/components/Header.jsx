@@ -3,7 +3,23 @@ import { useApp } from '../context/AppContext';
 import './Header.css';
 
 export default function Header() {
-  const { connection, setShowConnectionDialog, setShowSettings, disconnect } = useApp();
+  const {
+    connection, settings, setShowConnectionDialog, setShowSettings, disconnect, preflightIssues, runPreflightCheck,
+    serverWarnings, clearServerWarnings, setOscMaster, reconnectState
+  } = useApp();
+  const blockingIssueCount = Object.values(preflightIssues).filter(issue => issue.status !== 'warning').length;
+  const backup = connection.isConnected ? connection.backup : null;
+  const servers = connection.isConnected ? Object.entries(connection.servers || {}) : [];
+  const oscMaster = settings.oscMaster || 'main';
+
+  const divergenceTitle = serverWarnings.length > 0
+    ? [
+        `${serverWarnings.length} command(s) failed on one server only (click to clear):`,
+        ...serverWarnings.slice(0, 5).map(w =>
+          `${new Date(w.time).toLocaleTimeString()} ${w.command} failed on ${w.failed}: ${w.error}`
+        )
+      ].join('\n')
+    : '';
 
   const handleConnectionClick = () => {
     if (connection.isConnected) {
@@ -40,6 +56,40 @@ export default function Header() {
       </div>
 
       <div className="header-right">
+        {serverWarnings.length > 0 && (
+          <button
+            className="header-btn divergence-btn"
+            onClick={clearServerWarnings}
+            title={divergenceTitle}
+          >
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/>
+              <line x1="12" y1="9" x2="12" y2="13"/>
+              <line x1="12" y1="17" x2="12.01" y2="17"/>
+            </svg>
+            <span className="preflight-count">{serverWarnings.length}</span>
+          </button>
+        )}
+        {backup && (
+          <button
+            className={`osc-master-btn ${oscMaster === 'backup' ? 'backup' : ''}`}
+            onClick={() => setOscMaster(oscMaster === 'backup' ? 'main' : 'backup')}
+            title="Server whose OSC drives timing and auto-advance (click to switch)"
+          >
+            OSC: {oscMaster === 'backup' ? 'Backup' : 'Main'}
+          </button>
+        )}
+        <button
+          className={`header-btn preflight-btn ${blockingIssueCount > 0 ? 'has-issues' : ''}`}
+          onClick={runPreflightCheck}
+          title={blockingIssueCount > 0 ? `Pre-flight: ${blockingIssueCount} item(s) missing or changed` : 'Pre-flight check'}
+        >
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M9 11l3 3L22 4"/>
+            <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"/>
+          </svg>
+          {blockingIssueCount > 0 && <span className="preflight-count">{blockingIssueCount}</span>}
+        </button>
         <button className="header-btn" onClick={handleSettingsClick} title="Settings">
           <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
             <circle cx="12" cy="12" r="3"/>
@@ -47,13 +97,40 @@ export default function Header() {
           </svg>
         </button>
         <div className="status-indicator" onClick={handleConnectionClick}>
-          <span className={`status-dot ${connection.isConnected ? 'connected' : ''}`}></span>
+          <span className={`status-dot ${connection.isConnected ? 'connected' : ''} ${reconnectState ? 'reconnecting' : ''}`}></span>
           <span className="status-text">
             {connection.isConnected
-              ? `Connected to ${connection.host}:${connection.port}`
-              : 'Disconnected'
+              ? `${backup || servers.length > 0 ? `${settings.serverName || 'Main'} ` : 'Connected to '}${connection.host}:${connection.port}`
+              : reconnectState
+                ? `Reconnecting to ${connection.host}:${connection.port} (attempt ${reconnectState.attempt})`
+                : 'Disconnected'
             }
           </span>
+          {backup && (
+            <span
+              className="server-status"
+              title={backup.isConnected
+                ? `Backup v${backup.serverInfo?.version || 'Unknown'}`
+                : `Backup unavailable${backup.lastError ? `: ${backup.lastError}` : ''}`
+              }
+            >
+              <span className={`status-dot ${backup.isConnected ? 'connected' : ''}`}></span>
+              <span className="status-text">Backup {backup.host}:{backup.port}</span>
+            </span>
+          )}
+          {servers.map(([serverId, server]) => (
+            <span
+              key={serverId}
+              className="server-status"
+              title={server.isConnected
+                ? `${server.host}:${server.port} v${server.serverInfo?.version || 'Unknown'}`
+                : `${server.host}:${server.port} unavailable${server.lastError ? `: ${server.lastError}` : ''}`
+              }
+            >
+              <span className={`status-dot ${server.isConnected ? 'connected' : ''}`}></span>
+              <span className="status-text">{server.name}</span>
+            </span>
+          ))}
         </div>
       </div>
     </header>
@@ -3,13 +3,28 @@ import { useApp } from '../context/AppContext';
 import Playlist from './Playlist';
 import LayerControls from './LayerControls';
 import TimeDisplay from './TimeDisplay';
+import MixerPanel from './MixerPanel';
+import PlaylistTiming from './PlaylistTiming';
+import { calculatePlaylistTiming } from '../utils/backTiming';
 import './Layer.css';
 
 export default function Layer({ layer, channelId, channelFrameRate, expanded = false }) {
-  const { state, deleteLayer, renameLayer } = useApp();
+  const { state, deleteLayer, renameLayer, telemetry } = useApp();
   const [isEditingName, setIsEditingName] = useState(false);
+  const [showMixer, setShowMixer] = useState(false);
   const [editName, setEditName] = useState(layer.name || `Layer ${layer.id}`);
   const nameInputRef = useRef(null);
+  const [, setNow] = useState(Date.now());
+
+  // Back-timing follows the wall clock - tick while a target end time is set
+  useEffect(() => {
+    if (!layer.targetEndTime) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [layer.targetEndTime]);
+
+  // Recalculated on every render, so OSC time updates keep elapsed/remaining live
+  const timing = calculatePlaylistTiming(layer, channelFrameRate || 25, Date.now());
 
   // Focus input when editing starts
   useEffect(() => {
@@ -78,6 +93,7 @@ export default function Layer({ layer, channelId, channelFrameRate, expanded = f
             {layer.name || `Layer ${layer.id}`}
           </span>
         )}
+        <ProducerInfo telemetry={telemetry[channelId]?.layers[layer.id]} />
         <div className="layer-modes">
           <ModeIndicator
             label="PL"
@@ -95,6 +111,20 @@ export default function Layer({ layer, channelId, channelFrameRate, expanded = f
             title="Loop Item"
           />
         </div>
+        <button
+          className={`btn-icon btn-sm btn-mixer ${showMixer ? 'active' : ''}`}
+          onClick={() => setShowMixer(!showMixer)}
+          title="Mixer"
+        >
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+            <line x1="6" y1="4" x2="6" y2="20" strokeWidth="2" strokeLinecap="round"/>
+            <line x1="12" y1="4" x2="12" y2="20" strokeWidth="2" strokeLinecap="round"/>
+            <line x1="18" y1="4" x2="18" y2="20" strokeWidth="2" strokeLinecap="round"/>
+            <rect x="4" y="13" width="4" height="3" fill="currentColor"/>
+            <rect x="10" y="7" width="4" height="3" fill="currentColor"/>
+            <rect x="16" y="11" width="4" height="3" fill="currentColor"/>
+          </svg>
+        </button>
         <button
           className="btn-icon btn-sm"
           onClick={handleDeleteLayer}
@@ -116,6 +146,21 @@ export default function Layer({ layer, channelId, channelFrameRate, expanded = f
       <LayerControls
         layer={layer}
         channelId={channelId}
+        channelFrameRate={channelFrameRate}
+      />
+
+      {showMixer && (
+        <MixerPanel
+          layer={layer}
+          channelId={channelId}
+        />
+      )}
+
+      <PlaylistTiming
+        layer={layer}
+        channelId={channelId}
+        channelFrameRate={channelFrameRate}
+        timing={timing}
       />
 
       <Playlist
@@ -128,6 +173,7 @@ export default function Layer({ layer, channelId, channelFrameRate, expanded = f
         selectedItems={layer.selectedItems || []}
         lastSelectedIndex={layer.lastSelectedIndex}
         isLayerPlaying={layer.isPlaying}
+        mustStartBy={timing.mustStartBy}
       />
     </div>
   );
@@ -143,3 +189,25 @@ function ModeIndicator({ label, active, title }) {
     </span>
   );
 }
+
+// Producer and format of what the server is playing on the layer, from OSC telemetry
+function ProducerInfo({ telemetry }) {
+  if (!telemetry?.producer || telemetry.producer === 'empty') return null;
+
+  const format = [
+    telemetry.width && telemetry.height ? `${telemetry.width}x${telemetry.height}` : null,
+    telemetry.fps ? `${Math.round(telemetry.fps * 100) / 100}fps` : null
+  ].filter(Boolean).join(' ');
+  const details = [
+    telemetry.path || telemetry.fileName,
+    telemetry.videoCodec && `Video: ${telemetry.videoCodec}${telemetry.field ? ` (${telemetry.field})` : ''}`,
+    telemetry.audioCodec && `Audio: ${telemetry.audioCodec}${telemetry.sampleRate ? ` ${telemetry.sampleRate}Hz` : ''}${telemetry.audioChannels ? ` ${telemetry.audioChannels}ch` : ''}`,
+    telemetry.backgroundProducer && telemetry.backgroundProducer !== 'empty' && `Next: ${telemetry.backgroundProducer}`
+  ].filter(Boolean);
+
+  return (
+    <span className="layer-producer" title={details.join('\n') || telemetry.producer}>
+      {telemetry.producer}{format && ` · ${format}`}
+    </span>
+  );
+}
@@ -1,8 +1,10 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useApp } from '../context/AppContext';
+import { formatTransition, createDefaultTransition } from '../utils/transitions';
+import TransitionEditor from './TransitionEditor';
 import './LayerControls.css';
 
-export default function LayerControls({ layer, channelId }) {
+export default function LayerControls({ layer, channelId, channelFrameRate }) {
   const {
     connection,
     playItem,
@@ -13,8 +15,10 @@ export default function LayerControls({ layer, channelId }) {
     prevItem,
     togglePlaylistMode,
     toggleLoopMode,
-    toggleLoopItem
+    toggleLoopItem,
+    updateLayerDefaultTransition
   } = useApp();
+  const [showTransitionEditor, setShowTransitionEditor] = useState(false);
 
   const isConnected = connection.isConnected;
   const hasItems = layer.playlist.length > 0;
@@ -147,7 +151,44 @@ export default function LayerControls({ layer, channelId }) {
         >
           LI
         </button>
+
+        <button
+          className={`mode-btn ${layer.defaultTransition && layer.defaultTransition.type !== 'CUT' ? 'active' : ''}`}
+          onClick={() => setShowTransitionEditor(!showTransitionEditor)}
+          title="Default Transition - Used by items without their own transition"
+        >
+          {formatTransition(layer.defaultTransition)}
+        </button>
       </div>
+
+      {showTransitionEditor && (
+        <div className="layer-transition-editor">
+          <div className="io-fps-display">
+            Layer default transition
+          </div>
+          <TransitionEditor
+            value={layer.defaultTransition}
+            onChange={(transition) => updateLayerDefaultTransition(channelId, layer.id, transition)}
+            frameRate={channelFrameRate || 25}
+          />
+          <div className="io-row io-actions">
+            <button
+              className="io-clear-btn"
+              title="Reset to hard cut"
+              onClick={() => updateLayerDefaultTransition(channelId, layer.id, createDefaultTransition())}
+            >
+              Reset
+            </button>
+            <button
+              className="io-done-btn"
+              title="Close editor"
+              onClick={() => setShowTransitionEditor(false)}
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
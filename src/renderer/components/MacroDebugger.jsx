@@ -0,0 +1,179 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useApp } from '../context/AppContext';
+import { getCommandTypesForEditor } from '../services/commandHandler';
+import { FLOW_STEPS, isFlowStep } from '../services/macroFlow';
+import './MacroDebugger.css';
+
+const COMMAND_TYPES = getCommandTypesForEditor();
+
+function stepLabel(command) {
+  if (isFlowStep(command?.type)) return FLOW_STEPS[command.type].label;
+  return COMMAND_TYPES.find(t => t.value === command?.type)?.label || command?.type;
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(2)}s`;
+}
+
+// Test panel for the macro editor - a dry run logs what every step would send, step through runs
+// one step at a time (dry, or live when ticked) and shows each step's result as it goes
+export default function MacroDebugger({ macro, disabled = false }) {
+  const { executeMacro } = useApp();
+  const [live, setLive] = useState(false);
+  const [args, setArgs] = useState({});
+  const [status, setStatus] = useState('idle'); // idle | running | paused | done
+  const [results, setResults] = useState([]);
+  const [pausedAt, setPausedAt] = useState(null);
+  const [outcome, setOutcome] = useState(null); // { success, error, stopped, dryRun }
+  const resumeRef = useRef(null);
+  const steppingRef = useRef(false);
+
+  // Closing the editor while paused stops the run
+  useEffect(() => () => resumeRef.current?.(false), []);
+
+  const parameters = macro.parameters || [];
+  const busy = status === 'running' || status === 'paused';
+
+  const start = async (stepping, dryRun) => {
+    steppingRef.current = stepping;
+    setResults([]);
+    setPausedAt(null);
+    setOutcome(null);
+    setStatus('running');
+
+    // Empty fields fall back to the parameter's default
+    const callArgs = Object.fromEntries(Object.entries(args).filter(([, value]) => value !== ''));
+    const result = await executeMacro(macro, {
+      args: callArgs,
+      dryRun,
+      beforeStep: ({ index, results: done }) => {
+        setResults([...done]);
+        if (!steppingRef.current) return true;
+        setPausedAt(index);
+        setStatus('paused');
+        return new Promise(resolve => {
+          resumeRef.current = resolve;
+        });
+      }
+    });
+
+    resumeRef.current = null;
+    setResults(result?.results || []);
+    setPausedAt(null);
+    setOutcome({ success: result?.success !== false, error: result?.error, stopped: result?.stopped, dryRun });
+    setStatus('done');
+  };
+
+  // proceed false stops the macro; keepStepping false runs the rest without pausing
+  const resume = (proceed, keepStepping = true) => {
+    const resolve = resumeRef.current;
+    resumeRef.current = null;
+    steppingRef.current = keepStepping;
+    setPausedAt(null);
+    setStatus('running');
+    resolve?.(proceed);
+  };
+
+  return (
+    <div className="macro-debugger">
+      <div className="commands-header">
+        <h3>Test</h3>
+        <div className="commands-header-actions">
+          {status === 'paused' ? (
+            <>
+              <button className="btn btn-primary btn-sm" onClick={() => resume(true)}>Next Step</button>
+              <button className="btn btn-sm" onClick={() => resume(true, false)}>Run to End</button>
+              <button className="btn btn-sm" onClick={() => resume(false)}>Stop</button>
+            </>
+          ) : (
+            <>
+              <label className="checkbox-label macro-debugger-live" title="Step Through sends each step to air instead of logging it">
+                <input
+                  type="checkbox"
+                  checked={live}
+                  disabled={busy}
+                  onChange={e => setLive(e.target.checked)}
+                />
+                Live
+              </label>
+              <button className="btn btn-sm" disabled={disabled || busy} onClick={() => start(false, true)}>
+                Dry Run
+              </button>
+              <button className="btn btn-sm" disabled={disabled || busy} onClick={() => start(true, !live)}>
+                Step Through
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {parameters.length > 0 && (
+        <div className="macro-debugger-args">
+          {parameters.map(parameter => (
+            <label key={parameter.name} title={parameter.description || ''}>
+              {parameter.name}
+              <input
+                type="text"
+                className="input"
+                value={args[parameter.name] ?? ''}
+                disabled={busy}
+                onChange={e => setArgs(prev => ({ ...prev, [parameter.name]: e.target.value }))}
+                placeholder={parameter.default || 'Required'}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {(results.length > 0 || pausedAt !== null || outcome) && (
+        <div className="macro-debugger-steps">
+          {results.map((result, position) => (
+            <StepResult key={position} result={result} />
+          ))}
+          {pausedAt !== null && (
+            <div className="macro-debugger-next">
+              Next: {pausedAt + 1}. {stepLabel(macro.commands[pausedAt])}
+            </div>
+          )}
+          {outcome && (
+            <div className={`macro-debugger-outcome ${outcome.success ? 'success' : 'failed'}`}>
+              {outcome.stopped
+                ? 'Stopped'
+                : outcome.success
+                  ? `${outcome.dryRun ? 'Dry run' : 'Run'} finished`
+                  : `Failed${outcome.error ? `: ${outcome.error}` : ''}`}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function StepResult({ result }) {
+  const error = result.error || result.result?.error;
+  const fieldErrors = result.result?.errors || [];
+
+  return (
+    <div className={`macro-debugger-step ${result.success ? '' : 'failed'}`}>
+      <div className="macro-debugger-step-header">
+        <span>{result.index + 1}. {stepLabel(result.command)}</span>
+        <span className="macro-debugger-timing">
+          at {formatSeconds(result.startMs)}, {result.durationMs} ms
+          {result.offsetMs > 0 && `, then ${formatSeconds(result.offsetMs)} offset`}
+        </span>
+      </div>
+      {(result.actions || []).map((action, index) => (
+        <div key={index} className={`macro-debugger-action ${action.kind}`}>{action.text}</div>
+      ))}
+      {error && (
+        <div className="macro-debugger-error">
+          {error}
+          {fieldErrors.map(fieldError => (
+            <div key={fieldError.field}>{fieldError.field}: {fieldError.message}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,15 +1,37 @@
 import React, { useState, useEffect } from 'react';
-import { createMacroTemplate, createCommandTemplate } from '../services/macroExecutor';
+import { useApp } from '../context/AppContext';
+import { createMacroTemplate, createCommandTemplate, validateMacroParameters, findMacroCycle } from '../services/macroExecutor';
 import { getCommandTypesForEditor } from '../services/commandHandler';
 import { createDefaultOffset } from '../utils/timecode';
+import { FLOW_STEPS, CONDITION_CHECKS, CONDITION_OPERATORS, isFlowStep, createFlowSteps, analyzeFlow } from '../services/macroFlow';
+import { findMacro } from '../services/macroLibrary';
 import StyledSelect from './StyledSelect';
 import OffsetTimecodeInput from './OffsetTimecodeInput';
+import MacroDebugger from './MacroDebugger';
 import './MacroEditor.css';
 
 // Get command types from unified command handler
 const COMMAND_TYPES = getCommandTypesForEditor();
 
+// Params with dedicated inputs below - everything else gets a generic input
+const DEDICATED_PARAMS = ['channel', 'layer', 'itemIndex', 'clip', 'options', 'template', 'playOnLoad', 'data', 'name', 'macroId', 'args', 'amcp'];
+
+// Flow blocks offered by "Add Logic" (block steps are added with their closing steps)
+const FLOW_OPTIONS = [
+  { value: 'if', label: 'If', description: 'Steps run only when a condition is true' },
+  { value: 'ifElse', label: 'If / Else', description: 'One set of steps or another, by condition' },
+  { value: 'repeat', label: 'Repeat', description: 'Run steps a number of times' },
+  { value: 'setVariable', label: 'Set Variable', description: 'Store a value to use as {{name}}' },
+  { value: 'waitUntil', label: 'Wait Until', description: 'Pause until a condition is true' }
+];
+
+// Channel and layer may be numbers or {{variable}} references
+function toChannelParam(text) {
+  return /^\d+$/.test(text.trim()) ? parseInt(text) : text;
+}
+
 export default function MacroEditor({ macro, onSave, onCancel }) {
+  const { state } = useApp();
   const [editedMacro, setEditedMacro] = useState(null);
 
   useEffect(() => {
@@ -22,6 +44,13 @@ export default function MacroEditor({ macro, onSave, onCancel }) {
 
   if (!editedMacro) return null;
 
+  const flow = analyzeFlow(editedMacro.commands);
+  const parameters = editedMacro.parameters || [];
+  const parameterErrors = validateMacroParameters(parameters);
+  const cycle = findMacroCycle(editedMacro, state.macros);
+  const stepErrors = cycle ? [...flow.errors, `Macro loop: ${cycle.join(' → ')}`] : flow.errors;
+  const otherMacros = state.macros.filter(m => m.id !== editedMacro.id);
+
   const handleChange = (field, value) => {
     setEditedMacro(prev => ({
       ...prev,
@@ -46,10 +75,37 @@ export default function MacroEditor({ macro, onSave, onCancel }) {
     }));
   };
 
+  const handleAddParameter = () => {
+    handleChange('parameters', [...parameters, { name: '', default: '', description: '' }]);
+  };
+
+  const handleUpdateParameter = (index, updates) => {
+    handleChange('parameters', parameters.map((p, i) => (i === index ? { ...p, ...updates } : p)));
+  };
+
+  const handleRemoveParameter = (index) => {
+    handleChange('parameters', parameters.filter((_, i) => i !== index));
+  };
+
+  const handleAddFlow = (type) => {
+    setEditedMacro(prev => ({
+      ...prev,
+      commands: [...prev.commands, ...createFlowSteps(type)]
+    }));
+  };
+
+  // Removing any If/Else/End or Repeat/End step removes the whole block's markers (the steps inside stay)
   const handleRemoveCommand = (index) => {
+    const block = flow.blocks[index];
+    const startIndex = block?.start ?? index;
+    const start = flow.blocks[startIndex];
+    const removed = block
+      ? [startIndex, start?.else, start?.end].filter(i => i !== undefined)
+      : [index];
+
     setEditedMacro(prev => ({
       ...prev,
-      commands: prev.commands.filter((_, i) => i !== index)
+      commands: prev.commands.filter((_, i) => !removed.includes(i))
     }));
   };
 
@@ -125,38 +181,120 @@ export default function MacroEditor({ macro, onSave, onCancel }) {
             </div>
           </div>
 
-          <div className="commands-section">
+          <div className="parameters-section">
             <div className="commands-header">
-              <h3>Commands</h3>
-              <button className="btn btn-primary btn-sm" onClick={handleAddCommand}>
+              <h3>Parameters</h3>
+              <button className="btn btn-sm" onClick={handleAddParameter}>
                 <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor">
                   <line x1="12" y1="5" x2="12" y2="19" strokeWidth="2" strokeLinecap="round"/>
                   <line x1="5" y1="12" x2="19" y2="12" strokeWidth="2" strokeLinecap="round"/>
                 </svg>
-                Add Command
+                Add Parameter
               </button>
             </div>
 
+            {parameterErrors.length > 0 && (
+              <div className="macro-flow-errors">
+                {parameterErrors.map(error => <div key={error}>{error}</div>)}
+              </div>
+            )}
+
+            {parameters.length === 0 ? (
+              <p className="parameters-hint">
+                No parameters. Parameters are filled in by whoever runs the macro and used in steps as {'{{name}}'}.
+              </p>
+            ) : (
+              parameters.map((parameter, index) => (
+                <div key={index} className="parameter-row">
+                  <input
+                    type="text"
+                    className="input"
+                    value={parameter.name}
+                    onChange={e => handleUpdateParameter(index, { name: e.target.value })}
+                    placeholder="Name"
+                  />
+                  <input
+                    type="text"
+                    className="input"
+                    value={parameter.default ?? ''}
+                    onChange={e => handleUpdateParameter(index, { default: e.target.value })}
+                    placeholder="Default (empty = required)"
+                  />
+                  <input
+                    type="text"
+                    className="input"
+                    value={parameter.description || ''}
+                    onChange={e => handleUpdateParameter(index, { description: e.target.value })}
+                    placeholder="Description"
+                  />
+                  <button className="btn-icon btn-sm btn-danger-icon" onClick={() => handleRemoveParameter(index)} title="Remove parameter">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                      <line x1="18" y1="6" x2="6" y2="18" strokeWidth="2" strokeLinecap="round"/>
+                      <line x1="6" y1="6" x2="18" y2="18" strokeWidth="2" strokeLinecap="round"/>
+                    </svg>
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+
+          <div className="commands-section">
+            <div className="commands-header">
+              <h3>Commands</h3>
+              <div className="commands-header-actions">
+                <StyledSelect
+                  className="flow-add-select"
+                  value=""
+                  onChange={handleAddFlow}
+                  options={FLOW_OPTIONS}
+                  placeholder="Add Logic..."
+                />
+                <button className="btn btn-primary btn-sm" onClick={handleAddCommand}>
+                  <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                    <line x1="12" y1="5" x2="12" y2="19" strokeWidth="2" strokeLinecap="round"/>
+                    <line x1="5" y1="12" x2="19" y2="12" strokeWidth="2" strokeLinecap="round"/>
+                  </svg>
+                  Add Command
+                </button>
+              </div>
+            </div>
+
+            {stepErrors.length > 0 && (
+              <div className="macro-flow-errors">
+                {stepErrors.map(error => <div key={error}>{error}</div>)}
+              </div>
+            )}
+
             <div className="commands-list">
               {editedMacro.commands.length === 0 ? (
                 <div className="commands-empty">
                   <p>No commands. Click "Add Command" to start.</p>
                 </div>
               ) : (
-                editedMacro.commands.map((command, index) => (
-                  <CommandEditor
-                    key={index}
-                    command={command}
-                    index={index}
-                    total={editedMacro.commands.length}
-                    onUpdate={(updates) => handleUpdateCommand(index, updates)}
-                    onRemove={() => handleRemoveCommand(index)}
-                    onMove={(dir) => handleMoveCommand(index, dir)}
-                  />
-                ))
+                editedMacro.commands.map((command, index) => {
+                  const Editor = isFlowStep(command.type) ? FlowStepEditor : CommandEditor;
+                  return (
+                    <div key={index} style={{ marginLeft: `${(flow.depths[index] || 0) * 20}px` }}>
+                      <Editor
+                        command={command}
+                        index={index}
+                        total={editedMacro.commands.length}
+                        onUpdate={(updates) => handleUpdateCommand(index, updates)}
+                        onRemove={() => handleRemoveCommand(index)}
+                        onMove={(dir) => handleMoveCommand(index, dir)}
+                        macros={otherMacros}
+                      />
+                    </div>
+                  );
+                })
               )}
             </div>
           </div>
+
+          <MacroDebugger
+            macro={editedMacro}
+            disabled={editedMacro.commands.length === 0 || stepErrors.length > 0 || parameterErrors.length > 0}
+          />
         </div>
 
         <div className="modal-footer">
@@ -164,7 +302,8 @@ export default function MacroEditor({ macro, onSave, onCancel }) {
           <button
             className="btn btn-primary"
             onClick={handleSave}
-            disabled={!editedMacro.name.trim()}
+            disabled={!editedMacro.name.trim() || stepErrors.length > 0 || parameterErrors.length > 0}
+            title={stepErrors.length > 0 || parameterErrors.length > 0 ? 'Fix the errors above first' : undefined}
           >
             Save Macro
           </button>
@@ -174,14 +313,14 @@ export default function MacroEditor({ macro, onSave, onCancel }) {
   );
 }
 
-function CommandEditor({ command, index, total, onUpdate, onRemove, onMove }) {
+function CommandEditor({ command, index, total, onUpdate, onRemove, onMove, macros = [] }) {
   // Get command definition to know which params are needed
   const commandDef = COMMAND_TYPES.find(t => t.value === command.type);
   const commandParams = commandDef?.params || [];
 
   // Helper to check if a param is needed for this command
   const needsParam = (paramName) => {
-    return commandParams.some(p => p.replace('?', '') === paramName);
+    return commandParams.some(p => p.name === paramName);
   };
 
   const handleParamChange = (key, value) => {
@@ -219,6 +358,63 @@ function CommandEditor({ command, index, total, onUpdate, onRemove, onMove }) {
   const showAmcp = needsParam('amcp');
   const showData = needsParam('data');
   const showPlayOnLoad = needsParam('playOnLoad');
+  const otherParams = commandParams.filter(p => !DEDICATED_PARAMS.includes(p.name));
+  const calledParameters = findMacro(macros, command.params.macroId)?.parameters || [];
+
+  // Empty arguments are left out so the called macro uses its default
+  const handleArgChange = (name, value) => {
+    const { [name]: _, ...args } = command.params.args || {};
+    handleParamChange('args', value === '' ? args : { ...args, [name]: value });
+  };
+
+  // Generic input for value params (mixer values, tweens, etc.), built from the param schema
+  const renderOtherParam = (param) => {
+    const key = param.name;
+
+    if (param.type === 'boolean') {
+      return (
+        <label key={key} className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={!!(command.params[key] ?? param.default)}
+            onChange={e => handleParamChange(key, e.target.checked)}
+          />
+          {key}
+        </label>
+      );
+    }
+
+    if (param.enum) {
+      return (
+        <React.Fragment key={key}>
+          <label>{key}</label>
+          <StyledSelect
+            className="param-select"
+            value={command.params[key] || param.default || param.enum[0]}
+            onChange={(value) => handleParamChange(key, value)}
+            options={param.enum.map(v => ({ value: v, label: v }))}
+          />
+        </React.Fragment>
+      );
+    }
+
+    return (
+      <React.Fragment key={key}>
+        <label>{key}</label>
+        <input
+          type="number"
+          className="input param-input"
+          value={command.params[key] ?? ''}
+          onChange={e => handleParamChange(key, e.target.value === '' ? null : parseFloat(e.target.value))}
+          step={param.type === 'integer' ? '1' : '0.01'}
+          min={param.minimum}
+          max={param.maximum}
+          placeholder={param.default !== undefined ? String(param.default) : (param.required ? '' : 'Optional')}
+          title={param.description}
+        />
+      </React.Fragment>
+    );
+  };
 
   return (
     <div className="command-editor">
@@ -244,38 +440,7 @@ function CommandEditor({ command, index, total, onUpdate, onRemove, onMove }) {
           groupBy="category"
         />
 
-        <div className="command-actions">
-          <button
-            className="btn-icon btn-sm"
-            onClick={() => onMove(-1)}
-            disabled={index === 0}
-            title="Move Up"
-          >
-            <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
-              <path d="M7 14l5-5 5 5H7z"/>
-            </svg>
-          </button>
-          <button
-            className="btn-icon btn-sm"
-            onClick={() => onMove(1)}
-            disabled={index === total - 1}
-            title="Move Down"
-          >
-            <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
-              <path d="M7 10l5 5 5-5H7z"/>
-            </svg>
-          </button>
-          <button
-            className="btn-icon btn-sm btn-danger-icon"
-            onClick={onRemove}
-            title="Remove"
-          >
-            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor">
-              <line x1="18" y1="6" x2="6" y2="18" strokeWidth="2" strokeLinecap="round"/>
-              <line x1="6" y1="6" x2="18" y2="18" strokeWidth="2" strokeLinecap="round"/>
-            </svg>
-          </button>
-        </div>
+        <StepActions index={index} total={total} onMove={onMove} onRemove={onRemove} />
       </div>
 
       <div className="command-params">
@@ -286,11 +451,12 @@ function CommandEditor({ command, index, total, onUpdate, onRemove, onMove }) {
               <>
                 <label>Channel</label>
                 <input
-                  type="number"
+                  type="text"
+                  inputMode="numeric"
                   className="input param-input"
                   value={command.params.channel ?? 1}
-                  onChange={e => handleParamChange('channel', parseInt(e.target.value) || 1)}
-                  min="1"
+                  onChange={e => handleParamChange('channel', toChannelParam(e.target.value))}
+                  title="Channel number or {{variable}}"
                 />
               </>
             )}
@@ -299,11 +465,12 @@ function CommandEditor({ command, index, total, onUpdate, onRemove, onMove }) {
               <>
                 <label>Layer</label>
                 <input
-                  type="number"
+                  type="text"
+                  inputMode="numeric"
                   className="input param-input"
                   value={command.params.layer ?? 1}
-                  onChange={e => handleParamChange('layer', parseInt(e.target.value) || 1)}
-                  min="1"
+                  onChange={e => handleParamChange('layer', toChannelParam(e.target.value))}
+                  title="Layer number or {{variable}}"
                 />
               </>
             )}
@@ -399,10 +566,16 @@ function CommandEditor({ command, index, total, onUpdate, onRemove, onMove }) {
           </div>
         )}
 
-        {/* MacroId for executeMacro */}
+        {/* Macro and its arguments for executeMacro (the ID can also be a {{variable}}) */}
         {showMacroId && (
           <div className="param-row">
-            <label>Macro ID</label>
+            <label>Macro</label>
+            <StyledSelect
+              value={command.params.macroId || ''}
+              onChange={(value) => onUpdate({ params: { ...command.params, macroId: value, args: {} } })}
+              options={macros.map(m => ({ value: m.id, label: m.name, description: m.description }))}
+              placeholder="Select macro..."
+            />
             <input
               type="text"
               className="input"
@@ -412,6 +585,22 @@ function CommandEditor({ command, index, total, onUpdate, onRemove, onMove }) {
             />
           </div>
         )}
+        {showMacroId && calledParameters.length > 0 && (
+          <div className="param-row">
+            {calledParameters.map(parameter => (
+              <React.Fragment key={parameter.name}>
+                <label title={parameter.description || ''}>{parameter.name}</label>
+                <input
+                  type="text"
+                  className="input"
+                  value={command.params.args?.[parameter.name] ?? ''}
+                  onChange={e => handleArgChange(parameter.name, e.target.value)}
+                  placeholder={parameter.default || 'Required'}
+                />
+              </React.Fragment>
+            ))}
+          </div>
+        )}
 
         {/* AMCP for custom */}
         {showAmcp && (
@@ -427,6 +616,13 @@ function CommandEditor({ command, index, total, onUpdate, onRemove, onMove }) {
           </div>
         )}
 
+        {/* Value params (mixer commands) */}
+        {otherParams.length > 0 && (
+          <div className="param-row">
+            {otherParams.map(renderOtherParam)}
+          </div>
+        )}
+
         {/* Offset - always shown */}
         <div className="param-row">
           <label>Offset</label>
@@ -442,3 +638,202 @@ function CommandEditor({ command, index, total, onUpdate, onRemove, onMove }) {
     </div>
   );
 }
+
+function StepActions({ index, total, onMove, onRemove }) {
+  return (
+    <div className="command-actions">
+      <button
+        className="btn-icon btn-sm"
+        onClick={() => onMove(-1)}
+        disabled={index === 0}
+        title="Move Up"
+      >
+        <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M7 14l5-5 5 5H7z"/>
+        </svg>
+      </button>
+      <button
+        className="btn-icon btn-sm"
+        onClick={() => onMove(1)}
+        disabled={index === total - 1}
+        title="Move Down"
+      >
+        <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M7 10l5 5 5-5H7z"/>
+        </svg>
+      </button>
+      <button
+        className="btn-icon btn-sm btn-danger-icon"
+        onClick={onRemove}
+        title="Remove"
+      >
+        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+          <line x1="18" y1="6" x2="6" y2="18" strokeWidth="2" strokeLinecap="round"/>
+          <line x1="6" y1="6" x2="18" y2="18" strokeWidth="2" strokeLinecap="round"/>
+        </svg>
+      </button>
+    </div>
+  );
+}
+
+// Editor for set variable, if/else, repeat and wait until steps (see services/macroFlow.js)
+function FlowStepEditor({ command, index, total, onUpdate, onRemove, onMove }) {
+  const step = FLOW_STEPS[command.type];
+  const params = command.params || {};
+  const isMarker = ['else', 'endIf', 'endRepeat'].includes(command.type);
+
+  const handleParamChange = (key, value) => {
+    onUpdate({ params: { ...params, [key]: value } });
+  };
+
+  return (
+    <div className={`command-editor flow-step ${isMarker ? 'flow-step-marker' : ''}`}>
+      <div className="command-header">
+        <span className="command-index">{index + 1}</span>
+        <span className="flow-step-label" title={step.description}>{step.label}</span>
+        <StepActions index={index} total={total} onMove={onMove} onRemove={onRemove} />
+      </div>
+
+      {!isMarker && (
+        <div className="command-params">
+          {command.type === 'setVariable' && (
+            <div className="param-row">
+              <label>Name</label>
+              <input
+                type="text"
+                className="input"
+                value={params.name || ''}
+                onChange={e => handleParamChange('name', e.target.value.replace(/[^\w.-]/g, ''))}
+                placeholder="clip"
+              />
+              <label>Value</label>
+              <input
+                type="text"
+                className="input"
+                value={params.value ?? ''}
+                onChange={e => handleParamChange('value', e.target.value)}
+                placeholder="Text, number or {{other}}"
+              />
+            </div>
+          )}
+
+          {(command.type === 'if' || command.type === 'waitUntil') && (
+            <ConditionEditor
+              condition={params.condition}
+              onChange={(condition) => handleParamChange('condition', condition)}
+            />
+          )}
+
+          {command.type === 'waitUntil' && (
+            <div className="param-row">
+              <label>Timeout (seconds)</label>
+              <input
+                type="number"
+                className="input param-input"
+                value={params.timeout ?? ''}
+                onChange={e => handleParamChange('timeout', e.target.value === '' ? null : parseFloat(e.target.value))}
+                min="0.1"
+                step="0.1"
+                placeholder="30"
+              />
+            </div>
+          )}
+
+          {command.type === 'repeat' && (
+            <div className="param-row">
+              <label>Times</label>
+              <input
+                type="text"
+                inputMode="numeric"
+                className="input param-input"
+                value={params.count ?? ''}
+                onChange={e => handleParamChange('count', toChannelParam(e.target.value))}
+                title="Number of times, or {{variable}}"
+              />
+              <label>Counter Variable</label>
+              <input
+                type="text"
+                className="input"
+                value={params.variable || ''}
+                onChange={e => handleParamChange('variable', e.target.value.replace(/[^\w.-]/g, ''))}
+                placeholder="Optional - 1, 2, 3... as {{name}}"
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ConditionEditor({ condition = {}, onChange }) {
+  const check = CONDITION_CHECKS.find(c => c.value === condition.check) || CONDITION_CHECKS[0];
+  const operators = CONDITION_OPERATORS[check.kind];
+
+  const update = (key, value) => onChange({ ...condition, [key]: value });
+
+  const handleCheckChange = (value) => {
+    const nextCheck = CONDITION_CHECKS.find(c => c.value === value);
+    const keepOperator = CONDITION_OPERATORS[nextCheck.kind].some(o => o.value === condition.operator);
+    onChange({
+      ...condition,
+      check: value,
+      operator: keepOperator ? condition.operator : CONDITION_OPERATORS[nextCheck.kind][0].value
+    });
+  };
+
+  return (
+    <div className="param-row">
+      <StyledSelect
+        className="param-select"
+        value={check.value}
+        onChange={handleCheckChange}
+        options={CONDITION_CHECKS.map(c => ({ value: c.value, label: c.label }))}
+      />
+      {check.needsLayer && (
+        <>
+          <label>Channel</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            className="input param-input"
+            value={condition.channel ?? 1}
+            onChange={e => update('channel', toChannelParam(e.target.value))}
+          />
+          <label>Layer</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            className="input param-input"
+            value={condition.layer ?? 10}
+            onChange={e => update('layer', toChannelParam(e.target.value))}
+          />
+        </>
+      )}
+      {check.needsVariable && (
+        <input
+          type="text"
+          className="input param-input"
+          value={condition.variable || ''}
+          onChange={e => update('variable', e.target.value.replace(/[^\w.-]/g, ''))}
+          placeholder="name"
+        />
+      )}
+      <StyledSelect
+        className="param-select"
+        value={operators.some(o => o.value === condition.operator) ? condition.operator : operators[0].value}
+        onChange={(value) => update('operator', value)}
+        options={operators}
+      />
+      {check.kind === 'value' && (
+        <input
+          type="text"
+          className="input"
+          value={condition.value ?? ''}
+          onChange={e => update('value', e.target.value)}
+          placeholder="Value or {{variable}}"
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { useApp } from '../context/AppContext';
+import './MacroLibraryDialog.css';
+
+/**
+ * MacroExportDialog - pick macros to write to a bundle file
+ */
+export default function MacroExportDialog({ onClose, onExported }) {
+  const { state, exportMacros } = useApp();
+  const [selectedIds, setSelectedIds] = useState(() => state.macros.map(m => m.id));
+  const [name, setName] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const allSelected = selectedIds.length === state.macros.length;
+
+  const toggleSelected = (macroId) => {
+    setSelectedIds(prev => prev.includes(macroId) ? prev.filter(id => id !== macroId) : [...prev, macroId]);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError(null);
+    try {
+      const result = await exportMacros(selectedIds, name.trim() || 'macros');
+      if (result.success) {
+        onExported?.(`Exported ${result.count} macro${result.count !== 1 ? 's' : ''}`);
+        onClose();
+      } else if (!result.canceled) {
+        setError(result.error || 'Failed to export macros');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal macro-library-dialog">
+        <div className="modal-header">
+          <h2 className="modal-title">Export Macros</h2>
+        </div>
+
+        <div className="modal-body">
+          <input
+            type="text"
+            className="input macro-library-name"
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="File name..."
+          />
+
+          <label className="macro-library-select-all">
+            <input
+              type="checkbox"
+              checked={allSelected}
+              onChange={() => setSelectedIds(allSelected ? [] : state.macros.map(m => m.id))}
+            />
+            {selectedIds.length} of {state.macros.length} selected
+          </label>
+
+          <div className="macro-library-list">
+            {state.macros.map(macro => (
+              <label key={macro.id} className="macro-library-entry">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(macro.id)}
+                  onChange={() => toggleSelected(macro.id)}
+                />
+                <span className="macro-library-color" style={{ backgroundColor: macro.color || '#ff6432' }} />
+                <div className="macro-library-info">
+                  <span className="macro-library-name-text">{macro.name}</span>
+                  <span className="macro-library-meta">
+                    {macro.commands?.length || 0} command{macro.commands?.length !== 1 ? 's' : ''}
+                  </span>
+                </div>
+              </label>
+            ))}
+          </div>
+
+          {error && <div className="macro-library-error">{error}</div>}
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn" onClick={onClose}>
+            Cancel
+          </button>
+          <button className="btn btn-primary" onClick={handleExport} disabled={exporting || selectedIds.length === 0}>
+            {exporting ? 'Exporting...' : 'Export'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
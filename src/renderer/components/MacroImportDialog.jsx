@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { CONFLICT_RESOLUTIONS } from '../services/macroLibrary';
+import StyledSelect from './StyledSelect';
+import './MacroLibraryDialog.css';
+
+/**
+ * MacroImportDialog - review a bundle from readMacroBundle, choose what happens to each conflict and import
+ */
+export default function MacroImportDialog({ bundle, onClose, onImported }) {
+  const { importMacros } = useApp();
+  const [resolutions, setResolutions] = useState({});
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const conflictCount = bundle.plan.filter(entry => entry.conflict).length;
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError(null);
+    try {
+      const result = await importMacros(bundle.plan, resolutions);
+      if (result.success) {
+        const parts = [`Imported ${result.imported} macro${result.imported !== 1 ? 's' : ''}`];
+        if (result.skipped) parts.push(`${result.skipped} skipped`);
+        onImported?.(parts.join(', '));
+        onClose();
+      } else {
+        setError(result.error || 'Failed to import macros');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal macro-library-dialog">
+        <div className="modal-header">
+          <h2 className="modal-title">Import Macros from "{bundle.name}"</h2>
+        </div>
+
+        <div className="modal-body">
+          <div className="macro-library-summary">
+            {bundle.plan.length} macro{bundle.plan.length !== 1 ? 's' : ''}
+            {conflictCount > 0 && `, ${conflictCount} already here`}
+          </div>
+
+          <div className="macro-library-list">
+            {bundle.plan.map(({ macro, conflict, conflictType, warnings }) => (
+              <div key={macro.id} className={`macro-library-entry ${conflict ? 'conflict' : ''}`}>
+                <span className="macro-library-color" style={{ backgroundColor: macro.color || '#ff6432' }} />
+                <div className="macro-library-info">
+                  <span className="macro-library-name-text">{macro.name}</span>
+                  {conflict && (
+                    <span className="macro-library-meta">
+                      {conflictType === 'id' ? `Same macro as "${conflict.name}"` : 'A macro with this name exists'}
+                    </span>
+                  )}
+                  {warnings.map((warning, index) => (
+                    <span key={index} className="macro-library-warning">{warning}</span>
+                  ))}
+                </div>
+                {conflict && (
+                  <StyledSelect
+                    className="macro-library-resolution"
+                    value={resolutions[macro.id] || 'rename'}
+                    onChange={(value) => setResolutions(prev => ({ ...prev, [macro.id]: value }))}
+                    options={CONFLICT_RESOLUTIONS}
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+
+          {bundle.skipped.length > 0 && (
+            <ul className="macro-library-skipped">
+              {bundle.skipped.map((entry, index) => (
+                <li key={index}>Not imported: "{entry.name}" - {entry.reason}</li>
+              ))}
+            </ul>
+          )}
+
+          {error && <div className="macro-library-error">{error}</div>}
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn" onClick={onClose}>
+            Cancel
+          </button>
+          <button className="btn btn-primary" onClick={handleImport} disabled={importing || bundle.plan.length === 0}>
+            {importing ? 'Importing...' : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -2,12 +2,17 @@ import React, { useState } from 'react';
 import { useApp } from '../context/AppContext';
 import { DRAG_TYPES, setDragEventData } from './DragDropProvider';
 import MacroEditor from './MacroEditor';
+import MacroExportDialog from './MacroExportDialog';
+import MacroImportDialog from './MacroImportDialog';
 import './MacroList.css';
 
 export default function MacroList() {
-  const { state, createMacro, updateMacro, deleteMacro, executeMacro } = useApp();
+  const { state, createMacro, updateMacro, deleteMacro, executeMacro, readMacroBundle } = useApp();
   const [showEditor, setShowEditor] = useState(false);
   const [editingMacro, setEditingMacro] = useState(null);
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  const [importBundle, setImportBundle] = useState(null); // { name, plan, skipped } from readMacroBundle
+  const [message, setMessage] = useState(null); // { text, error }
 
   const handleNewMacro = () => {
     setEditingMacro(null);
@@ -39,6 +44,20 @@ export default function MacroList() {
     await executeMacro(macro);
   };
 
+  const handleImport = async () => {
+    setMessage(null);
+    try {
+      const result = await readMacroBundle();
+      if (result.success) {
+        setImportBundle(result);
+      } else if (!result.canceled) {
+        setMessage({ text: result.error || 'Failed to read macro bundle', error: true });
+      }
+    } catch (err) {
+      setMessage({ text: err.message, error: true });
+    }
+  };
+
   return (
     <div className="macro-list">
       <div className="macro-list-header">
@@ -49,8 +68,42 @@ export default function MacroList() {
           </svg>
           New Macro
         </button>
+        <button className="btn btn-icon" onClick={handleImport} title="Import Macros">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <polyline points="7 10 12 15 17 10" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <line x1="12" y1="15" x2="12" y2="3" strokeWidth="2" strokeLinecap="round"/>
+          </svg>
+        </button>
+        <button
+          className="btn btn-icon"
+          onClick={() => {
+            setMessage(null);
+            setShowExportDialog(true);
+          }}
+          disabled={state.macros.length === 0}
+          title="Export Macros"
+        >
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <polyline points="17 8 12 3 7 8" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <line x1="12" y1="3" x2="12" y2="15" strokeWidth="2" strokeLinecap="round"/>
+          </svg>
+        </button>
       </div>
 
+      {message && (
+        <div className={`macro-list-message ${message.error ? 'error' : ''}`}>
+          <span>{message.text}</span>
+          <button className="btn-icon btn-sm" onClick={() => setMessage(null)} title="Dismiss">
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+              <line x1="18" y1="6" x2="6" y2="18" strokeWidth="2" strokeLinecap="round"/>
+              <line x1="6" y1="6" x2="18" y2="18" strokeWidth="2" strokeLinecap="round"/>
+            </svg>
+          </button>
+        </div>
+      )}
+
       <div className="macro-list-content">
         {state.macros.length === 0 ? (
           <div className="empty-state">
@@ -86,6 +139,21 @@ export default function MacroList() {
           }}
         />
       )}
+
+      {showExportDialog && (
+        <MacroExportDialog
+          onClose={() => setShowExportDialog(false)}
+          onExported={text => setMessage({ text })}
+        />
+      )}
+
+      {importBundle && (
+        <MacroImportDialog
+          bundle={importBundle}
+          onClose={() => setImportBundle(null)}
+          onImported={text => setMessage({ text })}
+        />
+      )}
     </div>
   );
 }
@@ -96,7 +164,8 @@ function MacroItem({ macro, onEdit, onDelete, onExecute }) {
       id: macro.id,
       name: macro.name,
       color: macro.color,
-      commands: macro.commands
+      commands: macro.commands,
+      parameters: macro.parameters || []
     });
     e.currentTarget.classList.add('dragging');
   };
@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import { useApp } from '../context/AppContext';
+import { TRANSITION_TWEENS } from '../utils/transitions';
+import { BLEND_MODES, createDefaultMixer, isMixerPropertyModified } from '../utils/mixer';
+import StyledSelect from './StyledSelect';
+import './MixerPanel.css';
+
+// Multi-value mixer properties and their fields (order matches AMCP argument order)
+const GROUPS = [
+  { property: 'fill', label: 'Fill', fields: ['x', 'y', 'xScale', 'yScale'] },
+  { property: 'clip', label: 'Clip', fields: ['x', 'y', 'width', 'height'] },
+  { property: 'crop', label: 'Crop', fields: ['left', 'top', 'right', 'bottom'] },
+  { property: 'anchor', label: 'Anchor', fields: ['x', 'y'] },
+  { property: 'levels', label: 'Levels', fields: ['minInput', 'maxInput', 'gamma', 'minOutput', 'maxOutput'] }
+];
+
+const CHROMA_FIELDS = ['targetHue', 'hueWidth', 'minSaturation', 'minBrightness', 'softness', 'spillSuppress', 'spillSuppressSaturation'];
+
+/**
+ * MixerPanel - per-layer MIXER controls
+ * Shows the last values sent to CasparCG (layer.mixer)
+ */
+export default function MixerPanel({ layer, channelId }) {
+  const { connection, setLayerMixer, clearLayerMixer } = useApp();
+  const [duration, setDuration] = useState(0);
+  const [tween, setTween] = useState('LINEAR');
+
+  const mixer = layer.mixer || createDefaultMixer();
+  const isConnected = connection.isConnected;
+
+  const apply = (property, value) => {
+    setLayerMixer(channelId, layer.id, property, value, { duration, tween });
+  };
+
+  return (
+    <div className="mixer-panel">
+      <div className="mixer-row mixer-tween-row">
+        <label>Tween</label>
+        <input
+          type="number"
+          className="mixer-input"
+          min="0"
+          value={duration}
+          onChange={e => setDuration(Math.max(0, parseInt(e.target.value, 10) || 0))}
+          title="Duration in frames (0 = instant)"
+        />
+        <span className="mixer-unit">fr</span>
+        <StyledSelect
+          className="mixer-select"
+          value={tween}
+          onChange={setTween}
+          options={TRANSITION_TWEENS.map(t => ({ value: t, label: t }))}
+        />
+      </div>
+
+      <MixerSlider label="Opacity" property="opacity" min={0} max={1} mixer={mixer} onCommit={apply} disabled={!isConnected} />
+      <MixerSlider label="Volume" property="volume" min={0} max={2} mixer={mixer} onCommit={apply} disabled={!isConnected} />
+      <MixerSlider label="Rotation" property="rotation" min={-180} max={180} step={1} mixer={mixer} onCommit={apply} disabled={!isConnected} />
+      <MixerSlider label="Bright" property="brightness" min={0} max={2} mixer={mixer} onCommit={apply} disabled={!isConnected} />
+      <MixerSlider label="Contrast" property="contrast" min={0} max={2} mixer={mixer} onCommit={apply} disabled={!isConnected} />
+      <MixerSlider label="Sat" property="saturation" min={0} max={2} mixer={mixer} onCommit={apply} disabled={!isConnected} />
+
+      {GROUPS.map(group => (
+        <MixerGroup
+          key={group.property}
+          label={group.label}
+          property={group.property}
+          fields={group.fields}
+          mixer={mixer}
+          onCommit={apply}
+          disabled={!isConnected}
+        />
+      ))}
+
+      <div className="mixer-row">
+        <label>Blend</label>
+        <StyledSelect
+          className={`mixer-select ${isMixerPropertyModified(mixer, 'blend') ? 'modified' : ''}`}
+          value={mixer.blend}
+          onChange={(mode) => apply('blend', mode)}
+          options={BLEND_MODES.map(mode => ({ value: mode, label: mode }))}
+        />
+        <label className="mixer-check">
+          <input
+            type="checkbox"
+            checked={!!mixer.keyer}
+            disabled={!isConnected}
+            onChange={e => apply('keyer', e.target.checked)}
+          />
+          Keyer
+        </label>
+      </div>
+
+      <MixerGroup
+        label="Chroma"
+        property="chroma"
+        fields={CHROMA_FIELDS}
+        mixer={mixer}
+        onCommit={apply}
+        disabled={!isConnected}
+      >
+        <label className="mixer-check">
+          <input
+            type="checkbox"
+            checked={!!mixer.chroma.enable}
+            disabled={!isConnected}
+            onChange={e => apply('chroma', { ...mixer.chroma, enable: e.target.checked })}
+          />
+          Enable
+        </label>
+        <label className="mixer-check">
+          <input
+            type="checkbox"
+            checked={!!mixer.chroma.showMask}
+            disabled={!isConnected}
+            onChange={e => apply('chroma', { ...mixer.chroma, showMask: e.target.checked })}
+          />
+          Mask
+        </label>
+      </MixerGroup>
+
+      <div className="mixer-row mixer-actions">
+        <button
+          className="io-clear-btn"
+          onClick={() => clearLayerMixer(channelId, layer.id)}
+          disabled={!isConnected}
+          title="MIXER CLEAR - reset all mixer values on this layer"
+        >
+          Reset Mixer
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Slider for a single-value property - sends on release, not on every move
+function MixerSlider({ label, property, min, max, step = 0.01, mixer, onCommit, disabled }) {
+  const [localValue, setLocalValue] = useState(mixer[property]);
+
+  // Sync when the value changes elsewhere (macro, API, clear)
+  useEffect(() => {
+    setLocalValue(mixer[property]);
+  }, [mixer[property]]);
+
+  const commit = () => {
+    if (localValue !== mixer[property]) {
+      onCommit(property, localValue);
+    }
+  };
+
+  return (
+    <div className={`mixer-row ${isMixerPropertyModified(mixer, property) ? 'modified' : ''}`}>
+      <label>{label}</label>
+      <input
+        type="range"
+        className="mixer-slider"
+        min={min}
+        max={max}
+        step={step}
+        value={localValue}
+        disabled={disabled}
+        onChange={e => setLocalValue(parseFloat(e.target.value))}
+        onMouseUp={commit}
+        onKeyUp={commit}
+      />
+      <span className="mixer-value">{Number(localValue).toFixed(step < 1 ? 2 : 0)}</span>
+    </div>
+  );
+}
+
+// Number fields for a multi-value property - sends the whole group on blur/Enter
+function MixerGroup({ label, property, fields, mixer, onCommit, disabled, children }) {
+  const [draft, setDraft] = useState(mixer[property]);
+
+  useEffect(() => {
+    setDraft(mixer[property]);
+  }, [mixer[property]]);
+
+  const commit = () => {
+    if (JSON.stringify(draft) !== JSON.stringify(mixer[property])) {
+      onCommit(property, draft);
+    }
+  };
+
+  return (
+    <div className={`mixer-group ${isMixerPropertyModified(mixer, property) ? 'modified' : ''}`}>
+      <div className="mixer-group-label">
+        {label}
+        {children}
+      </div>
+      <div className="mixer-group-fields">
+        {fields.map(field => (
+          <label key={field} className="mixer-field" title={field}>
+            <span>{field}</span>
+            <input
+              type="number"
+              className="mixer-input"
+              step="0.01"
+              value={draft[field]}
+              disabled={disabled}
+              onChange={e => setDraft({ ...draft, [field]: parseFloat(e.target.value) || 0 })}
+              onBlur={commit}
+              onKeyDown={e => e.key === 'Enter' && commit()}
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -2,14 +2,38 @@ import React, { useState, useRef, useEffect } from 'react';
 import { useApp } from '../context/AppContext';
 import { DRAG_TYPES, parseDragData } from './DragDropProvider';
 import PlaylistItem from './PlaylistItem';
+import { getScheduledStartTime, formatCountdown } from '../utils/timecode';
 import './Playlist.css';
 
-export default function Playlist({ items, currentIndex, channelId, layerId, channelFrameRate, expanded = false, selectedItems = [], lastSelectedIndex = null, isLayerPlaying = false }) {
+export default function Playlist({ items, currentIndex, channelId, layerId, channelFrameRate, expanded = false, selectedItems = [], lastSelectedIndex = null, isLayerPlaying = false, mustStartBy = {} }) {
   const { addMediaToPlaylist, reorderPlaylistItems, selectPlaylistItems, deleteSelectedItems, undoDelete, attachMacroToItem } = useApp();
   const [dragOverIndex, setDragOverIndex] = useState(null);
   const [lastClickIndex, setLastClickIndex] = useState(null);
-  const [macroAttachMenu, setMacroAttachMenu] = useState(null); // { x, y, macroId, macroName, targetItemId }
+  const [macroAttachMenu, setMacroAttachMenu] = useState(null); // { x, y, macroId, macroName, targetItemId, parameters, args }
   const containerRef = useRef(null);
+  const [now, setNow] = useState(Date.now());
+  const hasScheduledItems = items.some(item => item.scheduledStart);
+
+  // Tick the clock for scheduled start countdowns (only while something is scheduled)
+  useEffect(() => {
+    if (!hasScheduledItems) return;
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [hasScheduledItems]);
+
+  // Milliseconds until each scheduled item starts (negative once passed)
+  const getCountdownMs = (item) => {
+    if (!item.scheduledStart) return null;
+    return getScheduledStartTime(item.scheduledStart, channelFrameRate || 25, now) - now;
+  };
+
+  // Next upcoming scheduled item for the countdown bar
+  const nextScheduled = hasScheduledItems
+    ? items
+        .map(item => ({ item, countdownMs: getCountdownMs(item) }))
+        .filter(entry => entry.countdownMs !== null && entry.countdownMs > 0)
+        .sort((a, b) => a.countdownMs - b.countdownMs)[0] || null
+    : null;
 
   // Close macro attach menu when clicking outside
   useEffect(() => {
@@ -26,7 +50,9 @@ export default function Playlist({ items, currentIndex, channelId, layerId, chan
   const handleMacroAttach = (position) => {
     if (!macroAttachMenu) return;
     if (position === 'start' || position === 'end') {
-      attachMacroToItem(channelId, layerId, macroAttachMenu.targetItemId, macroAttachMenu.macroId, position);
+      // Empty fields fall back to the parameter's default when the macro runs
+      const args = Object.fromEntries(Object.entries(macroAttachMenu.args).filter(([, value]) => value !== ''));
+      attachMacroToItem(channelId, layerId, macroAttachMenu.targetItemId, macroAttachMenu.macroId, position, null, args);
     }
     setMacroAttachMenu(null);
   };
@@ -36,7 +62,7 @@ export default function Playlist({ items, currentIndex, channelId, layerId, chan
     if (!macroAttachMenu) return { left: 0, top: 0 };
 
     const menuWidth = 200; // Approximate width
-    const menuHeight = 180; // Approximate height
+    const menuHeight = 180 + macroAttachMenu.parameters.length * 48; // Approximate height
     const padding = 8;
 
     let left = macroAttachMenu.x;
@@ -153,7 +179,9 @@ export default function Playlist({ items, currentIndex, channelId, layerId, chan
           macroName: macro.name,
           macroColor: macro.color,
           targetItemId: targetItem.id,
-          targetItemName: targetItem.name
+          targetItemName: targetItem.name,
+          parameters: macro.parameters || [],
+          args: {}
         });
         setDragOverIndex(null);
       } else {
@@ -228,6 +256,22 @@ export default function Playlist({ items, currentIndex, channelId, layerId, chan
       onDrop={handleDrop}
       tabIndex={0}
     >
+      {nextScheduled && (
+        <div className={`playlist-schedule-bar ${nextScheduled.item.scheduledStart.mode}`}>
+          <span className="schedule-bar-mode">
+            {nextScheduled.item.scheduledStart.mode === 'hard' ? 'HARD' : 'SOFT'}
+          </span>
+          <span className="schedule-bar-name" title={nextScheduled.item.name}>
+            {nextScheduled.item.name}
+          </span>
+          <span className="schedule-bar-time">
+            {nextScheduled.item.scheduledStart.time.slice(0, 8)}
+          </span>
+          <span className="schedule-bar-countdown">
+            {formatCountdown(nextScheduled.countdownMs)}
+          </span>
+        </div>
+      )}
       <div className="playlist-items">
         {items.map((item, index) => (
           <div
@@ -244,6 +288,8 @@ export default function Playlist({ items, currentIndex, channelId, layerId, chan
               channelId={channelId}
               layerId={layerId}
               channelFrameRate={channelFrameRate}
+              scheduleCountdownMs={getCountdownMs(item)}
+              mustStartBy={isLayerPlaying && index <= currentIndex ? null : (mustStartBy[item.id] ?? null)}
               onItemClick={(e) => handleItemClick(item.id, index, e)}
             />
           </div>
@@ -271,6 +317,24 @@ export default function Playlist({ items, currentIndex, channelId, layerId, chan
           <div className="macro-attach-menu-target">
             to "{macroAttachMenu.targetItemName}"
           </div>
+          {macroAttachMenu.parameters.length > 0 && (
+            <div className="macro-attach-menu-args">
+              {macroAttachMenu.parameters.map(parameter => (
+                <label key={parameter.name} title={parameter.description || ''}>
+                  {parameter.name}
+                  <input
+                    type="text"
+                    value={macroAttachMenu.args[parameter.name] ?? ''}
+                    placeholder={parameter.default || ''}
+                    onChange={(e) => setMacroAttachMenu(prev => ({
+                      ...prev,
+                      args: { ...prev.args, [parameter.name]: e.target.value }
+                    }))}
+                  />
+                </label>
+              ))}
+            </div>
+          )}
           <button
             className="macro-attach-menu-item"
             onClick={() => handleMacroAttach('start')}
@@ -1,8 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { useApp } from '../context/AppContext';
 import { DRAG_TYPES, setDragEventData } from './DragDropProvider';
-import { formatDuration, framesToTimecode } from '../utils/timecode';
+import { formatDuration, framesToTimecode, timecodeToSeconds, formatCountdown, createDefaultScheduledStart } from '../utils/timecode';
+import { formatTransition } from '../utils/transitions';
+import { getEffectiveDuration, formatTimeOfDay } from '../utils/backTiming';
 import TimecodeInput from './TimecodeInput';
+import TransitionEditor from './TransitionEditor';
 import './PlaylistItem.css';
 
 const { ipcRenderer } = window.require('electron');
@@ -16,9 +19,12 @@ export default function PlaylistItem({
   channelId,
   layerId,
   channelFrameRate,
+  scheduleCountdownMs = null,
+  mustStartBy = null,
   onItemClick
 }) {
-  const { removePlaylistItem, playItem, updateItemDuration, updateItemInOutPoints, updateItemMetadata, removeMacroFromItem, getMacroById } = useApp();
+  const { removePlaylistItem, playItem, updateItemDuration, updateItemInOutPoints, updateItemMetadata, updateItemTransition, updateItemScheduledStart, removeMacroFromItem, getMacroById, preflightIssues, setShowPreflight } = useApp();
+  const preflightIssue = preflightIssues[item.id];
   const isMacro = item.type === 'macro';
   const isImage = item.type === 'image';
   const isVideo = item.type === 'video';
@@ -26,6 +32,8 @@ export default function PlaylistItem({
   const hasEndMacro = !!item.endMacro;
   const [showDurationEditor, setShowDurationEditor] = useState(false);
   const [showInOutEditor, setShowInOutEditor] = useState(false);
+  const [showTransitionEditor, setShowTransitionEditor] = useState(false);
+  const [showScheduleEditor, setShowScheduleEditor] = useState(false);
   const [inPointFrames, setInPointFrames] = useState(item.inPointFrames ?? null);
   const [outPointFrames, setOutPointFrames] = useState(item.outPointFrames ?? null);
   const frameRate = item.frameRate ?? 25;
@@ -39,16 +47,8 @@ export default function PlaylistItem({
     : null;
   const [localImageDurationFrames, setLocalImageDurationFrames] = useState(imageDurationFrames);
 
-  // Calculate effective duration (considering in/out points for videos)
-  const getEffectiveDuration = () => {
-    if (isVideo && (item.inPointFrames !== null || item.outPointFrames !== null)) {
-      const inFrames = item.inPointFrames || 0;
-      const outFrames = item.outPointFrames !== null ? item.outPointFrames : (item.duration * frameRate);
-      return (outFrames - inFrames) / frameRate;
-    }
-    return item.duration;
-  };
-  const effectiveDuration = getEffectiveDuration();
+  // Effective duration (considering in/out points for videos)
+  const effectiveDuration = getEffectiveDuration(item);
 
   // Sync local state when item prop changes
   useEffect(() => {
@@ -128,6 +128,42 @@ export default function PlaylistItem({
     setShowInOutEditor(!showInOutEditor);
   };
 
+  const handlePreflightClick = (e) => {
+    e.stopPropagation();
+    setShowPreflight(true);
+  };
+
+  const handleScheduleClick = (e) => {
+    e.stopPropagation();
+    setShowScheduleEditor(!showScheduleEditor);
+  };
+
+  // Scheduled start time of day, edited as frames at channel frame rate
+  const scheduleFrameRate = channelFrameRate || 25;
+  const scheduledStart = item.scheduledStart;
+  const scheduleLabel = scheduledStart ? scheduledStart.time.slice(0, 8) : null;
+  const isScheduleImminent = scheduleCountdownMs !== null && scheduleCountdownMs > 0 && scheduleCountdownMs <= 60000;
+
+  const handleScheduleTimeChange = (frames) => {
+    if (frames === null) return;
+    updateItemScheduledStart(channelId, layerId, item.id, {
+      ...(scheduledStart || createDefaultScheduledStart()),
+      time: framesToTimecode(frames, scheduleFrameRate)
+    });
+  };
+
+  const handleScheduleModeChange = (mode) => {
+    updateItemScheduledStart(channelId, layerId, item.id, {
+      ...(scheduledStart || createDefaultScheduledStart()),
+      mode
+    });
+  };
+
+  const handleTransitionClick = (e) => {
+    e.stopPropagation();
+    setShowTransitionEditor(!showTransitionEditor);
+  };
+
   // Get macro color for badge
   const getStartMacroColor = () => {
     if (!item.startMacro) return null;
@@ -141,6 +177,13 @@ export default function PlaylistItem({
     return macro?.color || '#ff6432';
   };
 
+  // Badge tooltip - macro name plus any arguments it runs with
+  const getMacroTitle = (label, attachment) => {
+    const name = getMacroById(attachment.macroId)?.name || 'Unknown';
+    const args = Object.entries(attachment.args || {}).map(([key, value]) => `${key}=${value}`);
+    return `${label}: ${name}${args.length > 0 ? ` (${args.join(', ')})` : ''}`;
+  };
+
   // Handle removing attached macros
   const handleRemoveStartMacro = (e) => {
     e.stopPropagation();
@@ -166,7 +209,7 @@ export default function PlaylistItem({
         <div
           className="macro-badge macro-badge-start"
           style={{ backgroundColor: getStartMacroColor() }}
-          title={`Start macro: ${getMacroById(item.startMacro.macroId)?.name || 'Unknown'}`}
+          title={getMacroTitle('Start macro', item.startMacro)}
           onClick={handleRemoveStartMacro}
         >
           <svg width="8" height="8" viewBox="0 0 24 24" fill="currentColor">
@@ -191,6 +234,49 @@ export default function PlaylistItem({
       </div>
 
       <div className="item-duration">
+        {preflightIssue && preflightIssue.status !== 'warning' && (
+          <span
+            className={`item-preflight ${preflightIssue.status}`}
+            title={`${preflightIssue.problems.join('\n')}\nClick to open pre-flight`}
+            onClick={handlePreflightClick}
+          >
+            {preflightIssue.status === 'missing' ? 'MISSING' : 'CHANGED'}
+          </span>
+        )}
+        {scheduledStart ? (
+          <span
+            className={`item-schedule ${scheduledStart.mode} ${isScheduleImminent ? 'imminent' : ''} ${scheduleCountdownMs !== null && scheduleCountdownMs <= 0 ? 'passed' : ''}`}
+            title={`${scheduledStart.mode === 'hard' ? 'Hard start (interrupts)' : 'Soft start (after current item)'} at ${scheduledStart.time}${scheduleCountdownMs !== null ? ` (${formatCountdown(scheduleCountdownMs)})` : ''}`}
+            onClick={handleScheduleClick}
+          >
+            {scheduledStart.mode === 'hard' ? 'H' : 'S'} {isScheduleImminent ? formatCountdown(scheduleCountdownMs) : scheduleLabel}
+          </span>
+        ) : (
+          <span
+            className="item-schedule-add"
+            title="Click to schedule a wall-clock start time"
+            onClick={handleScheduleClick}
+          >
+            +AT
+          </span>
+        )}
+        {item.transition ? (
+          <span
+            className="item-transition"
+            title={`Transition: ${formatTransition(item.transition)}${item.transition.tween && item.transition.type !== 'CUT' ? ` (${item.transition.tween})` : ''}`}
+            onClick={handleTransitionClick}
+          >
+            {formatTransition(item.transition)}
+          </span>
+        ) : !isMacro ? (
+          <span
+            className="item-transition-add"
+            title="Click to set a transition for this item (uses layer default otherwise)"
+            onClick={handleTransitionClick}
+          >
+            +TR
+          </span>
+        ) : null}
         {item.inPointFrames !== null || item.outPointFrames !== null ? (
           <span
             className="item-io"
@@ -208,6 +294,14 @@ export default function PlaylistItem({
             +IO
           </span>
         ) : null}
+        {mustStartBy !== null && (
+          <span
+            className={`item-backtime ${mustStartBy < Date.now() ? 'late' : ''}`}
+            title={`Must start by ${formatTimeOfDay(mustStartBy)} to hit the layer target end time`}
+          >
+            {formatTimeOfDay(mustStartBy)}
+          </span>
+        )}
         {effectiveDuration > 0 ? (
           <span
             className={isImage ? 'duration-editable' : 'duration-display'}
@@ -279,6 +373,91 @@ export default function PlaylistItem({
         </div>
       )}
 
+      {/* Scheduled Start Editor */}
+      {showScheduleEditor && (
+        <div className="item-io-editor" onClick={e => e.stopPropagation()}>
+          <div className="io-fps-display">
+            {scheduledStart && scheduleCountdownMs !== null
+              ? `Starts ${formatCountdown(scheduleCountdownMs)}`
+              : 'Time of day (system clock)'}
+          </div>
+          <div className="io-row">
+            <label>At:</label>
+            <TimecodeInput
+              value={scheduledStart ? Math.round(timecodeToSeconds(scheduledStart.time, scheduleFrameRate) * scheduleFrameRate) : null}
+              onChange={handleScheduleTimeChange}
+              frameRate={scheduleFrameRate}
+              maxFrames={Math.round(24 * 3600 * scheduleFrameRate) - 1}
+            />
+          </div>
+          <div className="io-row">
+            <label>Mode:</label>
+            <div className="schedule-modes">
+              <button
+                className={`schedule-mode-btn ${scheduledStart?.mode === 'hard' ? 'active' : ''}`}
+                title="Interrupt whatever is playing at this time"
+                onClick={() => handleScheduleModeChange('hard')}
+              >
+                Hard
+              </button>
+              <button
+                className={`schedule-mode-btn ${scheduledStart?.mode !== 'hard' ? 'active' : ''}`}
+                title="Start after the current item finishes, but not before this time"
+                onClick={() => handleScheduleModeChange('soft')}
+              >
+                Soft
+              </button>
+            </div>
+          </div>
+          <div className="io-row io-actions">
+            <button
+              className="io-clear-btn"
+              title="Remove scheduled start"
+              onClick={() => updateItemScheduledStart(channelId, layerId, item.id, null)}
+            >
+              Clear
+            </button>
+            <button
+              className="io-done-btn"
+              title="Close editor"
+              onClick={() => setShowScheduleEditor(false)}
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Transition Editor */}
+      {showTransitionEditor && !isMacro && (
+        <div className="item-io-editor" onClick={e => e.stopPropagation()}>
+          <div className="io-fps-display">
+            {item.transition ? 'Item transition' : 'Using layer default'}
+          </div>
+          <TransitionEditor
+            value={item.transition}
+            onChange={(transition) => updateItemTransition(channelId, layerId, item.id, transition)}
+            frameRate={channelFrameRate || 25}
+          />
+          <div className="io-row io-actions">
+            <button
+              className="io-clear-btn"
+              title="Use the layer default transition"
+              onClick={() => updateItemTransition(channelId, layerId, item.id, null)}
+            >
+              Default
+            </button>
+            <button
+              className="io-done-btn"
+              title="Close editor"
+              onClick={() => setShowTransitionEditor(false)}
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Image Duration Editor */}
       {showDurationEditor && isImage && (
         <div className="item-io-editor" onClick={e => e.stopPropagation()}>
@@ -341,7 +520,7 @@ export default function PlaylistItem({
         <div
           className="macro-badge macro-badge-end"
           style={{ backgroundColor: getEndMacroColor() }}
-          title={`End macro: ${getMacroById(item.endMacro.macroId)?.name || 'Unknown'}`}
+          title={getMacroTitle('End macro', item.endMacro)}
           onClick={handleRemoveEndMacro}
         >
           <svg width="8" height="8" viewBox="0 0 24 24" fill="currentColor">
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { formatDuration, framesToTimecode, timecodeToSeconds } from '../utils/timecode';
+import { formatTimeOfDay } from '../utils/backTiming';
+import TimecodeInput from './TimecodeInput';
+import './PlaylistTiming.css';
+
+/**
+ * PlaylistTiming - total running time for the layer playlist and the optional target end time
+ * timing comes from calculatePlaylistTiming (see Layer.jsx)
+ */
+export default function PlaylistTiming({ layer, channelId, channelFrameRate, timing }) {
+  const { updateLayerTargetEndTime } = useApp();
+  const [showTargetEditor, setShowTargetEditor] = useState(false);
+  const frameRate = channelFrameRate || 25;
+
+  if (layer.playlist.length === 0) return null;
+
+  const handleTargetChange = (frames) => {
+    updateLayerTargetEndTime(channelId, layer.id, frames !== null ? framesToTimecode(frames, frameRate) : null);
+  };
+
+  const overUnder = timing.overUnder;
+  const overUnderLabel = overUnder !== null
+    ? `${overUnder > 0 ? '+' : '-'}${formatDuration(Math.abs(overUnder))}`
+    : null;
+
+  return (
+    <div className="playlist-timing">
+      <span className="timing-value" title="Total running time of the playlist">
+        <label>TOT</label>{formatDuration(timing.total)}
+        {timing.unknownCount > 0 && (
+          <span className="timing-unknown" title={`${timing.unknownCount} item(s) with unknown duration not counted`}>+?</span>
+        )}
+      </span>
+      <span className="timing-value" title="Elapsed in the playlist">
+        <label>EL</label>{formatDuration(timing.elapsed)}
+      </span>
+      <span className="timing-value timing-remaining" title="Remaining in the playlist">
+        <label>REM</label>{formatDuration(timing.remaining)}
+      </span>
+
+      {layer.targetEndTime ? (
+        <span
+          className={`timing-target ${overUnder > 0 ? 'over' : 'under'}`}
+          title={`Target end ${layer.targetEndTime} - projected end ${formatTimeOfDay(timing.projectedEnd)}`}
+          onClick={() => setShowTargetEditor(!showTargetEditor)}
+        >
+          <label>END</label>{layer.targetEndTime.slice(0, 8)}
+          <span className="timing-over-under">{overUnderLabel}</span>
+        </span>
+      ) : (
+        <span
+          className="timing-target-add"
+          title="Set a target end time to back-time the playlist"
+          onClick={() => setShowTargetEditor(!showTargetEditor)}
+        >
+          +END
+        </span>
+      )}
+
+      {showTargetEditor && (
+        <div className="playlist-timing-editor" onClick={e => e.stopPropagation()}>
+          <div className="io-fps-display">
+            {layer.targetEndTime
+              ? `Projected end ${formatTimeOfDay(timing.projectedEnd)} (${overUnderLabel})`
+              : 'Time of day the playlist must end (system clock)'}
+          </div>
+          <div className="io-row">
+            <label>End:</label>
+            <TimecodeInput
+              value={layer.targetEndTime ? Math.round(timecodeToSeconds(layer.targetEndTime, frameRate) * frameRate) : null}
+              onChange={handleTargetChange}
+              frameRate={frameRate}
+              maxFrames={Math.round(24 * 3600 * frameRate) - 1}
+            />
+          </div>
+          <div className="io-row io-actions">
+            <button
+              className="io-clear-btn"
+              title="Remove target end time"
+              onClick={() => updateLayerTargetEndTime(channelId, layer.id, null)}
+            >
+              Clear
+            </button>
+            <button
+              className="io-done-btn"
+              title="Close editor"
+              onClick={() => setShowTargetEditor(false)}
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
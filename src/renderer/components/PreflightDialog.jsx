@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { useApp } from '../context/AppContext';
+import './PreflightDialog.css';
+
+const STATUS_LABELS = {
+  missing: 'Missing',
+  mismatch: 'Changed',
+  warning: 'Warning'
+};
+
+/**
+ * PreflightDialog - lists items whose media is missing or changed, with bulk relink
+ */
+export default function PreflightDialog({ onClose }) {
+  const {
+    state,
+    connection,
+    preflightIssues,
+    runPreflightCheck,
+    relinkByFilename,
+    relinkFromFolder,
+    acceptServerMetadata
+  } = useApp();
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const issues = Object.values(preflightIssues);
+  const missingCount = issues.filter(issue => issue.status === 'missing').length;
+  const mismatchCount = issues.filter(issue => issue.status === 'mismatch').length;
+
+  // Act on the selection, or on every missing item when nothing is selected
+  const targetIds = selectedIds.length > 0
+    ? selectedIds.filter(id => preflightIssues[id])
+    : issues.filter(issue => issue.status === 'missing').map(issue => issue.itemId);
+
+  const toggleSelected = (itemId) => {
+    setSelectedIds(prev => prev.includes(itemId) ? prev.filter(id => id !== itemId) : [...prev, itemId]);
+  };
+
+  const formatSummary = (summary) => {
+    if (!summary) return null;
+    const parts = [`${summary.relinked} relinked`];
+    if (summary.ambiguous) parts.push(`${summary.ambiguous} with several matches`);
+    if (summary.notFound) parts.push(`${summary.notFound} not found`);
+    if (summary.outsideMediaRoot) parts.push(`${summary.outsideMediaRoot} outside the media folder`);
+    return parts.join(', ');
+  };
+
+  const runAction = async (action) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const result = await action();
+      if (result !== undefined && result !== null) setMessage(result);
+    } finally {
+      setBusy(false);
+      setSelectedIds([]);
+    }
+  };
+
+  const handleRelinkByName = () => runAction(() => formatSummary(relinkByFilename(targetIds)));
+  const handleRelinkFromFolder = () => runAction(async () => formatSummary(await relinkFromFolder(targetIds)));
+  const handleAcceptMetadata = () => runAction(() => {
+    const ids = selectedIds.length > 0
+      ? targetIds
+      : issues.filter(issue => issue.status === 'mismatch').map(issue => issue.itemId);
+    return `${acceptServerMetadata(ids)} item(s) updated from server`;
+  });
+  const handleRecheck = () => runAction(async () => {
+    await runPreflightCheck();
+    return null;
+  });
+
+  const getLayerLabel = (issue) => {
+    const channel = state.channels.find(ch => ch.id === issue.channelId);
+    const layer = channel?.layers.find(l => l.id === issue.layerId);
+    return `${channel?.name || `Channel ${issue.channelId}`} / ${layer?.name || `Layer ${issue.layerId}`}`;
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal preflight-dialog">
+        <div className="modal-header">
+          <h2 className="modal-title">Rundown Pre-flight</h2>
+        </div>
+
+        <div className="modal-body">
+          <div className="preflight-sources">
+            <span className={state.media.tree.length > 0 ? 'checked' : ''}>
+              Local media: {state.media.rootPath ? state.media.rootPath : 'no folder set'}
+            </span>
+            <span className={state.casparMedia.list.length > 0 ? 'checked' : ''}>
+              Server CLS: {connection.isConnected ? `${state.casparMedia.list.length} clips` : 'not connected'}
+            </span>
+          </div>
+
+          {issues.length === 0 ? (
+            <div className="preflight-ok">All items found - nothing to relink</div>
+          ) : (
+            <>
+              <div className="preflight-summary">
+                {missingCount} missing, {mismatchCount} changed, {issues.length - missingCount - mismatchCount} warnings
+              </div>
+              <div className="preflight-issues">
+                {issues.map(issue => (
+                  <label key={issue.itemId} className={`preflight-issue ${issue.status}`}>
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(issue.itemId)}
+                      onChange={() => toggleSelected(issue.itemId)}
+                    />
+                    <span className={`preflight-status ${issue.status}`}>{STATUS_LABELS[issue.status]}</span>
+                    <div className="preflight-issue-info">
+                      <span className="preflight-issue-name" title={issue.relativePath || issue.name}>
+                        {issue.relativePath || issue.name}
+                      </span>
+                      <span className="preflight-issue-meta">
+                        {getLayerLabel(issue)} - {issue.problems.join('; ')}
+                      </span>
+                    </div>
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+
+          {message && <div className="preflight-message">{message}</div>}
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn" onClick={handleRecheck} disabled={busy}>
+            Check Again
+          </button>
+          <button
+            className="btn"
+            onClick={handleAcceptMetadata}
+            disabled={busy || (selectedIds.length === 0 && mismatchCount === 0)}
+            title="Take duration and frame rate from the server clip"
+          >
+            Use Server Info
+          </button>
+          <button
+            className="btn"
+            onClick={handleRelinkFromFolder}
+            disabled={busy || targetIds.length === 0}
+            title="Pick a folder and relink items to files with the same name"
+          >
+            Search Folder...
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={handleRelinkByName}
+            disabled={busy || targetIds.length === 0}
+            title="Relink to the only clip with the same file name in the media folder or on the server"
+          >
+            Relink by Name
+          </button>
+          <button className="btn" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -4,7 +4,7 @@ import { useApp } from '../context/AppContext';
 import './Preview.css';
 
 export default function Preview({ channelId, expanded = false }) {
-  const { connection, settings, setStreamActive, setStreamInactive, state } = useApp();
+  const { connection, settings, setStreamActive, setStreamInactive, state, getChannelConnection } = useApp();
   const videoRef = useRef(null);
   const playerRef = useRef(null);
   const cleanupIntervalRef = useRef(null);
@@ -97,10 +97,13 @@ export default function Preview({ channelId, expanded = false }) {
     }
   }, [state.autoConnectTrigger, state.autoConnectChannelId, channelId, isConnected, isConnecting, connection.isConnected, settings.autoConnectPreviews]);
 
-  // Execute raw AMCP command
-  const executeStreamCommand = async (command) => {
-    const ccg = connection.casparCG;
-    if (!ccg) throw new Error('Not connected');
+  // Execute raw AMCP command on the server this channel is assigned to
+  // The command is built with the channel number on that server
+  const executeStreamCommand = async (buildCommand) => {
+    const route = getChannelConnection(channelId);
+    if (!route) throw new Error('Not connected');
+    const ccg = route.casparCG;
+    const command = buildCommand(route.channel);
 
     try {
       const result = await ccg.sendCustom({ command });
@@ -147,9 +150,9 @@ export default function Preview({ channelId, expanded = false }) {
       const crf = Math.round(51 - (settings.previewQuality || 50) * 0.33);
 
       const casparUrl = relayUrl.replace('/stream', '/stream.ts');
-      const streamCommand = `ADD ${channelId} STREAM "${casparUrl}" -format mpegts -codec:v libx264 -crf:v ${crf} -tune:v ${tune} -preset:v ${preset} -filter:v scale=${scale.replace(':', ':')} -filter:a "pan=stereo|c0=FL|c1=FR"`;
+      const streamCommand = (serverChannel) => `ADD ${serverChannel} STREAM "${casparUrl}" -format mpegts -codec:v libx264 -crf:v ${crf} -tune:v ${tune} -preset:v ${preset} -filter:v scale=${scale.replace(':', ':')} -filter:a "pan=stereo|c0=FL|c1=FR"`;
 
-      console.log('[Preview] Sending MPEGTS stream command:', streamCommand);
+      console.log('[Preview] Sending MPEGTS stream command:', streamCommand(channelId));
 
       try {
         await executeStreamCommand(streamCommand);
@@ -262,7 +265,7 @@ export default function Preview({ channelId, expanded = false }) {
       if (connection.casparCG && connection.isConnected && streamUrl) {
         try {
           const casparUrl = streamUrl.replace('/stream', '/stream.ts');
-          await executeStreamCommand(`REMOVE ${channelId} STREAM "${casparUrl}"`);
+          await executeStreamCommand(serverChannel => `REMOVE ${serverChannel} STREAM "${casparUrl}"`);
         } catch (e) {
           console.log('Remove stream command failed (may be expected):', e);
         }
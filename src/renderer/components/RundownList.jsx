@@ -1,9 +1,16 @@
 import React, { useState } from 'react';
 import { useApp } from '../context/AppContext';
+import StyledSelect from './StyledSelect';
+import { RUNDOWN_FILE_FORMATS } from '../services/rundownFormats';
 import './RundownList.css';
 
+const EXPORT_FORMAT_OPTIONS = Object.entries(RUNDOWN_FILE_FORMATS).map(([value, format]) => ({
+  value,
+  label: `${format.label} (.${format.extension})`
+}));
+
 export default function RundownList() {
-  const { rundowns, saveRundown, loadRundown, deleteRundown, loadRundownList, clearAllChannels } = useApp();
+  const { rundowns, saveRundown, loadRundown, deleteRundown, loadRundownList, clearAllChannels, exportRundownFile, importRundownFile } = useApp();
   const [showSaveDialog, setShowSaveDialog] = useState(false);
   const [rundownName, setRundownName] = useState('');
   const [saving, setSaving] = useState(false);
@@ -11,6 +18,11 @@ export default function RundownList() {
   const [error, setError] = useState(null);
   const [showNewConfirm, setShowNewConfirm] = useState(false);
   const [deleteConfirm, setDeleteConfirm] = useState(null); // stores rundown name to delete
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  const [exportFormat, setExportFormat] = useState('json');
+  const [exporting, setExporting] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [report, setReport] = useState(null); // { title, itemCount, skipped, warnings } from the last import/export
 
   const handleSaveClick = () => {
     setShowSaveDialog(true);
@@ -71,6 +83,49 @@ export default function RundownList() {
     setDeleteConfirm(null);
   };
 
+  const handleExportClick = () => {
+    setShowExportDialog(true);
+    setRundownName('');
+    setError(null);
+  };
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    setExporting(true);
+    setError(null);
+    try {
+      const result = await exportRundownFile(exportFormat, rundownName.trim() || 'rundown');
+      if (result.success) {
+        setShowExportDialog(false);
+        setReport({ title: `Exported ${RUNDOWN_FILE_FORMATS[exportFormat].label}`, ...result.report });
+      } else if (!result.canceled) {
+        setError(result.error || 'Failed to export rundown');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError(null);
+    try {
+      const result = await importRundownFile();
+      if (result.success) {
+        setReport({ title: `Imported "${result.name}"`, ...result.report });
+      } else if (!result.canceled) {
+        setError(result.error || 'Failed to import rundown');
+        if (result.report) setReport({ title: 'Import failed', ...result.report });
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'Unknown';
     const date = new Date(dateString);
@@ -104,6 +159,20 @@ export default function RundownList() {
           </svg>
           Save
         </button>
+        <button className="btn btn-icon" onClick={handleImport} disabled={importing} title="Import JSON, CSV or CasparCG Client XML">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <polyline points="7 10 12 15 17 10" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <line x1="12" y1="15" x2="12" y2="3" strokeWidth="2" strokeLinecap="round"/>
+          </svg>
+        </button>
+        <button className="btn btn-icon" onClick={handleExportClick} title="Export JSON, CSV or CasparCG Client XML">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <polyline points="17 8 12 3 7 8" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <line x1="12" y1="3" x2="12" y2="15" strokeWidth="2" strokeLinecap="round"/>
+          </svg>
+        </button>
         <button className="btn btn-icon" onClick={loadRundownList} title="Refresh">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor">
             <path d="M23 4v6h-6" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
@@ -145,6 +214,63 @@ export default function RundownList() {
         </div>
       )}
 
+      {showExportDialog && (
+        <div className="save-dialog">
+          <form onSubmit={handleExport}>
+            <input
+              type="text"
+              className="input"
+              autoFocus
+              value={rundownName}
+              onChange={(e) => setRundownName(e.target.value)}
+              placeholder="File name..."
+            />
+            <StyledSelect
+              className="export-format-select"
+              value={exportFormat}
+              onChange={setExportFormat}
+              options={EXPORT_FORMAT_OPTIONS}
+            />
+            <div className="save-dialog-actions">
+              <button type="button" className="btn" onClick={() => setShowExportDialog(false)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={exporting}>
+                {exporting ? 'Exporting...' : 'Export'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {report && (
+        <div className="rundown-report">
+          <div className="rundown-report-header">
+            <span>{report.title}: {report.itemCount} item{report.itemCount !== 1 ? 's' : ''}</span>
+            <button className="btn-icon btn-sm" onClick={() => setReport(null)} title="Dismiss">
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                <line x1="18" y1="6" x2="6" y2="18" strokeWidth="2" strokeLinecap="round"/>
+                <line x1="6" y1="6" x2="18" y2="18" strokeWidth="2" strokeLinecap="round"/>
+              </svg>
+            </button>
+          </div>
+          {report.skipped.length === 0 && report.warnings.length === 0 ? (
+            <p className="rundown-report-ok">Everything was converted</p>
+          ) : (
+            <ul className="rundown-report-list">
+              {report.skipped.map((entry, index) => (
+                <li key={`skipped-${index}`} className="skipped">
+                  Not converted: {entry.location}{entry.name ? ` "${entry.name}"` : ''} - {entry.reason}
+                </li>
+              ))}
+              {report.warnings.map((warning, index) => (
+                <li key={`warning-${index}`}>{warning}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       {showNewConfirm && (
         <div className="save-dialog confirm-dialog">
           <p>Create a new rundown? This will clear all current channels and playlists.</p>
@@ -1,13 +1,18 @@
 import React, { useState, useEffect } from 'react';
+import { v4 as uuidv4 } from 'uuid';
 import { useApp } from '../context/AppContext';
 import StyledSelect from './StyledSelect';
+import { PLAYOUT_EVENTS } from '../services/playoutEvents';
 import './Settings.css';
 
 export default function Settings({ onClose }) {
-  const { settings, updateSettings, state, setMediaRoot, apiStatus } = useApp();
+  const { settings, updateSettings, state, setMediaRoot, apiStatus, oscControlStatus } = useApp();
   const [editedSettings, setEditedSettings] = useState({ ...settings });
   const [saving, setSaving] = useState(false);
   const [activeTab, setActiveTab] = useState('connection');
+  const [apiRejections, setApiRejections] = useState([]);
+  const [webhookDeliveries, setWebhookDeliveries] = useState([]);
+  const [webhookTestResults, setWebhookTestResults] = useState({});
 
   useEffect(() => {
     setEditedSettings({ ...settings });
@@ -54,6 +59,128 @@ export default function Settings({ onClose }) {
     }
   };
 
+  const servers = editedSettings.servers || [];
+
+  const handleAddServer = () => {
+    handleChange('servers', [
+      ...servers,
+      { id: uuidv4(), name: `Server ${servers.length + 2}`, host: '', port: 5250, oscPort: 6260 + servers.length }
+    ]);
+  };
+
+  const handleServerChange = (serverId, field, value) => {
+    handleChange('servers', servers.map(server => server.id === serverId ? { ...server, [field]: value } : server));
+  };
+
+  const handleRemoveServer = (serverId) => {
+    handleChange('servers', servers.filter(server => server.id !== serverId));
+  };
+
+  const apiKeys = editedSettings.apiKeys || [];
+
+  const handleAddApiKey = () => {
+    const bytes = window.crypto.getRandomValues(new Uint8Array(24));
+    const key = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    handleChange('apiKeys', [
+      ...apiKeys,
+      { id: uuidv4(), name: `Key ${apiKeys.length + 1}`, key, scope: 'control', createdAt: new Date().toISOString() }
+    ]);
+  };
+
+  const handleApiKeyChange = (keyId, field, value) => {
+    handleChange('apiKeys', apiKeys.map(apiKey => apiKey.id === keyId ? { ...apiKey, [field]: value } : apiKey));
+  };
+
+  const handleRemoveApiKey = (keyId) => {
+    handleChange('apiKeys', apiKeys.filter(apiKey => apiKey.id !== keyId));
+  };
+
+  const handleCopyApiKey = (key) => {
+    const { clipboard } = window.require('electron');
+    clipboard.writeText(key);
+  };
+
+  const loadApiRejections = async () => {
+    const { ipcRenderer } = window.require('electron');
+    const status = await ipcRenderer.invoke('api:status');
+    setApiRejections(status.rejections || []);
+  };
+
+  useEffect(() => {
+    if (activeTab === 'api') loadApiRejections();
+    if (activeTab === 'webhooks') loadWebhookDeliveries();
+  }, [activeTab]);
+
+  const oscFeedbackTargets = editedSettings.oscFeedbackTargets || [];
+
+  const handleAddOscFeedbackTarget = () => {
+    handleChange('oscFeedbackTargets', [
+      ...oscFeedbackTargets,
+      { id: uuidv4(), name: `Surface ${oscFeedbackTargets.length + 1}`, host: '', port: 9000, enabled: true }
+    ]);
+  };
+
+  const handleOscFeedbackTargetChange = (targetId, field, value) => {
+    handleChange('oscFeedbackTargets', oscFeedbackTargets.map(target => target.id === targetId ? { ...target, [field]: value } : target));
+  };
+
+  const handleRemoveOscFeedbackTarget = (targetId) => {
+    handleChange('oscFeedbackTargets', oscFeedbackTargets.filter(target => target.id !== targetId));
+  };
+
+  const webhooks = editedSettings.webhooks || [];
+
+  const generateWebhookSecret = () => {
+    const bytes = window.crypto.getRandomValues(new Uint8Array(32));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  };
+
+  const handleAddWebhook = () => {
+    handleChange('webhooks', [
+      ...webhooks,
+      {
+        id: uuidv4(),
+        name: `Webhook ${webhooks.length + 1}`,
+        url: '',
+        secret: generateWebhookSecret(),
+        events: PLAYOUT_EVENTS.map(event => event.value),
+        enabled: true
+      }
+    ]);
+  };
+
+  const handleWebhookChange = (webhookId, field, value) => {
+    handleChange('webhooks', webhooks.map(webhook => webhook.id === webhookId ? { ...webhook, [field]: value } : webhook));
+  };
+
+  const handleWebhookEventToggle = (webhook, eventName, checked) => {
+    const events = webhook.events || [];
+    handleWebhookChange(webhook.id, 'events', checked
+      ? [...events, eventName]
+      : events.filter(e => e !== eventName));
+  };
+
+  const handleRemoveWebhook = (webhookId) => {
+    handleChange('webhooks', webhooks.filter(webhook => webhook.id !== webhookId));
+  };
+
+  // Tests the edited (possibly unsaved) target
+  const handleTestWebhook = async (webhook) => {
+    const { ipcRenderer } = window.require('electron');
+    setWebhookTestResults(prev => ({ ...prev, [webhook.id]: 'Sending...' }));
+    const result = await ipcRenderer.invoke('webhooks:test', webhook);
+    setWebhookTestResults(prev => ({
+      ...prev,
+      [webhook.id]: result.success ? `Delivered (HTTP ${result.delivery.responseStatus})` : `Failed: ${result.error}`
+    }));
+    loadWebhookDeliveries();
+  };
+
+  const loadWebhookDeliveries = async () => {
+    const { ipcRenderer } = window.require('electron');
+    setWebhookDeliveries(await ipcRenderer.invoke('webhooks:log'));
+  };
+
   const handleClearMediaFolder = () => {
     handleChange('mediaFolderPath', '');
   };
@@ -90,6 +217,12 @@ export default function Settings({ onClose }) {
           >
             API
           </button>
+          <button
+            className={`settings-tab ${activeTab === 'webhooks' ? 'active' : ''}`}
+            onClick={() => setActiveTab('webhooks')}
+          >
+            Webhooks
+          </button>
         </div>
 
         <div className="modal-body">
@@ -97,6 +230,19 @@ export default function Settings({ onClose }) {
             <div className="settings-section">
               <h3 className="settings-section-title">CasparCG Server</h3>
 
+              <div className="input-group">
+                <label htmlFor="serverName">Server Name</label>
+                <input
+                  id="serverName"
+                  type="text"
+                  className="input"
+                  value={editedSettings.serverName || ''}
+                  onChange={(e) => handleChange('serverName', e.target.value)}
+                  placeholder="Main"
+                />
+                <span className="input-hint">Shown on channel headers when channels use more than one server</span>
+              </div>
+
               <div className="input-group">
                 <label htmlFor="host">Host / IP Address</label>
                 <input
@@ -134,6 +280,144 @@ export default function Settings({ onClose }) {
                   />
                 </div>
               </div>
+
+              <div className="input-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={editedSettings.autoReconnect !== false}
+                    onChange={(e) => handleChange('autoReconnect', e.target.checked)}
+                  />
+                  Reconnect automatically if the server drops
+                </label>
+                <span className="input-hint">Retries with increasing delays (up to 30s) and restores what is on air when back</span>
+              </div>
+
+              <h3 className="settings-section-title" style={{ marginTop: '20px' }}>Backup Server</h3>
+              <div className="input-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={editedSettings.backupEnabled || false}
+                    onChange={(e) => handleChange('backupEnabled', e.target.checked)}
+                  />
+                  Mirror all commands to a backup server
+                </label>
+                <span className="input-hint">Reconnect after changing backup settings</span>
+              </div>
+
+              <div className="input-group">
+                <label htmlFor="backupHost">Backup Host / IP Address</label>
+                <input
+                  id="backupHost"
+                  type="text"
+                  className="input"
+                  value={editedSettings.backupHost || ''}
+                  onChange={(e) => handleChange('backupHost', e.target.value)}
+                  placeholder="192.168.1.11"
+                  disabled={!editedSettings.backupEnabled}
+                />
+              </div>
+
+              <div className="settings-row">
+                <div className="input-group">
+                  <label htmlFor="backupPort">AMCP Port</label>
+                  <input
+                    id="backupPort"
+                    type="number"
+                    className="input"
+                    value={editedSettings.backupPort || 5250}
+                    onChange={(e) => handleChange('backupPort', parseInt(e.target.value) || 5250)}
+                    disabled={!editedSettings.backupEnabled}
+                  />
+                </div>
+
+                <div className="input-group">
+                  <label htmlFor="backupOscPort">OSC Port</label>
+                  <input
+                    id="backupOscPort"
+                    type="number"
+                    className="input"
+                    value={editedSettings.backupOscPort || 6251}
+                    onChange={(e) => handleChange('backupOscPort', parseInt(e.target.value) || 6251)}
+                    disabled={!editedSettings.backupEnabled}
+                  />
+                </div>
+              </div>
+
+              <div className="input-group">
+                <label>Timing Master</label>
+                <StyledSelect
+                  value={editedSettings.oscMaster || 'main'}
+                  onChange={(value) => handleChange('oscMaster', value)}
+                  options={[
+                    { value: 'main', label: 'Main server' },
+                    { value: 'backup', label: 'Backup server' }
+                  ]}
+                />
+                <span className="input-hint">Whose OSC drives time displays and auto-advance. The backup must send OSC to its own port.</span>
+              </div>
+
+              <h3 className="settings-section-title" style={{ marginTop: '20px' }}>Additional Servers</h3>
+              {servers.map(server => (
+                <div key={server.id} className="server-profile">
+                  <div className="settings-row">
+                    <div className="input-group">
+                      <label>Name</label>
+                      <input
+                        type="text"
+                        className="input"
+                        value={server.name}
+                        onChange={(e) => handleServerChange(server.id, 'name', e.target.value)}
+                      />
+                    </div>
+                    <div className="input-group">
+                      <label>Host / IP Address</label>
+                      <input
+                        type="text"
+                        className="input"
+                        value={server.host}
+                        onChange={(e) => handleServerChange(server.id, 'host', e.target.value)}
+                        placeholder="192.168.1.20"
+                      />
+                    </div>
+                  </div>
+                  <div className="settings-row">
+                    <div className="input-group">
+                      <label>AMCP Port</label>
+                      <input
+                        type="number"
+                        className="input"
+                        value={server.port}
+                        onChange={(e) => handleServerChange(server.id, 'port', parseInt(e.target.value) || 5250)}
+                      />
+                    </div>
+                    <div className="input-group">
+                      <label>OSC Port</label>
+                      <input
+                        type="number"
+                        className="input"
+                        value={server.oscPort || ''}
+                        onChange={(e) => handleServerChange(server.id, 'oscPort', parseInt(e.target.value) || null)}
+                        placeholder="None"
+                      />
+                    </div>
+                    <button
+                      className="btn btn-danger-subtle server-profile-remove"
+                      onClick={() => handleRemoveServer(server.id)}
+                      title="Remove server"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <button className="btn" onClick={handleAddServer}>
+                Add Server
+              </button>
+              <span className="input-hint" style={{ display: 'block' }}>
+                Assign channels to a server from the channel header. Each server needs its own OSC port. Reconnect after changing servers.
+              </span>
             </div>
           )}
 
@@ -347,6 +631,47 @@ export default function Settings({ onClose }) {
                 </label>
                 <span className="input-hint">Restore channels and playlists from previous session</span>
               </div>
+
+              <h3 className="settings-section-title" style={{ marginTop: '20px' }}>Silence Alarm</h3>
+              <div className="input-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={editedSettings.silenceAlarmEnabled !== false}
+                    onChange={(e) => handleChange('silenceAlarmEnabled', e.target.checked)}
+                  />
+                  Alarm when a playing channel goes silent
+                </label>
+                <span className="input-hint">Uses the audio levels CasparCG sends over OSC. The channel flashes SILENCE and an audio.silence event is sent</span>
+              </div>
+              <div className="settings-row">
+                <div className="input-group">
+                  <label htmlFor="silenceThreshold">Threshold (dBFS)</label>
+                  <input
+                    id="silenceThreshold"
+                    type="number"
+                    className="input"
+                    value={editedSettings.silenceThreshold ?? -50}
+                    onChange={(e) => handleChange('silenceThreshold', Math.min(0, Math.max(-96, parseInt(e.target.value) || -50)))}
+                    min="-96"
+                    max="0"
+                    disabled={editedSettings.silenceAlarmEnabled === false}
+                  />
+                </div>
+                <div className="input-group">
+                  <label htmlFor="silenceAlarmDelay">Alarm After (seconds)</label>
+                  <input
+                    id="silenceAlarmDelay"
+                    type="number"
+                    className="input"
+                    value={editedSettings.silenceAlarmDelay ?? 10}
+                    onChange={(e) => handleChange('silenceAlarmDelay', Math.min(600, Math.max(1, parseInt(e.target.value) || 10)))}
+                    min="1"
+                    max="600"
+                    disabled={editedSettings.silenceAlarmEnabled === false}
+                  />
+                </div>
+              </div>
             </div>
           )}
 
@@ -393,19 +718,360 @@ export default function Settings({ onClose }) {
                 </div>
               )}
 
+              <h3 className="settings-section-title" style={{ marginTop: '20px' }}>API Keys</h3>
+              {apiKeys.map(apiKey => (
+                <div key={apiKey.id} className="server-profile">
+                  <div className="settings-row">
+                    <div className="input-group">
+                      <label>Name</label>
+                      <input
+                        type="text"
+                        className="input"
+                        value={apiKey.name}
+                        onChange={(e) => handleApiKeyChange(apiKey.id, 'name', e.target.value)}
+                      />
+                    </div>
+                    <div className="input-group">
+                      <label>Access</label>
+                      <StyledSelect
+                        value={apiKey.scope}
+                        onChange={(value) => handleApiKeyChange(apiKey.id, 'scope', value)}
+                        options={[
+                          { value: 'read', label: 'Read only' },
+                          { value: 'control', label: 'Control' }
+                        ]}
+                      />
+                    </div>
+                  </div>
+                  <div className="settings-row">
+                    <div className="input-group">
+                      <label>Key</label>
+                      <div className="folder-input-row">
+                        <input type="text" className="input api-key-value" value={apiKey.key} readOnly />
+                        <button className="btn" onClick={() => handleCopyApiKey(apiKey.key)}>
+                          Copy
+                        </button>
+                      </div>
+                    </div>
+                    <button
+                      className="btn btn-danger-subtle server-profile-remove"
+                      onClick={() => handleRemoveApiKey(apiKey.id)}
+                      title="Revoke key"
+                    >
+                      Revoke
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <button className="btn" onClick={handleAddApiKey}>
+                Add Key
+              </button>
+              <span className="input-hint" style={{ display: 'block' }}>
+                Every request to /api/state, /api/command and /ws needs a key. Read-only keys can fetch state but not send commands.
+              </span>
+
+              <div className="input-group" style={{ marginTop: '16px' }}>
+                <label htmlFor="apiAllowlist">Allowed Addresses</label>
+                <input
+                  id="apiAllowlist"
+                  type="text"
+                  className="input"
+                  value={editedSettings.apiAllowlist || ''}
+                  onChange={(e) => handleChange('apiAllowlist', e.target.value)}
+                  placeholder="Any address"
+                />
+                <span className="input-hint">IP addresses or CIDR ranges, comma separated (e.g. 127.0.0.1, 192.168.10.0/24)</span>
+              </div>
+
+              <h3 className="settings-section-title" style={{ marginTop: '20px' }}>Rejected Requests</h3>
+              {apiRejections.length === 0 ? (
+                <span className="input-hint">No rejected requests since the API server started</span>
+              ) : (
+                <div className="api-rejections">
+                  {apiRejections.map((rejection, index) => (
+                    <div key={index} className="api-rejection">
+                      <span className="api-rejection-time">{new Date(rejection.time).toLocaleTimeString()}</span>
+                      <span>{rejection.address}</span>
+                      <span>{rejection.path}</span>
+                      <span className="api-rejection-reason">{rejection.reason}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <button className="btn btn-sm" style={{ marginTop: '8px' }} onClick={loadApiRejections}>
+                Refresh
+              </button>
+
+              <h3 className="settings-section-title" style={{ marginTop: '20px' }}>OSC Control</h3>
+              <div className="input-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={editedSettings.oscControlEnabled || false}
+                    onChange={(e) => handleChange('oscControlEnabled', e.target.checked)}
+                  />
+                  Accept OSC control messages
+                </label>
+                <span className="input-hint">Let TouchOSC, QLab and lighting desks drive playout over OSC (UDP)</span>
+              </div>
+
+              <div className="settings-row">
+                <div className="input-group">
+                  <label htmlFor="oscControlPort">OSC Control Port</label>
+                  <input
+                    id="oscControlPort"
+                    type="number"
+                    className="input"
+                    value={editedSettings.oscControlPort || 8000}
+                    onChange={(e) => handleChange('oscControlPort', parseInt(e.target.value) || 8000)}
+                    disabled={!editedSettings.oscControlEnabled}
+                  />
+                  <span className="input-hint">
+                    {oscControlStatus?.error
+                      ? <span style={{ color: 'var(--error-light)' }}>{oscControlStatus.error}</span>
+                      : oscControlStatus?.isRunning ? `Listening on UDP port ${oscControlStatus.port}` : 'Not listening'}
+                  </span>
+                </div>
+                <div className="input-group">
+                  <label htmlFor="oscControlAllowlist">Allowed Senders</label>
+                  <input
+                    id="oscControlAllowlist"
+                    type="text"
+                    className="input"
+                    value={editedSettings.oscControlAllowlist || ''}
+                    onChange={(e) => handleChange('oscControlAllowlist', e.target.value)}
+                    placeholder="Any address"
+                    disabled={!editedSettings.oscControlEnabled}
+                  />
+                  <span className="input-hint">IP addresses or CIDR ranges, comma separated</span>
+                </div>
+              </div>
+              {editedSettings.oscControlEnabled && !(editedSettings.oscControlAllowlist || '').trim() && (
+                <div className="input-hint" style={{ color: 'var(--warning-light)', marginBottom: '8px' }}>
+                  OSC has no API keys: with no allowed senders set, any host that can reach this port can control
+                  playout. Limit it to the addresses of your control surfaces.
+                </div>
+              )}
+              <div style={{ fontSize: '12px', color: 'var(--text-secondary)' }}>
+                <ul style={{ marginLeft: '16px' }}>
+                  <li><code>/casparplayer/channel/1/layer/1/play</code> - also pause, resume, playpause, stop, next, prev</li>
+                  <li><code>/casparplayer/channel/1/layer/1/opacity 0.5</code> - mixer commands take their values as arguments</li>
+                  <li><code>/casparplayer/macro/&lt;id&gt;</code> and <code>/casparplayer/rundown/&lt;name&gt;</code></li>
+                  <li><code>/casparplayer/command/&lt;command&gt; args...</code> - any API command except Custom AMCP, arguments in parameter order</li>
+                </ul>
+              </div>
+
+              <h3 className="settings-section-title" style={{ marginTop: '20px' }}>OSC Feedback</h3>
+              {oscFeedbackTargets.map(target => (
+                <div key={target.id} className="server-profile">
+                  <div className="settings-row">
+                    <div className="input-group">
+                      <label>Name</label>
+                      <input
+                        type="text"
+                        className="input"
+                        value={target.name}
+                        onChange={(e) => handleOscFeedbackTargetChange(target.id, 'name', e.target.value)}
+                      />
+                    </div>
+                    <div className="input-group">
+                      <label>Host</label>
+                      <input
+                        type="text"
+                        className="input"
+                        value={target.host}
+                        onChange={(e) => handleOscFeedbackTargetChange(target.id, 'host', e.target.value.trim())}
+                        placeholder="192.168.1.50"
+                      />
+                    </div>
+                    <div className="input-group">
+                      <label>Port</label>
+                      <input
+                        type="number"
+                        className="input"
+                        value={target.port}
+                        onChange={(e) => handleOscFeedbackTargetChange(target.id, 'port', parseInt(e.target.value) || 9000)}
+                      />
+                    </div>
+                  </div>
+                  <div className="settings-row profile-actions">
+                    <label className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={target.enabled !== false}
+                        onChange={(e) => handleOscFeedbackTargetChange(target.id, 'enabled', e.target.checked)}
+                      />
+                      Enabled
+                    </label>
+                    <button
+                      className="btn btn-danger-subtle server-profile-remove"
+                      onClick={() => handleRemoveOscFeedbackTarget(target.id)}
+                      title="Remove target"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <button className="btn" onClick={handleAddOscFeedbackTarget}>
+                Add Target
+              </button>
+
+              <div className="input-group" style={{ marginTop: '16px' }}>
+                <label htmlFor="oscFeedbackRate">Updates per Second</label>
+                <input
+                  id="oscFeedbackRate"
+                  type="number"
+                  className="input"
+                  min="1"
+                  max="50"
+                  value={editedSettings.oscFeedbackRate || 10}
+                  onChange={(e) => handleChange('oscFeedbackRate', Math.min(50, Math.max(1, parseInt(e.target.value) || 10)))}
+                />
+                <span className="input-hint">
+                  Sends playing, paused, name, next, remaining and playlistmode for each layer to
+                  {' '}<code>/casparplayer/channel/&lt;c&gt;/layer/&lt;l&gt;/...</code>. Only changed values are sent, with everything resent every 5 seconds
+                </span>
+              </div>
+
               <h3 className="settings-section-title" style={{ marginTop: '20px' }}>API Documentation</h3>
               <div style={{ fontSize: '12px', color: 'var(--text-secondary)' }}>
                 <p style={{ marginBottom: '8px' }}>Available endpoints:</p>
                 <ul style={{ marginLeft: '16px', marginBottom: '8px' }}>
                   <li><code>POST /api/command</code> - Execute commands</li>
                   <li><code>GET /api/state</code> - Get current state</li>
+                  <li><code>GET /api/events</code> - Server-Sent Events stream of state changes and playout events</li>
+                  <li><code>/api/channels/:id/layers/:id/playlist/items/:itemId</code> - Channels, layers and playlist items (GET, POST, PATCH, DELETE)</li>
                   <li><code>GET /api/status</code> - Get server status</li>
                   <li><code>GET /api/commands</code> - List available commands</li>
+                  <li><code>GET /api/docs</code> - Command reference (open in a browser)</li>
+                  <li><code>GET /api/openapi.json</code> - OpenAPI description</li>
                 </ul>
-                <p>WebSocket clients receive real-time state updates.</p>
+                <p style={{ marginBottom: '8px' }}>
+                  Send the key as <code>Authorization: Bearer &lt;key&gt;</code> or <code>X-API-Key: &lt;key&gt;</code>.
+                  WebSocket clients can connect to <code>/ws?token=&lt;key&gt;</code>.
+                </p>
+                <p>
+                  WebSocket clients subscribe to topics such as <code>channel.1.layer.2.time</code>, <code>rundown</code>,
+                  {' '}<code>macros</code> and <code>connection</code>, and receive only what changed.
+                </p>
               </div>
             </div>
           )}
+          {activeTab === 'webhooks' && (
+            <div className="settings-section">
+              <h3 className="settings-section-title">Webhooks</h3>
+              <span className="input-hint" style={{ display: 'block', marginBottom: '12px' }}>
+                Playout events are POSTed as JSON to each URL. Failed deliveries are retried with backoff for about 15 minutes.
+              </span>
+
+              {webhooks.map(webhook => (
+                <div key={webhook.id} className="server-profile">
+                  <div className="settings-row">
+                    <div className="input-group">
+                      <label>Name</label>
+                      <input
+                        type="text"
+                        className="input"
+                        value={webhook.name}
+                        onChange={(e) => handleWebhookChange(webhook.id, 'name', e.target.value)}
+                      />
+                    </div>
+                    <div className="input-group">
+                      <label>URL</label>
+                      <input
+                        type="text"
+                        className="input"
+                        value={webhook.url}
+                        onChange={(e) => handleWebhookChange(webhook.id, 'url', e.target.value.trim())}
+                        placeholder="https://example.com/hooks/playout"
+                      />
+                    </div>
+                  </div>
+                  <div className="input-group">
+                    <label>Signing Secret</label>
+                    <div className="folder-input-row">
+                      <input type="text" className="input api-key-value" value={webhook.secret || ''} readOnly />
+                      <button className="btn" onClick={() => handleCopyApiKey(webhook.secret || '')}>
+                        Copy
+                      </button>
+                      <button className="btn" onClick={() => handleWebhookChange(webhook.id, 'secret', generateWebhookSecret())}>
+                        Regenerate
+                      </button>
+                    </div>
+                    <span className="input-hint">Requests carry X-CasparPlayer-Signature: sha256=HMAC(secret, timestamp + "." + body)</span>
+                  </div>
+                  <div className="input-group">
+                    <label>Events</label>
+                    <div className="webhook-events">
+                      {PLAYOUT_EVENTS.map(event => (
+                        <label key={event.value} className="checkbox-label">
+                          <input
+                            type="checkbox"
+                            checked={(webhook.events || []).includes(event.value)}
+                            onChange={(e) => handleWebhookEventToggle(webhook, event.value, e.target.checked)}
+                          />
+                          {event.label}
+                        </label>
+                      ))}
+                    </div>
+                    {(webhook.events || []).length === 0 && (
+                      <span className="input-hint">No events selected - every event is sent</span>
+                    )}
+                  </div>
+                  <div className="settings-row profile-actions">
+                    <label className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={webhook.enabled !== false}
+                        onChange={(e) => handleWebhookChange(webhook.id, 'enabled', e.target.checked)}
+                      />
+                      Enabled
+                    </label>
+                    <button className="btn btn-sm" onClick={() => handleTestWebhook(webhook)} disabled={!webhook.url}>
+                      Send Test
+                    </button>
+                    {webhookTestResults[webhook.id] && (
+                      <span className="input-hint">{webhookTestResults[webhook.id]}</span>
+                    )}
+                    <button
+                      className="btn btn-danger-subtle server-profile-remove"
+                      onClick={() => handleRemoveWebhook(webhook.id)}
+                      title="Remove webhook"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <button className="btn" onClick={handleAddWebhook}>
+                Add Webhook
+              </button>
+
+              <h3 className="settings-section-title" style={{ marginTop: '20px' }}>Delivery Log</h3>
+              {webhookDeliveries.length === 0 ? (
+                <span className="input-hint">No deliveries since the app started</span>
+              ) : (
+                <div className="api-rejections">
+                  {webhookDeliveries.map(delivery => (
+                    <div key={delivery.id} className="api-rejection webhook-delivery" title={delivery.url}>
+                      <span className="api-rejection-time">{new Date(delivery.createdAt).toLocaleTimeString()}</span>
+                      <span>{delivery.targetName}</span>
+                      <span>{delivery.event}</span>
+                      <span className={`webhook-delivery-status ${delivery.status}`}>
+                        {delivery.status}
+                        {delivery.attempts > 1 && ` (${delivery.attempts} attempts)`}
+                        {delivery.error && ` - ${delivery.error}`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <button className="btn btn-sm" style={{ marginTop: '8px' }} onClick={loadWebhookDeliveries}>
+                Refresh
+              </button>
+            </div>
+          )}
         </div>
 
         <div className="modal-footer">
@@ -3,6 +3,7 @@ import { useApp } from '../context/AppContext';
 import FileBrowser from './FileBrowser';
 import MacroList from './MacroList';
 import RundownList from './RundownList';
+import AsRunLog from './AsRunLog';
 import './Sidebar.css';
 
 export default function Sidebar() {
@@ -44,12 +45,25 @@ export default function Sidebar() {
           </svg>
           Rundowns
         </button>
+
+        <button
+          className={`sidebar-tab ${sidebarTab === 'asrun' ? 'active' : ''}`}
+          onClick={() => setSidebarTab('asrun')}
+          title="As-Run Log"
+        >
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+            <circle cx="12" cy="12" r="10" strokeWidth="2"/>
+            <polyline points="12 6 12 12 16 14" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+          </svg>
+          Log
+        </button>
       </div>
 
       <div className="sidebar-content">
         {sidebarTab === 'files' && <FileBrowser />}
         {sidebarTab === 'macros' && <MacroList />}
         {sidebarTab === 'rundowns' && <RundownList />}
+        {sidebarTab === 'asrun' && <AsRunLog />}
       </div>
     </div>
   );
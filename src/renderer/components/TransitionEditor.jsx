@@ -0,0 +1,110 @@
+import React from 'react';
+import StyledSelect from './StyledSelect';
+import {
+  TRANSITION_TYPES,
+  TRANSITION_TWEENS,
+  TRANSITION_DIRECTIONS,
+  DIRECTIONAL_TRANSITIONS,
+  createDefaultTransition
+} from '../utils/transitions';
+import './TransitionEditor.css';
+
+const TYPE_DESCRIPTIONS = {
+  CUT: 'Hard cut, no transition',
+  MIX: 'Crossfade from the previous clip',
+  WIPE: 'Wipe across the previous clip',
+  PUSH: 'Push the previous clip out',
+  SLIDE: 'Slide in over the previous clip'
+};
+
+/**
+ * TransitionEditor - type / duration (frames) / tween / direction fields
+ * Used inside the playlist item and layer default popovers
+ */
+export default function TransitionEditor({
+  value, // Transition object (null = hard cut)
+  onChange, // Callback with new transition object
+  frameRate = 25
+}) {
+  const transition = value || createDefaultTransition();
+  const isCut = transition.type === 'CUT';
+  const isDirectional = DIRECTIONAL_TRANSITIONS.includes(transition.type);
+
+  const update = (changes) => {
+    onChange({ ...transition, ...changes });
+  };
+
+  const handleTypeChange = (type) => {
+    // Give a sensible duration when switching away from a cut
+    if (type !== 'CUT' && !(transition.duration > 0)) {
+      update({ type, duration: Math.round(frameRate / 2) });
+    } else {
+      update({ type });
+    }
+  };
+
+  const handleDurationChange = (e) => {
+    const frames = parseInt(e.target.value, 10);
+    update({ duration: isNaN(frames) || frames < 0 ? 0 : frames });
+  };
+
+  return (
+    <div className="transition-editor">
+      <div className="io-row">
+        <label>Type:</label>
+        <StyledSelect
+          className="transition-select"
+          value={transition.type}
+          onChange={handleTypeChange}
+          options={TRANSITION_TYPES.map(type => ({
+            value: type,
+            label: type,
+            description: TYPE_DESCRIPTIONS[type]
+          }))}
+        />
+      </div>
+      {!isCut && (
+        <>
+          <div className="io-row">
+            <label>Dur:</label>
+            <input
+              type="number"
+              className="io-input"
+              min="0"
+              value={transition.duration}
+              onChange={handleDurationChange}
+            />
+            <span className="transition-unit">
+              frames ({(transition.duration / frameRate).toFixed(2)}s)
+            </span>
+          </div>
+          <div className="io-row">
+            <label>Ease:</label>
+            <StyledSelect
+              className="transition-select"
+              value={transition.tween}
+              onChange={(tween) => update({ tween })}
+              options={TRANSITION_TWEENS.map(tween => ({ value: tween, label: tween }))}
+            />
+          </div>
+          {isDirectional && (
+            <div className="io-row">
+              <label>Dir:</label>
+              <div className="transition-directions">
+                {TRANSITION_DIRECTIONS.map(direction => (
+                  <button
+                    key={direction}
+                    className={`transition-direction-btn ${transition.direction === direction ? 'active' : ''}`}
+                    onClick={() => update({ direction })}
+                  >
+                    {direction}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
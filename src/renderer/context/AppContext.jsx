@@ -1,16 +1,48 @@
-import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { CasparCG } from 'casparcg-connection';
 import { v4 as uuidv4 } from 'uuid';
 import casparCommands, { cls, thumbnailList, thumbnailRetrieve, thumbnailGenerate, info, parseChannelInfo } from '../services/casparCommands';
 import { processOscMessage } from '../services/oscHandler';
+import { applyTelemetryMessage, pruneTelemetry, snapshotTelemetry, getApiTelemetry } from '../services/oscTelemetry';
+import { checkSilence, DEFAULT_SILENCE_THRESHOLD, DEFAULT_SILENCE_DELAY } from '../services/silenceDetector';
 import { executeMacro as runMacro } from '../services/macroExecutor';
-import { executeCommand as executeUnifiedCommand } from '../services/commandHandler';
+import { executeCommand as executeUnifiedCommand, getCommandList } from '../services/commandHandler';
 import { convertClipInfoToMetadata, localPathToCasparClip, findCasparMetadata } from '../services/casparMediaService';
-import { scheduleStartMacro, scheduleEndMacro, cancelScheduledMacro } from '../services/macroScheduler';
-import { createDefaultOffset } from '../utils/timecode';
+import { validateChannels, indexMediaTree, indexCasparMedia, findRelinkCandidates } from '../services/mediaValidator';
+import { scheduleStartMacro, scheduleEndMacro, cancelScheduledMacro, tickMacroClock } from '../services/macroScheduler';
+import { scheduleClockStart, cancelClockStart } from '../services/clockScheduler';
+import { startAsRun, endAsRun, endAllAsRun, logAsRunEvent } from '../services/asRunLog';
+import { emitPlayoutEvent } from '../services/playoutEvents';
+import { mapOscControlMessage } from '../services/oscControl';
+import { createMirroredConnection } from '../services/serverRedundancy';
+import { MAIN_SERVER_ID, getChannelRoute, findChannelByRoute, createRoutedConnection, connectCasparServer } from '../services/serverRouting';
+import { reconcileLayer } from '../services/stateReconciler';
+import { handleResourceRequest } from '../services/resourceApi';
+import { serializeRundownChannels, detectRundownFormat, exportRundown, importRundown } from '../services/rundownFormats';
+import { findMacro, exportMacroBundle, parseMacroBundle, planMacroImport, resolveMacroImport } from '../services/macroLibrary';
+import { createDefaultOffset, getScheduledStartTime, isHeldBySchedule } from '../utils/timecode';
+import { createDefaultTransition, resolveTransition } from '../utils/transitions';
+import { createDefaultMixer } from '../utils/mixer';
+import { calculatePlaylistTiming, getEffectiveDuration, getItemElapsed } from '../utils/backTiming';
 
 const AppContext = createContext();
 
+// Reconnect backoff after an unexpected drop: 1s, 2s, 4s ... capped at 30s
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// Where auto-advance goes next: { index, armed } to move to, { finished: true } at the end of the
+// playlist, or null if the layer doesn't advance
+function getAutoAdvanceTarget(layer, armedItemId) {
+  const armedIndex = armedItemId && layer ? layer.playlist.findIndex(item => item.id === armedItemId) : -1;
+  if (!layer || (!layer.playlistMode && armedIndex < 0) || layer.playlist.length === 0) return null;
+  if (armedIndex >= 0) return { index: armedIndex, armed: true };
+
+  const nextIndex = layer.currentIndex + 1;
+  if (nextIndex < layer.playlist.length) return { index: nextIndex, armed: false };
+  return layer.loopMode ? { index: 0, armed: false } : { finished: true };
+}
+
 export function useApp() {
   const context = useContext(AppContext);
   if (!context) {
@@ -53,15 +85,22 @@ export function AppProvider({ children }) {
     oscPort: 6250,
     previewUrl: '',
     casparCG: null,
-    serverInfo: null
+    serverInfo: null,
+    backup: null,  // { isConnected, host, port, oscPort, casparCG, serverInfo, lastError } when a backup is configured
+    servers: {}    // { [serverId]: { isConnected, name, host, port, oscPort, casparCG, serverInfo, lastError } } additional servers
   });
+  const [serverWarnings, setServerWarnings] = useState([]); // Divergences between main and backup
   const [showConnectionDialog, setShowConnectionDialog] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
+  const [showPreflight, setShowPreflight] = useState(false);
   const [oscConnected, setOscConnected] = useState(false);
+  const [reconnectState, setReconnectState] = useState(null); // { attempt, nextAttemptAt } while reconnecting after a drop
   const [settings, setSettings] = useState({
     host: '127.0.0.1',
     port: 5250,
     oscPort: 6250,
+    serverName: 'Main',  // Display name of the server above on channel headers
+    servers: [],  // Additional server profiles: [{ id, name, host, port, oscPort }] - channels are assigned to one
     defaultImageDuration: 5,
     defaultMacroDuration: 5,  // Default duration for standalone macro items (seconds)
     previewQuality: 50,
@@ -78,10 +117,33 @@ export function AppProvider({ children }) {
     autoConnectPreviews: false,  // Auto-connect previews when loading rundowns
     // External API settings
     apiEnabled: false,
-    apiPort: 8088
+    apiPort: 8088,
+    apiKeys: [],       // [{ id, name, key, scope: 'read' | 'control', createdAt }] - required for /api/state, /api/command and /ws
+    apiAllowlist: '',  // Comma/newline separated IPs and CIDR ranges allowed to reach the API (empty = any)
+    webhooks: [],      // [{ id, name, url, secret, events: string[], enabled }] - POSTed playout events (empty events = all)
+    // OSC control input (TouchOSC, QLab, lighting desks) - /casparplayer/... addresses mapped to commands
+    oscControlEnabled: false,
+    oscControlPort: 8000,
+    oscControlAllowlist: '',  // IPs and CIDR ranges allowed to send control messages (empty = any)
+    oscFeedbackTargets: [],   // [{ id, name, host, port, enabled }] - receive layer tally/countdown messages
+    oscFeedbackRate: 10,      // Feedback updates per second
+    // Silence alarm - a channel with a playing layer and all audio levels below the threshold
+    silenceAlarmEnabled: true,
+    silenceThreshold: DEFAULT_SILENCE_THRESHOLD,  // dBFS
+    silenceAlarmDelay: DEFAULT_SILENCE_DELAY,     // Seconds of silence before the alarm
+    autoReconnect: true,  // Reconnect with backoff after the main server drops
+    // Backup server - every on-air command is mirrored to it
+    backupEnabled: false,
+    backupHost: '',
+    backupPort: 5250,
+    backupOscPort: 6251,
+    oscMaster: 'main'  // Which server's OSC drives timing and auto-advance: 'main' or 'backup'
   });
   const [rundowns, setRundowns] = useState([]);
   const [apiStatus, setApiStatus] = useState({ isRunning: false, port: null });
+  const [oscControlStatus, setOscControlStatus] = useState({ isRunning: false, port: null, error: null });
+  const [telemetry, setTelemetry] = useState({}); // Server telemetry from OSC, by channel (see services/oscTelemetry.js)
+  const [silenceAlarms, setSilenceAlarms] = useState({}); // { [channelId]: silentSince } for channels in silence alarm
   const oscListenerRef = useRef(null);
   const heartbeatIntervalRef = useRef(null);
   const imageTimersRef = useRef({}); // Track image auto-advance timers by channel-layer key
@@ -90,10 +152,24 @@ export function AppProvider({ children }) {
   const imageElapsedRef = useRef({}); // { [layerKey]: elapsedSeconds } for pause/resume
   const executeMacroRef = useRef(null); // Ref to store executeMacro for use in playItem
   const autoAdvanceProcessingRef = useRef({}); // { [layerKey]: boolean } - prevents concurrent auto-advance processing
+  const playItemRef = useRef(null); // Ref to store playItem for use in clock-scheduled starts
+  const preflightPendingRef = useRef(false); // Set by loadRundown - show the pre-flight report once media is checked
+  const prerolledStartRef = useRef({}); // { [layerKey]: itemId } - scheduled item loaded in background (LOADBG)
+  const armedSoftStartRef = useRef({}); // { [layerKey]: itemId } - soft start due, plays when current item ends
+  const scheduleHoldRef = useRef({}); // { [layerKey]: itemId } - auto-advance held until a soft start time
+  const serverConnectionsRef = useRef({}); // { [serverId]: CasparCG } - connected servers used to route channel commands
+  const activeCcgRef = useRef(null); // Current main connection - events from replaced connections are ignored
+  const lastConnectRef = useRef(null); // { host, port, oscPort, previewUrl } of the last successful connect
+  const reconnectRef = useRef({ timer: null, attempt: 0 }); // Backoff state while reconnecting
+  const connectToCasparRef = useRef(null); // Ref to store connectToCaspar for use in scheduled reconnects
+  const publishStateRef = useRef({ timer: null, getState: null }); // Throttled state publishing to the API and OSC feedback
+  const telemetryRef = useRef({ data: {}, dirty: false }); // Working telemetry, updated every OSC message and copied to state on an interval
+  const silenceRef = useRef({}); // Silence detector state by channel
 
   // Refs to track current state for the quit handler (avoids stale closure)
   const settingsRef = useRef(settings);
   const stateRef = useRef(state);
+  const connectionRef = useRef(connection); // Also read by running macros (connection conditions)
 
   // Keep refs updated when state changes
   useEffect(() => {
@@ -104,6 +180,10 @@ export function AppProvider({ children }) {
     stateRef.current = state;
   }, [state]);
 
+  useEffect(() => {
+    connectionRef.current = connection;
+  }, [connection]);
+
   // Load saved configuration
   useEffect(() => {
     loadConfig();
@@ -116,6 +196,20 @@ export function AppProvider({ children }) {
     const { ipcRenderer } = window.require('electron');
 
     const handleOscMessage = (event, message) => {
+      const source = message.server || MAIN_SERVER_ID;
+      // Main and backup both send OSC for the same channels - only the timing master drives playback state
+      if ((source === MAIN_SERVER_ID || source === 'backup') && source !== (settingsRef.current.oscMaster || MAIN_SERVER_ID)) return;
+
+      // Map the server's channel number back to the app channel assigned to it
+      const serverId = source === 'backup' ? MAIN_SERVER_ID : source;
+      if (message.parsed?.channel) {
+        const channelId = findChannelByRoute(stateRef.current.channels, serverId, message.parsed.channel);
+        if (channelId === null) return;
+        message = { ...message, parsed: { ...message.parsed, channel: channelId } };
+      }
+      if (applyTelemetryMessage(telemetryRef.current.data, message)) {
+        telemetryRef.current.dirty = true;
+      }
       processOscMessage(message, handleOscUpdate);
     };
 
@@ -127,42 +221,112 @@ export function AppProvider({ children }) {
     };
   }, []);
 
+  // Raise/clear silence alarms from the latest audio levels
+  const checkSilenceAlarms = useCallback((telemetryData) => {
+    const currentSettings = settingsRef.current;
+    const enabled = currentSettings.silenceAlarmEnabled !== false;
+    const options = {
+      threshold: currentSettings.silenceThreshold ?? DEFAULT_SILENCE_THRESHOLD,
+      delay: currentSettings.silenceAlarmDelay ?? DEFAULT_SILENCE_DELAY
+    };
+
+    stateRef.current.channels.forEach(ch => {
+      const result = checkSilence(silenceRef.current, {
+        channelId: ch.id,
+        isPlaying: enabled && ch.layers.some(l => l.isPlaying && !l.isPaused),
+        levels: telemetryData[ch.id]?.audio.levels || []
+      }, options);
+
+      if (result?.type === 'alarm') {
+        console.warn(`[Audio] Silence on ${ch.name}`);
+        setSilenceAlarms(prev => ({ ...prev, [ch.id]: result.silentSince }));
+        emitPlayoutEvent('audio.silence', {
+          channel: ch.id,
+          channelName: ch.name,
+          silentSince: new Date(result.silentSince).toISOString(),
+          threshold: options.threshold
+        });
+      } else if (result?.type === 'restored') {
+        setSilenceAlarms(prev => {
+          const { [ch.id]: _cleared, ...rest } = prev;
+          return rest;
+        });
+        emitPlayoutEvent('audio.restored', {
+          channel: ch.id,
+          channelName: ch.name,
+          silentFor: Math.round(result.silentFor * 10) / 10
+        });
+      }
+    });
+  }, []);
+
+  // Copy telemetry to state a few times a second - OSC sends it every frame, per layer
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const working = telemetryRef.current;
+      const pruned = pruneTelemetry(working.data);
+      checkSilenceAlarms(working.data);
+      if (!working.dirty && !pruned) return;
+      working.dirty = false;
+      setTelemetry(snapshotTelemetry(working.data));
+    }, 250);
+
+    return () => clearInterval(interval);
+  }, [checkSilenceAlarms]);
+
+  // Latest audio levels for the meters, read every animation frame without waiting for a state update
+  const getAudioLevels = useCallback((channelId) => {
+    return telemetryRef.current.data[channelId]?.audio.levels || [];
+  }, []);
+
   // Auto-advance to next item in playlist
   const autoAdvanceNext = useCallback((channelId, layerId) => {
+    const layerKey = `${channelId}-${layerId}`;
+
+    // A soft start that came due during the current item takes priority over the next item
+    const armedItemId = armedSoftStartRef.current[layerKey];
+    delete armedSoftStartRef.current[layerKey];
+
+    // Updaters run twice under StrictMode - the as-run close and webhook go out once, after setState
+    const currentLayer = stateRef.current.channels.find(ch => ch.id === channelId)?.layers.find(l => l.id === layerId);
+    const finished = !!getAutoAdvanceTarget(currentLayer, armedItemId)?.finished;
+
     setState(prev => {
       const channel = prev.channels.find(ch => ch.id === channelId);
       if (!channel) return prev;
 
       const layer = channel.layers.find(l => l.id === layerId);
-      if (!layer || !layer.playlistMode || layer.playlist.length === 0) return prev;
+      const target = getAutoAdvanceTarget(layer, armedItemId);
+      if (!target) return prev;
+
+      // End of playlist, stop - clear ALL playing flags
+      if (target.finished) {
+        return {
+          ...prev,
+          channels: prev.channels.map(ch => {
+            if (ch.id !== channelId) return ch;
+            return {
+              ...ch,
+              layers: ch.layers.map(l => {
+                if (l.id !== layerId) return l;
+                return {
+                  ...l,
+                  isPlaying: false,
+                  currentIndex: -1,
+                  playlist: l.playlist.map(item => ({ ...item, playing: false }))
+                };
+              })
+            };
+          })
+        };
+      }
 
-      let nextIndex = layer.currentIndex + 1;
+      const nextIndex = target.index;
 
-      // Check if we're at the end
-      if (nextIndex >= layer.playlist.length) {
-        if (layer.loopMode) {
-          nextIndex = 0; // Loop back to start
-        } else {
-          // End of playlist, stop - clear ALL playing flags
-          return {
-            ...prev,
-            channels: prev.channels.map(ch => {
-              if (ch.id !== channelId) return ch;
-              return {
-                ...ch,
-                layers: ch.layers.map(l => {
-                  if (l.id !== layerId) return l;
-                  return {
-                    ...l,
-                    isPlaying: false,
-                    currentIndex: -1,
-                    playlist: l.playlist.map(item => ({ ...item, playing: false }))
-                  };
-                })
-              };
-            })
-          };
-        }
+      // Soft start not reached yet - hold here until the clock scheduler starts it
+      if (!target.armed && isHeldBySchedule(layer.playlist[nextIndex], channel.channelFrameRate || 25)) {
+        scheduleHoldRef.current[layerKey] = layer.playlist[nextIndex].id;
+        return prev;
       }
 
       // Update currentIndex AND playing flags immediately (not just pendingAutoAdvance)
@@ -189,6 +353,15 @@ export function AppProvider({ children }) {
         })
       };
     });
+
+    if (finished) {
+      endAsRun(channelId, layerId);
+      emitPlayoutEvent('playlist.finished', {
+        channel: channelId,
+        layer: layerId,
+        itemCount: currentLayer.playlist.length
+      });
+    }
   }, []);
 
   // Replay the current item (for app-controlled looping)
@@ -251,6 +424,16 @@ export function AppProvider({ children }) {
       const currentItem = l && l.currentIndex >= 0 ? l.playlist[l.currentIndex] : null;
       const isVideoItem = currentItem && currentItem.type !== 'image' && currentItem.type !== 'macro';
 
+      // Attached macros run off the clip time - on the frame, and held while paused
+      if (type === 'time' && isVideoItem) {
+        tickMacroClock(layerKey, {
+          itemId: currentItem.id,
+          currentTime: update.currentTime,
+          inPoint: currentItem.inPoint || 0,
+          outPoint: currentItem.outPoint ?? effectiveTotalTime
+        });
+      }
+
       if (type === 'time' && effectiveTotalTime > 0 && isVideoItem) {
         const lastTime = lastTimeRef.current[layerKey];
         const timeRemaining = effectiveTotalTime - update.currentTime;
@@ -260,13 +443,14 @@ export function AppProvider({ children }) {
 
         if (isNearEnd && !lastTime?.completed) {
           lastTimeRef.current[layerKey] = { ...update, totalTime: effectiveTotalTime, completed: true };
+          endAsRun(channel, layer);
 
           // Check CURRENT mode values (allows mid-playback toggle)
           // App-controlled looping: replay current item if loopItem is enabled
           if (l && l.loopItem) {
             setTimeout(() => replayCurrentItem(channel, layer), 0);
-          } else if (l && l.playlistMode) {
-            // Auto-advance to next item in playlist
+          } else if (l && (l.playlistMode || armedSoftStartRef.current[layerKey])) {
+            // Auto-advance to next item in playlist (or to a soft start that came due)
             setTimeout(() => autoAdvanceNext(channel, layer), 0);
           }
         } else if (!isNearEnd) {
@@ -296,6 +480,18 @@ export function AppProvider({ children }) {
                       totalTime = l.totalTime || 0;
                     }
                   }
+                  // Clips added without metadata get their duration from OSC so playlist totals stay right
+                  const playingItem = l.currentIndex >= 0 ? l.playlist[l.currentIndex] : null;
+                  if (playingItem?.type === 'video' && !(playingItem.duration > 0) && update.totalTime > 0) {
+                    return {
+                      ...l,
+                      currentTime: update.currentTime,
+                      totalTime: totalTime,
+                      playlist: l.playlist.map((item, idx) =>
+                        idx === l.currentIndex ? { ...item, duration: update.totalTime } : item
+                      )
+                    };
+                  }
                   return {
                     ...l,
                     currentTime: update.currentTime,
@@ -342,6 +538,9 @@ export function AppProvider({ children }) {
     const { ipcRenderer } = window.require('electron');
 
     const handleBeforeQuit = async () => {
+      // Close anything still on air in the as-run log
+      endAllAsRun();
+
       // Use refs to get current values, not stale closure values
       const currentSettings = settingsRef.current;
       const currentState = stateRef.current;
@@ -359,40 +558,8 @@ export function AppProvider({ children }) {
 
       // Auto-save current rundown as LastSession, or delete it if empty
       if (currentState.channels.length > 0) {
-        // Inline the save logic to use current state from ref
-        const channelsToSave = currentState.channels.map(channel => ({
-          id: channel.id,
-          name: channel.name,
-          expanded: channel.expanded,
-          layers: channel.layers.map(layer => ({
-            id: layer.id,
-            name: layer.name,
-            playlist: layer.playlist.map(item => ({
-              id: item.id,
-              type: item.type,
-              name: item.name,
-              path: item.path,
-              relativePath: item.relativePath,
-              duration: item.duration,
-              resolution: item.resolution,
-              frameRate: item.frameRate,
-              inPointFrames: item.inPointFrames,
-              outPointFrames: item.outPointFrames,
-              inPoint: item.inPoint,
-              outPoint: item.outPoint,
-              // Macro fields
-              macroId: item.macroId || null,
-              startMacro: item.startMacro || null,
-              endMacro: item.endMacro || null,
-              metadata: item.metadata || null
-            })),
-            currentIndex: layer.currentIndex,
-            playlistMode: layer.playlistMode,
-            loopMode: layer.loopMode,
-            loopItem: layer.loopItem,
-            selectedItems: layer.selectedItems || []
-          }))
-        }));
+        // Use current state from ref
+        const channelsToSave = serializeRundownChannels(currentState.channels);
 
         const rundownData = {
           channels: channelsToSave,
@@ -443,22 +610,28 @@ export function AppProvider({ children }) {
     // Only start heartbeat if connected
     if (connection.isConnected && connection.casparCG) {
       heartbeatIntervalRef.current = setInterval(async () => {
+        const backupCcg = connection.backup?.casparCG;
+        if (backupCcg) {
+          checkServerHealth('backup', backupCcg);
+        }
+        Object.entries(connection.servers || {}).forEach(([serverId, server]) => {
+          if (server.casparCG) {
+            checkServerHealth(serverId, server.casparCG);
+          }
+        });
+
         try {
-          await connection.casparCG.info();
+          const result = await connection.casparCG.info();
+          if (result?.error) throw result.error;
+          if (result?.request) await result.request;
         } catch (error) {
           console.error('Heartbeat failed, connection lost:', error);
-          // Connection lost - update state
-          setConnection(prev => ({
-            ...prev,
-            isConnected: false,
-            casparCG: null,
-            serverInfo: null
-          }));
           // Clear heartbeat interval
           if (heartbeatIntervalRef.current) {
             clearInterval(heartbeatIntervalRef.current);
             heartbeatIntervalRef.current = null;
           }
+          handleConnectionLost(connection.casparCG);
         }
       }, 5000); // Check every 5 seconds
     }
@@ -469,7 +642,94 @@ export function AppProvider({ children }) {
         heartbeatIntervalRef.current = null;
       }
     };
-  }, [connection.isConnected, connection.casparCG]);
+  }, [connection.isConnected, connection.casparCG, connection.backup?.casparCG, connection.servers]);
+
+  // Try to connect again after a drop, backing off exponentially between attempts
+  const scheduleReconnect = useCallback(() => {
+    const reconnect = reconnectRef.current;
+    if (reconnect.timer || !lastConnectRef.current) return;
+
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** reconnect.attempt, RECONNECT_MAX_DELAY);
+    reconnect.attempt += 1;
+    setReconnectState({ attempt: reconnect.attempt, nextAttemptAt: Date.now() + delay });
+    console.log(`Reconnecting in ${delay / 1000}s (attempt ${reconnect.attempt})`);
+
+    reconnect.timer = setTimeout(() => {
+      reconnect.timer = null;
+      const { host, port, oscPort, previewUrl } = lastConnectRef.current;
+      connectToCasparRef.current?.(host, port, oscPort, previewUrl);
+    }, delay);
+  }, []);
+
+  const cancelReconnect = useCallback(() => {
+    clearTimeout(reconnectRef.current.timer);
+    reconnectRef.current = { timer: null, attempt: 0 };
+    setReconnectState(null);
+  }, []);
+
+  // The main server dropped (heartbeat, socket close or error) - mark disconnected and start reconnecting
+  // Layer state is left as it was so reconciliation can compare it with the server once back
+  const handleConnectionLost = useCallback((lostCcg) => {
+    if (!lostCcg || activeCcgRef.current !== lostCcg) return;
+    activeCcgRef.current = null;
+
+    setConnection(prev => ({
+      ...prev,
+      isConnected: false,
+      casparCG: null,
+      serverInfo: null
+    }));
+    emitPlayoutEvent('connection.lost', {
+      host: lastConnectRef.current?.host ?? null,
+      port: lastConnectRef.current?.port ?? null,
+      willReconnect: settingsRef.current.autoReconnect !== false
+    });
+
+    if (settingsRef.current.autoReconnect !== false) {
+      scheduleReconnect();
+    }
+  }, [scheduleReconnect]);
+
+  // Update the state of the backup ('backup') or an additional server, if it is still the same connection
+  const updateServerState = useCallback((serverId, ccg, changes) => {
+    setConnection(prev => {
+      const server = serverId === 'backup' ? prev.backup : prev.servers?.[serverId];
+      if (!server || server.casparCG !== ccg) return prev;
+      if (Object.keys(changes).every(key => server[key] === changes[key])) return prev;
+      if (server.isConnected && changes.isConnected === false) {
+        console.warn(`Server ${serverId} unavailable:`, changes.lastError);
+      }
+      return serverId === 'backup'
+        ? { ...prev, backup: { ...server, ...changes } }
+        : { ...prev, servers: { ...prev.servers, [serverId]: { ...server, ...changes } } };
+    });
+  }, []);
+
+  // Ping a secondary server and update its health without touching the main connection
+  const checkServerHealth = async (serverId, ccg) => {
+    try {
+      if (!ccg.connected) throw new Error('Not connected');
+      const result = await ccg.info();
+      if (result?.error) throw result.error;
+      if (result?.request) await result.request;
+      updateServerState(serverId, ccg, { isConnected: true, lastError: null });
+    } catch (error) {
+      updateServerState(serverId, ccg, { isConnected: false, lastError: error.message });
+    }
+  };
+
+  // Record a command that succeeded on one server but failed on the other
+  const reportDivergence = useCallback(({ command, failed, error }) => {
+    console.warn(`Server divergence: ${command} failed on ${failed} server:`, error);
+    setServerWarnings(prev => [
+      { id: uuidv4(), time: new Date().toISOString(), command, failed, error },
+      ...prev
+    ].slice(0, 50));
+  }, []);
+
+  const clearServerWarnings = useCallback(() => {
+    setServerWarnings([]);
+  }, []);
 
   // Interval-based time tracking for images and macros (since CasparCG doesn't send OSC time updates for these)
   useEffect(() => {
@@ -543,11 +803,15 @@ export function AppProvider({ children }) {
           autoAdvanceProcessingRef.current[layerKey] = false;
           return;
         }
+        const asRunSource = hasPendingReplay ? 'loop' : (nextItem.scheduledStart ? 'schedule' : 'auto-advance');
 
         try {
           // Reset completion tracking for replay/advance
           lastTimeRef.current[layerKey] = { completed: false };
 
+          // Playing with a clip replaces any scheduled background pre-roll
+          delete prerolledStartRef.current[layerKey];
+
           // Clear any existing image/macro timers
           if (imageTimersRef.current[layerKey]) {
             clearTimeout(imageTimersRef.current[layerKey]);
@@ -557,7 +821,7 @@ export function AppProvider({ children }) {
 
           // Handle macro items differently - they don't use casparCommands.play
           if (nextItem.type === 'macro' && nextItem.macroId) {
-            const macro = state.macros.find(m => m.id === nextItem.macroId);
+            const macro = findMacro(state.macros, nextItem.macroId);
             if (!macro) {
               console.warn('Macro not found for auto-advance:', nextItem.macroId);
               autoAdvanceProcessingRef.current[layerKey] = false;
@@ -588,6 +852,7 @@ export function AppProvider({ children }) {
                 };
               })
             }));
+            startAsRun(channel.id, layer.id, nextItem, asRunSource);
 
             // Execute the macro
             if (executeMacroRef.current) {
@@ -623,8 +888,10 @@ export function AppProvider({ children }) {
             await casparCommands.play(connection.casparCG, channel.id, layer.id, nextItem, {
               loop: false,
               inPoint: nextItem.inPoint,
-              outPoint: nextItem.outPoint
+              outPoint: nextItem.outPoint,
+              transition: resolveTransition(nextItem, layer)
             });
+            startAsRun(channel.id, layer.id, nextItem, asRunSource);
 
             // Set up image timing for auto-advanced/replayed items
             if (nextItem.type === 'image') {
@@ -683,13 +950,14 @@ export function AppProvider({ children }) {
             const freshLayer = freshChannel?.layers.find(l => l.id === layer.id);
             if (freshLayer?.playlistMode && !freshLayer?.loopItem && nextIndex < layer.playlist.length - 1 && nextItem.type !== 'image' && nextItem.type !== 'macro') {
               const bgItem = layer.playlist[nextIndex + 1];
-              // Don't try to loadBg macros
-              if (bgItem.type !== 'macro') {
+              // Don't try to loadBg macros, or items waiting for a soft start time
+              if (bgItem.type !== 'macro' && !isHeldBySchedule(bgItem, channel.channelFrameRate || 25)) {
                 await casparCommands.loadBg(connection.casparCG, channel.id, layer.id, bgItem, {
                   auto: true,
                   loop: false,
                   inPoint: bgItem.inPoint,
-                  outPoint: bgItem.outPoint
+                  outPoint: bgItem.outPoint,
+                  transition: resolveTransition(bgItem, freshLayer)
                 });
               }
             }
@@ -834,16 +1102,118 @@ export function AppProvider({ children }) {
     return updatedSettings;
   }, [settings, connection]);
 
+  // Choose which server's OSC drives timing (e.g. switch to the backup when the main is being taken off air)
+  const setOscMaster = useCallback(async (server) => {
+    await updateSettings({ oscMaster: server === 'backup' ? 'backup' : 'main' });
+  }, [updateSettings]);
+
   const loadMacros = async () => {
     const { ipcRenderer } = window.require('electron');
     const macros = await ipcRenderer.invoke('macro:list');
     setState(prev => ({ ...prev, macros }));
   };
 
+  // Find the connected server and server channel number for an app channel
+  const resolveChannelRoute = (channelId) => {
+    const channel = stateRef.current.channels.find(ch => ch.id === channelId) || { id: channelId };
+    const { serverId, casparChannel } = getChannelRoute(channel);
+    const casparCG = serverConnectionsRef.current[serverId];
+    if (!casparCG) {
+      const profile = (settingsRef.current.servers || []).find(server => server.id === serverId);
+      throw new Error(`${profile?.name || serverId} server is not connected`);
+    }
+    return { casparCG, channel: casparChannel };
+  };
+
+  // Fetch channel info (frame rate, resolution) with one INFO per server
+  const fetchChannelFormats = useCallback(async (channels) => {
+    const channelsByServer = {};
+    channels.forEach(channel => {
+      const { serverId, casparChannel } = getChannelRoute(channel);
+      (channelsByServer[serverId] = channelsByServer[serverId] || []).push({ id: channel.id, casparChannel });
+    });
+
+    for (const [serverId, serverChannels] of Object.entries(channelsByServer)) {
+      const casparCG = serverConnectionsRef.current[serverId];
+      if (!casparCG) continue;
+
+      try {
+        const infoData = await info(casparCG);  // Get all channels at once
+        for (const { id, casparChannel } of serverChannels) {
+          const channelInfo = parseChannelInfo(infoData, casparChannel);
+          if (channelInfo) {
+            console.log(`Channel ${id}: ${channelInfo.resolution} @ ${channelInfo.frameRate}fps`);
+            setState(prev => ({
+              ...prev,
+              channels: prev.channels.map(ch => ch.id === id
+                ? { ...ch, channelFrameRate: channelInfo.frameRate, channelResolution: channelInfo.resolution }
+                : ch
+              )
+            }));
+          }
+        }
+      } catch (error) {
+        console.warn(`Failed to fetch channel info (${serverId}):`, error);
+      }
+    }
+  }, []);
+
+  // Ask each server what is on air and restore layer playback state to match
+  // Layers playing something that is not in their playlist are left alone
+  const reconcileWithServer = useCallback(async () => {
+    const serverLayers = {}; // { [channelId]: [{ layer, foreground }] }
+
+    for (const channel of stateRef.current.channels) {
+      const { serverId, casparChannel } = getChannelRoute(channel);
+      const casparCG = serverConnectionsRef.current[serverId];
+      if (!casparCG) continue;
+
+      try {
+        const result = await casparCG.infoChannel({ channel: casparChannel });
+        if (result?.error) throw result.error;
+        const response = await result.request;
+        serverLayers[channel.id] = response?.data?.channel?.layers || [];
+      } catch (error) {
+        console.warn(`Reconcile: INFO for channel ${channel.id} failed:`, error);
+      }
+    }
+
+    setState(prev => ({
+      ...prev,
+      channels: prev.channels.map(ch => {
+        const reported = serverLayers[ch.id];
+        if (!reported) return ch;
+        return {
+          ...ch,
+          layers: ch.layers.map(l => {
+            const changes = reconcileLayer(l, reported.find(serverLayer => serverLayer.layer === l.id));
+            if (!changes) return l;
+
+            const onAir = changes.isPlaying || changes.isPaused;
+            const currentIndex = changes.currentIndex ?? l.currentIndex;
+            // Completion detection starts fresh from the reported position
+            delete lastTimeRef.current[`${ch.id}-${l.id}`];
+            return {
+              ...l,
+              ...changes,
+              currentIndex,
+              playlist: l.playlist.map((item, idx) => ({ ...item, playing: onAir && idx === currentIndex }))
+            };
+          })
+        };
+      })
+    }));
+  }, []);
+
   // CasparCG Connection
   const connectToCaspar = useCallback(async (host, port, oscPort, previewUrl = '') => {
     const { ipcRenderer } = window.require('electron');
 
+    // A manual connect replaces any pending reconnect attempt
+    clearTimeout(reconnectRef.current.timer);
+    reconnectRef.current.timer = null;
+    activeCcgRef.current = null;
+
     try {
       // Disconnect any existing connection first
       setConnection(prev => {
@@ -854,8 +1224,24 @@ export function AppProvider({ children }) {
             console.log('Error disconnecting previous connection:', e);
           }
         }
-        return { ...prev, isConnected: false, casparCG: null };
+        if (prev.backup?.casparCG) {
+          try {
+            prev.backup.casparCG.disconnect();
+          } catch (e) {
+            console.log('Error disconnecting previous backup connection:', e);
+          }
+        }
+        Object.values(prev.servers || {}).forEach(server => {
+          try {
+            server.casparCG?.disconnect();
+          } catch (e) {
+            console.log(`Error disconnecting previous ${server.name} connection:`, e);
+          }
+        });
+        return { ...prev, isConnected: false, casparCG: null, backup: null, servers: {} };
       });
+      serverConnectionsRef.current = {};
+      await ipcRenderer.invoke('osc:stop');
 
       const ccg = new CasparCG({
         host: host,
@@ -914,6 +1300,67 @@ export function AppProvider({ children }) {
         throw new Error('Failed to verify CasparCG connection: ' + versionErr.message);
       }
 
+      // Optional backup server - a failure here leaves the main connection up
+      const { backupEnabled, backupHost, backupPort, backupOscPort } = settingsRef.current;
+      let backup = null;
+      if (backupEnabled && backupHost) {
+        backup = {
+          isConnected: false,
+          host: backupHost,
+          port: parseInt(backupPort) || 5250,
+          oscPort: parseInt(backupOscPort) || 6251,
+          casparCG: null,
+          serverInfo: null,
+          lastError: null
+        };
+        try {
+          const backupConnection = await connectCasparServer(backup.host, backup.port);
+          backup = { ...backup, ...backupConnection, isConnected: true };
+          console.log('Connected to backup CasparCG:', backup.serverInfo);
+        } catch (backupErr) {
+          console.error('Backup server connection failed:', backupErr);
+          backup = { ...backup, lastError: backupErr.message };
+        }
+      }
+
+      // Additional servers - channels assigned to an unreachable server fail, the rest keep working
+      const servers = {};
+      for (const profile of settingsRef.current.servers || []) {
+        if (!profile.id || !profile.host) continue;
+        let server = {
+          isConnected: false,
+          name: profile.name || profile.host,
+          host: profile.host,
+          port: parseInt(profile.port) || 5250,
+          oscPort: parseInt(profile.oscPort) || null,
+          casparCG: null,
+          serverInfo: null,
+          lastError: null
+        };
+        try {
+          const serverConnection = await connectCasparServer(server.host, server.port);
+          server = { ...server, ...serverConnection, isConnected: true };
+          console.log(`Connected to ${server.name}:`, server.serverInfo);
+        } catch (serverErr) {
+          console.error(`${server.name} connection failed:`, serverErr);
+          server = { ...server, lastError: serverErr.message };
+        }
+        servers[profile.id] = server;
+      }
+
+      // With a backup, every on-air command goes through the mirrored connection
+      const mainCcg = backup?.casparCG
+        ? createMirroredConnection(ccg, backup.casparCG, { onDivergence: reportDivergence })
+        : ccg;
+
+      serverConnectionsRef.current = { [MAIN_SERVER_ID]: mainCcg };
+      Object.entries(servers).forEach(([serverId, server]) => {
+        if (server.casparCG) serverConnectionsRef.current[serverId] = server.casparCG;
+      });
+
+      // Channel commands are routed to the server each channel is assigned to
+      const activeCcg = createRoutedConnection(mainCcg, resolveChannelRoute);
+
       setConnection(prev => ({
         ...prev,
         isConnected: true,
@@ -921,39 +1368,48 @@ export function AppProvider({ children }) {
         port: parseInt(port),
         oscPort: parseInt(oscPort),
         previewUrl: previewUrl || '',
-        casparCG: ccg,
-        serverInfo
+        casparCG: activeCcg,
+        serverInfo,
+        backup,
+        servers
       }));
 
+      activeCcgRef.current = activeCcg;
+      lastConnectRef.current = { host, port, oscPort, previewUrl };
+      if (reconnectRef.current.attempt > 0) {
+        console.log(`Reconnected to CasparCG after ${reconnectRef.current.attempt} attempt(s)`);
+        emitPlayoutEvent('connection.restored', { host, port: parseInt(port), attempts: reconnectRef.current.attempt });
+      }
+      cancelReconnect();
+
       // Now set up listeners AFTER successful connection
+      // handleConnectionLost ignores events from a connection that has since been replaced
       ccg.on('disconnect', () => {
         console.log('CasparCG disconnected');
-        setConnection(prev => ({
-          ...prev,
-          isConnected: false,
-          casparCG: null,
-          serverInfo: null
-        }));
+        handleConnectionLost(activeCcg);
       });
 
       ccg.on('error', (err) => {
         console.error('CasparCG connection error:', err);
-        // Check if this is still our active connection before disconnecting
-        setConnection(prev => {
-          if (prev.casparCG === ccg) {
-            return {
-              ...prev,
-              isConnected: false,
-              casparCG: null,
-              serverInfo: null
-            };
-          }
-          return prev;
+        handleConnectionLost(activeCcg);
+      });
+
+      // Secondary servers only mark themselves down - the heartbeat brings them back
+      const secondaryServers = { backup, ...servers };
+      Object.entries(secondaryServers).forEach(([serverId, server]) => {
+        const serverCcg = server?.casparCG;
+        if (!serverCcg) return;
+        serverCcg.on('disconnect', () => {
+          updateServerState(serverId, serverCcg, { isConnected: false, lastError: 'Disconnected' });
+        });
+        serverCcg.on('error', (err) => {
+          console.error(`CasparCG connection error (${serverId}):`, err);
+          updateServerState(serverId, serverCcg, { isConnected: false, lastError: err.message });
         });
       });
 
       // Start OSC server
-      const oscResult = await ipcRenderer.invoke('osc:start', parseInt(oscPort));
+      const oscResult = await ipcRenderer.invoke('osc:start', parseInt(oscPort), 'main');
       if (oscResult.success) {
         setOscConnected(true);
         console.log('OSC Server started on port', oscPort);
@@ -961,6 +1417,15 @@ export function AppProvider({ children }) {
         console.warn('Failed to start OSC server:', oscResult.error);
       }
 
+      // Every other server sends its OSC to its own port, tagged with its server id
+      for (const [serverId, server] of Object.entries(secondaryServers)) {
+        if (!server?.oscPort) continue;
+        const serverOscResult = await ipcRenderer.invoke('osc:start', server.oscPort, serverId);
+        if (!serverOscResult.success) {
+          console.warn(`Failed to start OSC server for ${serverId}:`, serverOscResult.error);
+        }
+      }
+
       console.log('Connected to CasparCG:', serverInfo);
 
       // Auto-refresh CasparCG media list, thumbnails, and channel frame rates after connection
@@ -990,26 +1455,10 @@ export function AppProvider({ children }) {
         }
 
         // Fetch channel info (frame rate, resolution) for all existing channels
-        try {
-          const currentChannels = stateRef.current.channels;
-          const infoData = await info(ccg);  // Get all channels at once
+        await fetchChannelFormats(stateRef.current.channels);
 
-          for (const channel of currentChannels) {
-            const channelInfo = parseChannelInfo(infoData, channel.id);
-            if (channelInfo) {
-              console.log(`Channel ${channel.id}: ${channelInfo.resolution} @ ${channelInfo.frameRate}fps`);
-              setState(prev => ({
-                ...prev,
-                channels: prev.channels.map(ch => ch.id === channel.id
-                  ? { ...ch, channelFrameRate: channelInfo.frameRate, channelResolution: channelInfo.resolution }
-                  : ch
-                )
-              }));
-            }
-          }
-        } catch (error) {
-          console.warn('Failed to fetch channel info:', error);
-        }
+        // Pick up whatever is on air (after a drop or an app restart)
+        await reconcileWithServer();
       }, 500);
 
       return true;
@@ -1020,18 +1469,40 @@ export function AppProvider({ children }) {
         isConnected: false,
         casparCG: null
       }));
+
+      // Still recovering from a drop - keep trying
+      if (reconnectRef.current.attempt > 0) {
+        scheduleReconnect();
+      }
       return false;
     }
-  }, []);
+  }, [reportDivergence, updateServerState, cancelReconnect, scheduleReconnect, handleConnectionLost, reconcileWithServer]);
+
+  // Keep connectToCasparRef updated for scheduled reconnects
+  useEffect(() => {
+    connectToCasparRef.current = connectToCaspar;
+  }, [connectToCaspar]);
 
   const disconnect = useCallback(async () => {
     const { ipcRenderer } = window.require('electron');
 
+    // A manual disconnect stops any reconnect attempts
+    activeCcgRef.current = null;
+    cancelReconnect();
+
     if (connection.casparCG) {
       connection.casparCG.disconnect();
     }
+    if (connection.backup?.casparCG) {
+      connection.backup.casparCG.disconnect();
+    }
+    Object.values(connection.servers || {}).forEach(server => {
+      server.casparCG?.disconnect();
+    });
+    serverConnectionsRef.current = {};
+    endAllAsRun();
 
-    // Stop OSC server
+    // Stop OSC servers (all servers)
     await ipcRenderer.invoke('osc:stop');
     setOscConnected(false);
 
@@ -1039,9 +1510,11 @@ export function AppProvider({ children }) {
       ...prev,
       isConnected: false,
       casparCG: null,
-      serverInfo: null
+      serverInfo: null,
+      backup: null,
+      servers: {}
     }));
-  }, [connection.casparCG]);
+  }, [connection.casparCG, connection.backup, connection.servers, cancelReconnect]);
 
   // Channel Management
   const addChannel = useCallback(async () => {
@@ -1063,24 +1536,9 @@ export function AppProvider({ children }) {
 
     // Fetch channel info if connected to CasparCG
     if (connection.casparCG && connection.isConnected) {
-      try {
-        const infoData = await info(connection.casparCG);
-        const channelInfo = parseChannelInfo(infoData, newChannelId);
-        if (channelInfo) {
-          console.log(`Channel ${newChannelId}: ${channelInfo.resolution} @ ${channelInfo.frameRate}fps`);
-          setState(prev => ({
-            ...prev,
-            channels: prev.channels.map(ch => ch.id === newChannelId
-              ? { ...ch, channelFrameRate: channelInfo.frameRate, channelResolution: channelInfo.resolution }
-              : ch
-            )
-          }));
-        }
-      } catch (error) {
-        console.warn(`Failed to fetch info for channel ${newChannelId}:`, error);
-      }
+      await fetchChannelFormats([newChannel]);
     }
-  }, [state.channels, settings.autoConnectPreviews, connection.casparCG, connection.isConnected]);
+  }, [state.channels, settings.autoConnectPreviews, connection.casparCG, connection.isConnected, fetchChannelFormats]);
 
   const deleteChannel = useCallback((channelId) => {
     setState(prev => ({
@@ -1113,6 +1571,9 @@ export function AppProvider({ children }) {
     playlistMode: false,
     loopMode: false,
     loopItem: false,
+    defaultTransition: createDefaultTransition(),  // Used by items without their own transition
+    targetEndTime: null,    // Optional "HH:MM:SS:FF" time of day the playlist should end (back-timing)
+    mixer: createDefaultMixer(),  // Last MIXER values sent to CasparCG (runtime, not saved)
     currentTime: 0,
     totalTime: 0,
     isPlaying: false,
@@ -1178,9 +1639,10 @@ export function AppProvider({ children }) {
   }, []);
 
   // Playlist Management
-  const addMediaToPlaylist = useCallback(async (channelId, layerId, mediaFile) => {
-    // Compute relative path from media root
-    const relativePath = computeRelativePath(mediaFile.path, state.media.rootPath);
+  // index = position to insert at (null = end of playlist). Returns the new item
+  const addMediaToPlaylist = useCallback(async (channelId, layerId, mediaFile, index = null) => {
+    // Compute relative path from media root (API clients may give the CasparCG clip name directly)
+    const relativePath = mediaFile.relativePath || computeRelativePath(mediaFile.path, state.media.rootPath);
 
     // Determine media type from file extension or metadata
     let fileType = mediaFile.type || getFileType(mediaFile.name);
@@ -1198,7 +1660,9 @@ export function AppProvider({ children }) {
     }
     // First, check CasparCG media list for metadata (most accurate source)
     else {
-      const casparClip = findCasparMetadata(mediaFile.path, state.media.rootPath, state.casparMedia.list);
+      const casparClip = mediaFile.path
+        ? findCasparMetadata(mediaFile.path, state.media.rootPath, state.casparMedia.list)
+        : state.casparMedia.list.find(clip => (clip.clip || '').replace(/\\/g, '/').toLowerCase() === (relativePath || '').toLowerCase());
       if (casparClip) {
         const casparMeta = convertClipInfoToMetadata(casparClip);
         if (casparMeta) {
@@ -1237,8 +1701,12 @@ export function AppProvider({ children }) {
       // Macro-specific fields
       macroId: mediaFile.macroId || null,
       // Macro attachments (for non-macro items)
-      startMacro: null,  // { macroId, offset: { hours, minutes, seconds, frames, negative } }
-      endMacro: null,    // { macroId, offset: { hours, minutes, seconds, frames, negative } }
+      startMacro: null,  // { macroId, offset: { hours, minutes, seconds, frames, negative }, args? }
+      endMacro: null,    // { macroId, offset: { hours, minutes, seconds, frames, negative }, args? }
+      // Transition into this item (null = use layer default)
+      transition: null,  // { type, duration (frames), tween, direction }
+      // Wall-clock start time (null = not scheduled)
+      scheduledStart: null,  // { time: 'HH:MM:SS:FF', mode: 'hard' | 'soft' }
       // Metadata (for macro color, etc.)
       metadata: mediaFile.metadata || null
     };
@@ -1251,9 +1719,20 @@ export function AppProvider({ children }) {
             ...ch,
             layers: ch.layers.map(layer => {
               if (layer.id === layerId) {
+                if (index === null || index >= layer.playlist.length) {
+                  return {
+                    ...layer,
+                    playlist: [...layer.playlist, playlistItem]
+                  };
+                }
+                // Inserting before the current item keeps the same item current
+                const insertAt = Math.max(0, index);
+                const playlist = [...layer.playlist];
+                playlist.splice(insertAt, 0, playlistItem);
                 return {
                   ...layer,
-                  playlist: [...layer.playlist, playlistItem]
+                  playlist,
+                  currentIndex: layer.currentIndex >= insertAt ? layer.currentIndex + 1 : layer.currentIndex
                 };
               }
               return layer;
@@ -1263,6 +1742,8 @@ export function AppProvider({ children }) {
         return ch;
       })
     }));
+
+    return playlistItem;
   }, [state.media.rootPath, state.casparMedia.list, state.channels, settings.defaultImageDuration, settings.defaultMacroDuration, computeRelativePath]);
 
   // Helper to determine file type from filename
@@ -1306,6 +1787,37 @@ export function AppProvider({ children }) {
     }));
   }, []);
 
+  // Assign a channel to a server (null = main) and a channel number on that server (null = same as the channel id)
+  const setChannelServer = useCallback(async (channelId, serverId, serverChannel = null) => {
+    const channel = state.channels.find(ch => ch.id === channelId);
+    if (!channel) return;
+
+    const assignment = {
+      serverId: serverId && serverId !== MAIN_SERVER_ID ? serverId : null,
+      serverChannel: parseInt(serverChannel) || null,
+      channelFrameRate: null,
+      channelResolution: null
+    };
+    setState(prev => ({
+      ...prev,
+      channels: prev.channels.map(ch => ch.id === channelId ? { ...ch, ...assignment } : ch)
+    }));
+
+    // Re-read the format from the newly assigned server
+    if (connection.isConnected) {
+      await fetchChannelFormats([{ ...channel, ...assignment }]);
+    }
+  }, [state.channels, connection.isConnected, fetchChannelFormats]);
+
+  // Get the server connection and server channel number for an app channel (custom AMCP such as ADD STREAM)
+  const getChannelConnection = useCallback((channelId) => {
+    try {
+      return resolveChannelRoute(channelId);
+    } catch (error) {
+      return null;
+    }
+  }, []);
+
   // Rename layer
   const renameLayer = useCallback((channelId, layerId, newName) => {
     setState(prev => ({
@@ -1508,7 +2020,7 @@ export function AppProvider({ children }) {
   }, []);
 
   // Attach a macro to a playlist item (start or end position)
-  const attachMacroToItem = useCallback((channelId, layerId, itemId, macroId, position, offset = null) => {
+  const attachMacroToItem = useCallback((channelId, layerId, itemId, macroId, position, offset = null, args = null) => {
     setState(prev => ({
       ...prev,
       channels: prev.channels.map(ch => {
@@ -1523,7 +2035,8 @@ export function AppProvider({ children }) {
                     if (item.id === itemId) {
                       const macroAttachment = {
                         macroId,
-                        offset: offset || createDefaultOffset()
+                        offset: offset || createDefaultOffset(),
+                        ...(args && Object.keys(args).length > 0 ? { args } : {})
                       };
                       if (position === 'start') {
                         return { ...item, startMacro: macroAttachment };
@@ -1610,8 +2123,8 @@ export function AppProvider({ children }) {
     }));
   }, []);
 
-  // Select playlist items (for multi-select)
-  const selectPlaylistItems = useCallback((channelId, layerId, itemIds, mode = 'replace') => {
+  // Update the transition for a playlist item (null = use layer default)
+  const updateItemTransition = useCallback((channelId, layerId, itemId, transition) => {
     setState(prev => ({
       ...prev,
       channels: prev.channels.map(ch => {
@@ -1620,25 +2133,119 @@ export function AppProvider({ children }) {
             ...ch,
             layers: ch.layers.map(layer => {
               if (layer.id === layerId) {
-                let newSelectedItems;
-                if (mode === 'replace') {
-                  newSelectedItems = itemIds;
-                } else if (mode === 'toggle') {
-                  // Toggle selection of specified items
-                  newSelectedItems = [...layer.selectedItems];
-                  itemIds.forEach(id => {
-                    const index = newSelectedItems.indexOf(id);
-                    if (index >= 0) {
-                      newSelectedItems.splice(index, 1);
-                    } else {
-                      newSelectedItems.push(id);
+                return {
+                  ...layer,
+                  playlist: layer.playlist.map(item => {
+                    if (item.id === itemId) {
+                      return { ...item, transition };
                     }
-                  });
-                } else if (mode === 'add') {
-                  newSelectedItems = [...new Set([...layer.selectedItems, ...itemIds])];
-                }
-                return { ...layer, selectedItems: newSelectedItems };
-              }
+                    return item;
+                  })
+                };
+              }
+              return layer;
+            })
+          };
+        }
+        return ch;
+      })
+    }));
+  }, []);
+
+  // Set or clear the wall-clock start time for a playlist item
+  const updateItemScheduledStart = useCallback((channelId, layerId, itemId, scheduledStart) => {
+    setState(prev => ({
+      ...prev,
+      channels: prev.channels.map(ch => {
+        if (ch.id === channelId) {
+          return {
+            ...ch,
+            layers: ch.layers.map(layer => {
+              if (layer.id === layerId) {
+                return {
+                  ...layer,
+                  playlist: layer.playlist.map(item => {
+                    if (item.id === itemId) {
+                      return { ...item, scheduledStart };
+                    }
+                    return item;
+                  })
+                };
+              }
+              return layer;
+            })
+          };
+        }
+        return ch;
+      })
+    }));
+  }, []);
+
+  // Update the default transition for a layer
+  const updateLayerDefaultTransition = useCallback((channelId, layerId, transition) => {
+    setState(prev => ({
+      ...prev,
+      channels: prev.channels.map(ch => {
+        if (ch.id === channelId) {
+          return {
+            ...ch,
+            layers: ch.layers.map(layer =>
+              layer.id === layerId ? { ...layer, defaultTransition: transition } : layer
+            )
+          };
+        }
+        return ch;
+      })
+    }));
+  }, []);
+
+  // Update a layer's target end time (null = no back-timing)
+  const updateLayerTargetEndTime = useCallback((channelId, layerId, targetEndTime) => {
+    setState(prev => ({
+      ...prev,
+      channels: prev.channels.map(ch => {
+        if (ch.id === channelId) {
+          return {
+            ...ch,
+            layers: ch.layers.map(layer =>
+              layer.id === layerId ? { ...layer, targetEndTime } : layer
+            )
+          };
+        }
+        return ch;
+      })
+    }));
+  }, []);
+
+  // Select playlist items (for multi-select)
+  const selectPlaylistItems = useCallback((channelId, layerId, itemIds, mode = 'replace') => {
+    setState(prev => ({
+      ...prev,
+      channels: prev.channels.map(ch => {
+        if (ch.id === channelId) {
+          return {
+            ...ch,
+            layers: ch.layers.map(layer => {
+              if (layer.id === layerId) {
+                let newSelectedItems;
+                if (mode === 'replace') {
+                  newSelectedItems = itemIds;
+                } else if (mode === 'toggle') {
+                  // Toggle selection of specified items
+                  newSelectedItems = [...layer.selectedItems];
+                  itemIds.forEach(id => {
+                    const index = newSelectedItems.indexOf(id);
+                    if (index >= 0) {
+                      newSelectedItems.splice(index, 1);
+                    } else {
+                      newSelectedItems.push(id);
+                    }
+                  });
+                } else if (mode === 'add') {
+                  newSelectedItems = [...new Set([...layer.selectedItems, ...itemIds])];
+                }
+                return { ...layer, selectedItems: newSelectedItems };
+              }
               return layer;
             })
           };
@@ -1943,11 +2550,12 @@ export function AppProvider({ children }) {
 
   // Helper to get macro by ID
   const getMacroById = useCallback((macroId) => {
-    return state.macros.find(m => m.id === macroId);
+    return findMacro(state.macros, macroId);
   }, [state.macros]);
 
   // Play item on CasparCG
-  const playItem = useCallback(async (channelId, layerId, itemIndex = null) => {
+  // options.preloaded: item is already loaded in the background (scheduled pre-roll), just take it
+  const playItem = useCallback(async (channelId, layerId, itemIndex = null, options = {}) => {
     const channel = state.channels.find(ch => ch.id === channelId);
     if (!channel) return false;
 
@@ -1964,6 +2572,15 @@ export function AppProvider({ children }) {
     // Cancel any previously scheduled macros for this item
     cancelScheduledMacro(item.id);
 
+    // Playing anything releases a schedule hold; a background pre-roll only survives its own take
+    delete scheduleHoldRef.current[layerKey];
+    if (!options.preloaded) {
+      delete prerolledStartRef.current[layerKey];
+    }
+    if (armedSoftStartRef.current[layerKey] === item.id) {
+      delete armedSoftStartRef.current[layerKey];
+    }
+
     // Handle standalone macro items
     if (item.type === 'macro' && item.macroId) {
       const macro = getMacroById(item.macroId);
@@ -2000,6 +2617,7 @@ export function AppProvider({ children }) {
           return ch;
         })
       }));
+      startAsRun(channelId, layerId, item, options.source || 'manual');
 
       // Execute the macro using executeMacroRef (has full appContext)
       try {
@@ -2052,19 +2670,22 @@ export function AppProvider({ children }) {
       // Handle startMacro attachment
       let playDelay = 0;
       // Use executeMacroRef for full appContext (avoids circular dependency)
-      const runMacroFn = async (macro) => {
+      const runMacroFn = async (macro, args) => {
         if (executeMacroRef.current) {
-          return await executeMacroRef.current(macro);
+          return await executeMacroRef.current(macro, { args });
         }
         console.warn('executeMacro not yet initialized');
         return { success: false, error: 'Not initialized' };
       };
+      // Clips report their time over OSC, so their macros follow the layer clock (images use timers)
+      const macroClock = item.type === 'image' ? null : { layerKey };
       if (item.startMacro) {
         const result = scheduleStartMacro(
           item,
           runMacroFn,
           getMacroById,
-          channelFrameRate
+          channelFrameRate,
+          macroClock
         );
         if (result.shouldDelayPlay) {
           playDelay = result.delayMs;
@@ -2073,13 +2694,21 @@ export function AppProvider({ children }) {
 
       // Function to actually play the item
       const doPlay = async () => {
-        // Pass item object so formatClipPath can use relativePath
-        // Never pass loop: true to CasparCG - app controls looping via pendingReplay
-        await casparCommands.play(connection.casparCG, channelId, layerId, item, {
-          loop: false,
-          inPoint: item.inPoint,
-          outPoint: item.outPoint
-        });
+        if (options.preloaded) {
+          // PLAY without clip takes the background loaded by LOADBG (transition was set there)
+          delete prerolledStartRef.current[layerKey];
+          await casparCommands.play(connection.casparCG, channelId, layerId);
+        } else {
+          // Pass item object so formatClipPath can use relativePath
+          // Never pass loop: true to CasparCG - app controls looping via pendingReplay
+          await casparCommands.play(connection.casparCG, channelId, layerId, item, {
+            loop: false,
+            inPoint: item.inPoint,
+            outPoint: item.outPoint,
+            transition: resolveTransition(item, layer)
+          });
+        }
+        startAsRun(channelId, layerId, item, options.source || 'manual');
 
         // Update state to reflect playing
         setState(prev => ({
@@ -2111,13 +2740,14 @@ export function AppProvider({ children }) {
         }));
 
         // Schedule endMacro if attached
-        if (item.endMacro && item.duration > 0) {
+        if (item.endMacro && (item.duration > 0 || macroClock)) {
           scheduleEndMacro(
             item,
             item.duration,
             runMacroFn,
             getMacroById,
-            channelFrameRate
+            channelFrameRate,
+            macroClock
           );
         }
       };
@@ -2166,12 +2796,13 @@ export function AppProvider({ children }) {
       // Only preload if not looping current item (check current mode value)
       if (layer.playlistMode && !layer.loopItem && index < layer.playlist.length - 1 && item.type !== 'image' && item.type !== 'macro') {
         const nextItem = layer.playlist[index + 1];
-        if (nextItem.type !== 'macro') {
+        if (nextItem.type !== 'macro' && !isHeldBySchedule(nextItem, channelFrameRate)) {
           await casparCommands.loadBg(connection.casparCG, channelId, layerId, nextItem, {
             auto: true,
             loop: false,
             inPoint: nextItem.inPoint,
-            outPoint: nextItem.outPoint
+            outPoint: nextItem.outPoint,
+            transition: resolveTransition(nextItem, layer)
           });
         }
       }
@@ -2183,6 +2814,125 @@ export function AppProvider({ children }) {
     }
   }, [connection.casparCG, connection.isConnected, state.channels, state.macros, autoAdvanceNext, replayCurrentItem, getMacroById]);
 
+  // Keep playItemRef updated for clock-scheduled starts
+  useEffect(() => {
+    playItemRef.current = playItem;
+  }, [playItem]);
+
+  // Wall-clock scheduled starts - re-armed whenever scheduled items change
+  const scheduleSignature = state.channels.map(ch =>
+    ch.layers.map(l =>
+      l.playlist
+        .filter(item => item.scheduledStart)
+        .map(item => `${ch.id}-${l.id}-${item.id}-${item.scheduledStart.time}-${item.scheduledStart.mode}-${ch.channelFrameRate}`)
+        .join(',')
+    ).join(';')
+  ).join('|');
+
+  useEffect(() => {
+    if (!connection.casparCG || !connection.isConnected) return;
+
+    const findScheduledItem = (channelId, layerId, itemId) => {
+      const channel = stateRef.current.channels.find(c => c.id === channelId);
+      const layer = channel?.layers.find(l => l.id === layerId);
+      const index = layer ? layer.playlist.findIndex(item => item.id === itemId) : -1;
+      if (index < 0 || !layer.playlist[index].scheduledStart) return null;
+      return { layer, index, item: layer.playlist[index] };
+    };
+
+    // Idle = stopped, finished, or holding for a soft start
+    const isLayerIdle = (layer, layerKey) => {
+      if (!layer.isPlaying || scheduleHoldRef.current[layerKey]) return true;
+      return !layer.isPaused && layer.totalTime > 0 && layer.currentTime >= layer.totalTime - 0.1;
+    };
+
+    // LOADBG the clip ahead of its start time so the take is instant
+    const prerollScheduledItem = async (channelId, layerId, itemId) => {
+      const found = findScheduledItem(channelId, layerId, itemId);
+      if (!found || found.item.type === 'macro') return;
+
+      const { layer, item } = found;
+      const layerKey = `${channelId}-${layerId}`;
+
+      // Soft starts only pre-roll onto an idle layer - otherwise they follow the current item
+      if (item.scheduledStart.mode === 'soft' && !isLayerIdle(layer, layerKey)) return;
+
+      try {
+        await casparCommands.loadBg(connection.casparCG, channelId, layerId, item, {
+          auto: false,
+          loop: false,
+          inPoint: item.inPoint,
+          outPoint: item.outPoint,
+          transition: resolveTransition(item, layer)
+        });
+        prerolledStartRef.current[layerKey] = itemId;
+      } catch (error) {
+        console.error('Scheduled pre-roll failed:', error);
+      }
+    };
+
+    const startScheduledItem = async (channelId, layerId, itemId) => {
+      const found = findScheduledItem(channelId, layerId, itemId);
+      if (!found) return;
+
+      const { layer, index, item } = found;
+      const layerKey = `${channelId}-${layerId}`;
+
+      // Already on air (reached by a take or auto-advance)
+      if (layer.isPlaying && layer.currentIndex === index) return;
+
+      if (item.scheduledStart.mode === 'soft' && !isLayerIdle(layer, layerKey)) {
+        // Play as soon as the current item finishes
+        armedSoftStartRef.current[layerKey] = itemId;
+        if (item.type !== 'macro') {
+          try {
+            // Replace any preloaded next item so CasparCG takes this one at the end
+            await casparCommands.loadBg(connection.casparCG, channelId, layerId, item, {
+              auto: true,
+              loop: false,
+              inPoint: item.inPoint,
+              outPoint: item.outPoint,
+              transition: resolveTransition(item, layer)
+            });
+          } catch (error) {
+            console.error('Soft start LOADBG failed:', error);
+          }
+        }
+        return;
+      }
+
+      if (playItemRef.current) {
+        await playItemRef.current(channelId, layerId, index, {
+          preloaded: prerolledStartRef.current[layerKey] === itemId,
+          source: 'schedule'
+        });
+      }
+    };
+
+    const scheduledIds = [];
+    state.channels.forEach(channel => {
+      channel.layers.forEach(layer => {
+        layer.playlist.forEach(item => {
+          if (!item.scheduledStart) return;
+          const startTime = getScheduledStartTime(item.scheduledStart, channel.channelFrameRate || 25);
+          const scheduled = scheduleClockStart(
+            item.id,
+            startTime,
+            () => prerollScheduledItem(channel.id, layer.id, item.id),
+            () => startScheduledItem(channel.id, layer.id, item.id)
+          );
+          if (scheduled) {
+            scheduledIds.push(item.id);
+          }
+        });
+      });
+    });
+
+    return () => {
+      scheduledIds.forEach(id => cancelClockStart(id));
+    };
+  }, [scheduleSignature, connection.casparCG, connection.isConnected]);
+
   // Pause playback
   const pausePlayback = useCallback(async (channelId, layerId) => {
     if (!connection.casparCG || !connection.isConnected) return false;
@@ -2296,7 +3046,7 @@ export function AppProvider({ children }) {
   }, [connection.casparCG, connection.isConnected, state.channels, autoAdvanceNext]);
 
   // Toggle play/pause/resume - mimics UI play button behavior
-  const playPauseResume = useCallback(async (channelId, layerId, itemIndex = null) => {
+  const playPauseResume = useCallback(async (channelId, layerId, itemIndex = null, options = {}) => {
     const channel = state.channels.find(ch => ch.id === channelId);
     const layer = channel?.layers.find(l => l.id === layerId);
 
@@ -2333,7 +3083,7 @@ export function AppProvider({ children }) {
       }
     }
 
-    return await playItem(channelId, layerId, index);
+    return await playItem(channelId, layerId, index, options);
   }, [state.channels, pausePlayback, resumePlayback, playItem]);
 
   // Stop playback
@@ -2345,6 +3095,7 @@ export function AppProvider({ children }) {
 
     try {
       await casparCommands.stop(connection.casparCG, channelId, layerId);
+      endAsRun(channelId, layerId);
 
       setState(prev => ({
         ...prev,
@@ -2381,8 +3132,58 @@ export function AppProvider({ children }) {
     }
   }, [connection.casparCG, connection.isConnected, clearImageTimer]);
 
+  // Update a layer's mixer state without sending anything to CasparCG
+  const updateLayerMixerState = useCallback((channelId, layerId, changes) => {
+    setState(prev => ({
+      ...prev,
+      channels: prev.channels.map(ch => {
+        if (ch.id === channelId) {
+          return {
+            ...ch,
+            layers: ch.layers.map(l => {
+              if (l.id === layerId) {
+                return { ...l, mixer: { ...(l.mixer || createDefaultMixer()), ...changes } };
+              }
+              return l;
+            })
+          };
+        }
+        return ch;
+      })
+    }));
+  }, []);
+
+  // Send a MIXER command for a layer and remember the value
+  // options: { duration (frames), tween, defer }
+  const setLayerMixer = useCallback(async (channelId, layerId, property, value, options = {}) => {
+    if (!connection.casparCG || !connection.isConnected) return false;
+
+    try {
+      await casparCommands.setMixerProperty(connection.casparCG, channelId, layerId, property, value, options);
+      updateLayerMixerState(channelId, layerId, { [property]: value });
+      return true;
+    } catch (error) {
+      console.error('Failed to set mixer', property, ':', error);
+      return false;
+    }
+  }, [connection.casparCG, connection.isConnected, updateLayerMixerState]);
+
+  // MIXER CLEAR - reset all mixer values on a layer
+  const clearLayerMixer = useCallback(async (channelId, layerId) => {
+    if (!connection.casparCG || !connection.isConnected) return false;
+
+    try {
+      await casparCommands.mixerClear(connection.casparCG, channelId, layerId);
+      updateLayerMixerState(channelId, layerId, createDefaultMixer());
+      return true;
+    } catch (error) {
+      console.error('Failed to clear mixer:', error);
+      return false;
+    }
+  }, [connection.casparCG, connection.isConnected, updateLayerMixerState]);
+
   // Go to next item
-  const nextItem = useCallback(async (channelId, layerId) => {
+  const nextItem = useCallback(async (channelId, layerId, options = {}) => {
     const channel = state.channels.find(ch => ch.id === channelId);
     if (!channel) return;
 
@@ -2398,11 +3199,11 @@ export function AppProvider({ children }) {
       }
     }
 
-    await playItem(channelId, layerId, nextIndex);
+    await playItem(channelId, layerId, nextIndex, options);
   }, [state.channels, playItem]);
 
   // Go to previous item
-  const prevItem = useCallback(async (channelId, layerId) => {
+  const prevItem = useCallback(async (channelId, layerId, options = {}) => {
     const channel = state.channels.find(ch => ch.id === channelId);
     if (!channel) return;
 
@@ -2418,7 +3219,7 @@ export function AppProvider({ children }) {
       }
     }
 
-    await playItem(channelId, layerId, prevIndex);
+    await playItem(channelId, layerId, prevIndex, options);
   }, [state.channels, playItem]);
 
   // Expand/collapse channel
@@ -2505,6 +3306,173 @@ export function AppProvider({ children }) {
     }
   }, [connection.casparCG, connection.isConnected]);
 
+  // ==================== Media Pre-flight ====================
+
+  // Only re-validate when media references change, not on every OSC time update
+  const mediaSignature = state.channels.map(ch =>
+    ch.layers.map(l =>
+      l.playlist.map(item => `${item.id}:${item.type}:${item.relativePath}:${item.duration}:${item.frameRate}`).join(',')
+    ).join(';')
+  ).join('|');
+
+  // Missing/mismatched items keyed by item ID, checked against the local media tree and the CLS list
+  const preflightIssues = useMemo(
+    () => validateChannels(state.channels, state.media.tree, state.casparMedia.list),
+    [mediaSignature, state.media.tree, state.casparMedia.list]
+  );
+
+  // Open the pre-flight report after a rundown load if anything will fail on take
+  useEffect(() => {
+    if (!preflightPendingRef.current) return;
+    if (state.media.tree.length === 0 && state.casparMedia.list.length === 0) return; // Nothing to check against yet
+    preflightPendingRef.current = false;
+
+    if (Object.values(preflightIssues).some(issue => issue.status !== 'warning')) {
+      setShowPreflight(true);
+    }
+  }, [preflightIssues]);
+
+  // Re-scan the media folder and refresh CLS, then show the pre-flight report
+  const runPreflightCheck = useCallback(async () => {
+    const { ipcRenderer } = window.require('electron');
+
+    if (state.media.rootPath) {
+      const result = await ipcRenderer.invoke('media:scanFolder', state.media.rootPath);
+      if (result.success) {
+        setMediaRoot(state.media.rootPath, result.tree);
+      }
+    }
+    if (connection.casparCG && connection.isConnected) {
+      await refreshCasparMedia();
+    }
+    setShowPreflight(true);
+  }, [state.media.rootPath, connection.casparCG, connection.isConnected, setMediaRoot, refreshCasparMedia]);
+
+  // Point items at new media - relinks: [{ itemId, relativePath, path, clip }]
+  // Duration/frame rate are refreshed from the CLS clip when there is one
+  const relinkItems = useCallback((relinks) => {
+    const byItemId = new Map(relinks.map(relink => [relink.itemId, relink]));
+
+    setState(prev => ({
+      ...prev,
+      channels: prev.channels.map(ch => ({
+        ...ch,
+        layers: ch.layers.map(layer => ({
+          ...layer,
+          playlist: layer.playlist.map(item => {
+            const relink = byItemId.get(item.id);
+            if (!relink) return item;
+
+            const updated = {
+              ...item,
+              relativePath: relink.relativePath,
+              path: relink.path || item.path,
+              name: relink.path ? relink.path.replace(/\\/g, '/').split('/').pop() : item.name
+            };
+            const clipMeta = relink.clip ? convertClipInfoToMetadata(relink.clip) : null;
+            if (clipMeta && item.type === 'video') {
+              updated.duration = clipMeta.duration || item.duration;
+              updated.frameRate = clipMeta.frameRate || item.frameRate;
+            }
+            return updated;
+          })
+        }))
+      }))
+    }));
+  }, []);
+
+  // Relink items to the only clip with the same file name (local tree or CLS)
+  const relinkByFilename = useCallback((itemIds) => {
+    const localIndex = indexMediaTree(state.media.tree);
+    const casparIndex = indexCasparMedia(state.casparMedia.list);
+    const summary = { relinked: 0, ambiguous: 0, notFound: 0 };
+    const relinks = [];
+
+    state.channels.forEach(ch => ch.layers.forEach(layer => layer.playlist.forEach(item => {
+      if (!itemIds.includes(item.id)) return;
+      const candidates = findRelinkCandidates(item, localIndex, casparIndex)
+        .filter(candidate => candidate.relativePath.toLowerCase() !== (item.relativePath || '').toLowerCase());
+
+      if (candidates.length === 1) {
+        relinks.push({ itemId: item.id, ...candidates[0] });
+        summary.relinked++;
+      } else if (candidates.length > 1) {
+        summary.ambiguous++;
+      } else {
+        summary.notFound++;
+      }
+    })));
+
+    if (relinks.length > 0) relinkItems(relinks);
+    return summary;
+  }, [state.channels, state.media.tree, state.casparMedia.list, relinkItems]);
+
+  // Relink items to files with the same name found in a folder the user picks
+  const relinkFromFolder = useCallback(async (itemIds) => {
+    const { ipcRenderer } = window.require('electron');
+    const folderPath = await ipcRenderer.invoke('media:selectFolder');
+    if (!folderPath) return null;
+
+    const result = await ipcRenderer.invoke('media:scanFolder', folderPath);
+    if (!result.success) {
+      return { relinked: 0, ambiguous: 0, notFound: itemIds.length, error: result.error };
+    }
+
+    const folderIndex = indexMediaTree(result.tree);
+    const casparIndex = indexCasparMedia(state.casparMedia.list);
+    const summary = { relinked: 0, ambiguous: 0, notFound: 0, outsideMediaRoot: 0 };
+    const relinks = [];
+
+    state.channels.forEach(ch => ch.layers.forEach(layer => layer.playlist.forEach(item => {
+      if (!itemIds.includes(item.id)) return;
+      const baseName = (item.relativePath || item.name.replace(/\.[^.]+$/, '')).replace(/\\/g, '/').split('/').pop().toLowerCase();
+      const matches = folderIndex.byName.get(baseName) || [];
+
+      if (matches.length === 0) {
+        summary.notFound++;
+        return;
+      }
+      if (matches.length > 1) {
+        summary.ambiguous++;
+        return;
+      }
+
+      // CasparCG plays clips relative to its media folder
+      const relativePath = computeRelativePath(matches[0].path, state.media.rootPath);
+      if (!relativePath) {
+        summary.outsideMediaRoot++;
+        return;
+      }
+      relinks.push({
+        itemId: item.id,
+        relativePath,
+        path: matches[0].path,
+        clip: casparIndex.clips.get(relativePath.toLowerCase()) || null
+      });
+      summary.relinked++;
+    })));
+
+    if (relinks.length > 0) relinkItems(relinks);
+    return summary;
+  }, [state.channels, state.media.rootPath, state.casparMedia.list, computeRelativePath, relinkItems]);
+
+  // Take duration/frame rate from the server clip for items whose media changed
+  const acceptServerMetadata = useCallback((itemIds) => {
+    const casparIndex = indexCasparMedia(state.casparMedia.list);
+    const relinks = [];
+
+    state.channels.forEach(ch => ch.layers.forEach(layer => layer.playlist.forEach(item => {
+      if (!itemIds.includes(item.id) || !item.relativePath) return;
+      const clip = casparIndex.clips.get(item.relativePath.replace(/\\/g, '/').toLowerCase());
+      if (clip) {
+        relinks.push({ itemId: item.id, relativePath: item.relativePath, path: null, clip });
+      }
+    })));
+
+    if (relinks.length > 0) relinkItems(relinks);
+    return relinks.length;
+  }, [state.channels, state.casparMedia.list, relinkItems]);
+
   // Track failed thumbnail attempts to avoid retry storms
   const failedThumbnailsRef = useRef(new Set());
   // Cache of available thumbnails from THUMBNAIL LIST
@@ -2719,44 +3687,147 @@ export function AppProvider({ children }) {
     }));
   }, []);
 
-  const executeMacro = useCallback(async (macro) => {
+  // Export macros to a bundle file
+  const exportMacros = useCallback(async (macroIds, name) => {
+    const { ipcRenderer } = window.require('electron');
+    const macros = state.macros.filter(m => macroIds.includes(m.id));
+    if (macros.length === 0) {
+      return { success: false, error: 'No macros selected' };
+    }
+    const result = await ipcRenderer.invoke('macro:export', name, exportMacroBundle(macros));
+    return result.success ? { ...result, count: macros.length } : result;
+  }, [state.macros]);
+
+  // Pick a bundle file and match it against the local macros - nothing is saved until importMacros
+  const readMacroBundle = useCallback(async () => {
+    const { ipcRenderer } = window.require('electron');
+    const result = await ipcRenderer.invoke('macro:import');
+    if (!result.success) return result;
+
+    try {
+      const bundle = parseMacroBundle(result.content);
+      return {
+        success: true,
+        name: result.name,
+        plan: planMacroImport(bundle.macros, stateRef.current.macros),
+        skipped: bundle.skipped
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  // Save a planned import, resolutions: { [bundle macro id]: 'rename' | 'overwrite' | 'skip' }
+  const importMacros = useCallback(async (plan, resolutions = {}) => {
+    const { ipcRenderer } = window.require('electron');
+    const { save, imported, skipped } = resolveMacroImport(plan, resolutions, stateRef.current.macros, uuidv4);
+
+    for (const macro of save) {
+      const saved = await ipcRenderer.invoke('macro:save', macro.id, macro);
+      if (!saved) {
+        return { success: false, error: `Could not save macro "${macro.name}"` };
+      }
+    }
+
+    const saved = new Map(save.map(macro => [macro.id, macro]));
+    setState(prev => ({
+      ...prev,
+      macros: [
+        ...prev.macros.map(m => saved.get(m.id) || m),
+        ...save.filter(macro => !prev.macros.some(m => m.id === macro.id))
+      ]
+    }));
+
+    return { success: true, imported, skipped };
+  }, []);
+
+  // options: { args } parameter values, { callStack } macros that called this one (set for nested calls),
+  // { dryRun } record what the macro would do without doing it, { beforeStep } step-through hook (see macroExecutor)
+  const executeMacro = useCallback(async (macro, options = {}) => {
     // Check if macro has any client commands
     const hasClientCommands = macro.commands?.some(cmd => cmd.type?.startsWith('CLIENT_'));
 
-    // Only require connection for non-client-only macros
-    if (!hasClientCommands && (!connection.casparCG || !connection.isConnected)) {
+    // Only require connection for non-client-only macros (a dry run sends nothing)
+    if (!options.dryRun && !hasClientCommands && (!connection.casparCG || !connection.isConnected)) {
       console.warn('Cannot execute macro: Not connected to CasparCG');
       return { success: false, error: 'Not connected' };
     }
 
     try {
+      const callStack = options.callStack || [];
+
       // Create app context object for client commands
+      // Transport commands started by a macro are logged with source 'macro'
       const appContext = {
         // Transport commands
-        playItem,
+        playItem: (channelId, layerId, itemIndex = null) => playItem(channelId, layerId, itemIndex, { source: 'macro' }),
         pausePlayback,
         resumePlayback,
-        playPauseResume,
+        playPauseResume: (channelId, layerId, itemIndex = null) => playPauseResume(channelId, layerId, itemIndex, { source: 'macro' }),
         stopPlayback,
-        nextItem,
-        prevItem,
+        nextItem: (channelId, layerId) => nextItem(channelId, layerId, { source: 'macro' }),
+        prevItem: (channelId, layerId) => prevItem(channelId, layerId, { source: 'macro' }),
         // Client commands
         togglePlaylistMode,
         toggleLoopMode,
         toggleLoopItem,
         addChannel,
         addLayer,
-        loadRundown
+        loadRundown,
+        // Mixer commands
+        setLayerMixer,
+        clearLayerMixer,
+        // Macros called from this one (the executor stops loops using callStack)
+        executeMacro: (macroId, args, callOptions = {}) => {
+          const called = findMacro(stateRef.current.macros, macroId);
+          if (!called) throw new Error(`Macro not found: ${macroId}`);
+          return executeMacroRef.current(called, {
+            args,
+            dryRun: callOptions.dryRun,
+            callStack: [...callStack, { id: macro.id, name: macro.name }]
+          });
+        }
       };
 
-      const result = await runMacro(macro, connection.casparCG, { appContext });
+      // Conditions read the latest state while the macro runs, not the state it started with
+      const getState = () => ({ state: stateRef.current, isConnected: connectionRef.current.isConnected });
+      const result = await runMacro(macro, connection.casparCG, {
+        appContext,
+        getState,
+        args: options.args,
+        callStack,
+        dryRun: options.dryRun,
+        beforeStep: options.beforeStep
+      });
+      // Dry runs didn't go to air - keep them out of the as-run log and webhooks
+      if (options.dryRun) return result;
       console.log('Macro executed:', result);
+      const ranCount = result?.results?.length || 0;
+      const failedStep = result?.results?.find(step => !step.success);
+      let details = `${macro.commands?.length || 0} commands`;
+      if (result?.stopped) {
+        details = `Stopped after ${ranCount} step${ranCount !== 1 ? 's' : ''}`;
+      } else if (result?.success === false) {
+        details = `Failed: ${failedStep?.error ?? failedStep?.result?.error ?? result?.error ?? 'unknown error'}`;
+      }
+      logAsRunEvent({
+        type: 'macro',
+        source: 'macro',
+        name: macro.name,
+        details
+      });
+      emitPlayoutEvent('macro.executed', {
+        macroId: macro.id,
+        name: macro.name,
+        success: result?.success !== false,
+        commandCount: macro.commands?.length || 0
+      });
       return result;
     } catch (error) {
       console.error('Macro execution failed:', error);
       return { success: false, error: error.message };
     }
-  }, [connection.casparCG, connection.isConnected, playItem, pausePlayback, resumePlayback, playPauseResume, stopPlayback, nextItem, prevItem, togglePlaylistMode, toggleLoopMode, toggleLoopItem, addChannel, addLayer]);
+  }, [connection.casparCG, connection.isConnected, playItem, pausePlayback, resumePlayback, playPauseResume, stopPlayback, nextItem, prevItem, togglePlaylistMode, toggleLoopMode, toggleLoopItem, addChannel, addLayer, setLayerMixer, clearLayerMixer]);
 
   // Keep executeMacroRef updated for use in playItem (avoids circular dependency)
   useEffect(() => {
@@ -2776,43 +3847,7 @@ export function AppProvider({ children }) {
     const { ipcRenderer } = window.require('electron');
 
     // Strip runtime state from channels/layers - only save configuration
-    const channelsToSave = state.channels.map(channel => ({
-      id: channel.id,
-      name: channel.name,
-      expanded: channel.expanded,
-      layers: channel.layers.map(layer => ({
-        id: layer.id,
-        name: layer.name,
-        playlist: layer.playlist.map(item => ({
-          // Save playlist item configuration
-          id: item.id,
-          type: item.type,
-          name: item.name,
-          path: item.path,
-          relativePath: item.relativePath,
-          duration: item.duration,
-          resolution: item.resolution,
-          frameRate: item.frameRate,
-          inPointFrames: item.inPointFrames,
-          outPointFrames: item.outPointFrames,
-          inPoint: item.inPoint,
-          outPoint: item.outPoint,
-          // Macro-specific fields
-          macroId: item.macroId || null,
-          startMacro: item.startMacro || null,
-          endMacro: item.endMacro || null,
-          metadata: item.metadata || null
-          // NOT saving: selected, playing - these are runtime state
-        })),
-        currentIndex: layer.currentIndex,
-        playlistMode: layer.playlistMode,
-        loopMode: layer.loopMode,
-        loopItem: layer.loopItem,
-        selectedItems: layer.selectedItems || []
-        // NOT saving: isPlaying, isPaused, currentTime, totalTime, currentFrame, totalFrames
-        // These are runtime state from CasparCG via OSC
-      }))
-    }));
+    const channelsToSave = serializeRundownChannels(state.channels);
 
     const rundownData = {
       channels: channelsToSave,
@@ -2827,72 +3862,110 @@ export function AppProvider({ children }) {
     return result;
   }, [state.channels, state.ui]);
 
-  // Load rundown: Loads channel/layer configuration, initializes all layers as stopped
+  // Apply rundown data (saved or imported): initializes all layers as stopped
   // Playing state will only come from CasparCG via OSC - user must manually trigger playback
+  const applyRundown = useCallback(async (data) => {
+    // Initialize runtime state for all loaded channels/layers
+    const channelsWithState = (data.channels || []).map(channel => ({
+      ...channel,
+      layers: channel.layers.map(layer => ({
+        ...layer,
+        // Initialize runtime state to stopped
+        isPlaying: false,
+        isPaused: false,
+        currentTime: 0,
+        totalTime: 0,
+        currentFrame: 0,
+        totalFrames: 0,
+        deletedItems: layer.deletedItems || [],
+        // Initialize playlist items as not playing/selected
+        playlist: layer.playlist.map(item => ({
+          ...item,
+          selected: false,
+          playing: false
+        }))
+      }))
+    }));
+
+    preflightPendingRef.current = true;
+    setState(prev => ({
+      ...prev,
+      channels: channelsWithState,
+      ui: {
+        ...prev.ui,
+        ...data.ui
+      },
+      // Trigger auto-connect for ALL channels if setting enabled
+      autoConnectTrigger: settings.autoConnectPreviews ? (prev.autoConnectTrigger || 0) + 1 : prev.autoConnectTrigger,
+      autoConnectChannelId: settings.autoConnectPreviews ? 'all' : null
+    }));
+
+    // Fetch channel info for all loaded channels if connected to CasparCG
+    if (connection.casparCG && connection.isConnected) {
+      await fetchChannelFormats(channelsWithState);
+    }
+  }, [settings.autoConnectPreviews, connection.casparCG, connection.isConnected, fetchChannelFormats]);
+
   const loadRundown = useCallback(async (name) => {
     const { ipcRenderer } = window.require('electron');
     const result = await ipcRenderer.invoke('rundown:load', name);
     if (result.success && result.data) {
-      // Initialize runtime state for all loaded channels/layers
-      const channelsWithState = (result.data.channels || []).map(channel => ({
-        ...channel,
-        layers: channel.layers.map(layer => ({
-          ...layer,
-          // Initialize runtime state to stopped
-          isPlaying: false,
-          isPaused: false,
-          currentTime: 0,
-          totalTime: 0,
-          currentFrame: 0,
-          totalFrames: 0,
-          deletedItems: layer.deletedItems || [],
-          // Initialize playlist items as not playing/selected
-          playlist: layer.playlist.map(item => ({
-            ...item,
-            selected: false,
-            playing: false
-          }))
-        }))
-      }));
+      await applyRundown(result.data);
+      emitPlayoutEvent('rundown.loaded', { name, source: 'saved', channelCount: result.data.channels?.length || 0 });
+      return { success: true };
+    }
+    return result;
+  }, [applyRundown]);
 
-      setState(prev => ({
-        ...prev,
-        channels: channelsWithState,
-        ui: {
-          ...prev.ui,
-          ...result.data.ui
-        },
-        // Trigger auto-connect for ALL channels if setting enabled
-        autoConnectTrigger: settings.autoConnectPreviews ? (prev.autoConnectTrigger || 0) + 1 : prev.autoConnectTrigger,
-        autoConnectChannelId: settings.autoConnectPreviews ? 'all' : null
-      }));
+  // Export the current channels as JSON, CSV or CasparCG Client XML
+  // Returns the mapping report of anything the format can't hold
+  const exportRundownFile = useCallback(async (format, name) => {
+    const { ipcRenderer } = window.require('electron');
+    const serverNames = { [MAIN_SERVER_ID]: settings.serverName || 'Main' };
+    (settings.servers || []).forEach(server => {
+      serverNames[server.id] = server.name;
+    });
 
-      // Fetch channel info for all loaded channels if connected to CasparCG
-      if (connection.casparCG && connection.isConnected) {
-        try {
-          const infoData = await info(connection.casparCG);
-          for (const channel of channelsWithState) {
-            const channelInfo = parseChannelInfo(infoData, channel.id);
-            if (channelInfo) {
-              console.log(`Channel ${channel.id}: ${channelInfo.resolution} @ ${channelInfo.frameRate}fps`);
-              setState(prev => ({
-                ...prev,
-                channels: prev.channels.map(ch => ch.id === channel.id
-                  ? { ...ch, channelFrameRate: channelInfo.frameRate, channelResolution: channelInfo.resolution }
-                  : ch
-                )
-              }));
-            }
-          }
-        } catch (error) {
-          console.warn('Failed to fetch channel info:', error);
-        }
-      }
+    const { content, report } = exportRundown(state.channels, format, { name, serverNames });
+    const result = await ipcRenderer.invoke('rundown:export', name, format, content);
+    return result.success ? { ...result, report } : result;
+  }, [state.channels, settings.serverName, settings.servers]);
 
-      return { success: true };
+  // Import a rundown file (format picked by extension) and replace the current channels
+  const importRundownFile = useCallback(async () => {
+    const { ipcRenderer } = window.require('electron');
+    const result = await ipcRenderer.invoke('rundown:import');
+    if (!result.success) return result;
+
+    const format = detectRundownFormat(result.filePath);
+    if (!format) {
+      return { success: false, error: 'Unsupported file type - use .json, .csv or .xml' };
     }
-    return result;
-  }, [settings.autoConnectPreviews, connection.casparCG, connection.isConnected]);
+
+    // CasparCG Client device names are matched to server names
+    const serverIds = { [(settings.serverName || 'Main').toLowerCase()]: MAIN_SERVER_ID };
+    (settings.servers || []).forEach(server => {
+      if (server.name) serverIds[server.name.toLowerCase()] = server.id;
+    });
+
+    let imported;
+    try {
+      imported = importRundown(result.content, format, {
+        macros: state.macros,
+        serverIds,
+        defaultImageDuration: settings.defaultImageDuration
+      });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    if (imported.channels.length === 0) {
+      return { success: false, error: 'No items could be imported', report: imported.report };
+    }
+
+    await applyRundown({ channels: imported.channels, ui: { expandedChannel: null } });
+    emitPlayoutEvent('rundown.loaded', { name: result.name, source: `import:${format}`, channelCount: imported.channels.length });
+    return { success: true, name: result.name, report: imported.report };
+  }, [state.macros, settings.serverName, settings.servers, settings.defaultImageDuration, applyRundown]);
 
   const deleteRundown = useCallback(async (name) => {
     const { ipcRenderer } = window.require('electron');
@@ -2918,17 +3991,61 @@ export function AppProvider({ children }) {
 
   // ==================== External API Integration ====================
 
+  // Name of the item that plays after the current one, following the playlist loop setting
+  const getNextItemName = (layer) => {
+    const length = layer.playlist?.length || 0;
+    if (length === 0) return null;
+    const nextIndex = layer.currentIndex + 1 < length ? layer.currentIndex + 1 : (layer.loopMode ? 0 : -1);
+    return nextIndex >= 0 ? layer.playlist[nextIndex].name : null;
+  };
+
+  // Playlist totals and back-timing for API consumers (seconds / ISO times)
+  const getApiTiming = (layer, channelFrameRate) => {
+    const timing = calculatePlaylistTiming(layer, channelFrameRate);
+    // The current item honours its in/out points, like the playlist totals
+    const item = layer.currentIndex >= 0 ? layer.playlist?.[layer.currentIndex] : null;
+    const itemDuration = getEffectiveDuration(item);
+    return {
+      total: timing.total,
+      elapsed: timing.elapsed,
+      remaining: timing.remaining,
+      itemDuration,
+      itemRemaining: item ? Math.max(0, itemDuration - getItemElapsed(item, layer.currentTime)) : 0,
+      projectedEnd: new Date(timing.projectedEnd).toISOString(),
+      targetEndTime: layer.targetEndTime || null,
+      overUnder: timing.overUnder
+    };
+  };
+
   // Get state formatted for API consumers
   const getStateForApi = useCallback(() => ({
     connection: {
       isConnected: connection.isConnected,
       host: connection.host,
       port: connection.port,
-      serverVersion: connection.serverInfo?.version
+      serverVersion: connection.serverInfo?.version,
+      backup: connection.backup ? {
+        isConnected: connection.backup.isConnected,
+        host: connection.backup.host,
+        port: connection.backup.port,
+        serverVersion: connection.backup.serverInfo?.version
+      } : null,
+      oscMaster: settings.oscMaster || 'main',
+      servers: Object.entries(connection.servers || {}).map(([id, server]) => ({
+        id,
+        name: server.name,
+        isConnected: server.isConnected,
+        host: server.host,
+        port: server.port,
+        serverVersion: server.serverInfo?.version
+      }))
     },
     channels: state.channels.map(ch => ({
       id: ch.id,
       name: ch.name,
+      server: getChannelRoute(ch).serverId,
+      serverChannel: getChannelRoute(ch).casparChannel,
+      telemetry: getApiTelemetry(telemetry[ch.id]),
       layers: ch.layers.map(l => ({
         id: l.id,
         casparLayer: l.casparLayer,
@@ -2941,18 +4058,24 @@ export function AppProvider({ children }) {
         currentTime: l.currentTime,
         duration: l.totalTime,
         playlistLength: l.playlist?.length || 0,
-        currentItem: l.playlist?.[l.currentIndex]?.name || null
+        currentItem: l.playlist?.[l.currentIndex]?.name || null,
+        nextItem: getNextItemName(l),
+        mixer: l.mixer || createDefaultMixer(),
+        timing: getApiTiming(l, ch.channelFrameRate || 25)
       }))
     })),
     macros: state.macros?.map(m => ({ id: m.id, name: m.name })) || [],
     rundowns: rundowns?.map(r => ({ id: r.id, name: r.name })) || []
-  }), [connection, state.channels, state.macros, rundowns]);
+  }), [connection, settings.oscMaster, state.channels, state.macros, rundowns, telemetry]);
 
   // Start API server
   const startApiServer = useCallback(async (port) => {
     const { ipcRenderer } = window.require('electron');
     try {
-      const result = await ipcRenderer.invoke('api:start', port || settings.apiPort);
+      const result = await ipcRenderer.invoke('api:start', port || settings.apiPort, {
+        keys: settings.apiKeys || [],
+        allowlist: settings.apiAllowlist || ''
+      }, getCommandList());
       if (result.success) {
         setApiStatus({ isRunning: true, port: result.port });
       }
@@ -2961,7 +4084,7 @@ export function AppProvider({ children }) {
       console.error('Failed to start API server:', error);
       return { success: false, error: error.message };
     }
-  }, [settings.apiPort]);
+  }, [settings.apiPort, settings.apiKeys, settings.apiAllowlist]);
 
   // Stop API server
   const stopApiServer = useCallback(async () => {
@@ -2976,20 +4099,21 @@ export function AppProvider({ children }) {
     }
   }, []);
 
-  // API command and state request listeners
+  // API and OSC control command and state request listeners
   useEffect(() => {
     const { ipcRenderer } = window.require('electron');
 
     // Build command context with all available app functions
-    const getCommandContext = () => ({
+    // source ('api' or 'osc') is what the as-run log records for transport commands
+    const getCommandContext = (source = 'api') => ({
       appContext: {
-        playItem,
+        playItem: (channelId, layerId, itemIndex = null) => playItem(channelId, layerId, itemIndex, { source }),
         pausePlayback,
         resumePlayback,
-        playPauseResume,
+        playPauseResume: (channelId, layerId, itemIndex = null) => playPauseResume(channelId, layerId, itemIndex, { source }),
         stopPlayback,
-        nextItem,
-        prevItem,
+        nextItem: (channelId, layerId) => nextItem(channelId, layerId, { source }),
+        prevItem: (channelId, layerId) => prevItem(channelId, layerId, { source }),
         togglePlaylistMode,
         toggleLoopMode,
         toggleLoopItem,
@@ -3000,7 +4124,27 @@ export function AppProvider({ children }) {
         addLayer,
         deleteChannel,
         deleteLayer,
-        executeMacro
+        // Commands refer to macros by id
+        executeMacro: (macroId, args) => {
+          const macro = findMacro(state.macros, macroId);
+          if (!macro) throw new Error(`Macro not found: ${macroId}`);
+          return executeMacro(macro, { args });
+        },
+        setLayerMixer,
+        clearLayerMixer,
+        // Playlist editing (REST resources)
+        renameChannel,
+        renameLayer,
+        updateLayerDefaultTransition,
+        addMediaToPlaylist,
+        removePlaylistItem,
+        reorderPlaylistItems,
+        updateItemDuration,
+        updateItemInOutPoints,
+        updateItemTransition,
+        updateItemScheduledStart,
+        attachMacroToItem,
+        removeMacroFromItem
       },
       casparCG: connection.casparCG,
       state
@@ -3010,10 +4154,23 @@ export function AppProvider({ children }) {
     const handleApiCommand = async (event, { command, params, requestId }) => {
       try {
         const result = await executeUnifiedCommand(command, params, getCommandContext());
+        // Only commands that went through belong in the as-run log
+        if (result.success !== false) {
+          logAsRunEvent({
+            type: 'command',
+            source: 'api',
+            name: command,
+            channel: params?.channel ?? null,
+            layer: params?.layer ?? null,
+            details: params ? JSON.stringify(params) : ''
+          });
+        }
         ipcRenderer.send('api:command-response', {
           requestId,
           success: result.success !== false,
-          result
+          result,
+          error: result.error,
+          errors: result.errors
         });
       } catch (error) {
         console.error('API command failed:', command, error);
@@ -3025,6 +4182,54 @@ export function AppProvider({ children }) {
       }
     };
 
+    // Handle REST resource requests (/api/channels/...)
+    const handleResourceApiRequest = async (event, { method, path, body, requestId }) => {
+      let response;
+      try {
+        response = await handleResourceRequest({ method, path, body }, getCommandContext());
+      } catch (error) {
+        console.error('API resource request failed:', method, path, error);
+        response = { status: 500, body: { success: false, error: error.message } };
+      }
+      if (method !== 'GET' && response.status < 300) {
+        logAsRunEvent({
+          type: 'command',
+          source: 'api',
+          name: `${method} ${path}`,
+          details: body ? JSON.stringify(body) : ''
+        });
+      }
+      ipcRenderer.send('api:resource-response', { requestId, ...response });
+    };
+
+    // Handle OSC control messages - nobody waits for an answer, so failures are only logged
+    const handleOscControlMessage = async (event, { address, args, source }) => {
+      const mapped = mapOscControlMessage(address, args);
+      if (!mapped || mapped.ignored) return;
+      if (mapped.error) {
+        console.warn(`OSC control from ${source.address}: ${mapped.error}`);
+        return;
+      }
+
+      try {
+        const result = await executeUnifiedCommand(mapped.command, mapped.params, getCommandContext('osc'));
+        if (result.success === false) {
+          console.warn(`OSC control ${address} failed:`, result.error, result.errors || '');
+          return;
+        }
+        logAsRunEvent({
+          type: 'command',
+          source: 'osc',
+          name: mapped.command,
+          channel: mapped.params.channel ?? null,
+          layer: mapped.params.layer ?? null,
+          details: address
+        });
+      } catch (error) {
+        console.error('OSC control command failed:', address, error);
+      }
+    };
+
     // Handle state requests from API
     const handleStateRequest = (event, { requestId }) => {
       ipcRenderer.send('api:state-response', {
@@ -3034,32 +4239,55 @@ export function AppProvider({ children }) {
     };
 
     ipcRenderer.on('api:command', handleApiCommand);
+    ipcRenderer.on('api:resource', handleResourceApiRequest);
     ipcRenderer.on('api:state-request', handleStateRequest);
+    ipcRenderer.on('oscControl:message', handleOscControlMessage);
 
     return () => {
       ipcRenderer.removeListener('api:command', handleApiCommand);
+      ipcRenderer.removeListener('api:resource', handleResourceApiRequest);
       ipcRenderer.removeListener('api:state-request', handleStateRequest);
+      ipcRenderer.removeListener('oscControl:message', handleOscControlMessage);
     };
   }, [
     connection.casparCG, state, getStateForApi,
     playItem, pausePlayback, resumePlayback, playPauseResume, stopPlayback,
     nextItem, prevItem, togglePlaylistMode, toggleLoopMode, toggleLoopItem,
     loadRundown, saveRundown, clearAllChannels,
-    addChannel, addLayer, deleteChannel, deleteLayer, executeMacro
+    addChannel, addLayer, deleteChannel, deleteLayer, executeMacro,
+    setLayerMixer, clearLayerMixer,
+    renameChannel, renameLayer, updateLayerDefaultTransition, addMediaToPlaylist, removePlaylistItem,
+    reorderPlaylistItems, updateItemDuration, updateItemInOutPoints, updateItemTransition,
+    updateItemScheduledStart, attachMacroToItem, removeMacroFromItem
   ]);
 
-  // Broadcast state changes to API WebSocket clients
-  useEffect(() => {
-    if (!apiStatus.isRunning) return;
+  // Publish state changes to API WebSocket subscribers (the API server sends only what changed)
+  // and OSC feedback targets
+  const oscFeedbackActive = (settings.oscFeedbackTargets || []).some(target => target.enabled !== false && target.host);
+  publishStateRef.current.getState = getStateForApi;
 
-    const { ipcRenderer } = window.require('electron');
-    // Throttle state broadcasts to avoid overwhelming clients
-    const timeoutId = setTimeout(() => {
-      ipcRenderer.send('api:broadcast-state', getStateForApi());
+  useEffect(() => {
+    if (!apiStatus.isRunning && !oscFeedbackActive) return;
+
+    // Throttle rather than debounce - during playback the state changes every frame, so a debounce
+    // would never fire. The latest state is read when the timer fires
+    const publisher = publishStateRef.current;
+    if (publisher.timer) return;
+    publisher.timer = setTimeout(() => {
+      publisher.timer = null;
+      const { ipcRenderer } = window.require('electron');
+      ipcRenderer.send('api:publish-state', publisher.getState());
     }, 100);
+  }, [apiStatus.isRunning, oscFeedbackActive, state.channels, connection.isConnected, getStateForApi]);
 
-    return () => clearTimeout(timeoutId);
-  }, [apiStatus.isRunning, state.channels, connection.isConnected, getStateForApi]);
+  // Configure OSC feedback targets
+  useEffect(() => {
+    const { ipcRenderer } = window.require('electron');
+    ipcRenderer.invoke('oscFeedback:configure', {
+      targets: settings.oscFeedbackTargets || [],
+      rate: settings.oscFeedbackRate || 10
+    });
+  }, [settings.oscFeedbackTargets, settings.oscFeedbackRate]);
 
   // Auto-start API server if enabled in settings
   useEffect(() => {
@@ -3070,6 +4298,39 @@ export function AppProvider({ children }) {
     }
   }, [settings.apiEnabled, settings.apiPort]);
 
+  // Push key/allowlist changes to the running API server
+  useEffect(() => {
+    if (!apiStatus.isRunning) return;
+    const { ipcRenderer } = window.require('electron');
+    ipcRenderer.invoke('api:setSecurity', {
+      keys: settings.apiKeys || [],
+      allowlist: settings.apiAllowlist || ''
+    });
+  }, [apiStatus.isRunning, settings.apiKeys, settings.apiAllowlist]);
+
+  // Start/stop the OSC control input with its settings
+  useEffect(() => {
+    const { ipcRenderer } = window.require('electron');
+    if (!settings.oscControlEnabled) {
+      ipcRenderer.invoke('oscControl:stop');
+      setOscControlStatus({ isRunning: false, port: null, error: null });
+      return;
+    }
+
+    ipcRenderer.invoke('oscControl:start', settings.oscControlPort || 8000, settings.oscControlAllowlist || '')
+      .then(result => setOscControlStatus({
+        isRunning: result.success,
+        port: result.success ? result.port : null,
+        error: result.success ? null : result.error
+      }));
+  }, [settings.oscControlEnabled, settings.oscControlPort, settings.oscControlAllowlist]);
+
+  // Webhooks are sent from main whether or not the API server is running
+  useEffect(() => {
+    const { ipcRenderer } = window.require('electron');
+    ipcRenderer.invoke('webhooks:setTargets', settings.webhooks || []);
+  }, [settings.webhooks]);
+
   // ==================== End API Integration ====================
 
   const value = {
@@ -3081,6 +4342,16 @@ export function AppProvider({ children }) {
     setShowConnectionDialog,
     showSettings,
     setShowSettings,
+    showPreflight,
+    setShowPreflight,
+    serverWarnings,
+    clearServerWarnings,
+    setOscMaster,
+    setChannelServer,
+    getChannelConnection,
+    reconnectState,
+    cancelReconnect,
+    reconcileWithServer,
     settings,
     updateSettings,
     connectToCaspar,
@@ -3127,18 +4398,39 @@ export function AppProvider({ children }) {
     createMacro,
     updateMacro,
     deleteMacro,
+    exportMacros,
+    readMacroBundle,
+    importMacros,
     executeMacro,
     rundowns,
     loadRundownList,
     saveRundown,
     loadRundown,
     deleteRundown,
+    exportRundownFile,
+    importRundownFile,
     clearAllChannels,
     // Macro attachment functions
     attachMacroToItem,
     removeMacroFromItem,
     updateMacroAttachmentOffset,
     getMacroById,
+    // Transition functions
+    updateItemTransition,
+    updateLayerDefaultTransition,
+    updateLayerTargetEndTime,
+    // Scheduled start functions
+    updateItemScheduledStart,
+    // Mixer functions
+    setLayerMixer,
+    clearLayerMixer,
+    // Media pre-flight / relink
+    preflightIssues,
+    runPreflightCheck,
+    relinkItems,
+    relinkByFilename,
+    relinkFromFolder,
+    acceptServerMetadata,
     // CasparCG media functions
     refreshCasparMedia,
     refreshThumbnailList,
@@ -3147,7 +4439,11 @@ export function AppProvider({ children }) {
     apiStatus,
     startApiServer,
     stopApiServer,
-    getStateForApi
+    getStateForApi,
+    oscControlStatus,
+    telemetry,
+    getAudioLevels,
+    silenceAlarms
   };
 
   return (
@@ -0,0 +1,110 @@
+// As-Run Log Service
+// Records what actually aired (clip starts/ends, macros, API commands) to a daily log file
+// Clip starts and ends are also emitted as item.started / item.ended playout events
+
+import { emitPlayoutEvent } from './playoutEvents';
+
+const { ipcRenderer } = window.require('electron');
+
+// Open clip entries keyed by "channelId-layerId" - closed when the layer stops or moves on
+const openEntries = new Map();
+
+const getLayerKey = (channelId, layerId) => `${channelId}-${layerId}`;
+
+function writeEntry(entry) {
+  ipcRenderer.invoke('asrun:append', entry).catch(error => {
+    console.error('[AsRun] Failed to write entry:', error);
+  });
+}
+
+/**
+ * Record the start of a clip on a layer
+ * Any clip still open on that layer is closed first
+ * @param {number} channelId - Channel ID
+ * @param {number} layerId - Layer ID
+ * @param {Object} item - Playlist item that started
+ * @param {string} source - What started it ('manual', 'auto-advance', 'loop', 'schedule', 'api', 'osc', 'macro')
+ */
+export function startAsRun(channelId, layerId, item, source = 'manual') {
+  const now = new Date();
+  endAsRun(channelId, layerId, now);
+
+  const entry = {
+    id: `asrun-${now.getTime()}-${Math.random().toString(36).slice(2, 7)}`,
+    type: 'clip',
+    source,
+    channel: channelId,
+    layer: layerId,
+    itemId: item.id,
+    itemType: item.type,
+    name: item.name,
+    clip: item.relativePath || item.name,
+    inPoint: item.inPoint ?? null,
+    outPoint: item.outPoint ?? null,
+    startedAt: now.toISOString(),
+    startedAtMs: now.getTime()
+  };
+  openEntries.set(getLayerKey(channelId, layerId), entry);
+
+  const { id, type, startedAtMs, ...event } = entry;
+  emitPlayoutEvent('item.started', event);
+}
+
+/**
+ * Record the end of whatever clip is open on a layer
+ * @param {number} channelId - Channel ID
+ * @param {number} layerId - Layer ID
+ * @param {Date} endedAt - End time (defaults to now)
+ */
+export function endAsRun(channelId, layerId, endedAt = new Date()) {
+  const key = getLayerKey(channelId, layerId);
+  const open = openEntries.get(key);
+  if (!open) return;
+  openEntries.delete(key);
+
+  const { startedAtMs, ...entry } = open;
+  const ended = {
+    ...entry,
+    endedAt: endedAt.toISOString(),
+    // Seconds actually on air
+    duration: Math.max(0, Math.round((endedAt.getTime() - startedAtMs) / 10) / 100)
+  };
+  writeEntry(ended);
+
+  const { id, type, ...event } = ended;
+  emitPlayoutEvent('item.ended', event);
+}
+
+/**
+ * Record an instantaneous event (macro run, API command)
+ * @param {Object} event - { type, source, name, channel?, layer?, details? }
+ */
+export function logAsRunEvent(event) {
+  const now = new Date().toISOString();
+  writeEntry({
+    id: `asrun-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    channel: null,
+    layer: null,
+    ...event,
+    startedAt: now,
+    endedAt: now,
+    duration: 0
+  });
+}
+
+/**
+ * Close every open clip entry (disconnect / quit)
+ */
+export function endAllAsRun() {
+  const endedAt = new Date();
+  Array.from(openEntries.values()).forEach(entry => {
+    endAsRun(entry.channel, entry.layer, endedAt);
+  });
+}
+
+export default {
+  startAsRun,
+  endAsRun,
+  logAsRunEvent,
+  endAllAsRun
+};
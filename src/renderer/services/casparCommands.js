@@ -1,5 +1,7 @@
 // CasparCG AMCP Commands Service
 
+import { toTransitionParams } from '../utils/transitions';
+
 export async function play(casparCG, channel, layer, clip = null, options = {}) {
   if (!casparCG) {
     throw new Error('Not connected to CasparCG');
@@ -38,6 +40,12 @@ export async function play(casparCG, channel, layer, clip = null, options = {})
         params.length = Math.floor((options.outPoint - (options.inPoint || 0)) * frameRate);
       }
 
+      // Transition into the clip (MIX, WIPE, etc.) - omitted for hard cuts
+      const transition = toTransitionParams(options.transition);
+      if (transition) {
+        params.transition = transition;
+      }
+
       return await casparCG.play(params);
     } else {
       // PLAY without clip (resume from LOAD)
@@ -86,6 +94,12 @@ export async function loadBg(casparCG, channel, layer, clip, options = {}) {
       params.length = Math.floor((options.outPoint - (options.inPoint || 0)) * frameRate);
     }
 
+    // Transition used when the background clip is taken (AUTO or PLAY)
+    const transition = toTransitionParams(options.transition);
+    if (transition) {
+      params.transition = transition;
+    }
+
     return await casparCG.loadbg(params);
   } catch (error) {
     console.error('LoadBg command failed:', error);
@@ -224,6 +238,305 @@ export async function cgUpdate(casparCG, channel, layer, data) {
   }
 }
 
+// casparcg-connection has no DEFER field - custom params are appended to the end of the
+// MIXER line, and a null value is sent as the bare keyword
+const DEFER_PARAMS = { customParams: { DEFER: null } };
+
+// Build the tween/defer part of a MIXER command
+// duration is in frames, tween is a CasparCG tween name (e.g. EASEINSINE)
+function mixerOptions(options = {}) {
+  const params = {};
+  if (options.duration > 0) {
+    params.duration = Math.round(options.duration);
+    params.tween = options.tween || 'LINEAR';
+  }
+  if (options.defer) {
+    Object.assign(params, DEFER_PARAMS);
+  }
+  return params;
+}
+
+export async function mixerOpacity(casparCG, channel, layer, value, options = {}) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    return await casparCG.mixerOpacity({ channel, layer, value, ...mixerOptions(options) });
+  } catch (error) {
+    console.error('Mixer opacity command failed:', error);
+    throw error;
+  }
+}
+
+export async function mixerVolume(casparCG, channel, layer, value, options = {}) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    return await casparCG.mixerVolume({ channel, layer, value, ...mixerOptions(options) });
+  } catch (error) {
+    console.error('Mixer volume command failed:', error);
+    throw error;
+  }
+}
+
+export async function mixerFill(casparCG, channel, layer, fill, options = {}) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    const { x, y, xScale, yScale } = fill;
+    return await casparCG.mixerFill({ channel, layer, x, y, xScale, yScale, ...mixerOptions(options) });
+  } catch (error) {
+    console.error('Mixer fill command failed:', error);
+    throw error;
+  }
+}
+
+export async function mixerClip(casparCG, channel, layer, clip, options = {}) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    const { x, y, width, height } = clip;
+    return await casparCG.mixerClip({ channel, layer, x, y, width, height, ...mixerOptions(options) });
+  } catch (error) {
+    console.error('Mixer clip command failed:', error);
+    throw error;
+  }
+}
+
+export async function mixerCrop(casparCG, channel, layer, crop, options = {}) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    const { left, top, right, bottom } = crop;
+    return await casparCG.mixerCrop({ channel, layer, left, top, right, bottom, ...mixerOptions(options) });
+  } catch (error) {
+    console.error('Mixer crop command failed:', error);
+    throw error;
+  }
+}
+
+export async function mixerAnchor(casparCG, channel, layer, anchor, options = {}) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    const { x, y } = anchor;
+    return await casparCG.mixerAnchor({ channel, layer, x, y, ...mixerOptions(options) });
+  } catch (error) {
+    console.error('Mixer anchor command failed:', error);
+    throw error;
+  }
+}
+
+export async function mixerRotation(casparCG, channel, layer, value, options = {}) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    return await casparCG.mixerRotation({ channel, layer, value, ...mixerOptions(options) });
+  } catch (error) {
+    console.error('Mixer rotation command failed:', error);
+    throw error;
+  }
+}
+
+export async function mixerKeyer(casparCG, channel, layer, keyer) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    return await casparCG.mixerKeyer({ channel, layer, keyer: !!keyer });
+  } catch (error) {
+    console.error('Mixer keyer command failed:', error);
+    throw error;
+  }
+}
+
+export async function mixerBlend(casparCG, channel, layer, mode, options = {}) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    // Blend modes can't be tweened, only deferred
+    const params = { channel, layer, value: mode, ...(options.defer ? DEFER_PARAMS : {}) };
+    return await casparCG.mixerBlend(params);
+  } catch (error) {
+    console.error('Mixer blend command failed:', error);
+    throw error;
+  }
+}
+
+export async function mixerBrightness(casparCG, channel, layer, value, options = {}) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    return await casparCG.mixerBrightness({ channel, layer, value, ...mixerOptions(options) });
+  } catch (error) {
+    console.error('Mixer brightness command failed:', error);
+    throw error;
+  }
+}
+
+export async function mixerContrast(casparCG, channel, layer, value, options = {}) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    return await casparCG.mixerContrast({ channel, layer, value, ...mixerOptions(options) });
+  } catch (error) {
+    console.error('Mixer contrast command failed:', error);
+    throw error;
+  }
+}
+
+export async function mixerSaturation(casparCG, channel, layer, value, options = {}) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    return await casparCG.mixerSaturation({ channel, layer, value, ...mixerOptions(options) });
+  } catch (error) {
+    console.error('Mixer saturation command failed:', error);
+    throw error;
+  }
+}
+
+export async function mixerLevels(casparCG, channel, layer, levels, options = {}) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    const { minInput, maxInput, gamma, minOutput, maxOutput } = levels;
+    return await casparCG.mixerLevels({
+      channel,
+      layer,
+      minInput,
+      maxInput,
+      gamma,
+      minOutput,
+      maxOutput,
+      ...mixerOptions(options)
+    });
+  } catch (error) {
+    console.error('Mixer levels command failed:', error);
+    throw error;
+  }
+}
+
+export async function mixerChroma(casparCG, channel, layer, chroma, options = {}) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    const params = mixerOptions(options);
+    return await casparCG.mixerChroma({
+      channel,
+      layer,
+      enable: !!chroma.enable,
+      targetHue: chroma.targetHue,
+      hueWidth: chroma.hueWidth,
+      minSaturation: chroma.minSaturation,
+      minBrightness: chroma.minBrightness,
+      softness: chroma.softness,
+      spillSuppress: chroma.spillSuppress,
+      spillSuppressSaturation: chroma.spillSuppressSaturation,
+      // Serialized as-is by casparcg-connection, server expects 0/1
+      showMask: chroma.showMask ? 1 : 0,
+      duration: params.duration,
+      tween: params.tween,
+      customParams: params.customParams
+    });
+  } catch (error) {
+    console.error('Mixer chroma command failed:', error);
+    throw error;
+  }
+}
+
+export async function mixerClear(casparCG, channel, layer = null) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    const params = { channel };
+    if (layer !== null) {
+      params.layer = layer;
+    }
+    return await casparCG.mixerClear(params);
+  } catch (error) {
+    console.error('Mixer clear command failed:', error);
+    throw error;
+  }
+}
+
+export async function mixerCommit(casparCG, channel) {
+  if (!casparCG) {
+    throw new Error('Not connected to CasparCG');
+  }
+
+  try {
+    return await casparCG.mixerCommit({ channel });
+  } catch (error) {
+    console.error('Mixer commit command failed:', error);
+    throw error;
+  }
+}
+
+// Set a single mixer property by name (value shape matches createDefaultMixer())
+export async function setMixerProperty(casparCG, channel, layer, property, value, options = {}) {
+  switch (property) {
+    case 'opacity':
+      return await mixerOpacity(casparCG, channel, layer, value, options);
+    case 'volume':
+      return await mixerVolume(casparCG, channel, layer, value, options);
+    case 'fill':
+      return await mixerFill(casparCG, channel, layer, value, options);
+    case 'clip':
+      return await mixerClip(casparCG, channel, layer, value, options);
+    case 'crop':
+      return await mixerCrop(casparCG, channel, layer, value, options);
+    case 'anchor':
+      return await mixerAnchor(casparCG, channel, layer, value, options);
+    case 'rotation':
+      return await mixerRotation(casparCG, channel, layer, value, options);
+    case 'keyer':
+      return await mixerKeyer(casparCG, channel, layer, value);
+    case 'blend':
+      return await mixerBlend(casparCG, channel, layer, value, options);
+    case 'brightness':
+      return await mixerBrightness(casparCG, channel, layer, value, options);
+    case 'contrast':
+      return await mixerContrast(casparCG, channel, layer, value, options);
+    case 'saturation':
+      return await mixerSaturation(casparCG, channel, layer, value, options);
+    case 'levels':
+      return await mixerLevels(casparCG, channel, layer, value, options);
+    case 'chroma':
+      return await mixerChroma(casparCG, channel, layer, value, options);
+    default:
+      throw new Error(`Unknown mixer property: ${property}`);
+  }
+}
+
 // Helper to format clip path for CasparCG
 // CasparCG expects paths relative to media folder, with forward slashes, no extension
 function formatClipPath(clipInfo) {
@@ -618,6 +931,23 @@ export default {
   cgPlay,
   cgStop,
   cgUpdate,
+  mixerOpacity,
+  mixerVolume,
+  mixerFill,
+  mixerClip,
+  mixerCrop,
+  mixerAnchor,
+  mixerRotation,
+  mixerKeyer,
+  mixerBlend,
+  mixerBrightness,
+  mixerContrast,
+  mixerSaturation,
+  mixerLevels,
+  mixerChroma,
+  mixerClear,
+  mixerCommit,
+  setMixerProperty,
   executeRawCommand,
   cls,
   thumbnailList,
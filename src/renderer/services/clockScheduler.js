@@ -0,0 +1,75 @@
+// Clock Scheduler Service
+// Starts playlist items at a wall-clock time of day, with LOADBG pre-roll
+
+// How long before the start time the clip is loaded in the background
+export const PREROLL_MS = 3000;
+
+// Track scheduled timers by item ID
+const scheduledTimers = new Map();
+
+/**
+ * Schedule an item against the system clock
+ * @param {string} itemId - The playlist item ID (for cancellation)
+ * @param {number} startTime - When the item starts (ms timestamp)
+ * @param {Function} onPreroll - Called PREROLL_MS before start (immediately if already inside the window)
+ * @param {Function} onStart - Called at the start time
+ * @returns {boolean} True if scheduled, false if the start time has passed
+ */
+export function scheduleClockStart(itemId, startTime, onPreroll, onStart) {
+  cancelClockStart(itemId);
+
+  const msUntilStart = startTime - Date.now();
+  if (msUntilStart <= 0) return false;
+
+  const prerollTimerId = setTimeout(() => {
+    onPreroll();
+  }, Math.max(0, msUntilStart - PREROLL_MS));
+
+  const startTimerId = setTimeout(() => {
+    console.log(`[ClockScheduler] Starting scheduled item ${itemId}`);
+    scheduledTimers.delete(itemId);
+    onStart();
+  }, msUntilStart);
+
+  scheduledTimers.set(itemId, { prerollTimerId, startTimerId, startTime });
+  return true;
+}
+
+/**
+ * Cancel a scheduled start
+ * @param {string} itemId - The playlist item ID
+ */
+export function cancelClockStart(itemId) {
+  const scheduled = scheduledTimers.get(itemId);
+  if (scheduled) {
+    clearTimeout(scheduled.prerollTimerId);
+    clearTimeout(scheduled.startTimerId);
+    scheduledTimers.delete(itemId);
+  }
+}
+
+/**
+ * Cancel all scheduled starts
+ */
+export function cancelAllClockStarts() {
+  for (const scheduled of scheduledTimers.values()) {
+    clearTimeout(scheduled.prerollTimerId);
+    clearTimeout(scheduled.startTimerId);
+  }
+  scheduledTimers.clear();
+}
+
+/**
+ * Get count of currently scheduled starts
+ */
+export function getScheduledClockCount() {
+  return scheduledTimers.size;
+}
+
+export default {
+  PREROLL_MS,
+  scheduleClockStart,
+  cancelClockStart,
+  cancelAllClockStarts,
+  getScheduledClockCount
+};
@@ -2,71 +2,102 @@
 // Single command system shared by API and macros
 
 import casparCommands from './casparCommands';
+import { TRANSITION_TWEENS } from '../utils/transitions';
+import { BLEND_MODES } from '../utils/mixer';
+
+/**
+ * Describe a command parameter
+ * @param {string} name - Param key
+ * @param {string} type - 'integer' | 'number' | 'string' | 'boolean' | 'object'
+ * @param {Object} options - { required, minimum, maximum, enum, default, description }
+ * @returns {Object} Param schema
+ */
+function param(name, type, options = {}) {
+  return { name, type, required: false, ...options };
+}
+
+// Params shared by many commands
+const CHANNEL = param('channel', 'integer', { required: true, minimum: 1, description: 'Channel number' });
+const LAYER = param('layer', 'integer', { required: true, minimum: 1, description: 'Layer number' });
+const ITEM_INDEX = param('itemIndex', 'integer', { minimum: 0, description: 'Playlist index (0-based), current item if omitted' });
+const CLIP = param('clip', 'string', { required: true, description: 'Clip name (path without extension)' });
+const PLAY_OPTIONS = param('options', 'object', { description: 'Play options { loop, inPoint, outPoint, transition }' });
+const RUNDOWN_NAME = param('name', 'string', { required: true, description: 'Rundown name' });
+
+// duration is in frames, tween is a CasparCG tween name (LINEAR, EASEINSINE, ...)
+const DURATION = param('duration', 'integer', { minimum: 0, default: 0, description: 'Duration in frames' });
+const TWEEN = param('tween', 'string', { enum: TRANSITION_TWEENS, default: 'LINEAR', description: 'Tween curve' });
+const DEFER = param('defer', 'boolean', { default: false, description: 'Wait for mixerCommit before applying' });
+const MIXER_TIMING = [DURATION, TWEEN, DEFER];
+
+// Normalised 0-1 value (mixer geometry and levels)
+const unit = (name, defaultValue, description) =>
+  param(name, 'number', { minimum: 0, maximum: 1, default: defaultValue, description });
 
 // Command definitions with metadata
 export const COMMANDS = {
   // ============ Transport (Client-side) ============
   play: {
-    params: ['channel', 'layer', 'itemIndex?'],
+    params: [CHANNEL, LAYER, ITEM_INDEX],
     description: 'Play playlist item at index (or current)',
     category: 'transport'
   },
   pause: {
-    params: ['channel', 'layer'],
+    params: [CHANNEL, LAYER],
     description: 'Pause playback (handles images too)',
     category: 'transport'
   },
   resume: {
-    params: ['channel', 'layer'],
+    params: [CHANNEL, LAYER],
     description: 'Resume paused playback',
     category: 'transport'
   },
   playPauseResume: {
-    params: ['channel', 'layer', 'itemIndex?'],
+    params: [CHANNEL, LAYER, ITEM_INDEX],
     description: 'Toggle play/pause/resume like the UI button',
     category: 'transport'
   },
   stop: {
-    params: ['channel', 'layer'],
+    params: [CHANNEL, LAYER],
     description: 'Stop playback',
     category: 'transport'
   },
   next: {
-    params: ['channel', 'layer'],
+    params: [CHANNEL, LAYER],
     description: 'Go to next playlist item',
     category: 'transport'
   },
   prev: {
-    params: ['channel', 'layer'],
+    params: [CHANNEL, LAYER],
     description: 'Go to previous playlist item',
     category: 'transport'
   },
 
   // ============ Mode toggles (Client-side) ============
   togglePlaylistMode: {
-    params: ['channel', 'layer'],
+    params: [CHANNEL, LAYER],
     description: 'Toggle auto-advance mode',
     category: 'client'
   },
   toggleLoopMode: {
-    params: ['channel', 'layer'],
+    params: [CHANNEL, LAYER],
     description: 'Toggle playlist looping',
     category: 'client'
   },
   toggleLoopItem: {
-    params: ['channel', 'layer'],
+    params: [CHANNEL, LAYER],
     description: 'Toggle single item loop',
     category: 'client'
   },
 
   // ============ Rundown (Client-side) ============
   loadRundown: {
-    params: ['name'],
+    params: [RUNDOWN_NAME],
     description: 'Load a saved rundown by name',
     category: 'client'
   },
   saveRundown: {
-    params: ['name'],
+    params: [RUNDOWN_NAME],
     description: 'Save current rundown with name',
     category: 'client'
   },
@@ -83,81 +114,230 @@ export const COMMANDS = {
     category: 'client'
   },
   addLayer: {
-    params: ['channel'],
+    params: [CHANNEL],
     description: 'Add layer to channel',
     category: 'client'
   },
   deleteChannel: {
-    params: ['channel'],
+    params: [CHANNEL],
     description: 'Delete a channel',
     category: 'client'
   },
   deleteLayer: {
-    params: ['channel', 'layer'],
+    params: [CHANNEL, LAYER],
     description: 'Delete a layer',
     category: 'client'
   },
 
   // ============ Direct CasparCG (Server commands) ============
   casparPlay: {
-    params: ['channel', 'layer', 'clip', 'options?'],
+    params: [CHANNEL, LAYER, CLIP, PLAY_OPTIONS],
     description: 'Direct PLAY command to CasparCG',
     category: 'caspar'
   },
   casparStop: {
-    params: ['channel', 'layer'],
+    params: [CHANNEL, LAYER],
     description: 'Direct STOP command to CasparCG',
     category: 'caspar'
   },
   casparPause: {
-    params: ['channel', 'layer'],
+    params: [CHANNEL, LAYER],
     description: 'Direct PAUSE command to CasparCG',
     category: 'caspar'
   },
   casparResume: {
-    params: ['channel', 'layer'],
+    params: [CHANNEL, LAYER],
     description: 'Direct RESUME command to CasparCG',
     category: 'caspar'
   },
   casparClear: {
-    params: ['channel', 'layer?'],
+    params: [CHANNEL, { ...LAYER, required: false, description: 'Layer number, whole channel if omitted' }],
     description: 'Clear a layer (or whole channel)',
     category: 'caspar'
   },
   casparLoadBg: {
-    params: ['channel', 'layer', 'clip', 'options?'],
+    params: [CHANNEL, LAYER, CLIP, PLAY_OPTIONS],
     description: 'Load media in background',
     category: 'caspar'
   },
   cgAdd: {
-    params: ['channel', 'layer', 'template', 'playOnLoad?', 'data?'],
+    params: [
+      CHANNEL,
+      LAYER,
+      param('template', 'string', { required: true, description: 'Template name' }),
+      param('playOnLoad', 'boolean', { default: true, description: 'Play as soon as the template is loaded' }),
+      param('data', 'object', { description: 'Template data (object or JSON/XML string)' })
+    ],
     description: 'Add template to layer',
     category: 'caspar'
   },
   cgPlay: {
-    params: ['channel', 'layer'],
+    params: [CHANNEL, LAYER],
     description: 'Play template on layer',
     category: 'caspar'
   },
   cgStop: {
-    params: ['channel', 'layer'],
+    params: [CHANNEL, LAYER],
     description: 'Stop template on layer',
     category: 'caspar'
   },
   cgUpdate: {
-    params: ['channel', 'layer', 'data'],
+    params: [
+      CHANNEL,
+      LAYER,
+      param('data', 'object', { required: true, description: 'Template data (object or JSON/XML string)' })
+    ],
     description: 'Update template data',
     category: 'caspar'
   },
   custom: {
-    params: ['amcp'],
+    params: [param('amcp', 'string', { required: true, description: 'AMCP command line, e.g. PLAY 1-10 AMB LOOP' })],
     description: 'Execute raw AMCP command',
     category: 'caspar'
   },
 
+  // ============ Mixer (Server commands, tracked per layer) ============
+  // Defaults match an untouched layer (see utils/mixer.js createDefaultMixer)
+  mixerOpacity: {
+    params: [CHANNEL, LAYER, unit('value', 1, 'Opacity'), ...MIXER_TIMING],
+    description: 'Set layer opacity (0-1)',
+    category: 'mixer'
+  },
+  mixerVolume: {
+    params: [CHANNEL, LAYER, param('value', 'number', { minimum: 0, default: 1, description: 'Volume (1 = unity)' }), ...MIXER_TIMING],
+    description: 'Set layer audio volume (0-1, 1 = unity)',
+    category: 'mixer'
+  },
+  mixerFill: {
+    params: [
+      CHANNEL,
+      LAYER,
+      param('x', 'number', { default: 0, description: 'Left edge (fraction of frame width)' }),
+      param('y', 'number', { default: 0, description: 'Top edge (fraction of frame height)' }),
+      param('xScale', 'number', { default: 1, description: 'Horizontal scale' }),
+      param('yScale', 'number', { default: 1, description: 'Vertical scale' }),
+      ...MIXER_TIMING
+    ],
+    description: 'Position and scale layer (picture-in-picture)',
+    category: 'mixer'
+  },
+  mixerClip: {
+    params: [
+      CHANNEL,
+      LAYER,
+      unit('x', 0, 'Left edge'),
+      unit('y', 0, 'Top edge'),
+      unit('width', 1, 'Width'),
+      unit('height', 1, 'Height'),
+      ...MIXER_TIMING
+    ],
+    description: 'Mask layer to a rectangle',
+    category: 'mixer'
+  },
+  mixerCrop: {
+    params: [
+      CHANNEL,
+      LAYER,
+      unit('left', 0, 'Left edge'),
+      unit('top', 0, 'Top edge'),
+      unit('right', 1, 'Right edge'),
+      unit('bottom', 1, 'Bottom edge'),
+      ...MIXER_TIMING
+    ],
+    description: 'Crop layer edges',
+    category: 'mixer'
+  },
+  mixerAnchor: {
+    params: [
+      CHANNEL,
+      LAYER,
+      param('x', 'number', { default: 0, description: 'Anchor x (fraction of frame width)' }),
+      param('y', 'number', { default: 0, description: 'Anchor y (fraction of frame height)' }),
+      ...MIXER_TIMING
+    ],
+    description: 'Set layer anchor point for fill and rotation',
+    category: 'mixer'
+  },
+  mixerRotation: {
+    params: [CHANNEL, LAYER, param('value', 'number', { default: 0, description: 'Rotation in degrees' }), ...MIXER_TIMING],
+    description: 'Rotate layer (degrees)',
+    category: 'mixer'
+  },
+  mixerKeyer: {
+    params: [CHANNEL, LAYER, param('keyer', 'boolean', { default: false, description: 'Use as key' })],
+    description: 'Use layer as key (alpha) for the layer above',
+    category: 'mixer'
+  },
+  mixerBlend: {
+    params: [CHANNEL, LAYER, param('mode', 'string', { enum: BLEND_MODES, default: 'NORMAL', description: 'Blend mode' }), DEFER],
+    description: 'Set layer blend mode',
+    category: 'mixer'
+  },
+  mixerBrightness: {
+    params: [CHANNEL, LAYER, param('value', 'number', { minimum: 0, default: 1, description: 'Brightness' }), ...MIXER_TIMING],
+    description: 'Set layer brightness (1 = normal)',
+    category: 'mixer'
+  },
+  mixerContrast: {
+    params: [CHANNEL, LAYER, param('value', 'number', { minimum: 0, default: 1, description: 'Contrast' }), ...MIXER_TIMING],
+    description: 'Set layer contrast (1 = normal)',
+    category: 'mixer'
+  },
+  mixerSaturation: {
+    params: [CHANNEL, LAYER, param('value', 'number', { minimum: 0, default: 1, description: 'Saturation' }), ...MIXER_TIMING],
+    description: 'Set layer saturation (1 = normal)',
+    category: 'mixer'
+  },
+  mixerLevels: {
+    params: [
+      CHANNEL,
+      LAYER,
+      unit('minInput', 0, 'Input black level'),
+      unit('maxInput', 1, 'Input white level'),
+      param('gamma', 'number', { minimum: 0, default: 1, description: 'Gamma' }),
+      unit('minOutput', 0, 'Output black level'),
+      unit('maxOutput', 1, 'Output white level'),
+      ...MIXER_TIMING
+    ],
+    description: 'Set layer input/output levels and gamma',
+    category: 'mixer'
+  },
+  mixerChroma: {
+    params: [
+      CHANNEL,
+      LAYER,
+      param('enable', 'boolean', { default: false, description: 'Enable chroma key' }),
+      param('targetHue', 'number', { minimum: 0, maximum: 360, default: 120, description: 'Key colour hue in degrees (120 = green)' }),
+      unit('hueWidth', 0.1, 'Hue range around the target'),
+      unit('minSaturation', 0, 'Minimum saturation keyed'),
+      unit('minBrightness', 0, 'Minimum brightness keyed'),
+      unit('softness', 0, 'Edge softness'),
+      param('spillSuppress', 'number', { minimum: 0, default: 0, description: 'Spill suppression' }),
+      unit('spillSuppressSaturation', 0.7, 'Saturation of suppressed spill'),
+      param('showMask', 'boolean', { default: false, description: 'Show the key mask' }),
+      DURATION,
+      TWEEN
+    ],
+    description: 'Chroma key layer',
+    category: 'mixer'
+  },
+  mixerClear: {
+    params: [CHANNEL, LAYER],
+    description: 'Reset all mixer values on layer',
+    category: 'mixer'
+  },
+  mixerCommit: {
+    params: [CHANNEL],
+    description: 'Apply all deferred mixer changes on channel',
+    category: 'caspar'
+  },
+
   // ============ Macro ============
   executeMacro: {
-    params: ['macroId'],
+    params: [
+      param('macroId', 'string', { required: true, description: 'Macro ID' }),
+      param('args', 'object', { description: 'Values for the macro parameters, by name (missing ones use their defaults)' })
+    ],
     description: 'Execute a saved macro by ID',
     category: 'macro'
   }
@@ -205,7 +385,17 @@ export async function executeCommand(command, params = {}, context = {}) {
   }
 
   // Resolve parameter variables if context variables exist
-  const resolvedParams = resolveParams(params, context);
+  const resolved = resolveParams(params, context);
+
+  // Legacy macros saved the rundown name as rundownName
+  if (normalizedCommand === 'loadRundown' && resolved.name == null && resolved.rundownName) {
+    resolved.name = resolved.rundownName;
+  }
+
+  const { params: resolvedParams, errors } = validateParams(cmdDef, resolved);
+  if (errors.length > 0) {
+    return { success: false, error: 'Validation failed', errors };
+  }
 
   try {
     // Route to appropriate handler based on category
@@ -222,6 +412,9 @@ export async function executeCommand(command, params = {}, context = {}) {
         }
         return await executeCasparCommand(normalizedCommand, resolvedParams, casparCG);
 
+      case 'mixer':
+        return await executeMixerCommand(normalizedCommand, resolvedParams, context);
+
       case 'macro':
         return await executeMacroCommand(normalizedCommand, resolvedParams, context);
 
@@ -287,7 +480,7 @@ async function executeClientCommand(command, params, context) {
     throw new Error('Client commands require app context');
   }
 
-  const { channel, layer, name, rundownName } = params;
+  const { channel, layer, name } = params;
 
   switch (command) {
     case 'togglePlaylistMode':
@@ -303,18 +496,10 @@ async function executeClientCommand(command, params, context) {
       return { success: true };
 
     case 'loadRundown':
-      // Support both 'name' and legacy 'rundownName' parameter
-      const loadName = name || rundownName;
-      if (!loadName) {
-        throw new Error('Load rundown requires name parameter');
-      }
-      await appContext.loadRundown(loadName);
+      await appContext.loadRundown(name);
       return { success: true };
 
     case 'saveRundown':
-      if (!name) {
-        throw new Error('Save rundown requires name parameter');
-      }
       await appContext.saveRundown(name);
       return { success: true };
 
@@ -380,10 +565,10 @@ async function executeCasparCommand(command, params, casparCG) {
     case 'cgUpdate':
       return await casparCommands.cgUpdate(casparCG, channel, layer, data || {});
 
+    case 'mixerCommit':
+      return await casparCommands.mixerCommit(casparCG, channel);
+
     case 'custom':
-      if (!amcp) {
-        throw new Error('Custom command requires amcp parameter');
-      }
       return await casparCommands.executeRawCommand(casparCG, amcp);
 
     default:
@@ -391,6 +576,125 @@ async function executeCasparCommand(command, params, casparCG) {
   }
 }
 
+// Mixer command -> layer mixer property (see utils/mixer.js createDefaultMixer)
+const MIXER_PROPERTIES = {
+  mixerOpacity: 'opacity',
+  mixerVolume: 'volume',
+  mixerFill: 'fill',
+  mixerClip: 'clip',
+  mixerCrop: 'crop',
+  mixerAnchor: 'anchor',
+  mixerRotation: 'rotation',
+  mixerKeyer: 'keyer',
+  mixerBlend: 'blend',
+  mixerBrightness: 'brightness',
+  mixerContrast: 'contrast',
+  mixerSaturation: 'saturation',
+  mixerLevels: 'levels',
+  mixerChroma: 'chroma'
+};
+
+/**
+ * Build the mixer property value from flat command params
+ */
+function getMixerValue(property, params) {
+  const num = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? fallback : parsed;
+  };
+  const bool = (value) => value === true || value === 1 || value === '1' || value === 'true';
+
+  switch (property) {
+    case 'fill':
+      return {
+        x: num(params.x, 0),
+        y: num(params.y, 0),
+        xScale: num(params.xScale, 1),
+        yScale: num(params.yScale, 1)
+      };
+    case 'clip':
+      return {
+        x: num(params.x, 0),
+        y: num(params.y, 0),
+        width: num(params.width, 1),
+        height: num(params.height, 1)
+      };
+    case 'crop':
+      return {
+        left: num(params.left, 0),
+        top: num(params.top, 0),
+        right: num(params.right, 1),
+        bottom: num(params.bottom, 1)
+      };
+    case 'anchor':
+      return { x: num(params.x, 0), y: num(params.y, 0) };
+    case 'levels':
+      return {
+        minInput: num(params.minInput, 0),
+        maxInput: num(params.maxInput, 1),
+        gamma: num(params.gamma, 1),
+        minOutput: num(params.minOutput, 0),
+        maxOutput: num(params.maxOutput, 1)
+      };
+    case 'chroma':
+      return {
+        enable: bool(params.enable),
+        targetHue: num(params.targetHue, 120),
+        hueWidth: num(params.hueWidth, 0.1),
+        minSaturation: num(params.minSaturation, 0),
+        minBrightness: num(params.minBrightness, 0),
+        softness: num(params.softness, 0),
+        spillSuppress: num(params.spillSuppress, 0),
+        spillSuppressSaturation: num(params.spillSuppressSaturation, 0.7),
+        showMask: bool(params.showMask)
+      };
+    case 'keyer':
+      return bool(params.keyer);
+    case 'blend':
+      return params.mode || 'NORMAL';
+    case 'rotation':
+      return num(params.value, 0);
+    default:
+      return num(params.value, 1);
+  }
+}
+
+/**
+ * Execute mixer commands (routed through app context so layer mixer state stays in sync)
+ */
+async function executeMixerCommand(command, params, context) {
+  const { appContext } = context;
+  if (!appContext) {
+    throw new Error('Mixer commands require app context');
+  }
+
+  const { channel, layer, duration, tween, defer } = params;
+
+  if (command === 'mixerClear') {
+    const cleared = await appContext.clearLayerMixer(channel, layer);
+    if (!cleared) {
+      throw new Error('Mixer clear failed');
+    }
+    return { success: true };
+  }
+
+  const property = MIXER_PROPERTIES[command];
+  if (!property) {
+    throw new Error(`Unknown mixer command: ${command}`);
+  }
+
+  const value = getMixerValue(property, params);
+  const applied = await appContext.setLayerMixer(channel, layer, property, value, {
+    duration: parseInt(duration, 10) || 0,
+    tween,
+    defer: defer === true || defer === 'true'
+  });
+  if (!applied) {
+    throw new Error(`Mixer ${property} failed`);
+  }
+  return { success: true };
+}
+
 /**
  * Execute macro command
  */
@@ -401,12 +705,94 @@ async function executeMacroCommand(command, params, context) {
   }
 
   const { macroId } = params;
-  if (!macroId) {
-    throw new Error('Execute macro requires macroId parameter');
+  let { args } = params;
+  // Args may come as a JSON string (OSC, macro editor text)
+  if (typeof args === 'string') {
+    try {
+      args = args.trim() ? JSON.parse(args) : undefined;
+    } catch (error) {
+      return { success: false, error: 'Validation failed', errors: [{ field: 'args', message: 'args must be a JSON object' }] };
+    }
+  }
+  if (args !== undefined && (typeof args !== 'object' || args === null || Array.isArray(args))) {
+    return { success: false, error: 'Validation failed', errors: [{ field: 'args', message: 'args must be an object' }] };
   }
 
-  await appContext.executeMacro(macroId);
-  return { success: true };
+  const result = await appContext.executeMacro(macroId, args);
+  return result?.success === false ? result : { success: true };
+}
+
+// Convert a param value to its schema type, or return an error message
+function coerceParam(schema, value) {
+  switch (schema.type) {
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (typeof value === 'boolean' || isNaN(number)) return { error: 'must be a number' };
+      if (schema.type === 'integer' && !Number.isInteger(number)) return { error: 'must be an integer' };
+      if (schema.minimum !== undefined && number < schema.minimum) return { error: `must be at least ${schema.minimum}` };
+      if (schema.maximum !== undefined && number > schema.maximum) return { error: `must be at most ${schema.maximum}` };
+      return { value: number };
+    }
+
+    case 'boolean':
+      if ([true, 1, '1', 'true'].includes(value)) return { value: true };
+      if ([false, 0, '0', 'false'].includes(value)) return { value: false };
+      return { error: 'must be true or false' };
+
+    case 'object':
+      // Template data may also be a JSON or XML string
+      if (typeof value === 'string' || (typeof value === 'object' && !Array.isArray(value))) return { value };
+      return { error: 'must be an object' };
+
+    default: {
+      if (typeof value === 'object') return { error: 'must be a string' };
+      const text = String(value);
+      if (schema.enum) {
+        const match = schema.enum.find(option => option.toLowerCase() === text.toLowerCase());
+        if (!match) return { error: `must be one of ${schema.enum.join(', ')}` };
+        return { value: match };
+      }
+      return { value: text };
+    }
+  }
+}
+
+/**
+ * Check params against a command's schema
+ * Converts values to their declared type (numbers from strings, etc.) and fills in defaults.
+ * Params the schema doesn't list are passed through unchanged.
+ * @param {Object} cmdDef - Command definition from COMMANDS
+ * @param {Object} params - Params after variable resolution
+ * @returns {Object} { params, errors: [{ field, message }] }
+ */
+export function validateParams(cmdDef, params = {}) {
+  const validated = { ...params };
+  const errors = [];
+
+  cmdDef.params.forEach(schema => {
+    const value = params[schema.name];
+
+    if (value === undefined || value === null || value === '') {
+      if (schema.required) {
+        errors.push({ field: schema.name, message: `${schema.name} is required` });
+      } else if (schema.default !== undefined) {
+        validated[schema.name] = schema.default;
+      } else {
+        delete validated[schema.name];
+      }
+      return;
+    }
+
+    const result = coerceParam(schema, value);
+    if (result.error) {
+      errors.push({ field: schema.name, message: `${schema.name} ${result.error}` });
+    } else {
+      validated[schema.name] = result.value;
+    }
+  });
+
+  return { params: validated, errors };
 }
 
 /**
@@ -471,6 +857,7 @@ export function getCommandTypesForEditor() {
     transport: 'Transport',
     client: 'Client Commands',
     caspar: 'CasparCG Commands',
+    mixer: 'Mixer',
     macro: 'Macro'
   };
 
@@ -506,6 +893,23 @@ export function getCommandTypesForEditor() {
     cgStop: 'CG: Stop Template',
     cgUpdate: 'CG: Update Template',
     custom: 'Custom AMCP',
+    mixerCommit: 'Mixer: Commit',
+    // Mixer
+    mixerOpacity: 'Mixer: Opacity',
+    mixerVolume: 'Mixer: Volume',
+    mixerFill: 'Mixer: Fill (Position/Scale)',
+    mixerClip: 'Mixer: Clip',
+    mixerCrop: 'Mixer: Crop',
+    mixerAnchor: 'Mixer: Anchor',
+    mixerRotation: 'Mixer: Rotation',
+    mixerKeyer: 'Mixer: Keyer',
+    mixerBlend: 'Mixer: Blend Mode',
+    mixerBrightness: 'Mixer: Brightness',
+    mixerContrast: 'Mixer: Contrast',
+    mixerSaturation: 'Mixer: Saturation',
+    mixerLevels: 'Mixer: Levels',
+    mixerChroma: 'Mixer: Chroma Key',
+    mixerClear: 'Mixer: Clear',
     // Macro
     executeMacro: 'Execute Macro'
   };
@@ -523,6 +927,7 @@ export default {
   COMMANDS,
   LEGACY_COMMAND_MAP,
   executeCommand,
+  validateParams,
   getCommandList,
   getCommandsByCategory,
   getCommandTypesForEditor
@@ -0,0 +1,82 @@
+// Macro Dry Run - stand-ins for the CasparCG connection and app context that record what a macro
+// would do instead of doing it. Server commands are recorded as the AMCP casparcg-connection
+// would send (for a 2.2+ server, before channel routing), app actions as the call they'd make
+
+import { CasparCG } from 'casparcg-connection';
+import { serializers } from 'casparcg-connection/dist/serializers';
+import casparCommands from './casparCommands';
+
+/**
+ * Serialize a casparcg-connection command to its AMCP line
+ * @param {Object} command - { command, params } as passed to executeCommand
+ * @returns {string}
+ */
+export function toAmcp({ command, params }) {
+  const serializer = serializers[command];
+  if (!serializer) return `${command} ${JSON.stringify(params)}`;
+  return serializer
+    .map(fn => fn(command, params).trim())
+    .filter(part => part !== '')
+    .join(' ');
+}
+
+/**
+ * Create a connection that records AMCP instead of sending it
+ * Every CasparCG method goes through executeCommand, so the real methods build the commands
+ * @param {Function} record - Called with { kind: 'amcp', text }
+ * @returns {CasparCG}
+ */
+export function createDryRunConnection(record) {
+  const connection = Object.create(CasparCG.prototype);
+  connection.executeCommand = async (command) => {
+    record({ kind: 'amcp', text: toAmcp(command) });
+    return { request: Promise.resolve({ responseCode: 202, command: command.command, data: undefined }) };
+  };
+  return connection;
+}
+
+function describeCall(name, args) {
+  return `${name}(${args.map(arg => JSON.stringify(arg) ?? 'undefined').join(', ')})`;
+}
+
+/**
+ * Wrap a macro app context so its actions are recorded instead of run
+ * @param {Object} appContext - The app context a live macro gets
+ * @param {CasparCG} connection - Dry-run connection, mixer changes are recorded as its AMCP
+ * @param {Function} record - Called with { kind: 'client' | 'amcp', text }
+ * @returns {Object} App context with the same methods
+ */
+export function createDryRunAppContext(appContext = {}, connection, record) {
+  const dryRun = Object.fromEntries(Object.keys(appContext).map(name => [
+    name,
+    async (...args) => {
+      record({ kind: 'client', text: describeCall(name, args) });
+      return true;
+    }
+  ]));
+
+  return {
+    ...dryRun,
+    setLayerMixer: async (channel, layer, property, value, options = {}) => {
+      await casparCommands.setMixerProperty(connection, channel, layer, property, value, options);
+      return true;
+    },
+    clearLayerMixer: async (channel, layer) => {
+      await casparCommands.mixerClear(connection, channel, layer);
+      return true;
+    },
+    // Called macros dry-run too, and what they'd do is recorded under the calling step
+    executeMacro: async (macroId, args) => {
+      record({ kind: 'client', text: describeCall('executeMacro', args ? [macroId, args] : [macroId]) });
+      const result = await appContext.executeMacro(macroId, args, { dryRun: true });
+      (result?.results || []).forEach(step => (step.actions || []).forEach(record));
+      return result;
+    }
+  };
+}
+
+export default {
+  toAmcp,
+  createDryRunConnection,
+  createDryRunAppContext
+};
@@ -3,6 +3,18 @@
 
 import { executeCommand as executeUnifiedCommand, LEGACY_COMMAND_MAP } from './commandHandler';
 import { offsetToSeconds, createDefaultOffset } from '../utils/timecode';
+import { MAX_REPEAT, DEFAULT_WAIT_TIMEOUT, isFlowStep, analyzeFlow, interpolate, evaluateCondition, describeCondition } from './macroFlow';
+import { createDryRunConnection, createDryRunAppContext } from './macroDryRun';
+import { findMacro } from './macroLibrary';
+
+// How often Wait Until re-checks its condition
+const WAIT_POLL_INTERVAL = 50;
+
+// Macros calling macros - deeper than this is almost certainly a mistake
+export const MAX_MACRO_DEPTH = 8;
+
+// Parameter names are used as {{name}} in steps, so they follow the variable name rules
+const PARAMETER_NAME_PATTERN = /^[\w.-]+$/;
 
 function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -36,49 +48,281 @@ function getOffsetMs(command, channelFrameRate = 25) {
   return 0;
 }
 
+/**
+ * Run a flow step (see macroFlow.js)
+ * @returns {Promise<number>} Index of the next step to run
+ */
+async function executeFlowStep(command, index, run) {
+  const { blocks, variables, loops, getEnv } = run;
+  const params = command.params || {};
+
+  switch (command.type) {
+    case 'setVariable': {
+      const name = String(params.name || '').trim();
+      if (!name) throw new Error('Set Variable needs a name');
+      variables[name] = interpolate(params.value ?? '', variables);
+      return index + 1;
+    }
+
+    case 'if': {
+      if (evaluateCondition(params.condition, getEnv())) return index + 1;
+      const block = blocks[index];
+      return (block.else !== undefined ? block.else : block.end) + 1;
+    }
+
+    case 'else':
+      // Reached by running the If branch - skip the Else branch
+      return blocks[blocks[index].start].end + 1;
+
+    case 'repeat': {
+      const count = Number(interpolate(params.count ?? 0, variables));
+      if (!Number.isInteger(count) || count < 0 || count > MAX_REPEAT) {
+        throw new Error(`Repeat count must be a whole number from 0 to ${MAX_REPEAT}`);
+      }
+      if (count === 0) return blocks[index].end + 1;
+      const variable = String(params.variable || '').trim();
+      loops.push({ start: index, count, iteration: 1, variable });
+      if (variable) variables[variable] = 1;
+      return index + 1;
+    }
+
+    case 'endRepeat': {
+      const loop = loops[loops.length - 1];
+      if (loop.iteration < loop.count) {
+        loop.iteration += 1;
+        if (loop.variable) variables[loop.variable] = loop.iteration;
+        return loop.start + 1;
+      }
+      loops.pop();
+      return index + 1;
+    }
+
+    case 'waitUntil': {
+      // A dry run changes nothing the condition looks at, so it notes the condition and goes on
+      if (run.dryRun) {
+        const met = evaluateCondition(params.condition, getEnv());
+        run.record({ kind: 'note', text: `Wait until ${describeCondition(params.condition)} (${met ? 'true' : 'not true'} now)` });
+        return index + 1;
+      }
+      const timeout = (Number(params.timeout) || DEFAULT_WAIT_TIMEOUT) * 1000;
+      const startedAt = Date.now();
+      while (!evaluateCondition(params.condition, getEnv())) {
+        if (Date.now() - startedAt >= timeout) {
+          throw new Error(`Timed out waiting for: ${describeCondition(params.condition)}`);
+        }
+        await delay(WAIT_POLL_INTERVAL);
+      }
+      return index + 1;
+    }
+
+    default:
+      // endIf
+      return index + 1;
+  }
+}
+
+/**
+ * Work out a macro's starting variables from its parameters and the call's arguments
+ * @param {Object} macro - Macro with optional parameters: [{ name, default, description }]
+ * @param {Object} args - Argument values by parameter name
+ * @returns {Object} Variables
+ * @throws {Error} For unknown arguments and parameters with no value
+ */
+export function resolveMacroArgs(macro, args = {}) {
+  const parameters = macro.parameters || [];
+  const variables = {};
+
+  Object.keys(args || {}).forEach(name => {
+    if (!parameters.some(parameter => parameter.name === name)) {
+      throw new Error(`Unknown argument for ${macro.name}: ${name}`);
+    }
+  });
+
+  parameters.forEach(parameter => {
+    const value = args?.[parameter.name];
+    if (value !== undefined && value !== null && value !== '') {
+      variables[parameter.name] = value;
+    } else if (parameter.default !== undefined && parameter.default !== '') {
+      variables[parameter.name] = parameter.default;
+    } else {
+      throw new Error(`Missing argument for ${macro.name}: ${parameter.name}`);
+    }
+  });
+
+  return variables;
+}
+
+/**
+ * Check macro parameter definitions
+ * @param {Array} parameters - [{ name, default, description }]
+ * @returns {string[]} Problems (empty if valid)
+ */
+export function validateMacroParameters(parameters = []) {
+  const errors = [];
+  const seen = new Set();
+  parameters.forEach((parameter, index) => {
+    const name = parameter.name || '';
+    if (!PARAMETER_NAME_PATTERN.test(name)) {
+      errors.push(`Parameter ${index + 1}: name may only use letters, numbers, _ . and -`);
+    } else if (seen.has(name)) {
+      errors.push(`Parameter ${index + 1}: ${name} is already used`);
+    }
+    seen.add(name);
+  });
+  return errors;
+}
+
+/**
+ * Find a loop of macros calling each other, through Execute Macro steps with a fixed macro id
+ * (ids built from {{variables}} can only be caught when the macro runs)
+ * @param {Object} macro - The macro being checked (may be an unsaved edit)
+ * @param {Array} macros - Saved macros
+ * @returns {string[]|null} Macro names around the loop, starting and ending with the same one, or null
+ */
+export function findMacroCycle(macro, macros = []) {
+  const getMacro = (id) => (id === macro.id ? macro : findMacro(macros, id));
+  const calledIds = (m) => (m?.commands || [])
+    .filter(command => command.type === 'executeMacro' && typeof command.params?.macroId === 'string')
+    .map(command => command.params.macroId)
+    .filter(id => !id.includes('{{'));
+
+  const visit = (current, path) => {
+    for (const id of calledIds(current)) {
+      const called = getMacro(id);
+      if (!called) continue;
+      if (called.id === macro.id) return [...path, called];
+      if (path.some(m => m.id === called.id)) continue;
+      const cycle = visit(called, [...path, called]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  const cycle = visit(macro, [macro]);
+  return cycle ? cycle.map(m => m.name) : null;
+}
+
+/**
+ * Execute a macro
+ * @param {Object} macro - Macro with commands (commands and flow steps)
+ * @param {Object} casparCG - CasparCG connection
+ * @param {Object} context - { appContext, channelFrameRate, getState, args, callStack, dryRun, beforeStep }
+ *   getState returns { state, isConnected } for conditions; args are parameter values; callStack
+ *   lists the macros ({ id, name }) that called this one. dryRun records each step's AMCP and app
+ *   actions instead of running them, and skips offsets. beforeStep({ index, command, results }) is
+ *   awaited before every step - resolving false stops the macro (used to step through it)
+ * @returns {Promise<Object>} { success, results, macro, variables, stopped } - each result is
+ *   { index, command, success, result, error, actions (dry run), startMs, durationMs, offsetMs }
+ */
 export async function executeMacro(macro, casparCG, context = {}) {
   if (!macro || !macro.commands || macro.commands.length === 0) {
     throw new Error('Invalid macro: no commands');
   }
 
+  const callStack = context.callStack || [];
+  if (callStack.some(caller => caller.id === macro.id)) {
+    const names = [...callStack.slice(callStack.findIndex(caller => caller.id === macro.id)), macro].map(m => m.name);
+    throw new Error(`Macro loop: ${names.join(' → ')}`);
+  }
+  if (callStack.length >= MAX_MACRO_DEPTH) {
+    throw new Error(`Macros nested more than ${MAX_MACRO_DEPTH} deep`);
+  }
+
+  const { commands } = macro;
+  const { blocks, errors } = analyzeFlow(commands);
+  if (errors.length > 0) {
+    throw new Error(`Invalid macro: ${errors[0]}`);
+  }
+
   const results = [];
   let hasError = false;
+  let stopped = false;
   const channelFrameRate = context.channelFrameRate || 25;
+  const variables = resolveMacroArgs(macro, context.args);
+  const run = {
+    blocks,
+    variables,
+    loops: [],
+    dryRun: !!context.dryRun,
+    record: null,
+    getEnv: () => ({ ...(context.getState?.() || {}), variables })
+  };
 
-  for (const command of macro.commands) {
+  // Step times are from the start of the macro - a dry run counts the offsets it skips
+  const startedAt = Date.now();
+  let skippedMs = 0;
+  const elapsed = () => Date.now() - startedAt + skippedMs;
+
+  let index = 0;
+  while (index < commands.length) {
     if (hasError && !macro.continueOnError) {
       break;
     }
 
+    const command = commands[index];
+    let next = index + 1;
+
+    if (context.beforeStep && (await context.beforeStep({ index, command, results })) === false) {
+      stopped = true;
+      break;
+    }
+
+    const entry = { index, command, startMs: elapsed() };
+    let stepContext = { ...context, casparCG };
+    if (run.dryRun) {
+      entry.actions = [];
+      run.record = action => entry.actions.push(action);
+      const connection = createDryRunConnection(run.record);
+      stepContext = { ...context, casparCG: connection, appContext: createDryRunAppContext(context.appContext, connection, run.record) };
+    }
+
     try {
-      // Build params object from command (use params directly, no top-level channel/layer)
-      const params = { ...(command.params || {}) };
+      if (isFlowStep(command.type)) {
+        next = await executeFlowStep(command, index, run);
+        results.push(Object.assign(entry, { success: true, durationMs: elapsed() - entry.startMs }));
+      } else {
+        // Build params object from command (use params directly, no top-level channel/layer)
+        const params = interpolate({ ...(command.params || {}) }, variables);
 
-      // Execute using unified command handler (handles legacy command type mapping)
-      const result = await executeUnifiedCommand(
-        command.type,
-        params,
-        { ...context, casparCG }
-      );
+        // Execute using unified command handler (handles legacy command type mapping)
+        const result = await executeUnifiedCommand(
+          command.type,
+          params,
+          stepContext
+        );
 
-      results.push({ command, success: result.success !== false, result });
+        results.push(Object.assign(entry, { success: result.success !== false, result, durationMs: elapsed() - entry.startMs }));
+      }
 
       // Wait based on offset (supports both legacy delay and new offset format)
       const offsetMs = getOffsetMs(command, channelFrameRate);
       if (offsetMs > 0) {
-        await delay(offsetMs);
+        entry.offsetMs = offsetMs;
+        if (run.dryRun) {
+          skippedMs += offsetMs;
+        } else {
+          await delay(offsetMs);
+        }
       }
     } catch (error) {
       console.error('Macro command failed:', command, error);
-      results.push({ command, success: false, error: error.message });
+      results.push(Object.assign(entry, { success: false, error: error.message, durationMs: elapsed() - entry.startMs }));
       hasError = true;
+      // A failed If or Repeat skips its whole block
+      if (blocks[index]?.end !== undefined) {
+        next = blocks[index].end + 1;
+      }
     }
+
+    index = next;
   }
 
   return {
     success: !hasError,
     results,
-    macro: macro.name
+    macro: macro.name,
+    variables,
+    stopped
   };
 }
 
@@ -90,6 +334,7 @@ export function createMacroTemplate() {
     color: '#ff6432', // Default macro color
     commands: [],
     continueOnError: false,
+    parameters: [], // [{ name, default, description }] - set when the macro is called, used as {{name}}
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
@@ -108,6 +353,9 @@ export function createCommandTemplate(type = 'casparPlay') {
 
 export default {
   executeMacro,
+  resolveMacroArgs,
+  validateMacroParameters,
+  findMacroCycle,
   createMacroTemplate,
   createCommandTemplate
 };
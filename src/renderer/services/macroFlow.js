@@ -0,0 +1,265 @@
+// Macro Flow - variables, conditions, if/else blocks, loops and waits for macros
+//
+// Flow steps live in macro.commands next to ordinary commands, so a macro is still a flat list
+// and macros saved before flow steps existed run unchanged. Blocks are opened and closed by
+// marker steps:
+//   { type: 'if', params: { condition } } ... { type: 'else' } ... { type: 'endIf' }
+//   { type: 'repeat', params: { count, variable } } ... { type: 'endRepeat' }
+// plus { type: 'setVariable', params: { name, value } } and { type: 'waitUntil', params: { condition, timeout } }
+//
+// Any string param can use a variable as {{name}}
+
+export const FLOW_STEPS = {
+  setVariable: { label: 'Set Variable', description: 'Set a variable used as {{name}} in later steps' },
+  if: { label: 'If', description: 'Run the following steps only if a condition is true', opens: 'endIf' },
+  else: { label: 'Else', description: 'Steps to run when the If condition is false' },
+  endIf: { label: 'End If', description: 'End of an If block' },
+  repeat: { label: 'Repeat', description: 'Run the following steps a number of times', opens: 'endRepeat' },
+  endRepeat: { label: 'End Repeat', description: 'End of a Repeat block' },
+  waitUntil: { label: 'Wait Until', description: 'Wait until a condition is true, or fail after a timeout' }
+};
+
+// What a condition can look at - boolean checks use isTrue/isFalse, value checks compare against a value
+export const CONDITION_CHECKS = [
+  { value: 'layerPlaying', label: 'Layer is playing', kind: 'boolean', needsLayer: true },
+  { value: 'layerPaused', label: 'Layer is paused', kind: 'boolean', needsLayer: true },
+  { value: 'currentItem', label: 'Current item name', kind: 'value', needsLayer: true },
+  { value: 'connected', label: 'Connected to server', kind: 'boolean' },
+  { value: 'variable', label: 'Variable', kind: 'value', needsVariable: true }
+];
+
+export const CONDITION_OPERATORS = {
+  boolean: [
+    { value: 'isTrue', label: 'is true' },
+    { value: 'isFalse', label: 'is false' }
+  ],
+  value: [
+    { value: 'equals', label: 'equals' },
+    { value: 'notEquals', label: 'does not equal' },
+    { value: 'contains', label: 'contains' },
+    { value: 'greaterThan', label: 'is greater than' },
+    { value: 'lessThan', label: 'is less than' }
+  ]
+};
+
+// Repeat counts are capped so a mistyped count can't lock up the app
+export const MAX_REPEAT = 1000;
+
+// Wait Until gives up after this many seconds unless the step sets its own timeout
+export const DEFAULT_WAIT_TIMEOUT = 30;
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const WHOLE_VARIABLE_PATTERN = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+export function isFlowStep(type) {
+  return Object.prototype.hasOwnProperty.call(FLOW_STEPS, type);
+}
+
+export function createCondition() {
+  return { check: 'layerPlaying', channel: 1, layer: 10, variable: '', operator: 'isTrue', value: '' };
+}
+
+/**
+ * Create the steps for a flow block (markers come in pairs)
+ * @param {string} type - 'if', 'ifElse', 'repeat', 'setVariable' or 'waitUntil'
+ * @returns {Array} Steps to insert
+ */
+export function createFlowSteps(type) {
+  switch (type) {
+    case 'if':
+      return [{ type: 'if', params: { condition: createCondition() } }, { type: 'endIf', params: {} }];
+    case 'ifElse':
+      return [
+        { type: 'if', params: { condition: createCondition() } },
+        { type: 'else', params: {} },
+        { type: 'endIf', params: {} }
+      ];
+    case 'repeat':
+      return [{ type: 'repeat', params: { count: 2, variable: '' } }, { type: 'endRepeat', params: {} }];
+    case 'waitUntil':
+      return [{ type: 'waitUntil', params: { condition: createCondition(), timeout: DEFAULT_WAIT_TIMEOUT } }];
+    default:
+      return [{ type: 'setVariable', params: { name: '', value: '' } }];
+  }
+}
+
+/**
+ * Match block markers
+ * @param {Array} commands - macro.commands
+ * @returns {Object} { blocks: { [index]: { else, end, start } }, depths: number[], errors: string[] }
+ *   blocks maps each if/repeat to its else/end, and each else/end back to its opening step
+ */
+export function analyzeFlow(commands = []) {
+  const blocks = {};
+  const depths = [];
+  const errors = [];
+  const stack = [];
+
+  commands.forEach((command, index) => {
+    const type = command?.type;
+    const open = stack[stack.length - 1];
+
+    if (type === 'else' || type === 'endIf' || type === 'endRepeat') {
+      const expected = type === 'endRepeat' ? 'repeat' : 'if';
+      if (!open || commands[open.index].type !== expected) {
+        errors.push(`Step ${index + 1}: ${FLOW_STEPS[type].label} without a matching ${FLOW_STEPS[expected].label}`);
+        depths.push(stack.length);
+        return;
+      }
+      if (type === 'else') {
+        if (blocks[open.index].else !== undefined) {
+          errors.push(`Step ${index + 1}: second Else in the same If`);
+        }
+        blocks[open.index].else = index;
+        blocks[index] = { start: open.index };
+        depths.push(stack.length - 1);
+        return;
+      }
+      blocks[open.index].end = index;
+      blocks[index] = { start: open.index };
+      stack.pop();
+      depths.push(stack.length);
+      return;
+    }
+
+    depths.push(stack.length);
+    if (type === 'if' || type === 'repeat') {
+      blocks[index] = {};
+      stack.push({ index });
+    }
+  });
+
+  stack.forEach(({ index }) => {
+    const type = commands[index].type;
+    errors.push(`Step ${index + 1}: ${FLOW_STEPS[type].label} has no ${FLOW_STEPS[FLOW_STEPS[type].opens].label}`);
+  });
+
+  return { blocks, depths, errors };
+}
+
+/**
+ * Replace {{name}} references with variable values
+ * A param that is only a reference keeps the variable's type (so {{layer}} can be a number)
+ * @param {*} value - Param value (strings, arrays and objects are walked)
+ * @param {Object} variables - { [name]: value }
+ * @returns {*} Interpolated value
+ * @throws {Error} For undefined variables
+ */
+export function interpolate(value, variables) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_VARIABLE_PATTERN);
+    if (whole) return lookup(whole[1], variables);
+    return value.replace(VARIABLE_PATTERN, (_, name) => String(lookup(name, variables)));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, variables));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, variables)]));
+  }
+  return value;
+}
+
+function lookup(name, variables) {
+  if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+    throw new Error(`Unknown variable: ${name}`);
+  }
+  return variables[name];
+}
+
+function findLayer(state, channel, layer) {
+  const ch = state?.channels?.find(c => c.id === Number(channel));
+  return ch?.layers.find(l => l.id === Number(layer)) || null;
+}
+
+function compare(operator, actual, expected) {
+  const actualText = actual === null || actual === undefined ? '' : String(actual);
+  const expectedText = expected === null || expected === undefined ? '' : String(expected);
+
+  switch (operator) {
+    case 'equals':
+      return actualText === expectedText;
+    case 'notEquals':
+      return actualText !== expectedText;
+    case 'contains':
+      return actualText.toLowerCase().includes(expectedText.toLowerCase());
+    case 'greaterThan':
+      return Number(actualText) > Number(expectedText);
+    case 'lessThan':
+      return Number(actualText) < Number(expectedText);
+    default:
+      throw new Error(`Unknown operator: ${operator}`);
+  }
+}
+
+/**
+ * Evaluate a condition against app state and macro variables
+ * @param {Object} condition - { check, channel, layer, variable, operator, value }
+ * @param {Object} env - { state, isConnected, variables }
+ * @returns {boolean}
+ */
+export function evaluateCondition(condition, { state, isConnected, variables }) {
+  const resolved = interpolate(condition || {}, variables);
+  const { check, operator } = resolved;
+  let actual;
+
+  switch (check) {
+    case 'layerPlaying': {
+      const layer = findLayer(state, resolved.channel, resolved.layer);
+      actual = !!(layer?.isPlaying && !layer.isPaused);
+      break;
+    }
+    case 'layerPaused':
+      actual = !!findLayer(state, resolved.channel, resolved.layer)?.isPaused;
+      break;
+    case 'currentItem': {
+      const layer = findLayer(state, resolved.channel, resolved.layer);
+      actual = layer?.playlist?.[layer.currentIndex]?.name || '';
+      break;
+    }
+    case 'connected':
+      actual = !!isConnected;
+      break;
+    case 'variable':
+      actual = Object.prototype.hasOwnProperty.call(variables, resolved.variable) ? variables[resolved.variable] : '';
+      break;
+    default:
+      throw new Error(`Unknown condition: ${check}`);
+  }
+
+  if (operator === 'isTrue') return actual === true;
+  if (operator === 'isFalse') return actual === false;
+  return compare(operator, actual, resolved.value);
+}
+
+/**
+ * Describe a condition for logs and the editor
+ * @param {Object} condition
+ * @returns {string}
+ */
+export function describeCondition(condition = {}) {
+  const check = CONDITION_CHECKS.find(c => c.value === condition.check);
+  if (!check) return 'Unknown condition';
+  const operator = CONDITION_OPERATORS[check.kind].find(o => o.value === condition.operator);
+  const subject = check.needsLayer
+    ? `${check.label} (${condition.channel}-${condition.layer})`
+    : check.needsVariable ? `{{${condition.variable}}}` : check.label;
+  return check.kind === 'boolean'
+    ? `${subject} ${operator?.label || ''}`.trim()
+    : `${subject} ${operator?.label || ''} "${condition.value ?? ''}"`;
+}
+
+export default {
+  FLOW_STEPS,
+  CONDITION_CHECKS,
+  CONDITION_OPERATORS,
+  MAX_REPEAT,
+  DEFAULT_WAIT_TIMEOUT,
+  isFlowStep,
+  createCondition,
+  createFlowSteps,
+  analyzeFlow,
+  interpolate,
+  evaluateCondition,
+  describeCondition
+};
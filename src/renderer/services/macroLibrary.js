@@ -0,0 +1,219 @@
+// Macro Library - export macros to a bundle file and import bundles from other machines
+//
+// A bundle is versioned JSON: { format: 'casparplayer-macros', version, exportedAt, macros: [...] }.
+// Imported macros keep their ids where they can, so rundowns from the machine they came from still
+// find them. When a bundle macro ends up under another id (it overwrote or was matched to a local
+// macro), the bundle id is kept in that macro's aliases - look macros up with findMacro
+
+import { COMMANDS, LEGACY_COMMAND_MAP } from './commandHandler';
+import { isFlowStep, analyzeFlow } from './macroFlow';
+
+export const MACRO_BUNDLE_FORMAT = 'casparplayer-macros';
+export const MACRO_BUNDLE_VERSION = 1;
+
+// What to do with a bundle macro that has the same id or name as a local one
+export const CONFLICT_RESOLUTIONS = [
+  { value: 'rename', label: 'Import as copy', description: 'Keep both, the imported one gets a new name' },
+  { value: 'overwrite', label: 'Overwrite', description: 'Replace the local macro with the imported one' },
+  { value: 'skip', label: 'Skip', description: 'Keep the local macro, references to the imported one use it' }
+];
+
+/**
+ * Find a macro by id, or by an id it was imported under
+ * @param {Array} macros - state.macros
+ * @param {string} macroId
+ * @returns {Object|undefined}
+ */
+export function findMacro(macros = [], macroId) {
+  if (!macroId) return undefined;
+  return macros.find(m => m.id === macroId) || macros.find(m => m.aliases?.includes(macroId));
+}
+
+/**
+ * Serialize macros to a bundle file
+ * @param {Array} macros - Macros to export
+ * @returns {string} JSON content
+ */
+export function exportMacroBundle(macros) {
+  return JSON.stringify({
+    format: MACRO_BUNDLE_FORMAT,
+    version: MACRO_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    macros
+  }, null, 2);
+}
+
+/**
+ * Parse a bundle file
+ * @param {string} content - File content
+ * @returns {Object} { macros, skipped: [{ name, reason }] }
+ * @throws {Error} If the file isn't a macro bundle this app can read
+ */
+export function parseMacroBundle(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Not a valid JSON file: ${error.message}`);
+  }
+
+  if (data?.format !== MACRO_BUNDLE_FORMAT) {
+    throw new Error('Not a macro bundle');
+  }
+  if (data.version > MACRO_BUNDLE_VERSION) {
+    throw new Error(`Macro bundle version ${data.version} is newer than this app supports (${MACRO_BUNDLE_VERSION})`);
+  }
+  if (!Array.isArray(data.macros)) {
+    throw new Error('Macro bundle has no macros');
+  }
+
+  const skipped = [];
+  const macros = data.macros.filter((macro, index) => {
+    if (typeof macro?.id === 'string' && macro.id && typeof macro.name === 'string' && Array.isArray(macro.commands)) {
+      return true;
+    }
+    skipped.push({ name: macro?.name || `Macro ${index + 1}`, reason: 'Missing id, name or commands' });
+    return false;
+  });
+  return { macros, skipped };
+}
+
+/**
+ * Check a macro for problems that would only show when it runs
+ * @param {Object} macro
+ * @param {Set} knownIds - Macro ids (and aliases) an Execute Macro step can call
+ * @returns {string[]} Warnings
+ */
+export function validateMacro(macro, knownIds = new Set()) {
+  const warnings = [...analyzeFlow(macro.commands).errors];
+
+  macro.commands.forEach((command, index) => {
+    const type = command?.type;
+    if (isFlowStep(type)) return;
+    if (!COMMANDS[LEGACY_COMMAND_MAP[type] || type]) {
+      warnings.push(`Step ${index + 1}: unknown command "${type}"`);
+      return;
+    }
+    const macroId = command.params?.macroId;
+    if (type === 'executeMacro' && typeof macroId === 'string' && !macroId.includes('{{') && !knownIds.has(macroId)) {
+      warnings.push(`Step ${index + 1}: calls a macro that is not in the bundle or this app`);
+    }
+  });
+
+  return warnings;
+}
+
+/**
+ * Match bundle macros against local ones and validate them
+ * @param {Array} bundleMacros - From parseMacroBundle
+ * @param {Array} localMacros - state.macros
+ * @returns {Array} [{ macro, conflict, conflictType: 'id' | 'name' | null, warnings }]
+ */
+export function planMacroImport(bundleMacros, localMacros) {
+  const knownIds = new Set([
+    ...bundleMacros.map(m => m.id),
+    ...localMacros.flatMap(m => [m.id, ...(m.aliases || [])])
+  ]);
+
+  return bundleMacros.map(macro => {
+    const byId = localMacros.find(m => m.id === macro.id);
+    const byName = byId ? null : localMacros.find(m => m.name.trim().toLowerCase() === macro.name.trim().toLowerCase());
+    return {
+      macro,
+      conflict: byId || byName || null,
+      conflictType: byId ? 'id' : byName ? 'name' : null,
+      warnings: validateMacro(macro, knownIds)
+    };
+  });
+}
+
+function uniqueName(name, takenNames) {
+  let candidate = name;
+  for (let copy = 2; takenNames.has(candidate.toLowerCase()); copy++) {
+    candidate = `${name} (${copy})`;
+  }
+  takenNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function withAlias(aliases = [], id, ownId) {
+  return id === ownId || aliases.includes(id) ? aliases : [...aliases, id];
+}
+
+/**
+ * Work out the macros to save for an import
+ * Execute Macro steps in imported macros are pointed at wherever the macros they call ended up
+ * @param {Array} plan - From planMacroImport
+ * @param {Object} resolutions - { [bundle macro id]: 'rename' | 'overwrite' | 'skip' } for conflicts (default rename)
+ * @param {Array} localMacros - state.macros
+ * @param {Function} createId - Makes a new macro id
+ * @returns {Object} { save: macros to write (new and updated local ones), imported, skipped, idMap }
+ */
+export function resolveMacroImport(plan, resolutions, localMacros, createId) {
+  const now = new Date().toISOString();
+  const takenNames = new Set(localMacros.map(m => m.name.trim().toLowerCase()));
+  const idMap = {};
+  const imported = [];
+  const kept = []; // Local macros that gain an alias from Skip
+  let skipped = 0;
+
+  plan.forEach(({ macro, conflict, conflictType }) => {
+    const resolution = conflict ? (resolutions[macro.id] || 'rename') : 'import';
+
+    if (resolution === 'skip') {
+      // References to the bundle macro use the local one from now on
+      idMap[macro.id] = conflict.id;
+      if (conflictType === 'name') {
+        kept.push({ ...conflict, aliases: withAlias(conflict.aliases, macro.id, conflict.id) });
+      }
+      skipped++;
+      return;
+    }
+
+    if (resolution === 'overwrite') {
+      idMap[macro.id] = conflict.id;
+      imported.push({
+        ...macro,
+        id: conflict.id,
+        aliases: withAlias(conflict.aliases || [], macro.id, conflict.id),
+        createdAt: conflict.createdAt,
+        updatedAt: now
+      });
+      return;
+    }
+
+    // A copy can't keep an id the local macro already has, and the id stays with the local macro
+    const id = conflictType === 'id' ? createId() : macro.id;
+    idMap[macro.id] = id;
+    imported.push({
+      ...macro,
+      id,
+      name: uniqueName(macro.name, takenNames),
+      createdAt: macro.createdAt || now,
+      updatedAt: now
+    });
+  });
+
+  const remapped = imported.map(macro => ({
+    ...macro,
+    commands: macro.commands.map(command => (
+      command.type === 'executeMacro' && idMap[command.params?.macroId]
+        ? { ...command, params: { ...command.params, macroId: idMap[command.params.macroId] } }
+        : command
+    ))
+  }));
+
+  return { save: [...remapped, ...kept], imported: imported.length, skipped, idMap };
+}
+
+export default {
+  MACRO_BUNDLE_FORMAT,
+  MACRO_BUNDLE_VERSION,
+  CONFLICT_RESOLUTIONS,
+  findMacro,
+  exportMacroBundle,
+  parseMacroBundle,
+  validateMacro,
+  planMacroImport,
+  resolveMacroImport
+};
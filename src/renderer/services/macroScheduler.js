@@ -1,21 +1,156 @@
 // Macro Scheduler Service
 // Handles scheduling macros with timecode offsets for playlist items
+//
+// Macros on clips are clocked: they fire from the layer's OSC clip time (see tickMacroClock), so
+// they land on the frame, hold while the clip is paused and follow seeks and in/out changes.
+// Images, and clips on layers that never report OSC time, use wall-clock timers instead
 
 import { offsetToSeconds, isOffsetZero } from '../utils/timecode';
 
 // Track scheduled timers by item ID
 const scheduledTimers = new Map();
 
+// A clocked macro whose cue a seek jumped past by more than this (seconds) is skipped, not fired late.
+// Cues already past on the layer's first tick (loaded mid-clip, late OSC) fire at once
+const SEEK_TOLERANCE = 1;
+
+// How often clocked macros check whether they need the wall-clock fallback (ms)
+const FALLBACK_CHECK_INTERVAL = 100;
+
+let fallbackWatch = null;
+
+/**
+ * Register a macro that fires from the layer clock
+ * @param {string} itemId - The playlist item ID
+ * @param {string} position - 'start' or 'end'
+ * @param {Object} clock - { layerKey } of the layer playing the item
+ * @param {string} anchor - 'in' (offset from the in point) or 'out' (offset from the out point)
+ * @param {number} offsetSeconds - Offset from the anchor, negative before it
+ * @param {number} frameRate - Channel frame rate
+ * @param {number} fallbackMs - Wall-clock time to fire at if the layer never reports its time
+ * @param {Function} run - Executes the macro
+ */
+function scheduleClockedMacro(itemId, position, clock, anchor, offsetSeconds, frameRate, fallbackMs, run) {
+  scheduledTimers.set(`${itemId}-${position}`, {
+    timerId: null,
+    itemId,
+    position,
+    run,
+    clock: {
+      layerKey: clock.layerKey,
+      anchor,
+      offsetSeconds,
+      frameRate,
+      fired: false,
+      ticked: false,
+      lastFrame: null,
+      fallbackAt: Date.now() + fallbackMs
+    }
+  });
+  console.log(`[MacroScheduler] Clocked ${position} macro for item ${itemId} at ${offsetSeconds}s from the ${anchor} point`);
+  startFallbackWatch();
+}
+
+// Fire clocked macros on wall-clock time while their layer hasn't reported any OSC time
+function startFallbackWatch() {
+  if (fallbackWatch) return;
+  fallbackWatch = setInterval(() => {
+    const now = Date.now();
+    let waiting = false;
+    for (const [key, entry] of scheduledTimers.entries()) {
+      const clock = entry.clock;
+      if (!clock || clock.ticked || clock.fired) continue;
+      if (now >= clock.fallbackAt) {
+        console.log(`[MacroScheduler] No OSC time for layer ${clock.layerKey}, executing ${entry.position} macro for item ${entry.itemId} on wall clock`);
+        scheduledTimers.delete(key);
+        entry.run();
+      } else {
+        waiting = true;
+      }
+    }
+    if (!waiting) {
+      clearInterval(fallbackWatch);
+      fallbackWatch = null;
+    }
+  }, FALLBACK_CHECK_INTERVAL);
+}
+
+/**
+ * Advance clocked macros on a layer from its OSC clip time
+ * Called for every time update, so a cue fires on the frame it is due. Jumping back before a
+ * cue that already fired (a seek, or the clip restarting) arms it again, and seeking far past one
+ * that hasn't skips it
+ * @param {string} layerKey - "channel-layer"
+ * @param {Object} clip - { itemId, currentTime, inPoint, outPoint } - the playing item and its
+ *   position, in and out points in seconds (outPoint is the clip length when no out point is set)
+ */
+export function tickMacroClock(layerKey, { itemId, currentTime, inPoint = 0, outPoint = 0 }) {
+  for (const [key, entry] of scheduledTimers.entries()) {
+    const clock = entry.clock;
+    if (!clock || clock.layerKey !== layerKey) continue;
+
+    if (entry.itemId !== itemId) {
+      // Another item has the layer now - its cues are done, but a running after-end timer still fires
+      if (clock.ticked && !entry.timerId) scheduledTimers.delete(key);
+      continue;
+    }
+    if (clock.anchor === 'out' && !(outPoint > 0)) continue;
+    clock.ticked = true;
+
+    const fps = clock.frameRate;
+    const frame = Math.round(currentTime * fps);
+    const previousFrame = clock.lastFrame;
+    clock.lastFrame = frame;
+    const anchorSeconds = clock.anchor === 'in' ? inPoint : outPoint;
+    const target = Math.round((anchorSeconds + clock.offsetSeconds) * fps);
+    // The clip's last frame is the latest the clock can show - cues at or after the out point
+    // start a timer from there
+    const trigger = outPoint > 0 ? Math.min(target, Math.round(outPoint * fps) - 1) : target;
+
+    if (frame < trigger) {
+      if (clock.fired) {
+        console.log(`[MacroScheduler] Re-armed ${entry.position} macro for item ${entry.itemId} (clock moved back)`);
+        clearTimeout(entry.timerId);
+        entry.timerId = null;
+        clock.fired = false;
+      }
+      continue;
+    }
+    if (clock.fired) continue;
+    clock.fired = true;
+
+    // Only a seek seen on this layer skips a cue - the previous tick was still before it
+    const seekedPast = previousFrame !== null && previousFrame < trigger;
+    if (seekedPast && frame - trigger > fps * SEEK_TOLERANCE) {
+      console.log(`[MacroScheduler] Skipped ${entry.position} macro for item ${entry.itemId} (clock jumped past it)`);
+      continue;
+    }
+
+    const remainingMs = ((target - frame) / fps) * 1000;
+    if (remainingMs > 0) {
+      console.log(`[MacroScheduler] Executing ${entry.position} macro for item ${entry.itemId} in ${remainingMs}ms`);
+      entry.timerId = setTimeout(() => {
+        entry.timerId = null;
+        entry.run();
+      }, remainingMs);
+    } else {
+      console.log(`[MacroScheduler] Executing clocked ${entry.position} macro for item ${entry.itemId} at frame ${frame}`);
+      entry.run();
+    }
+  }
+}
+
 /**
  * Schedule a macro to execute at a specific offset from a trigger point
  * @param {string} itemId - The playlist item ID (for cancellation)
  * @param {string} position - 'start' or 'end' position
- * @param {Object} macroAttachment - { macroId, offset }
- * @param {Function} executeMacroFn - Function to execute the macro
+ * @param {Object} macroAttachment - { macroId, offset, args } - args are passed to the macro's parameters
+ * @param {Function} executeMacroFn - Function to execute the macro, called with (macro, args)
  * @param {Object} macro - The macro object to execute
  * @param {number} channelFrameRate - Channel frame rate for offset calculation
  * @param {number} triggerTime - When the trigger occurs (ms timestamp or 0 for now)
- * @returns {number|null} Timer ID or null if executed immediately
+ * @param {Object} clock - { layerKey } to fire from the layer's clip time, or null for a wall-clock timer
+ * @returns {number|null} Timer ID or null if executed immediately (or clocked)
  */
 export function scheduleMacro(
   itemId,
@@ -24,7 +159,8 @@ export function scheduleMacro(
   executeMacroFn,
   macro,
   channelFrameRate = 25,
-  triggerTime = 0
+  triggerTime = 0,
+  clock = null
 ) {
   if (!macroAttachment || !macro) return null;
 
@@ -38,7 +174,14 @@ export function scheduleMacro(
   // If offset is zero, execute immediately
   if (isOffsetZero(offset)) {
     console.log(`[MacroScheduler] Executing macro immediately for ${position} of item ${itemId}`);
-    executeMacroFn(macro);
+    executeMacroFn(macro, macroAttachment.args);
+    return null;
+  }
+
+  // Clocked start macros count from the in point
+  if (offsetMs > 0 && clock && position === 'start') {
+    scheduleClockedMacro(itemId, position, clock, 'in', offsetMs / 1000, channelFrameRate, offsetMs,
+      () => executeMacroFn(macro, macroAttachment.args));
     return null;
   }
 
@@ -47,7 +190,7 @@ export function scheduleMacro(
     console.log(`[MacroScheduler] Scheduling macro for ${position} of item ${itemId} in ${offsetMs}ms`);
     const timerId = setTimeout(() => {
       console.log(`[MacroScheduler] Executing scheduled macro for ${position} of item ${itemId}`);
-      executeMacroFn(macro);
+      executeMacroFn(macro, macroAttachment.args);
       scheduledTimers.delete(key);
     }, offsetMs);
 
@@ -68,9 +211,10 @@ export function scheduleMacro(
  * @param {Function} executeMacroFn - Function to execute macro
  * @param {Function} getMacroFn - Function to get macro by ID
  * @param {number} channelFrameRate - Channel frame rate
+ * @param {Object} clock - { layerKey } to fire positive offsets from the layer's clip time (null for wall clock)
  * @returns {Object} { shouldDelayPlay: boolean, delayMs: number, timerId: number|null }
  */
-export function scheduleStartMacro(item, executeMacroFn, getMacroFn, channelFrameRate = 25) {
+export function scheduleStartMacro(item, executeMacroFn, getMacroFn, channelFrameRate = 25, clock = null) {
   if (!item?.startMacro) {
     return { shouldDelayPlay: false, delayMs: 0, timerId: null };
   }
@@ -88,7 +232,7 @@ export function scheduleStartMacro(item, executeMacroFn, getMacroFn, channelFram
   if (offsetMs < 0) {
     const delayMs = Math.abs(offsetMs);
     console.log(`[MacroScheduler] Negative start offset: executing macro first, delaying play by ${delayMs}ms`);
-    executeMacroFn(macro);
+    executeMacroFn(macro, item.startMacro.args);
     return { shouldDelayPlay: true, delayMs, timerId: null };
   }
 
@@ -99,7 +243,9 @@ export function scheduleStartMacro(item, executeMacroFn, getMacroFn, channelFram
     item.startMacro,
     executeMacroFn,
     macro,
-    channelFrameRate
+    channelFrameRate,
+    0,
+    clock
   );
 
   return { shouldDelayPlay: false, delayMs: 0, timerId };
@@ -112,10 +258,12 @@ export function scheduleStartMacro(item, executeMacroFn, getMacroFn, channelFram
  * @param {Function} executeMacroFn - Function to execute macro
  * @param {Function} getMacroFn - Function to get macro by ID
  * @param {number} channelFrameRate - Channel frame rate
+ * @param {Object} clock - { layerKey } to fire from the layer's clip time relative to the out point
+ *   (null for wall clock). Clocked end macros don't need the duration, it's only their fallback
  * @returns {number|null} Timer ID or null
  */
-export function scheduleEndMacro(item, itemDuration, executeMacroFn, getMacroFn, channelFrameRate = 25) {
-  if (!item?.endMacro || !itemDuration) {
+export function scheduleEndMacro(item, itemDuration, executeMacroFn, getMacroFn, channelFrameRate = 25, clock = null) {
+  if (!item?.endMacro || (!itemDuration && !clock)) {
     return null;
   }
 
@@ -133,6 +281,13 @@ export function scheduleEndMacro(item, itemDuration, executeMacroFn, getMacroFn,
   // Cancel any existing timer
   cancelScheduledMacro(item.id, 'end');
 
+  if (clock) {
+    const fallbackMs = itemDuration ? Math.max(0, itemDurationMs + offsetMs) : Infinity;
+    scheduleClockedMacro(item.id, 'end', clock, 'out', offsetMs / 1000, channelFrameRate, fallbackMs,
+      () => executeMacroFn(macro, item.endMacro.args));
+    return null;
+  }
+
   // Negative offset = execute before item ends
   if (offsetMs < 0) {
     const executeAtMs = itemDurationMs + offsetMs; // e.g., 10000 + (-2000) = 8000ms
@@ -140,7 +295,7 @@ export function scheduleEndMacro(item, itemDuration, executeMacroFn, getMacroFn,
       console.log(`[MacroScheduler] Scheduling end macro ${Math.abs(offsetMs)}ms before item ends (at ${executeAtMs}ms)`);
       const timerId = setTimeout(() => {
         console.log(`[MacroScheduler] Executing end macro for item ${item.id}`);
-        executeMacroFn(macro);
+        executeMacroFn(macro, item.endMacro.args);
         scheduledTimers.delete(key);
       }, executeAtMs);
 
@@ -149,7 +304,7 @@ export function scheduleEndMacro(item, itemDuration, executeMacroFn, getMacroFn,
     } else {
       // Offset is larger than duration, execute immediately
       console.log(`[MacroScheduler] End macro offset larger than duration, executing immediately`);
-      executeMacroFn(macro);
+      executeMacroFn(macro, item.endMacro.args);
       return null;
     }
   }
@@ -159,7 +314,7 @@ export function scheduleEndMacro(item, itemDuration, executeMacroFn, getMacroFn,
     console.log(`[MacroScheduler] Scheduling end macro at item end (${itemDurationMs}ms)`);
     const timerId = setTimeout(() => {
       console.log(`[MacroScheduler] Executing end macro for item ${item.id}`);
-      executeMacroFn(macro);
+      executeMacroFn(macro, item.endMacro.args);
       scheduledTimers.delete(key);
     }, itemDurationMs);
 
@@ -172,7 +327,7 @@ export function scheduleEndMacro(item, itemDuration, executeMacroFn, getMacroFn,
   console.log(`[MacroScheduler] Scheduling end macro ${offsetMs}ms after item ends (at ${executeAtMs}ms)`);
   const timerId = setTimeout(() => {
     console.log(`[MacroScheduler] Executing end macro for item ${item.id}`);
-    executeMacroFn(macro);
+    executeMacroFn(macro, item.endMacro.args);
     scheduledTimers.delete(key);
   }, executeAtMs);
 
@@ -209,14 +364,16 @@ export function cancelAllScheduledMacros() {
     clearTimeout(scheduled.timerId);
   }
   scheduledTimers.clear();
+  clearInterval(fallbackWatch);
+  fallbackWatch = null;
   console.log('[MacroScheduler] Cancelled all scheduled macros');
 }
 
 /**
- * Get count of currently scheduled macros
+ * Get count of currently scheduled macros (clocked macros that already fired aren't counted)
  */
 export function getScheduledCount() {
-  return scheduledTimers.size;
+  return [...scheduledTimers.values()].filter(entry => !entry.clock?.fired || entry.timerId).length;
 }
 
 export default {
@@ -225,5 +382,6 @@ export default {
   scheduleEndMacro,
   cancelScheduledMacro,
   cancelAllScheduledMacros,
-  getScheduledCount
+  getScheduledCount,
+  tickMacroClock
 };
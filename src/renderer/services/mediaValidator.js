@@ -0,0 +1,197 @@
+// Media Validator - pre-flight checks of playlist items against the local media tree and CasparCG CLS list
+
+import { convertClipInfoToMetadata } from './casparMediaService';
+
+// Frame rates closer than this are treated as unchanged (durations use a one-frame tolerance)
+const FRAME_RATE_TOLERANCE = 0.01;
+
+// Clip names are compared case-insensitively with forward slashes and no extension
+function normalizeClipName(name) {
+  if (!name) return '';
+  return name.replace(/\\/g, '/').toLowerCase();
+}
+
+function stripExtension(name) {
+  const lastDot = name.lastIndexOf('.');
+  const lastSlash = name.lastIndexOf('/');
+  return lastDot > lastSlash + 1 ? name.substring(0, lastDot) : name;
+}
+
+function getBaseName(name) {
+  const normalized = normalizeClipName(name);
+  return normalized.substring(normalized.lastIndexOf('/') + 1);
+}
+
+function addToIndex(index, key, value) {
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(value);
+}
+
+/**
+ * Index the local media tree (from mediaScanner.scanDirectory) by clip name and file name
+ * @param {Array} tree - Media tree with nested folder children
+ * @returns {Object} { files: Map<clipName, file>, byName: Map<baseName, file[]>, count }
+ */
+export function indexMediaTree(tree) {
+  const files = new Map();
+  const byName = new Map();
+
+  const walk = (nodes) => {
+    (nodes || []).forEach(node => {
+      if (node.type === 'folder') {
+        walk(node.children);
+        return;
+      }
+      const clipName = stripExtension(normalizeClipName(node.relativePath));
+      files.set(clipName, node);
+      addToIndex(byName, getBaseName(clipName), node);
+    });
+  };
+  walk(tree);
+
+  return { files, byName, count: files.size };
+}
+
+/**
+ * Index the CasparCG CLS list by clip name and file name
+ * @param {Array} casparMediaList - ClipInfo array from cls()
+ * @returns {Object} { clips: Map<clipName, clip>, byName: Map<baseName, clip[]>, count }
+ */
+export function indexCasparMedia(casparMediaList) {
+  const clips = new Map();
+  const byName = new Map();
+
+  (casparMediaList || []).forEach(clip => {
+    const clipName = normalizeClipName(clip.clip);
+    clips.set(clipName, clip);
+    addToIndex(byName, getBaseName(clipName), clip);
+  });
+
+  return { clips, byName, count: clips.size };
+}
+
+/**
+ * Validate a single playlist item
+ * @param {Object} item - Playlist item
+ * @param {Object} localIndex - From indexMediaTree
+ * @param {Object} casparIndex - From indexCasparMedia
+ * @returns {Object|null} { status: 'missing' | 'mismatch' | 'warning', problems: string[] } or null if OK
+ */
+export function validateItem(item, localIndex, casparIndex) {
+  // Macros don't reference media
+  if (!item || item.type === 'macro') return null;
+
+  const checkLocal = localIndex.count > 0;
+  const checkServer = casparIndex.count > 0;
+  if (!checkLocal && !checkServer) return null;
+
+  const clipName = normalizeClipName(item.relativePath);
+  if (!clipName) {
+    return { status: 'missing', problems: ['No clip path (added from outside the media folder)'] };
+  }
+
+  const localFile = checkLocal ? localIndex.files.get(clipName) : null;
+  const serverClip = checkServer ? casparIndex.clips.get(clipName) : null;
+  const problems = [];
+
+  if (checkServer && !serverClip) {
+    problems.push('Not found on CasparCG server');
+  }
+  if (checkLocal && !localFile) {
+    problems.push('Not found in local media folder');
+  }
+
+  // The server is what plays the clip - only a missing server clip (or local file when offline) is fatal
+  const isMissing = checkServer ? !serverClip : !localFile;
+  if (isMissing) {
+    return { status: 'missing', problems };
+  }
+
+  // Compare stored duration/frame rate with the server's current clip
+  if (serverClip && item.type === 'video') {
+    const serverMeta = convertClipInfoToMetadata(serverClip);
+    const problemCount = problems.length;
+    if (serverMeta?.frameRate && item.frameRate && Math.abs(serverMeta.frameRate - item.frameRate) > FRAME_RATE_TOLERANCE) {
+      problems.push(`Frame rate changed: ${item.frameRate} -> ${serverMeta.frameRate.toFixed(2)} fps`);
+    }
+    const frameDuration = 1 / (serverMeta?.frameRate || item.frameRate || 25);
+    if (serverMeta?.duration > 0 && item.duration > 0 && Math.abs(serverMeta.duration - item.duration) > frameDuration) {
+      problems.push(`Duration changed: ${item.duration.toFixed(2)}s -> ${serverMeta.duration.toFixed(2)}s`);
+    }
+    if (problems.length > problemCount) {
+      return { status: 'mismatch', problems };
+    }
+  }
+
+  return problems.length > 0 ? { status: 'warning', problems } : null;
+}
+
+/**
+ * Validate every item in a rundown
+ * @param {Array} channels - state.channels
+ * @param {Array} mediaTree - state.media.tree
+ * @param {Array} casparMediaList - state.casparMedia.list
+ * @returns {Object} { [itemId]: { channelId, layerId, itemId, name, relativePath, status, problems } }
+ */
+export function validateChannels(channels, mediaTree, casparMediaList) {
+  const localIndex = indexMediaTree(mediaTree);
+  const casparIndex = indexCasparMedia(casparMediaList);
+  const issues = {};
+
+  channels.forEach(channel => {
+    channel.layers.forEach(layer => {
+      layer.playlist.forEach(item => {
+        const issue = validateItem(item, localIndex, casparIndex);
+        if (issue) {
+          issues[item.id] = {
+            ...issue,
+            channelId: channel.id,
+            layerId: layer.id,
+            itemId: item.id,
+            name: item.name,
+            relativePath: item.relativePath
+          };
+        }
+      });
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Find relink candidates for an item by file name
+ * @param {Object} item - Playlist item
+ * @param {Object} localIndex - From indexMediaTree
+ * @param {Object} casparIndex - From indexCasparMedia
+ * @returns {Array} [{ relativePath, path, clip }] - one entry per distinct clip name
+ */
+export function findRelinkCandidates(item, localIndex, casparIndex) {
+  const baseName = getBaseName(item.relativePath || stripExtension(item.name || ''));
+  if (!baseName) return [];
+
+  const candidates = new Map();
+  (casparIndex.byName.get(baseName) || []).forEach(clip => {
+    const clipName = normalizeClipName(clip.clip);
+    candidates.set(clipName, { relativePath: clip.clip.replace(/\\/g, '/'), path: null, clip });
+  });
+  (localIndex.byName.get(baseName) || []).forEach(file => {
+    const clipName = stripExtension(normalizeClipName(file.relativePath));
+    const existing = candidates.get(clipName);
+    candidates.set(clipName, {
+      relativePath: existing?.relativePath || stripExtension(file.relativePath),
+      path: file.path,
+      clip: existing?.clip || null
+    });
+  });
+
+  return Array.from(candidates.values());
+}
+
+export default {
+  indexMediaTree,
+  indexCasparMedia,
+  validateItem,
+  validateChannels,
+  findRelinkCandidates
+};
@@ -0,0 +1,135 @@
+// OSC Control - maps OSC control messages (TouchOSC, QLab, lighting desks) onto unified commands
+//
+// Addresses, all under /casparplayer:
+//   /channel/<c>/layer/<l>/<action>[/<param>...]  e.g. /channel/1/layer/1/play, /channel/1/layer/1/play/3
+//   /channel/<c>/<action>[/<param>...]            Channel commands, e.g. /channel/1/mixerCommit
+//   /macro/<id>                                    Execute a saved macro
+//   /rundown/<name>                                Load a saved rundown (or send the name as an argument)
+//   /command/<command> [args...]                   Any command, arguments in the order of its params
+//
+// <action> is a command name (any case), a mixer command without "mixer" (opacity, volume, ...) or playpause.
+// Channel and layer are app channel and layer numbers, as in the HTTP API
+//
+// OSC has no API keys - only the sender allowlist stands between the port and playout - so commands
+// that send raw AMCP are never reachable over OSC
+
+import { COMMANDS } from './commandHandler';
+
+export const OSC_CONTROL_PREFIX = '/casparplayer';
+
+const ACTION_ALIASES = {
+  playpause: 'playPauseResume'
+};
+
+// Commands in these categories are triggers: their OSC arguments are a button state, not params
+const TRIGGER_CATEGORIES = ['transport', 'client', 'macro'];
+
+// Raw AMCP would give any allowed sender full control of the server
+export const OSC_BLOCKED_COMMANDS = ['custom'];
+
+function findCommand(action) {
+  if (!action) return null;
+  const name = action.toLowerCase();
+  if (ACTION_ALIASES[name]) return ACTION_ALIASES[name];
+  const names = Object.keys(COMMANDS).filter(command => !OSC_BLOCKED_COMMANDS.includes(command));
+  return names.find(command => command.toLowerCase() === name)
+    || names.find(command => command.toLowerCase() === `mixer${name}`)
+    || null;
+}
+
+// Buttons send 1 when pressed and 0 when released - only the press should do anything
+function isButtonRelease(args) {
+  return args.length === 1 && (args[0] === 0 || args[0] === false);
+}
+
+// Fill params that aren't set yet, in schema order
+function assignPositional(params, schemas, values) {
+  const unset = schemas.filter(schema => params[schema.name] === undefined);
+  values.forEach((value, index) => {
+    if (unset[index]) params[unset[index].name] = value;
+  });
+  return params;
+}
+
+function firstString(args) {
+  return args.find(arg => typeof arg === 'string') || null;
+}
+
+// /channel/<c>/layer/<l>/<action>/... and /channel/<c>/<action>/...
+function mapChannelMessage(parts, args) {
+  const hasLayer = parts[1] === 'layer';
+  const [channel, layer, action, extra] = hasLayer
+    ? [parts[0], parts[2], parts[3], parts.slice(4)]
+    : [parts[0], null, parts[1], parts.slice(2)];
+
+  const command = findCommand(action);
+  if (!command) {
+    return { error: `Unknown action: ${action || '(none)'}` };
+  }
+
+  const { params: schemas, category } = COMMANDS[command];
+  const takesLayer = schemas[1]?.name === 'layer';
+  if (schemas[0]?.name !== 'channel' || hasLayer !== takesLayer) {
+    return { error: `${command} ${takesLayer ? 'needs a channel and layer' : 'is not a layer command'}` };
+  }
+
+  const params = hasLayer ? { channel, layer } : { channel };
+  assignPositional(params, schemas, extra);
+
+  const unset = schemas.filter(schema => params[schema.name] === undefined);
+  if (!TRIGGER_CATEGORIES.includes(category) && unset.length > 0) {
+    assignPositional(params, schemas, args);
+  } else if (isButtonRelease(args)) {
+    return { ignored: true };
+  }
+
+  return { command, params };
+}
+
+/**
+ * Map an OSC message onto a command
+ * @param {string} address - OSC address
+ * @param {Array} args - OSC arguments
+ * @returns {Object|null} { command, params }, { ignored: true } for button releases, { error } if it
+ *   can't be mapped, or null if the address isn't under OSC_CONTROL_PREFIX
+ */
+export function mapOscControlMessage(address, args = []) {
+  if (address !== OSC_CONTROL_PREFIX && !address.startsWith(`${OSC_CONTROL_PREFIX}/`)) return null;
+
+  const [kind, ...parts] = address.slice(OSC_CONTROL_PREFIX.length).split('/').filter(Boolean);
+
+  switch (kind) {
+    case 'channel':
+      return mapChannelMessage(parts, args);
+
+    case 'macro': {
+      if (isButtonRelease(args)) return { ignored: true };
+      const macroId = parts[0] || firstString(args);
+      return macroId ? { command: 'executeMacro', params: { macroId } } : { error: 'Missing macro id' };
+    }
+
+    case 'rundown': {
+      if (isButtonRelease(args)) return { ignored: true };
+      const name = parts.join('/') || firstString(args);
+      return name ? { command: 'loadRundown', params: { name } } : { error: 'Missing rundown name' };
+    }
+
+    case 'command': {
+      if (OSC_BLOCKED_COMMANDS.includes(parts[0]?.toLowerCase())) {
+        return { error: `${parts[0]} is not allowed over OSC` };
+      }
+      const command = findCommand(parts[0]);
+      if (!command) return { error: `Unknown command: ${parts[0] || '(none)'}` };
+      return { command, params: assignPositional({}, COMMANDS[command].params, [...parts.slice(1), ...args]) };
+    }
+
+    default:
+      return { error: `Unknown address: ${address}` };
+  }
+}
+
+export default {
+  OSC_CONTROL_PREFIX,
+  OSC_BLOCKED_COMMANDS,
+  mapOscControlMessage
+};
@@ -0,0 +1,218 @@
+// OSC Telemetry - collects CasparCG server telemetry (audio levels, producers, resolution, profiler,
+// outputs) from OSC messages classified by oscService.parseOscAddress (parsed.metric)
+//
+// Messages arrive every frame, so they are applied to a mutable working copy and the app takes a
+// snapshot of it a few times a second (see snapshotTelemetry)
+//
+// Shape, keyed by app channel id:
+// {
+//   [channelId]: {
+//     format, frameRate, profiler: { actual, expected },
+//     audio: { channels, levels: [dBFS per audio channel] },
+//     outputs: { [port]: { type, frame, frameMax, profiler } },
+//     layers: { [layerId]: { producer, backgroundProducer, path, fileName, fps, width, height, field,
+//                            videoCodec, audioCodec, sampleRate, audioChannels, profiler } },
+//     updatedAt
+//   }
+// }
+
+// Floor for audio levels - silence is reported as this rather than -Infinity (which JSON can't carry)
+export const MIN_DBFS = -96;
+
+// Entries not refreshed for this long are dropped (layer cleared, output removed, server gone).
+// CasparCG repeats every value each frame, so live entries are never this old
+const STALE_AFTER = 2000;
+
+// 2.1+ sends mixer/audio/volume as peak sample values of the int32 mix
+const INT32_FULL_SCALE = 2147483647;
+
+function toDbfs(value) {
+  const number = Number(value);
+  if (!(number > 0)) return MIN_DBFS;
+  return Math.max(MIN_DBFS, Math.round(20 * Math.log10(number / INT32_FULL_SCALE) * 10) / 10);
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// profiler/time is [actual, expected] render time in seconds
+function toProfiler(args) {
+  return { actual: toNumber(args[0]), expected: toNumber(args[1]) };
+}
+
+function getChannel(telemetry, channelId, now) {
+  if (!telemetry[channelId]) {
+    telemetry[channelId] = { audio: { channels: null, levels: [] }, outputs: {}, layers: {} };
+  }
+  telemetry[channelId].updatedAt = now;
+  return telemetry[channelId];
+}
+
+function applyLayerMetric(layer, metric, args) {
+  const value = args[0];
+  switch (metric) {
+    case 'producer':
+      layer.producer = String(value ?? '');
+      break;
+    case 'backgroundProducer':
+      layer.backgroundProducer = String(value ?? '');
+      break;
+    case 'path':
+    case 'fileName':
+    case 'field':
+    case 'videoCodec':
+    case 'audioCodec':
+      layer[metric] = String(value ?? '');
+      break;
+    case 'fps':
+    case 'width':
+    case 'height':
+    case 'sampleRate':
+    case 'audioChannels':
+      layer[metric] = toNumber(value);
+      break;
+    case 'profiler':
+      layer.profiler = toProfiler(args);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Apply one OSC message to the working telemetry
+ * @param {Object} telemetry - Working copy (mutated)
+ * @param {Object} message - { args, parsed } with parsed.channel already mapped to the app channel
+ * @param {number} now - Timestamp (ms)
+ * @returns {boolean} true if the message was telemetry
+ */
+export function applyTelemetryMessage(telemetry, { args, parsed }, now = Date.now()) {
+  if (!parsed?.metric || !parsed.channel) return false;
+
+  const channel = getChannel(telemetry, parsed.channel, now);
+
+  if (parsed.layer) {
+    if (!channel.layers[parsed.layer]) channel.layers[parsed.layer] = {};
+    const layer = channel.layers[parsed.layer];
+    layer.updatedAt = now;
+    applyLayerMetric(layer, parsed.metric, args);
+    return true;
+  }
+
+  switch (parsed.metric) {
+    case 'format':
+      channel.format = String(args[0] ?? '');
+      break;
+    case 'frameRate':
+      // 2.1+ sends [numerator, denominator], 2.0 doesn't send it (format implies it)
+      channel.frameRate = args.length >= 2 && Number(args[1]) > 0
+        ? Math.round((Number(args[0]) / Number(args[1])) * 1000) / 1000
+        : toNumber(args[0]);
+      break;
+    case 'profiler':
+      channel.profiler = toProfiler(args);
+      break;
+    case 'audioChannels':
+      channel.audio.channels = toNumber(args[0]);
+      break;
+    case 'audioLevels':
+      channel.audio.levels = args.map(toDbfs);
+      channel.audio.channels = args.length;
+      channel.audio.updatedAt = now;
+      break;
+    case 'audioLevel': {
+      // mixer/audio/<n>/dBFS, n counts from 1
+      const levels = channel.audio.levels.slice();
+      levels[parsed.index - 1] = Math.max(MIN_DBFS, toNumber(args[0]) ?? MIN_DBFS);
+      channel.audio.levels = Array.from(levels, level => level ?? MIN_DBFS);
+      channel.audio.updatedAt = now;
+      break;
+    }
+    case 'outputType':
+    case 'outputFrame':
+    case 'outputProfiler': {
+      if (!channel.outputs[parsed.index]) channel.outputs[parsed.index] = {};
+      const output = channel.outputs[parsed.index];
+      output.updatedAt = now;
+      if (parsed.metric === 'outputType') output.type = String(args[0] ?? '');
+      if (parsed.metric === 'outputFrame') {
+        output.frame = toNumber(args[0]);
+        output.frameMax = toNumber(args[1]);
+      }
+      if (parsed.metric === 'outputProfiler') output.profiler = toProfiler(args);
+      break;
+    }
+    default:
+      break;
+  }
+  return true;
+}
+
+/**
+ * Drop entries that stopped updating
+ * @param {Object} telemetry - Working copy (mutated)
+ * @param {number} now - Timestamp (ms)
+ * @returns {boolean} true if anything was removed
+ */
+export function pruneTelemetry(telemetry, now = Date.now()) {
+  let changed = false;
+  const isStale = entry => now - (entry.updatedAt || 0) > STALE_AFTER;
+
+  Object.entries(telemetry).forEach(([channelId, channel]) => {
+    if (isStale(channel)) {
+      delete telemetry[channelId];
+      changed = true;
+      return;
+    }
+    [channel.layers, channel.outputs].forEach(entries => {
+      Object.keys(entries).forEach(key => {
+        if (isStale(entries[key])) {
+          delete entries[key];
+          changed = true;
+        }
+      });
+    });
+    if (channel.audio.levels.length > 0 && isStale(channel.audio)) {
+      channel.audio.levels = [];
+      changed = true;
+    }
+  });
+
+  return changed;
+}
+
+/**
+ * Copy the working telemetry for React state
+ * @param {Object} telemetry - Working copy
+ * @returns {Object}
+ */
+export function snapshotTelemetry(telemetry) {
+  return structuredClone(telemetry);
+}
+
+/**
+ * Telemetry for the API - drops the internal timestamps
+ * @param {Object} channelTelemetry - One channel's telemetry, or undefined
+ * @returns {Object|null}
+ */
+export function getApiTelemetry(channelTelemetry) {
+  if (!channelTelemetry) return null;
+  const { updatedAt, audio, outputs, layers, ...channel } = channelTelemetry;
+  const strip = ({ updatedAt: _updatedAt, ...entry }) => entry;
+  return {
+    ...channel,
+    audio: { channels: audio.channels, levels: audio.levels },
+    outputs: Object.fromEntries(Object.entries(outputs).map(([port, output]) => [port, strip(output)])),
+    layers: Object.fromEntries(Object.entries(layers).map(([layer, entry]) => [layer, strip(entry)]))
+  };
+}
+
+export default {
+  MIN_DBFS,
+  applyTelemetryMessage,
+  pruneTelemetry,
+  snapshotTelemetry,
+  getApiTelemetry
+};
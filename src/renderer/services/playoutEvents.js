@@ -0,0 +1,34 @@
+// Playout Events - pushes playout events to the main process, which forwards them to
+// API WebSocket clients and webhook targets
+
+const { ipcRenderer } = window.require('electron');
+
+// Events downstream systems can subscribe to (webhook targets pick from these)
+export const PLAYOUT_EVENTS = [
+  { value: 'item.started', label: 'Item started' },
+  { value: 'item.ended', label: 'Item ended' },
+  { value: 'playlist.finished', label: 'Playlist finished' },
+  { value: 'macro.executed', label: 'Macro executed' },
+  { value: 'connection.lost', label: 'Connection lost' },
+  { value: 'connection.restored', label: 'Connection restored' },
+  { value: 'rundown.loaded', label: 'Rundown loaded' },
+  { value: 'audio.silence', label: 'Audio silence' },
+  { value: 'audio.restored', label: 'Audio restored' }
+];
+
+/**
+ * Emit a playout event
+ * @param {string} event - Event name from PLAYOUT_EVENTS
+ * @param {Object} data - Event payload
+ */
+export function emitPlayoutEvent(event, data = {}) {
+  ipcRenderer.send('api:broadcast-event', event, {
+    ...data,
+    timestamp: new Date().toISOString()
+  });
+}
+
+export default {
+  PLAYOUT_EVENTS,
+  emitPlayoutEvent
+};
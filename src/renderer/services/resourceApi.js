@@ -0,0 +1,547 @@
+// Resource API - REST handlers for channels, layers and playlist items
+// Requests arrive from the main process API server and are applied through the same app context
+// functions the UI uses, so the API and the UI can't drift apart
+
+import { TRANSITION_TYPES, TRANSITION_TWEENS, TRANSITION_DIRECTIONS, createDefaultTransition } from '../utils/transitions';
+import { parseOffsetString } from '../utils/timecode';
+import { findMacro } from './macroLibrary';
+
+// Fields accepted on playlist items
+const ITEM_CREATE_FIELDS = ['clip', 'path', 'name', 'type', 'macroId', 'index', 'duration', 'inFrame', 'outFrame', 'transition', 'scheduledStart', 'startMacro', 'endMacro'];
+const ITEM_UPDATE_FIELDS = ['index', 'duration', 'inFrame', 'outFrame', 'transition', 'scheduledStart', 'startMacro', 'endMacro'];
+const ITEM_TYPES = ['video', 'image', 'audio', 'media', 'macro'];
+
+const LAYER_UPDATE_FIELDS = ['name', 'playlistMode', 'loopMode', 'loopItem', 'defaultTransition'];
+const CHANNEL_UPDATE_FIELDS = ['name'];
+
+const SCHEDULE_TIME_PATTERN = /^\d{2}:\d{2}:\d{2}:\d{2}$/;
+
+// ==================== Responses ====================
+
+function ok(body, status = 200) {
+  return { status, body: { success: true, ...body } };
+}
+
+function fail(status, error, errors) {
+  return { status, body: { success: false, error, ...(errors ? { errors } : {}) } };
+}
+
+function validationFailed(errors) {
+  return fail(400, 'Validation failed', errors);
+}
+
+// ==================== Serialization ====================
+
+function toApiItem(item, index) {
+  return {
+    id: item.id,
+    index,
+    type: item.type,
+    name: item.name,
+    clip: item.relativePath || null,
+    duration: item.duration || 0,
+    frameRate: item.frameRate || null,
+    inFrame: item.inPointFrames ?? null,
+    outFrame: item.outPointFrames ?? null,
+    macroId: item.macroId || null,
+    startMacro: item.startMacro || null,
+    endMacro: item.endMacro || null,
+    transition: item.transition || null,
+    scheduledStart: item.scheduledStart || null,
+    playing: !!item.playing
+  };
+}
+
+function toApiLayer(layer, { withPlaylist = true } = {}) {
+  return {
+    id: layer.id,
+    name: layer.name,
+    currentIndex: layer.currentIndex,
+    isPlaying: !!layer.isPlaying,
+    isPaused: !!layer.isPaused,
+    playlistMode: !!layer.playlistMode,
+    loopMode: !!layer.loopMode,
+    loopItem: !!layer.loopItem,
+    defaultTransition: layer.defaultTransition || createDefaultTransition(),
+    itemCount: layer.playlist.length,
+    ...(withPlaylist ? { items: layer.playlist.map(toApiItem) } : {})
+  };
+}
+
+function toApiChannel(channel, { withLayers = true } = {}) {
+  return {
+    id: channel.id,
+    name: channel.name,
+    serverId: channel.serverId || null,
+    serverChannel: channel.serverChannel || null,
+    layerCount: channel.layers.length,
+    ...(withLayers ? { layers: channel.layers.map(layer => toApiLayer(layer, { withPlaylist: false })) } : {})
+  };
+}
+
+// ==================== Validation ====================
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function checkUnknownFields(body, allowed, errors) {
+  Object.keys(body).forEach(field => {
+    if (!allowed.includes(field)) {
+      errors.push({ field, message: 'Unknown field' });
+    }
+  });
+}
+
+function validateTransition(value, field, errors) {
+  if (value === null) return null;
+  if (typeof value !== 'object') {
+    errors.push({ field, message: 'Must be an object or null' });
+    return undefined;
+  }
+
+  const transition = { ...createDefaultTransition(), ...value };
+  transition.type = String(transition.type).toUpperCase();
+  transition.tween = String(transition.tween).toUpperCase();
+  transition.direction = String(transition.direction).toUpperCase();
+
+  if (!TRANSITION_TYPES.includes(transition.type)) {
+    errors.push({ field: `${field}.type`, message: `Must be one of ${TRANSITION_TYPES.join(', ')}` });
+  }
+  if (!isNonNegativeInteger(transition.duration)) {
+    errors.push({ field: `${field}.duration`, message: 'Must be a whole number of frames' });
+  }
+  if (!TRANSITION_TWEENS.includes(transition.tween)) {
+    errors.push({ field: `${field}.tween`, message: 'Unknown tween' });
+  }
+  if (!TRANSITION_DIRECTIONS.includes(transition.direction)) {
+    errors.push({ field: `${field}.direction`, message: `Must be one of ${TRANSITION_DIRECTIONS.join(', ')}` });
+  }
+  return transition;
+}
+
+const OFFSET_PATTERN = /^-?\d+:\d+:\d+:\d+$/;
+const OFFSET_PARTS = ['hours', 'minutes', 'seconds', 'frames'];
+
+// Offset may be a timecode string ("-00:00:02:00") or an offset object
+function validateOffset(value, field, errors) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string') {
+    if (!OFFSET_PATTERN.test(value.trim())) {
+      errors.push({ field, message: 'Must be a timecode like "-00:00:02:00" (HH:MM:SS:FF)' });
+      return undefined;
+    }
+    return parseOffsetString(value.trim());
+  }
+  if (typeof value !== 'object' || Array.isArray(value)
+    || !OFFSET_PARTS.every(part => isNonNegativeInteger(value[part] ?? 0))
+    || (value.negative !== undefined && typeof value.negative !== 'boolean')) {
+    errors.push({ field, message: 'Must be a timecode string or { hours, minutes, seconds, frames, negative }' });
+    return undefined;
+  }
+  return {
+    hours: value.hours ?? 0,
+    minutes: value.minutes ?? 0,
+    seconds: value.seconds ?? 0,
+    frames: value.frames ?? 0,
+    negative: !!value.negative
+  };
+}
+
+function validateMacroAttachment(value, field, macros, errors) {
+  if (value === null) return null;
+  if (typeof value !== 'object' || !value.macroId) {
+    errors.push({ field, message: 'Must be { macroId, offset?, args? } or null' });
+    return undefined;
+  }
+  const macro = findMacro(macros, value.macroId);
+  if (!macro) {
+    errors.push({ field: `${field}.macroId`, message: 'Macro not found' });
+  }
+
+  // Args fill the macro's parameters - unknown names are refused here rather than when the item plays
+  const args = value.args ?? null;
+  if (args !== null && (typeof args !== 'object' || Array.isArray(args))) {
+    errors.push({ field: `${field}.args`, message: 'Must be an object' });
+  } else if (args && macro) {
+    Object.keys(args)
+      .filter(name => !(macro.parameters || []).some(parameter => parameter.name === name))
+      .forEach(name => errors.push({ field: `${field}.args.${name}`, message: `${macro.name} has no parameter ${name}` }));
+  }
+
+  const offset = validateOffset(value.offset, `${field}.offset`, errors);
+  return { macroId: value.macroId, offset, args };
+}
+
+/**
+ * Validate playlist item fields
+ * @param {Object} body - Request body
+ * @param {Object} options - { item (existing item, for updates), layer, macros }
+ * @returns {Object} { values, errors }
+ */
+function validateItemFields(body, { item, layer, macros }) {
+  const errors = [];
+  const values = {};
+  const isCreate = !item;
+  checkUnknownFields(body, isCreate ? ITEM_CREATE_FIELDS : ITEM_UPDATE_FIELDS, errors);
+
+  if (isCreate) {
+    const type = body.type || (body.macroId ? 'macro' : null);
+    if (type && !ITEM_TYPES.includes(type)) {
+      errors.push({ field: 'type', message: `Must be one of ${ITEM_TYPES.join(', ')}` });
+    }
+    if (type === 'macro') {
+      if (!findMacro(macros, body.macroId)) {
+        errors.push({ field: 'macroId', message: 'Macro not found' });
+      }
+    } else if (!body.clip && !body.path) {
+      errors.push({ field: 'clip', message: 'Either clip (CasparCG clip name) or path (local file) is required' });
+    }
+    values.type = type;
+  }
+
+  const itemType = item?.type || values.type;
+  const playlistLength = layer.playlist.length;
+
+  if (body.index !== undefined) {
+    // Creating may append (index = length), moving must stay inside the playlist
+    const maxIndex = isCreate ? playlistLength : playlistLength - 1;
+    if (!isNonNegativeInteger(body.index) || body.index > maxIndex) {
+      errors.push({ field: 'index', message: `Must be a whole number from 0 to ${maxIndex}` });
+    }
+  }
+
+  if (body.duration !== undefined) {
+    if (itemType !== 'image' && itemType !== 'macro') {
+      errors.push({ field: 'duration', message: 'Only images and macros have a settable duration - use inFrame/outFrame for videos' });
+    } else if (typeof body.duration !== 'number' || !(body.duration > 0)) {
+      errors.push({ field: 'duration', message: 'Must be a positive number of seconds' });
+    }
+  }
+
+  ['inFrame', 'outFrame'].forEach(field => {
+    if (body[field] === undefined) return;
+    if (itemType === 'macro' || itemType === 'image') {
+      errors.push({ field, message: 'In/out points only apply to media clips' });
+    } else if (body[field] !== null && !isNonNegativeInteger(body[field])) {
+      errors.push({ field, message: 'Must be a whole number of frames or null' });
+    }
+  });
+  const inFrame = body.inFrame !== undefined ? body.inFrame : (item?.inPointFrames ?? null);
+  const outFrame = body.outFrame !== undefined ? body.outFrame : (item?.outPointFrames ?? null);
+  if (inFrame !== null && outFrame !== null && outFrame <= inFrame) {
+    errors.push({ field: 'outFrame', message: 'Must be after inFrame' });
+  }
+
+  if (body.transition !== undefined) {
+    values.transition = validateTransition(body.transition, 'transition', errors);
+  }
+
+  if (body.scheduledStart !== undefined) {
+    const scheduledStart = body.scheduledStart;
+    if (scheduledStart === null) {
+      values.scheduledStart = null;
+    } else if (!SCHEDULE_TIME_PATTERN.test(scheduledStart?.time || '')) {
+      errors.push({ field: 'scheduledStart.time', message: 'Must be HH:MM:SS:FF' });
+    } else if (scheduledStart.mode && !['hard', 'soft'].includes(scheduledStart.mode)) {
+      errors.push({ field: 'scheduledStart.mode', message: 'Must be hard or soft' });
+    } else {
+      values.scheduledStart = { time: scheduledStart.time, mode: scheduledStart.mode || 'hard' };
+    }
+  }
+
+  ['startMacro', 'endMacro'].forEach(field => {
+    if (body[field] === undefined) return;
+    if (itemType === 'macro') {
+      errors.push({ field, message: 'Macro items cannot have macros attached' });
+      return;
+    }
+    values[field] = validateMacroAttachment(body[field], field, macros, errors);
+  });
+
+  return { values, errors };
+}
+
+// ==================== Item changes ====================
+
+/**
+ * Apply validated item changes through the app context
+ * @returns {Object} The item as it will be once state updates
+ */
+function applyItemChanges(appContext, channelId, layerId, item, body, values) {
+  const updated = { ...item };
+
+  if (body.duration !== undefined) {
+    appContext.updateItemDuration(channelId, layerId, item.id, body.duration);
+    updated.duration = body.duration;
+  }
+
+  if (body.inFrame !== undefined || body.outFrame !== undefined) {
+    const inFrame = body.inFrame !== undefined ? body.inFrame : (item.inPointFrames ?? null);
+    const outFrame = body.outFrame !== undefined ? body.outFrame : (item.outPointFrames ?? null);
+    appContext.updateItemInOutPoints(channelId, layerId, item.id, inFrame, outFrame);
+    updated.inPointFrames = inFrame;
+    updated.outPointFrames = outFrame;
+  }
+
+  if (values.transition !== undefined) {
+    appContext.updateItemTransition(channelId, layerId, item.id, values.transition);
+    updated.transition = values.transition;
+  }
+
+  if (values.scheduledStart !== undefined) {
+    appContext.updateItemScheduledStart(channelId, layerId, item.id, values.scheduledStart);
+    updated.scheduledStart = values.scheduledStart;
+  }
+
+  ['startMacro', 'endMacro'].forEach(field => {
+    if (values[field] === undefined) return;
+    const position = field === 'startMacro' ? 'start' : 'end';
+    if (values[field] === null) {
+      appContext.removeMacroFromItem(channelId, layerId, item.id, position);
+      updated[field] = null;
+    } else {
+      const { macroId, offset, args } = values[field];
+      appContext.attachMacroToItem(channelId, layerId, item.id, macroId, position, offset, args);
+      updated[field] = { macroId, offset, ...(args && Object.keys(args).length > 0 ? { args } : {}) };
+    }
+  });
+
+  return updated;
+}
+
+// ==================== Handlers ====================
+
+async function handleItems(method, { channel, layer, itemId, body }, { appContext, state }) {
+  const macros = state.macros || [];
+
+  // Collection: /playlist/items
+  if (!itemId) {
+    if (method === 'GET') {
+      return ok({ items: layer.playlist.map(toApiItem) });
+    }
+    if (method !== 'POST') {
+      return fail(405, `${method} not allowed on playlist items`);
+    }
+
+    const { values, errors } = validateItemFields(body, { layer, macros });
+    if (errors.length > 0) return validationFailed(errors);
+
+    const macro = values.type === 'macro' ? findMacro(macros, body.macroId) : null;
+    const clip = body.clip ? String(body.clip).replace(/\\/g, '/') : null;
+    const mediaFile = macro
+      ? { name: body.name || macro.name, path: null, type: 'macro', macroId: macro.id, metadata: { color: macro.color } }
+      : {
+          name: body.name || (clip ? clip.substring(clip.lastIndexOf('/') + 1) : body.path.split(/[\\/]/).pop()),
+          path: body.path || null,
+          relativePath: clip,
+          type: values.type || undefined
+        };
+
+    const index = body.index ?? null;
+    const created = await appContext.addMediaToPlaylist(channel.id, layer.id, mediaFile, index);
+    const item = applyItemChanges(appContext, channel.id, layer.id, created, body, values);
+    return ok({ item: toApiItem(item, index ?? layer.playlist.length) }, 201);
+  }
+
+  // Single item: /playlist/items/:itemId
+  const index = layer.playlist.findIndex(item => item.id === itemId);
+  if (index < 0) {
+    return fail(404, `Item ${itemId} not found on channel ${channel.id} layer ${layer.id}`);
+  }
+  const item = layer.playlist[index];
+
+  switch (method) {
+    case 'GET':
+      return ok({ item: toApiItem(item, index) });
+
+    case 'PATCH': {
+      const { values, errors } = validateItemFields(body, { item, layer, macros });
+      if (errors.length > 0) return validationFailed(errors);
+
+      let newIndex = index;
+      if (body.index !== undefined && body.index !== index) {
+        appContext.reorderPlaylistItems(channel.id, layer.id, index, body.index);
+        newIndex = body.index;
+      }
+      const updated = applyItemChanges(appContext, channel.id, layer.id, item, body, values);
+      return ok({ item: toApiItem(updated, newIndex) });
+    }
+
+    case 'DELETE':
+      appContext.removePlaylistItem(channel.id, layer.id, item.id);
+      return ok({ id: item.id });
+
+    default:
+      return fail(405, `${method} not allowed on a playlist item`);
+  }
+}
+
+async function handleLayer(method, { channel, layer, body }, { appContext }) {
+  switch (method) {
+    case 'GET':
+      return ok({ layer: toApiLayer(layer) });
+
+    case 'PATCH': {
+      const errors = [];
+      checkUnknownFields(body, LAYER_UPDATE_FIELDS, errors);
+      if (body.name !== undefined && (typeof body.name !== 'string' || !body.name.trim())) {
+        errors.push({ field: 'name', message: 'Must be a non-empty string' });
+      }
+      ['playlistMode', 'loopMode', 'loopItem'].forEach(field => {
+        if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+          errors.push({ field, message: 'Must be true or false' });
+        }
+      });
+      const defaultTransition = body.defaultTransition !== undefined
+        ? validateTransition(body.defaultTransition ?? createDefaultTransition(), 'defaultTransition', errors)
+        : undefined;
+      if (errors.length > 0) return validationFailed(errors);
+
+      const updated = { ...layer };
+      if (body.name !== undefined) {
+        appContext.renameLayer(channel.id, layer.id, body.name.trim());
+        updated.name = body.name.trim();
+      }
+      // The UI only has toggles - flip the ones that differ
+      const toggles = { playlistMode: 'togglePlaylistMode', loopMode: 'toggleLoopMode', loopItem: 'toggleLoopItem' };
+      Object.entries(toggles).forEach(([field, toggle]) => {
+        if (body[field] !== undefined && body[field] !== !!layer[field]) {
+          appContext[toggle](channel.id, layer.id);
+          updated[field] = body[field];
+        }
+      });
+      if (defaultTransition) {
+        appContext.updateLayerDefaultTransition(channel.id, layer.id, defaultTransition);
+        updated.defaultTransition = defaultTransition;
+      }
+      return ok({ layer: toApiLayer(updated) });
+    }
+
+    case 'DELETE':
+      appContext.deleteLayer(channel.id, layer.id);
+      return ok({ id: layer.id });
+
+    default:
+      return fail(405, `${method} not allowed on a layer`);
+  }
+}
+
+async function handleChannel(method, { channel, body }, { appContext }) {
+  switch (method) {
+    case 'GET':
+      return ok({ channel: toApiChannel(channel) });
+
+    case 'PATCH': {
+      const errors = [];
+      checkUnknownFields(body, CHANNEL_UPDATE_FIELDS, errors);
+      if (body.name !== undefined && (typeof body.name !== 'string' || !body.name.trim())) {
+        errors.push({ field: 'name', message: 'Must be a non-empty string' });
+      }
+      if (errors.length > 0) return validationFailed(errors);
+
+      const updated = { ...channel };
+      if (body.name !== undefined) {
+        appContext.renameChannel(channel.id, body.name.trim());
+        updated.name = body.name.trim();
+      }
+      return ok({ channel: toApiChannel(updated) });
+    }
+
+    case 'DELETE':
+      appContext.deleteChannel(channel.id);
+      return ok({ id: channel.id });
+
+    default:
+      return fail(405, `${method} not allowed on a channel`);
+  }
+}
+
+/**
+ * Handle a REST request for /api/channels/...
+ * @param {Object} request - { method, path, body }
+ * @param {Object} context - { appContext, state }
+ * @returns {Promise<Object>} { status, body }
+ */
+export async function handleResourceRequest({ method, path, body }, context) {
+  const { appContext, state } = context;
+  let segments;
+  try {
+    segments = path.replace(/^\/api\//, '').split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    return fail(400, 'Malformed path');
+  }
+  const requestBody = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+
+  if (segments[0] !== 'channels') {
+    return fail(404, 'Not found');
+  }
+
+  // /channels
+  if (segments.length === 1) {
+    if (method === 'GET') {
+      return ok({ channels: state.channels.map(channel => toApiChannel(channel, { withLayers: false })) });
+    }
+    if (method === 'POST') {
+      // addChannel numbers the new channel after the existing ones
+      const id = state.channels.length + 1;
+      await appContext.addChannel();
+      return ok({ channel: { id, name: `Channel ${id}`, layerCount: 1 } }, 201);
+    }
+    return fail(405, `${method} not allowed on channels`);
+  }
+
+  const channelId = parseInt(segments[1]);
+  const channel = state.channels.find(ch => ch.id === channelId);
+  if (!channel) {
+    return fail(404, `Channel ${segments[1]} not found`);
+  }
+  if (segments.length === 2) {
+    return handleChannel(method, { channel, body: requestBody }, context);
+  }
+
+  if (segments[2] !== 'layers') {
+    return fail(404, 'Not found');
+  }
+
+  // /channels/:id/layers
+  if (segments.length === 3) {
+    if (method === 'GET') {
+      return ok({ layers: channel.layers.map(layer => toApiLayer(layer, { withPlaylist: false })) });
+    }
+    if (method === 'POST') {
+      const id = channel.layers.length + 1;
+      appContext.addLayer(channel.id);
+      return ok({ layer: { id, name: `Layer ${id}`, itemCount: 0 } }, 201);
+    }
+    return fail(405, `${method} not allowed on layers`);
+  }
+
+  const layerId = parseInt(segments[3]);
+  const layer = channel.layers.find(l => l.id === layerId);
+  if (!layer) {
+    return fail(404, `Layer ${segments[3]} not found on channel ${channel.id}`);
+  }
+  if (segments.length === 4) {
+    return handleLayer(method, { channel, layer, body: requestBody }, context);
+  }
+
+  // /channels/:id/layers/:id/playlist
+  if (segments[4] !== 'playlist') {
+    return fail(404, 'Not found');
+  }
+  if (segments.length === 5) {
+    if (method !== 'GET') return fail(405, `${method} not allowed on a playlist`);
+    return ok({ currentIndex: layer.currentIndex, items: layer.playlist.map(toApiItem) });
+  }
+
+  // /channels/:id/layers/:id/playlist/items[/:itemId]
+  if (segments[5] !== 'items' || segments.length > 7) {
+    return fail(404, 'Not found');
+  }
+  return handleItems(method, { channel, layer, itemId: segments[6] || null, body: requestBody }, context);
+}
+
+export default {
+  handleResourceRequest
+};
@@ -0,0 +1,830 @@
+// Rundown Formats - import/export of rundowns as versioned JSON, CSV and CasparCG Client XML
+// Every conversion returns a mapping report listing what could not be carried across
+
+import { v4 as uuidv4 } from 'uuid';
+import { MAIN_SERVER_ID, getChannelRoute } from './serverRouting';
+import { TRANSITION_TYPES, TRANSITION_TWEENS, TRANSITION_DIRECTIONS, createDefaultTransition, isCutTransition } from '../utils/transitions';
+
+// Versioned JSON: { format, version, name, exportedAt, channels } - bump the version on breaking changes
+export const RUNDOWN_FORMAT = 'casparplayer-rundown';
+export const RUNDOWN_FORMAT_VERSION = 1;
+
+export const RUNDOWN_FILE_FORMATS = {
+  json: { label: 'JSON', extension: 'json' },
+  csv: { label: 'CSV', extension: 'csv' },
+  xml: { label: 'CasparCG Client XML', extension: 'xml' }
+};
+
+// One row per playlist item, in playlist order
+export const RUNDOWN_CSV_COLUMNS = [
+  'channel', 'channelName', 'layer', 'layerName', 'type', 'name', 'clip', 'duration', 'frameRate',
+  'inFrame', 'outFrame', 'transition', 'transitionDuration', 'transitionTween', 'transitionDirection',
+  'scheduledStart', 'scheduleMode', 'macroId'
+];
+
+const ITEM_TYPES = ['video', 'image', 'audio', 'media', 'macro'];
+
+// CasparCG Client item types that map onto playlist items
+const CLIENT_TYPE_TO_ITEM = { MOVIE: 'video', STILL: 'image', AUDIO: 'audio' };
+const ITEM_TYPE_TO_CLIENT = { video: 'MOVIE', media: 'MOVIE', image: 'STILL', audio: 'AUDIO' };
+
+// The client stores tweens in CamelCase ("EaseInOutSine"), CasparCG takes them case-insensitively
+const CLIENT_TWEENS = [
+  'Linear', 'EaseInSine', 'EaseOutSine', 'EaseInOutSine', 'EaseInQuad', 'EaseOutQuad', 'EaseInOutQuad',
+  'EaseInCubic', 'EaseOutCubic', 'EaseInOutCubic', 'EaseInExpo', 'EaseOutExpo', 'EaseInOutExpo',
+  'EaseOutBounce', 'EaseOutElastic'
+];
+
+// Default video layer of the CasparCG Client
+const CLIENT_DEFAULT_LAYER = 10;
+
+/**
+ * Create an empty mapping report
+ * @returns {Object} { itemCount, skipped: [{ location, name, reason }], warnings: string[] }
+ */
+function createReport() {
+  return { itemCount: 0, skipped: [], warnings: [] };
+}
+
+function addWarning(report, message) {
+  if (!report.warnings.includes(message)) report.warnings.push(message);
+}
+
+/**
+ * Strip runtime state from channels - the same configuration that rundown:save stores
+ * @param {Array} channels - state.channels
+ * @returns {Array} Channels with only saved fields
+ */
+export function serializeRundownChannels(channels) {
+  return channels.map(channel => ({
+    id: channel.id,
+    name: channel.name,
+    expanded: channel.expanded,
+    serverId: channel.serverId || null,
+    serverChannel: channel.serverChannel || null,
+    layers: channel.layers.map(layer => ({
+      id: layer.id,
+      name: layer.name,
+      playlist: layer.playlist.map(item => ({
+        // Save playlist item configuration
+        id: item.id,
+        type: item.type,
+        name: item.name,
+        path: item.path,
+        relativePath: item.relativePath,
+        duration: item.duration,
+        resolution: item.resolution,
+        frameRate: item.frameRate,
+        inPointFrames: item.inPointFrames,
+        outPointFrames: item.outPointFrames,
+        inPoint: item.inPoint,
+        outPoint: item.outPoint,
+        // Macro-specific fields
+        macroId: item.macroId || null,
+        startMacro: item.startMacro || null,
+        endMacro: item.endMacro || null,
+        // Per-item transition (null = use layer default)
+        transition: item.transition || null,
+        // Wall-clock start { time, mode: 'hard' | 'soft' } (null = not scheduled)
+        scheduledStart: item.scheduledStart || null,
+        metadata: item.metadata || null
+        // NOT saving: selected, playing - these are runtime state
+      })),
+      currentIndex: layer.currentIndex,
+      playlistMode: layer.playlistMode,
+      loopMode: layer.loopMode,
+      loopItem: layer.loopItem,
+      defaultTransition: layer.defaultTransition || createDefaultTransition(),
+      targetEndTime: layer.targetEndTime || null,
+      selectedItems: layer.selectedItems || []
+      // NOT saving: isPlaying, isPaused, currentTime, totalTime, currentFrame, totalFrames
+      // These are runtime state from CasparCG via OSC
+    }))
+  }));
+}
+
+/**
+ * Pick the file format from a file name
+ * @param {string} fileName - Imported file path
+ * @returns {string|null} 'json' | 'csv' | 'xml' or null if unsupported
+ */
+export function detectRundownFormat(fileName) {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  return RUNDOWN_FILE_FORMATS[extension] ? extension : null;
+}
+
+// ==================== Shared item helpers ====================
+
+function createItem(fields) {
+  return {
+    id: uuidv4(),
+    type: 'video',
+    name: '',
+    path: null,
+    relativePath: '',
+    duration: 0,
+    resolution: '',
+    frameRate: null,
+    inPointFrames: null,
+    outPointFrames: null,
+    inPoint: null,
+    outPoint: null,
+    macroId: null,
+    startMacro: null,
+    endMacro: null,
+    transition: null,
+    scheduledStart: null,
+    metadata: null,
+    ...fields
+  };
+}
+
+// In/out points are stored as frames with seconds alongside, the same as updateItemInOutPoints
+function withInOutPoints(item, inPointFrames, outPointFrames) {
+  const frameRate = item.frameRate || 25;
+  return {
+    ...item,
+    inPointFrames,
+    outPointFrames,
+    inPoint: inPointFrames !== null ? inPointFrames / frameRate : null,
+    outPoint: outPointFrames !== null ? outPointFrames / frameRate : null
+  };
+}
+
+function getInOutFrames(item) {
+  const frameRate = item.frameRate || 25;
+  const inFrame = item.inPointFrames ?? (item.inPoint != null ? Math.round(item.inPoint * frameRate) : null);
+  const outFrame = item.outPointFrames ?? (item.outPoint != null ? Math.round(item.outPoint * frameRate) : null);
+  return { inFrame, outFrame };
+}
+
+// Clip names are sent without extension, forward slashes only
+function toClipName(item) {
+  const clip = (item.relativePath || item.name || '').replace(/\\/g, '/');
+  const lastDot = clip.lastIndexOf('.');
+  return lastDot > clip.lastIndexOf('/') + 1 ? clip.substring(0, lastDot) : clip;
+}
+
+function getBaseName(clip) {
+  return clip.substring(clip.lastIndexOf('/') + 1);
+}
+
+function parseNumber(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Build a transition from imported fields, reporting values CasparCG won't take
+ * @returns {Object|null} Transition, or null for a hard cut / no transition
+ */
+function parseTransition(type, duration, tween, direction, report, location) {
+  const transitionType = (type || '').trim().toUpperCase();
+  // A cut is what an item without its own transition does anyway
+  if (!transitionType || transitionType === 'CUT') return null;
+  if (!TRANSITION_TYPES.includes(transitionType)) {
+    addWarning(report, `${location}: unknown transition "${type}" replaced with the layer default`);
+    return null;
+  }
+
+  const transition = createDefaultTransition();
+  transition.type = transitionType;
+  transition.duration = Math.max(0, Math.round(parseNumber(duration) || 0));
+
+  const transitionTween = (tween || '').trim().toUpperCase();
+  if (transitionTween) {
+    if (TRANSITION_TWEENS.includes(transitionTween)) {
+      transition.tween = transitionTween;
+    } else {
+      addWarning(report, `${location}: unsupported tween "${tween}" replaced with LINEAR`);
+    }
+  }
+
+  const transitionDirection = (direction || '').trim().toUpperCase();
+  if (TRANSITION_DIRECTIONS.includes(transitionDirection)) {
+    transition.direction = transitionDirection;
+  } else if (transitionDirection) {
+    addWarning(report, `${location}: unsupported direction "${direction}" replaced with RIGHT`);
+  }
+
+  return transition;
+}
+
+/**
+ * Group imported items into channels and layers
+ * @param {Array} entries - [{ key, serverId, casparChannel, channelName, layer, layerName, item }] in order
+ * @returns {Array} Channels in saved rundown shape
+ */
+function buildChannels(entries) {
+  const channels = [];
+  const channelsByKey = new Map();
+
+  // Channels on the main server keep their number as id, everything else gets the next free id
+  const usedIds = new Set();
+  entries.forEach(entry => {
+    if (entry.serverId === MAIN_SERVER_ID && !channelsByKey.has(entry.key)) {
+      channelsByKey.set(entry.key, null);
+      usedIds.add(entry.casparChannel);
+    }
+  });
+  let nextId = 1;
+  const allocateId = (entry) => {
+    if (entry.serverId === MAIN_SERVER_ID) return entry.casparChannel;
+    while (usedIds.has(nextId)) nextId++;
+    usedIds.add(nextId);
+    return nextId;
+  };
+
+  entries.forEach(entry => {
+    let channel = channelsByKey.get(entry.key);
+    if (!channel) {
+      const id = allocateId(entry);
+      const isRouted = entry.serverId !== MAIN_SERVER_ID || entry.casparChannel !== id;
+      channel = {
+        id,
+        name: entry.channelName || `Channel ${id}`,
+        expanded: false,
+        serverId: entry.serverId !== MAIN_SERVER_ID ? entry.serverId : null,
+        serverChannel: isRouted ? entry.casparChannel : null,
+        layers: []
+      };
+      channelsByKey.set(entry.key, channel);
+      channels.push(channel);
+    }
+
+    let layer = channel.layers.find(l => l.id === entry.layer);
+    if (!layer) {
+      layer = {
+        id: entry.layer,
+        name: entry.layerName || `Layer ${entry.layer}`,
+        playlist: [],
+        currentIndex: -1,
+        playlistMode: false,
+        loopMode: false,
+        loopItem: false,
+        defaultTransition: createDefaultTransition(),
+        targetEndTime: null,
+        selectedItems: []
+      };
+      channel.layers.push(layer);
+    }
+    layer.playlist.push(entry.item);
+  });
+
+  channels.sort((a, b) => a.id - b.id);
+  channels.forEach(channel => channel.layers.sort((a, b) => a.id - b.id));
+  return channels;
+}
+
+// ==================== Versioned JSON ====================
+
+function exportJson(channels, { name }) {
+  const report = createReport();
+  const serialized = serializeRundownChannels(channels);
+  serialized.forEach(channel => channel.layers.forEach(layer => {
+    report.itemCount += layer.playlist.length;
+  }));
+
+  const content = JSON.stringify({
+    format: RUNDOWN_FORMAT,
+    version: RUNDOWN_FORMAT_VERSION,
+    name: name || null,
+    exportedAt: new Date().toISOString(),
+    channels: serialized
+  }, null, 2);
+  return { content, report };
+}
+
+function importJson(content, { macros }) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Not a valid JSON file: ${error.message}`);
+  }
+
+  // Files saved in the rundowns folder have no format header - treat them as version 1
+  if (data?.format && data.format !== RUNDOWN_FORMAT) {
+    throw new Error(`Unknown rundown format "${data.format}"`);
+  }
+  if (data?.version > RUNDOWN_FORMAT_VERSION) {
+    throw new Error(`Rundown format version ${data.version} is newer than this app supports (${RUNDOWN_FORMAT_VERSION})`);
+  }
+  if (!Array.isArray(data?.channels)) {
+    throw new Error('Rundown has no channels');
+  }
+
+  const report = createReport();
+  const macroIds = new Set((macros || []).flatMap(macro => [macro.id, ...(macro.aliases || [])]));
+
+  const channels = data.channels
+    .filter((channel, channelIndex) => {
+      if (Number.isInteger(channel?.id) && Array.isArray(channel.layers)) return true;
+      report.skipped.push({ location: `Channel ${channelIndex + 1}`, name: channel?.name || '', reason: 'Missing channel id or layers' });
+      return false;
+    })
+    .map(channel => ({
+      ...channel,
+      layers: channel.layers
+        .filter(layer => Number.isInteger(layer?.id) && Array.isArray(layer.playlist))
+        .map(layer => ({
+          ...layer,
+          playlist: layer.playlist.filter(item => {
+            const location = `${channel.id}-${layer.id}`;
+            if (!ITEM_TYPES.includes(item?.type)) {
+              report.skipped.push({ location, name: item?.name || '', reason: `Unknown item type "${item?.type}"` });
+              return false;
+            }
+            if (item.type === 'macro' && !macroIds.has(item.macroId)) {
+              addWarning(report, `${location}: macro "${item.name}" is not in this app's macro list`);
+            }
+            report.itemCount++;
+            return true;
+          }).map(item => ({ ...item, id: item.id || uuidv4() }))
+        }))
+    }));
+
+  return { channels, report };
+}
+
+// ==================== CSV ====================
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting, comma or semicolon separated)
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} Rows, blank lines removed
+ */
+function parseCsv(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  // Spreadsheets in comma-decimal locales save with semicolons
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const separator = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function exportCsv(channels) {
+  const report = createReport();
+  const lines = [RUNDOWN_CSV_COLUMNS.join(',')];
+
+  channels.forEach(channel => {
+    channel.layers.forEach(layer => {
+      layer.playlist.forEach(item => {
+        const { inFrame, outFrame } = getInOutFrames(item);
+        const transition = item.transition;
+        const row = {
+          channel: channel.id,
+          channelName: channel.name,
+          layer: layer.id,
+          layerName: layer.name,
+          type: item.type,
+          name: item.name,
+          clip: item.type === 'macro' ? '' : toClipName(item),
+          duration: item.duration || '',
+          frameRate: item.frameRate || '',
+          inFrame,
+          outFrame,
+          transition: transition?.type || '',
+          transitionDuration: transition ? transition.duration : '',
+          transitionTween: transition?.tween || '',
+          transitionDirection: transition?.direction || '',
+          scheduledStart: item.scheduledStart?.time || '',
+          scheduleMode: item.scheduledStart?.mode || '',
+          macroId: item.macroId || ''
+        };
+        lines.push(RUNDOWN_CSV_COLUMNS.map(column => escapeCsv(row[column])).join(','));
+        report.itemCount++;
+
+        if (item.startMacro || item.endMacro) {
+          addWarning(report, `${channel.id}-${layer.id} "${item.name}": start/end macros are not exported to CSV`);
+        }
+      });
+    });
+  });
+
+  if (channels.some(channel => channel.serverId)) {
+    addWarning(report, 'Server assignments are not exported to CSV - channels are numbered as in this app');
+  }
+
+  return { content: lines.join('\n'), report };
+}
+
+function importCsv(content, { macros, defaultImageDuration }) {
+  const rows = parseCsv(content);
+  if (rows.length < 2) {
+    throw new Error('CSV has no item rows');
+  }
+
+  const headers = rows[0].map(header => header.trim());
+  const columnIndex = {};
+  headers.forEach((header, index) => {
+    const column = RUNDOWN_CSV_COLUMNS.find(c => c.toLowerCase() === header.toLowerCase());
+    if (column) columnIndex[column] = index;
+  });
+  if (columnIndex.channel === undefined || columnIndex.layer === undefined) {
+    throw new Error('CSV needs at least "channel" and "layer" columns');
+  }
+
+  const report = createReport();
+  headers
+    .filter(header => header && !RUNDOWN_CSV_COLUMNS.some(c => c.toLowerCase() === header.toLowerCase()))
+    .forEach(header => addWarning(report, `Column "${header}" is not recognised and was ignored`));
+
+  const macroIds = new Set((macros || []).flatMap(macro => [macro.id, ...(macro.aliases || [])]));
+  const entries = [];
+
+  rows.slice(1).forEach((values, rowIndex) => {
+    const get = (column) => (columnIndex[column] !== undefined ? (values[columnIndex[column]] || '').trim() : '');
+    const location = `Row ${rowIndex + 2}`;
+    const channel = parseInt(get('channel'));
+    const layer = parseInt(get('layer'));
+    const clip = get('clip').replace(/\\/g, '/');
+    const type = (get('type') || (get('macroId') ? 'macro' : 'video')).toLowerCase();
+
+    if (!(channel > 0) || !(layer > 0)) {
+      report.skipped.push({ location, name: get('name') || clip, reason: 'Channel and layer must be positive numbers' });
+      return;
+    }
+    if (!ITEM_TYPES.includes(type)) {
+      report.skipped.push({ location, name: get('name') || clip, reason: `Unknown item type "${type}"` });
+      return;
+    }
+    if (type === 'macro' && !get('macroId')) {
+      report.skipped.push({ location, name: get('name'), reason: 'Macro row has no macroId' });
+      return;
+    }
+    if (type !== 'macro' && !clip) {
+      report.skipped.push({ location, name: get('name'), reason: 'No clip' });
+      return;
+    }
+    if (type === 'macro' && !macroIds.has(get('macroId'))) {
+      addWarning(report, `${location}: macro "${get('macroId')}" is not in this app's macro list`);
+    }
+
+    const duration = parseNumber(get('duration'));
+    let item = createItem({
+      type,
+      name: get('name') || (type === 'macro' ? get('macroId') : getBaseName(clip)),
+      relativePath: type === 'macro' ? '' : clip,
+      duration: duration ?? (type === 'image' ? defaultImageDuration : 0),
+      frameRate: parseNumber(get('frameRate')),
+      macroId: type === 'macro' ? get('macroId') : null,
+      transition: parseTransition(get('transition'), get('transitionDuration'), get('transitionTween'), get('transitionDirection'), report, location)
+    });
+
+    const inFrame = parseNumber(get('inFrame'));
+    const outFrame = parseNumber(get('outFrame'));
+    if (inFrame !== null || outFrame !== null) {
+      if (type === 'video' || type === 'media') {
+        item = withInOutPoints(item, inFrame, outFrame);
+      } else {
+        addWarning(report, `${location}: in/out points only apply to videos and were ignored`);
+      }
+    }
+
+    const scheduledTime = get('scheduledStart');
+    if (scheduledTime) {
+      if (/^\d{1,2}:\d{2}:\d{2}(:\d{2})?$/.test(scheduledTime)) {
+        const mode = get('scheduleMode').toLowerCase() === 'soft' ? 'soft' : 'hard';
+        item.scheduledStart = { time: scheduledTime.length <= 8 ? `${scheduledTime}:00` : scheduledTime, mode };
+      } else {
+        addWarning(report, `${location}: scheduled start "${scheduledTime}" is not HH:MM:SS:FF and was ignored`);
+      }
+    }
+
+    entries.push({
+      key: `${MAIN_SERVER_ID}:${channel}`,
+      serverId: MAIN_SERVER_ID,
+      casparChannel: channel,
+      channelName: get('channelName'),
+      layer,
+      layerName: get('layerName'),
+      item
+    });
+    report.itemCount++;
+  });
+
+  return { channels: buildChannels(entries), report };
+}
+
+// ==================== CasparCG Client XML ====================
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toXmlElement(name, fields, indent) {
+  const pad = '  '.repeat(indent);
+  const lines = Object.entries(fields).map(([key, value]) => `${pad}  <${key}>${escapeXml(value)}</${key}>`);
+  return `${pad}<${name}>\n${lines.join('\n')}\n${pad}</${name}>`;
+}
+
+function toClientTween(tween) {
+  return CLIENT_TWEENS.find(name => name.toUpperCase() === (tween || '').toUpperCase()) || 'Linear';
+}
+
+function exportXml(channels, { serverNames }) {
+  const report = createReport();
+  const groups = [];
+
+  channels.forEach(channel => {
+    const route = getChannelRoute(channel);
+    const deviceName = serverNames?.[route.serverId] || route.serverId;
+
+    channel.layers.forEach(layer => {
+      const location = `${channel.id}-${layer.id}`;
+      const items = [];
+
+      layer.playlist.forEach(item => {
+        const clientType = ITEM_TYPE_TO_CLIENT[item.type];
+        if (!clientType) {
+          report.skipped.push({ location, name: item.name, reason: 'Macros have no CasparCG Client equivalent' });
+          return;
+        }
+
+        const { inFrame, outFrame } = getInOutFrames(item);
+        const transition = item.transition || layer.defaultTransition || createDefaultTransition();
+        const hasTransition = !isCutTransition(transition);
+        const length = outFrame !== null ? Math.max(0, outFrame - (inFrame || 0)) : 0;
+
+        items.push(toXmlElement('item', {
+          type: clientType,
+          devicename: deviceName,
+          label: item.name,
+          name: toClipName(item),
+          channel: route.casparChannel,
+          videolayer: layer.id,
+          delay: 0,
+          // Client durations are milliseconds (only used by stills here)
+          duration: clientType === 'STILL' ? Math.round((item.duration || 0) * 1000) : 0,
+          allowgpi: false,
+          allowremotetriggering: false,
+          remotetriggerid: '',
+          storyid: '',
+          transition: hasTransition ? transition.type : 'CUT',
+          transitionDuration: hasTransition ? transition.duration : 1,
+          tween: toClientTween(transition.tween),
+          direction: transition.direction || 'RIGHT',
+          seek: clientType === 'MOVIE' ? (inFrame || 0) : 0,
+          length: clientType === 'MOVIE' ? length : 0,
+          loop: clientType !== 'STILL' && !!layer.loopItem,
+          freezeonload: false,
+          triggeronnext: false,
+          autoplay: false,
+          color: 'Transparent'
+        }, 3));
+        report.itemCount++;
+
+        if (item.scheduledStart) {
+          addWarning(report, `${location} "${item.name}": scheduled start is not supported by the CasparCG Client`);
+        }
+        if (item.startMacro || item.endMacro) {
+          addWarning(report, `${location} "${item.name}": start/end macros are not supported by the CasparCG Client`);
+        }
+      });
+
+      if (layer.playlistMode || layer.loopMode) {
+        addWarning(report, `${location}: playlist auto-advance and loop modes are not supported by the CasparCG Client`);
+      }
+      if (layer.targetEndTime) {
+        addWarning(report, `${location}: target end time is not supported by the CasparCG Client`);
+      }
+
+      if (items.length > 0) {
+        groups.push([
+          '  <item>',
+          '    <type>GROUP</type>',
+          `    <label>${escapeXml(`${channel.name} / ${layer.name}`)}</label>`,
+          '    <expanded>true</expanded>',
+          '    <items>',
+          ...items,
+          '    </items>',
+          '  </item>'
+        ].join('\n'));
+      }
+    });
+  });
+
+  if (groups.length > 0) {
+    addWarning(report, 'Device names must match servers configured in the CasparCG Client');
+  }
+
+  const content = ['<?xml version="1.0" encoding="UTF-8"?>', '<items>', ...groups, '</items>', ''].join('\n');
+  return { content, report };
+}
+
+// Text of a direct child element, or '' if missing
+function childText(element, name) {
+  const child = Array.from(element.children).find(node => node.tagName.toLowerCase() === name.toLowerCase());
+  return child ? child.textContent.trim() : '';
+}
+
+function importXml(content, { serverIds, defaultImageDuration }) {
+  const doc = new DOMParser().parseFromString(content, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Not a valid XML file');
+  }
+  const root = doc.documentElement;
+  if (root.tagName.toLowerCase() !== 'items') {
+    throw new Error('Not a CasparCG Client rundown (expected an <items> root element)');
+  }
+
+  const report = createReport();
+  const entries = [];
+  const unknownDevices = new Set();
+  let position = 0;
+
+  const walk = (parent, groupLabel) => {
+    Array.from(parent.children)
+      .filter(node => node.tagName.toLowerCase() === 'item')
+      .forEach(element => {
+        position++;
+        const clientType = childText(element, 'type').toUpperCase();
+        const label = childText(element, 'label');
+        const itemLocation = groupLabel ? `Item ${position} (${groupLabel})` : `Item ${position}`;
+
+        if (clientType === 'GROUP') {
+          const children = Array.from(element.children).find(node => node.tagName.toLowerCase() === 'items');
+          if (children) walk(children, label || 'Group');
+          return;
+        }
+
+        const type = CLIENT_TYPE_TO_ITEM[clientType];
+        if (!type) {
+          report.skipped.push({ location: itemLocation, name: label, reason: `${clientType || 'Unknown'} items are not supported` });
+          return;
+        }
+
+        const clip = childText(element, 'name').replace(/\\/g, '/');
+        if (!clip) {
+          report.skipped.push({ location: itemLocation, name: label, reason: 'No clip' });
+          return;
+        }
+
+        // Device names map back to server profiles, anything else plays on the main server
+        const deviceName = childText(element, 'devicename');
+        const serverId = serverIds?.[deviceName.toLowerCase()] || MAIN_SERVER_ID;
+        if (deviceName && !serverIds?.[deviceName.toLowerCase()]) unknownDevices.add(deviceName);
+
+        const casparChannel = parseInt(childText(element, 'channel')) || 1;
+        const layer = parseInt(childText(element, 'videolayer')) || CLIENT_DEFAULT_LAYER;
+        const clientDuration = parseNumber(childText(element, 'duration'));
+
+        let item = createItem({
+          type,
+          name: label || getBaseName(clip),
+          relativePath: clip,
+          duration: type === 'image'
+            ? (clientDuration > 0 ? clientDuration / 1000 : defaultImageDuration)
+            : 0,
+          transition: parseTransition(
+            childText(element, 'transition'),
+            childText(element, 'transitionDuration'),
+            childText(element, 'tween'),
+            childText(element, 'direction'),
+            report,
+            itemLocation
+          )
+        });
+
+        const seek = parseNumber(childText(element, 'seek')) || 0;
+        const length = parseNumber(childText(element, 'length')) || 0;
+        if (type === 'video' && (seek > 0 || length > 0)) {
+          item = withInOutPoints(item, seek > 0 ? seek : null, length > 0 ? seek + length : null);
+          addWarning(report, 'Seek/length are frames - in/out points assume 25 fps until the pre-flight check reads the clip frame rate');
+        }
+
+        if (childText(element, 'loop').toLowerCase() === 'true') {
+          addWarning(report, `${itemLocation} "${item.name}": per-item loop is not supported - use the layer's Loop Item button`);
+        }
+        if (parseNumber(childText(element, 'delay')) > 0) {
+          addWarning(report, `${itemLocation} "${item.name}": delay was ignored`);
+        }
+        if (childText(element, 'autoplay').toLowerCase() === 'true') {
+          addWarning(report, `${itemLocation} "${item.name}": autoplay was ignored - use playlist mode on the layer`);
+        }
+
+        entries.push({
+          key: `${serverId}:${casparChannel}`,
+          serverId,
+          casparChannel,
+          channelName: '',
+          layer,
+          layerName: '',
+          item
+        });
+        report.itemCount++;
+      });
+  };
+  walk(root, null);
+
+  unknownDevices.forEach(deviceName => {
+    addWarning(report, `Device "${deviceName}" does not match a server profile - its items were put on the main server`);
+  });
+
+  return { channels: buildChannels(entries), report };
+}
+
+// ==================== Public API ====================
+
+/**
+ * Convert channels to a rundown file
+ * @param {Array} channels - state.channels
+ * @param {string} format - 'json' | 'csv' | 'xml'
+ * @param {Object} options
+ * @param {string} options.name - Rundown name (JSON header)
+ * @param {Object} options.serverNames - { [serverId]: name } used as CasparCG Client device names
+ * @returns {Object} { content, report: { itemCount, skipped, warnings } }
+ */
+export function exportRundown(channels, format, options = {}) {
+  switch (format) {
+    case 'csv':
+      return exportCsv(channels, options);
+    case 'xml':
+      return exportXml(channels, options);
+    case 'json':
+      return exportJson(channels, options);
+    default:
+      throw new Error(`Unsupported rundown format "${format}"`);
+  }
+}
+
+/**
+ * Convert a rundown file to channels in the saved rundown shape (load with runtime state added)
+ * @param {string} content - File contents
+ * @param {string} format - 'json' | 'csv' | 'xml'
+ * @param {Object} options
+ * @param {Array} options.macros - Known macros, to report missing references
+ * @param {Object} options.serverIds - { [lowercase server name]: serverId } for CasparCG Client device names
+ * @param {number} options.defaultImageDuration - Seconds for stills without a duration
+ * @returns {Object} { channels, report: { itemCount, skipped, warnings } }
+ * @throws {Error} If the file can't be read as that format
+ */
+export function importRundown(content, format, options = {}) {
+  switch (format) {
+    case 'csv':
+      return importCsv(content, options);
+    case 'xml':
+      return importXml(content, options);
+    case 'json':
+      return importJson(content, options);
+    default:
+      throw new Error(`Unsupported rundown format "${format}"`);
+  }
+}
+
+export default {
+  RUNDOWN_FORMAT,
+  RUNDOWN_FORMAT_VERSION,
+  RUNDOWN_FILE_FORMATS,
+  RUNDOWN_CSV_COLUMNS,
+  serializeRundownChannels,
+  detectRundownFormat,
+  exportRundown,
+  importRundown
+};
@@ -0,0 +1,88 @@
+// Server Redundancy - mirrors playout commands to a backup CasparCG server
+// The main server stays authoritative: callers get the main server's result, the backup
+// result is only checked so a failure on one side can be reported as a divergence
+
+// Commands that change what is on air - everything else (INFO, CLS, THUMBNAIL, VERSION, custom
+// preview streams) goes to the main server only
+const MIRRORED_METHODS = new Set([
+  'play', 'loadbg', 'load', 'pause', 'resume', 'stop', 'clear', 'call', 'swap', 'add', 'remove',
+  'cgAdd', 'cgPlay', 'cgStop', 'cgNext', 'cgRemove', 'cgClear', 'cgUpdate', 'cgInvoke',
+  'execute', 'executeCommand'
+]);
+
+function isMirrored(method) {
+  return MIRRORED_METHODS.has(method) || method.startsWith('mixer');
+}
+
+/**
+ * Resolve a casparcg-connection send result to an error, or null if the server accepted it
+ * @param {Object} outcome - Promise.allSettled outcome of the method call
+ * @returns {Promise<Error|null>}
+ */
+async function getCommandError(outcome) {
+  if (outcome.status === 'rejected') return outcome.reason;
+
+  const result = outcome.value;
+  if (result?.error) return result.error;
+  if (!result?.request) return null;
+
+  try {
+    const response = await result.request;
+    if (response?.responseCode >= 400) {
+      return new Error(`${response.responseCode} ${response.message || 'FAILED'}`);
+    }
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Wrap the main CasparCG connection so on-air commands are also sent to the backup
+ * @param {CasparCG} main - Main server connection
+ * @param {CasparCG} backup - Backup server connection
+ * @param {Object} options
+ * @param {Function} options.onDivergence - Called with { command, failed: 'main' | 'backup', error }
+ *   when exactly one server rejects a command
+ * @returns {Proxy} Drop-in replacement for the main connection
+ */
+export function createMirroredConnection(main, backup, { onDivergence } = {}) {
+  return new Proxy(main, {
+    get(target, prop) {
+      const value = target[prop];
+      if (typeof value !== 'function') return value;
+      if (typeof prop !== 'string' || !isMirrored(prop) || typeof backup[prop] !== 'function') {
+        return value.bind(target);
+      }
+
+      return async (...args) => {
+        // A backup that has dropped is shown in the header - don't report every command against it
+        if (!backup.connected) {
+          return value.apply(target, args);
+        }
+
+        const [mainOutcome, backupOutcome] = await Promise.allSettled([
+          value.apply(target, args),
+          backup[prop](...args)
+        ]);
+
+        // Compare replies in the background so the main server's timing is not held up by the backup
+        Promise.all([getCommandError(mainOutcome), getCommandError(backupOutcome)]).then(([mainError, backupError]) => {
+          if (!mainError === !backupError || !onDivergence) return;
+          onDivergence({
+            command: prop,
+            failed: mainError ? 'main' : 'backup',
+            error: (mainError || backupError).message || String(mainError || backupError)
+          });
+        });
+
+        if (mainOutcome.status === 'rejected') throw mainOutcome.reason;
+        return mainOutcome.value;
+      };
+    }
+  });
+}
+
+export default {
+  createMirroredConnection
+};
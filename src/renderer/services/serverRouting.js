@@ -0,0 +1,98 @@
+// Server Routing - sends each channel's commands to the CasparCG server it is assigned to
+// Channels default to the main server and their own id as the server channel number
+
+import { CasparCG } from 'casparcg-connection';
+
+// Id of the server configured under Settings > Connection (the backup mirrors this server)
+export const MAIN_SERVER_ID = 'main';
+
+/**
+ * Get the server and server channel number a channel plays on
+ * @param {Object} channel - Channel from state.channels (serverId, serverChannel optional)
+ * @returns {Object} { serverId, casparChannel }
+ */
+export function getChannelRoute(channel) {
+  return {
+    serverId: channel?.serverId || MAIN_SERVER_ID,
+    casparChannel: channel?.serverChannel || channel?.id
+  };
+}
+
+/**
+ * Find the app channel that a server channel is assigned to (used to route incoming OSC)
+ * @param {Array} channels - state.channels
+ * @param {string} serverId - Server the message came from
+ * @param {number} casparChannel - Channel number on that server
+ * @returns {number|null} App channel id
+ */
+export function findChannelByRoute(channels, serverId, casparChannel) {
+  const channel = channels.find(ch => {
+    const route = getChannelRoute(ch);
+    return route.serverId === serverId && route.casparChannel === casparChannel;
+  });
+  return channel ? channel.id : null;
+}
+
+/**
+ * Wrap the main connection so commands addressed to a channel go to that channel's server
+ * Commands without a channel (CLS, THUMBNAIL, VERSION, INFO) stay on the main server
+ * @param {CasparCG} main - Main server connection (may itself be a mirrored connection)
+ * @param {Function} resolveRoute - (appChannelId) => { casparCG, channel }, throws if the server is offline
+ * @returns {Proxy} Drop-in replacement for the main connection
+ */
+export function createRoutedConnection(main, resolveRoute) {
+  return new Proxy(main, {
+    get(target, prop) {
+      const value = target[prop];
+      if (typeof value !== 'function') return value;
+
+      return (...args) => {
+        const params = args[0];
+        if (params && typeof params === 'object' && params.channel != null) {
+          const route = resolveRoute(Number(params.channel));
+          if (route.casparCG !== target || route.channel !== params.channel) {
+            return route.casparCG[prop]({ ...params, channel: route.channel }, ...args.slice(1));
+          }
+        }
+        return value.apply(target, args);
+      };
+    }
+  });
+}
+
+/**
+ * Connect to a CasparCG server and read its version
+ * @param {string} host - Server host
+ * @param {number} port - AMCP port
+ * @returns {Promise<Object>} { casparCG, serverInfo }
+ */
+export async function connectCasparServer(host, port) {
+  const ccg = new CasparCG({
+    host,
+    port: parseInt(port),
+    autoConnect: false
+  });
+
+  await ccg.connect();
+
+  try {
+    const versionResult = await ccg.version();
+    const response = versionResult?.request ? await versionResult.request : null;
+    const version = response?.data?.fullVersion || (typeof response?.data === 'string' ? response.data : null);
+    if (!version) {
+      throw new Error('Server did not respond to VERSION command');
+    }
+    return { casparCG: ccg, serverInfo: { version } };
+  } catch (error) {
+    ccg.disconnect();
+    throw error;
+  }
+}
+
+export default {
+  MAIN_SERVER_ID,
+  getChannelRoute,
+  findChannelByRoute,
+  createRoutedConnection,
+  connectCasparServer
+};
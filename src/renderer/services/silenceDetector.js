@@ -0,0 +1,45 @@
+// Silence Detector - raises an alarm when a channel with a playing layer has had no audio above
+// the threshold for a set time. Levels come from OSC telemetry (see oscTelemetry.js)
+
+export const DEFAULT_SILENCE_THRESHOLD = -50; // dBFS
+export const DEFAULT_SILENCE_DELAY = 10;      // seconds
+
+/**
+ * Check one channel
+ * @param {Object} tracker - Per-channel detector state, { [channelId]: { silentSince, alarmed } } (mutated)
+ * @param {Object} input - { channelId, isPlaying, levels: dBFS per audio channel (empty if unknown) }
+ * @param {Object} options - { threshold: dBFS, delay: seconds }
+ * @param {number} now - Timestamp (ms)
+ * @returns {Object|null} { type: 'alarm', silentSince } when the alarm goes off,
+ *   { type: 'restored', silentFor } when audio comes back (or playback stops) after an alarm, else null
+ */
+export function checkSilence(tracker, { channelId, isPlaying, levels }, options = {}, now = Date.now()) {
+  const threshold = options.threshold ?? DEFAULT_SILENCE_THRESHOLD;
+  const delay = (options.delay ?? DEFAULT_SILENCE_DELAY) * 1000;
+  const entry = tracker[channelId] || { silentSince: null, alarmed: false };
+  tracker[channelId] = entry;
+
+  // Without levels there is nothing to go on - treat it as not silent rather than alarm on missing OSC
+  const isSilent = isPlaying && levels.length > 0 && levels.every(level => level <= threshold);
+
+  if (!isSilent) {
+    const silentSince = entry.silentSince;
+    const wasAlarmed = entry.alarmed;
+    entry.silentSince = null;
+    entry.alarmed = false;
+    return wasAlarmed ? { type: 'restored', silentFor: (now - silentSince) / 1000 } : null;
+  }
+
+  if (entry.silentSince === null) entry.silentSince = now;
+  if (!entry.alarmed && now - entry.silentSince >= delay) {
+    entry.alarmed = true;
+    return { type: 'alarm', silentSince: entry.silentSince };
+  }
+  return null;
+}
+
+export default {
+  DEFAULT_SILENCE_THRESHOLD,
+  DEFAULT_SILENCE_DELAY,
+  checkSilence
+};
@@ -0,0 +1,155 @@
+// State Reconciler - matches what CasparCG reports on air (INFO channel) back to playlist items
+// Used after a (re)connect so layers reflect the server instead of all showing as stopped
+
+// Producers that mean nothing is loaded on the layer
+const EMPTY_PRODUCERS = ['empty', ''];
+
+/**
+ * Flatten an xml2js node into "path/to/key" -> text value
+ * @param {*} node - xml2js node (arrays of strings or objects)
+ * @param {string} prefix - Path so far
+ * @param {Object} out - Accumulated values
+ * @returns {Object} { [path]: string }
+ */
+function flattenNode(node, prefix = '', out = {}) {
+  if (node === null || node === undefined) return out;
+
+  if (Array.isArray(node)) {
+    node.forEach(child => flattenNode(child, prefix, out));
+    return out;
+  }
+
+  if (typeof node !== 'object') {
+    if (!(prefix in out)) out[prefix] = String(node).trim();
+    return out;
+  }
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === '$') return;
+    // Text content of an element that also has attributes
+    const path = key === '_' ? prefix : (prefix ? `${prefix}/${key}` : key);
+    flattenNode(value, path, out);
+  });
+  return out;
+}
+
+// Find the first value whose path is (or ends with) one of the keys, in key order
+function findValue(values, keys) {
+  const paths = Object.keys(values);
+  for (const key of keys) {
+    const path = paths.find(p => p === key || p.endsWith(`/${key}`));
+    if (path && values[path] !== '') return values[path];
+  }
+  return null;
+}
+
+// Parse "elapsed total" (or just "elapsed") into numbers
+function parsePair(value) {
+  if (!value) return [null, null];
+  const [first, second] = value.split(/\s+/).map(parseFloat);
+  return [isNaN(first) ? null : first, isNaN(second) ? null : second];
+}
+
+/**
+ * Parse the foreground of an INFO channel layer
+ * @param {Object} foreground - xml2js foreground node from casparcg-connection infoChannel()
+ * @returns {Object|null} { producer, clip, currentTime, totalTime, currentFrame, totalFrames, isPaused } or null if empty
+ */
+export function parseForeground(foreground) {
+  if (!foreground) return null;
+
+  const values = flattenNode(foreground);
+  const producer = (findValue(values, ['producer', 'type']) || '').toLowerCase();
+  const clip = findValue(values, ['file/path', 'path', 'file/name', 'name', 'filename']);
+  if (EMPTY_PRODUCERS.includes(producer) && !clip) return null;
+
+  const [currentTime, totalTime] = parsePair(findValue(values, ['file/time', 'time']));
+  const [currentFrame, totalFrames] = parsePair(findValue(values, ['file/frame', 'frame', 'file-frame-number']));
+
+  return {
+    producer,
+    clip,
+    currentTime,
+    totalTime: totalTime ?? parsePair(findValue(values, ['file/clip', 'clip']))[1],
+    currentFrame,
+    totalFrames: totalFrames ?? parsePair(findValue(values, ['file-nb-frames']))[0],
+    isPaused: (findValue(values, ['paused']) || '').toLowerCase() === 'true'
+  };
+}
+
+// Clip names are compared case-insensitively with forward slashes and no extension
+function normalizeClip(name) {
+  if (!name) return '';
+  const normalized = name.replace(/\\/g, '/').toLowerCase();
+  const lastDot = normalized.lastIndexOf('.');
+  return lastDot > normalized.lastIndexOf('/') + 1 ? normalized.substring(0, lastDot) : normalized;
+}
+
+/**
+ * Find the playlist item that a server clip path belongs to
+ * The server may report an absolute path, so items match on a trailing path segment
+ * @param {Array} playlist - Layer playlist
+ * @param {string} clip - Path or name reported by CasparCG
+ * @param {number} preferredIndex - Index to prefer when the clip is in the playlist more than once
+ * @returns {number} Item index or -1
+ */
+export function findMatchingItemIndex(playlist, clip, preferredIndex = -1) {
+  const serverClip = normalizeClip(clip);
+  if (!serverClip) return -1;
+
+  const matches = (item) => {
+    if (item.type === 'macro') return false;
+    const itemClip = normalizeClip(item.relativePath || item.name);
+    return !!itemClip && (serverClip === itemClip || serverClip.endsWith(`/${itemClip}`));
+  };
+
+  if (preferredIndex >= 0 && playlist[preferredIndex] && matches(playlist[preferredIndex])) {
+    return preferredIndex;
+  }
+  return playlist.findIndex(matches);
+}
+
+/**
+ * Work out a layer's playback state from what the server reports
+ * @param {Object} layer - Layer from state
+ * @param {Object} serverLayer - { layer, foreground } from INFO channel, or undefined if the layer is empty
+ * @returns {Object|null} Layer changes { currentIndex, isPlaying, isPaused, currentTime, totalTime }, or null if unchanged
+ */
+export function reconcileLayer(layer, serverLayer) {
+  const foreground = parseForeground(serverLayer?.foreground);
+
+  // Nothing on air - only touch layers we think are running
+  if (!foreground) {
+    if (!layer.isPlaying && !layer.isPaused) return null;
+    return { isPlaying: false, isPaused: false, currentTime: 0, totalTime: 0 };
+  }
+
+  const index = findMatchingItemIndex(layer.playlist, foreground.clip, layer.currentIndex);
+  if (index < 0) {
+    if (foreground.clip) {
+      console.warn(`[Reconcile] Layer ${layer.id}: "${foreground.clip}" is on air but not in the playlist`);
+    }
+    return null;
+  }
+
+  const item = layer.playlist[index];
+  const frameRate = item.frameRate || 25;
+  const currentTime = foreground.currentTime
+    ?? (foreground.currentFrame !== null ? foreground.currentFrame / frameRate : 0);
+  const totalTime = foreground.totalTime
+    ?? (foreground.totalFrames ? foreground.totalFrames / frameRate : (item.duration || layer.totalTime || 0));
+
+  return {
+    currentIndex: index,
+    isPlaying: !foreground.isPaused,
+    isPaused: foreground.isPaused,
+    currentTime,
+    totalTime
+  };
+}
+
+export default {
+  parseForeground,
+  findMatchingItemIndex,
+  reconcileLayer
+};
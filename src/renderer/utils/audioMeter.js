@@ -0,0 +1,79 @@
+// Audio meter utilities - ballistics for the channel level meters
+// CasparCG reports one peak level per audio channel per frame; RMS is the average power of those
+// peaks over a short window, which is close enough for confidence monitoring
+
+import { MIN_DBFS } from '../services/oscTelemetry';
+
+// Bottom of the meter scale (dBFS) - anything quieter shows as an empty bar
+export const METER_FLOOR = -60;
+
+// Levels at or above this light the clip indicator
+export const CLIP_LEVEL = -0.1;
+
+// Scale marks shown next to the bars
+export const METER_MARKS = [0, -6, -12, -18, -24, -36, -48];
+
+const PEAK_RELEASE = 24;   // dB per second the peak bar falls back
+const HOLD_TIME = 1500;    // ms the peak hold marker stays before falling
+const HOLD_RELEASE = 12;   // dB per second the peak hold marker falls
+const RMS_WINDOW = 300;    // ms of levels averaged for RMS
+
+/**
+ * Create the ballistics state for one audio channel
+ * @returns {Object}
+ */
+export function createMeter() {
+  return {
+    peak: MIN_DBFS,
+    rms: MIN_DBFS,
+    hold: MIN_DBFS,
+    holdUntil: 0,
+    clip: false,
+    samples: [], // [{ time, power }] within RMS_WINDOW
+    updatedAt: 0
+  };
+}
+
+/**
+ * Advance a meter to a new level
+ * @param {Object} meter - From createMeter (mutated)
+ * @param {number} level - Current peak level in dBFS
+ * @param {number} now - Timestamp (ms)
+ * @returns {Object} The meter
+ */
+export function updateMeter(meter, level, now) {
+  const elapsed = meter.updatedAt ? Math.min(1, (now - meter.updatedAt) / 1000) : 0;
+  meter.updatedAt = now;
+
+  // Instant attack, steady release
+  meter.peak = Math.max(level, meter.peak - PEAK_RELEASE * elapsed);
+
+  if (level >= meter.hold) {
+    meter.hold = level;
+    meter.holdUntil = now + HOLD_TIME;
+  } else if (now > meter.holdUntil) {
+    meter.hold = Math.max(level, meter.hold - HOLD_RELEASE * elapsed);
+  }
+
+  meter.samples.push({ time: now, power: Math.pow(10, level / 10) });
+  while (meter.samples.length > 0 && now - meter.samples[0].time > RMS_WINDOW) {
+    meter.samples.shift();
+  }
+  const power = meter.samples.reduce((sum, sample) => sum + sample.power, 0) / meter.samples.length;
+  meter.rms = Math.max(MIN_DBFS, 10 * Math.log10(power));
+
+  // Latched until the operator resets it
+  if (level >= CLIP_LEVEL) meter.clip = true;
+
+  return meter;
+}
+
+/**
+ * Position of a level on the meter scale
+ * @param {number} level - dBFS
+ * @returns {number} 0 to 100 (%)
+ */
+export function levelToPercent(level) {
+  if (!(level > METER_FLOOR)) return 0;
+  return Math.min(100, ((level - METER_FLOOR) / -METER_FLOOR) * 100);
+}
@@ -0,0 +1,106 @@
+// Back-timing utilities - running totals and "must start by" times for a layer playlist
+
+import { getScheduledStartTime } from './timecode';
+
+/**
+ * Get the on-air duration of a playlist item
+ * Videos honour in/out points, images and macros use their set duration
+ * @param {Object} item - Playlist item
+ * @returns {number} Duration in seconds (0 if unknown)
+ */
+export function getEffectiveDuration(item) {
+  if (!item) return 0;
+  const duration = item.duration || 0;
+
+  if (item.type === 'video' && (item.inPointFrames != null || item.outPointFrames != null)) {
+    const frameRate = item.frameRate ?? 25;
+    const inFrames = item.inPointFrames || 0;
+    const outFrames = item.outPointFrames != null ? item.outPointFrames : duration * frameRate;
+    return Math.max(0, (outFrames - inFrames) / frameRate);
+  }
+
+  return duration;
+}
+
+/**
+ * Get how far into the current item playback is
+ * OSC reports the file position, so videos are offset by their in point
+ * @param {Object} item - Current playlist item
+ * @param {number} currentTime - Layer currentTime (seconds)
+ * @returns {number} Elapsed seconds, clamped to the item duration
+ */
+export function getItemElapsed(item, currentTime) {
+  if (!item || !(currentTime > 0)) return 0;
+  const offset = item.type === 'video' ? (item.inPoint || 0) : 0;
+  const duration = getEffectiveDuration(item);
+  const elapsed = Math.max(0, currentTime - offset);
+  return duration > 0 ? Math.min(elapsed, duration) : elapsed;
+}
+
+/**
+ * Calculate running totals and back-timing for a layer playlist
+ * @param {Object} layer - Layer (playlist, currentIndex, currentTime, isPlaying, targetEndTime)
+ * @param {number} channelFrameRate - Frame rate for the target end time frames field
+ * @param {number} now - Current time (ms timestamp)
+ * @returns {Object} {
+ *   total, elapsed, remaining - seconds for the whole playlist
+ *   unknownCount - items with no known duration (not counted)
+ *   projectedEnd - ms timestamp the playlist will end if run straight through
+ *   targetEnd - ms timestamp of the target end time, or null
+ *   overUnder - seconds the projected end is past (+) or short of (-) the target, or null
+ *   mustStartBy - { [itemId]: ms timestamp } back-timed from the target end, empty without a target
+ * }
+ */
+export function calculatePlaylistTiming(layer, channelFrameRate = 25, now = Date.now()) {
+  const playlist = layer?.playlist || [];
+  const durations = playlist.map(getEffectiveDuration);
+  const total = durations.reduce((sum, duration) => sum + duration, 0);
+  const unknownCount = durations.filter(duration => !(duration > 0)).length;
+
+  // Elapsed = everything before the current item plus the position in it
+  const isActive = layer?.isPlaying && layer.currentIndex >= 0 && layer.currentIndex < playlist.length;
+  let elapsed = 0;
+  if (isActive) {
+    elapsed = durations.slice(0, layer.currentIndex).reduce((sum, duration) => sum + duration, 0)
+      + getItemElapsed(playlist[layer.currentIndex], layer.currentTime);
+  }
+  const remaining = Math.max(0, total - elapsed);
+  const projectedEnd = now + remaining * 1000;
+
+  const targetEnd = layer?.targetEndTime
+    ? getScheduledStartTime({ time: layer.targetEndTime }, channelFrameRate, now)
+    : null;
+
+  // Walk backwards from the target: each item must start before everything after it
+  const mustStartBy = {};
+  if (targetEnd !== null) {
+    let startBy = targetEnd;
+    for (let i = playlist.length - 1; i >= 0; i--) {
+      startBy -= durations[i] * 1000;
+      mustStartBy[playlist[i].id] = startBy;
+    }
+  }
+
+  return {
+    total,
+    elapsed,
+    remaining,
+    unknownCount,
+    projectedEnd,
+    targetEnd,
+    overUnder: targetEnd !== null ? (projectedEnd - targetEnd) / 1000 : null,
+    mustStartBy
+  };
+}
+
+/**
+ * Format a timestamp as a time of day
+ * @param {number} ms - ms timestamp
+ * @returns {string} "HH:MM:SS"
+ */
+export function formatTimeOfDay(ms) {
+  const date = new Date(ms);
+  return [date.getHours(), date.getMinutes(), date.getSeconds()]
+    .map(part => part.toString().padStart(2, '0'))
+    .join(':');
+}
@@ -0,0 +1,94 @@
+// Mixer utilities for CasparCG MIXER commands
+
+export const BLEND_MODES = [
+  'NORMAL',
+  'LIGHTEN',
+  'DARKEN',
+  'MULTIPLY',
+  'AVERAGE',
+  'ADD',
+  'SUBTRACT',
+  'DIFFERENCE',
+  'NEGATION',
+  'EXCLUSION',
+  'SCREEN',
+  'OVERLAY',
+  'SOFT LIGHT',
+  'HARD LIGHT',
+  'COLOR DODGE',
+  'COLOR BURN',
+  'LINEAR DODGE',
+  'LINEAR BURN',
+  'LINEAR LIGHT',
+  'VIVID LIGHT',
+  'PIN LIGHT',
+  'HARD MIX',
+  'REFLECT',
+  'GLOW',
+  'PHOENIX',
+  'CONTRAST',
+  'SATURATION',
+  'COLOR',
+  'LUMINOSITY'
+];
+
+// Mixer properties that can be tweened over a duration
+export const TWEENABLE_MIXER_PROPERTIES = [
+  'opacity',
+  'volume',
+  'fill',
+  'clip',
+  'crop',
+  'anchor',
+  'rotation',
+  'brightness',
+  'contrast',
+  'saturation',
+  'levels',
+  'chroma'
+];
+
+/**
+ * Create a mixer state object with CasparCG defaults
+ * @returns {Object} Mixer values for a freshly cleared layer
+ */
+export function createDefaultMixer() {
+  return {
+    opacity: 1,
+    volume: 1,
+    fill: { x: 0, y: 0, xScale: 1, yScale: 1 },
+    clip: { x: 0, y: 0, width: 1, height: 1 },
+    crop: { left: 0, top: 0, right: 1, bottom: 1 },
+    anchor: { x: 0, y: 0 },
+    rotation: 0,  // Degrees
+    keyer: false,
+    blend: 'NORMAL',
+    brightness: 1,
+    contrast: 1,
+    saturation: 1,
+    levels: { minInput: 0, maxInput: 1, gamma: 1, minOutput: 0, maxOutput: 1 },
+    chroma: {
+      enable: false,
+      targetHue: 120,
+      hueWidth: 0.1,
+      minSaturation: 0,
+      minBrightness: 0,
+      softness: 0,
+      spillSuppress: 0,
+      spillSuppressSaturation: 0.7,
+      showMask: false
+    }
+  };
+}
+
+/**
+ * Check if a mixer property differs from its default
+ * @param {Object} mixer - Layer mixer state
+ * @param {string} property - Mixer property name
+ * @returns {boolean} True if the property has been changed
+ */
+export function isMixerPropertyModified(mixer, property) {
+  if (!mixer) return false;
+  const defaults = createDefaultMixer();
+  return JSON.stringify(mixer[property]) !== JSON.stringify(defaults[property]);
+}
@@ -199,3 +199,68 @@ export function isOffsetZero(offset) {
   const { hours = 0, minutes = 0, seconds = 0, frames = 0 } = offset;
   return hours === 0 && minutes === 0 && seconds === 0 && frames === 0;
 }
+
+// ==================== Wall-Clock Schedule Utilities ====================
+
+/**
+ * Create a default scheduled start object
+ * @returns {Object} { time: "HH:MM:SS:FF" time of day, mode: 'hard' | 'soft' }
+ */
+export function createDefaultScheduledStart() {
+  return {
+    time: '00:00:00:00',
+    mode: 'soft'
+  };
+}
+
+/**
+ * Resolve a scheduled time of day to an absolute timestamp
+ * Times more than 12 hours in the past are treated as tomorrow (overnight rundowns)
+ * @param {Object} scheduledStart - { time, mode }
+ * @param {number} frameRate - Frame rate for the frames field
+ * @param {number} now - Current time (ms timestamp)
+ * @returns {number|null} Start time as ms timestamp, or null if not scheduled
+ */
+export function getScheduledStartTime(scheduledStart, frameRate = 25, now = Date.now()) {
+  if (!scheduledStart?.time) return null;
+
+  const midnight = new Date(now);
+  midnight.setHours(0, 0, 0, 0);
+
+  let startTime = midnight.getTime() + timecodeToSeconds(scheduledStart.time, frameRate) * 1000;
+  if (now - startTime > 12 * 3600 * 1000) {
+    startTime += 24 * 3600 * 1000;
+  }
+  return startTime;
+}
+
+/**
+ * Check if an item has a soft start that hasn't been reached yet
+ * @param {Object} item - Playlist item
+ * @param {number} frameRate - Channel frame rate
+ * @param {number} now - Current time (ms timestamp)
+ * @returns {boolean} True if the item must not start yet
+ */
+export function isHeldBySchedule(item, frameRate = 25, now = Date.now()) {
+  if (item?.scheduledStart?.mode !== 'soft') return false;
+  return getScheduledStartTime(item.scheduledStart, frameRate, now) > now;
+}
+
+/**
+ * Format a countdown to a scheduled start
+ * @param {number} ms - Milliseconds until start (negative once passed)
+ * @returns {string} Formatted string like "-00:05:12" (before) or "+00:00:03" (after)
+ */
+export function formatCountdown(ms) {
+  const sign = ms > 0 ? '-' : '+';
+  const totalSeconds = Math.floor(Math.abs(ms) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  return sign + [
+    hours.toString().padStart(2, '0'),
+    minutes.toString().padStart(2, '0'),
+    seconds.toString().padStart(2, '0')
+  ].join(':');
+}
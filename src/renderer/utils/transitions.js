@@ -0,0 +1,91 @@
+// Transition utilities for CasparCG PLAY / LOADBG
+
+export const TRANSITION_TYPES = ['CUT', 'MIX', 'WIPE', 'PUSH', 'SLIDE'];
+
+// Transitions that take a LEFT/RIGHT direction
+export const DIRECTIONAL_TRANSITIONS = ['WIPE', 'PUSH', 'SLIDE'];
+
+export const TRANSITION_DIRECTIONS = ['LEFT', 'RIGHT'];
+
+export const TRANSITION_TWEENS = [
+  'LINEAR',
+  'EASEINSINE',
+  'EASEOUTSINE',
+  'EASEINOUTSINE',
+  'EASEINQUAD',
+  'EASEOUTQUAD',
+  'EASEINOUTQUAD',
+  'EASEINCUBIC',
+  'EASEOUTCUBIC',
+  'EASEINOUTCUBIC',
+  'EASEINEXPO',
+  'EASEOUTEXPO',
+  'EASEINOUTEXPO',
+  'EASEOUTBOUNCE',
+  'EASEOUTELASTIC'
+];
+
+/**
+ * Create a default transition object (hard cut)
+ * @returns {Object} { type, duration, tween, direction }
+ */
+export function createDefaultTransition() {
+  return {
+    type: 'CUT',
+    duration: 0,       // Frames
+    tween: 'LINEAR',
+    direction: 'RIGHT'
+  };
+}
+
+/**
+ * Check if a transition is effectively a hard cut
+ * @param {Object} transition - Transition object
+ * @returns {boolean} True if no transition should be sent
+ */
+export function isCutTransition(transition) {
+  if (!transition) return true;
+  return !transition.type || transition.type === 'CUT' || !(transition.duration > 0);
+}
+
+/**
+ * Resolve the transition to use for a playlist item
+ * Item transition wins, then layer default, then a hard cut
+ * @param {Object} item - Playlist item (item.transition may be null)
+ * @param {Object} layer - Layer (layer.defaultTransition may be undefined in old rundowns)
+ * @returns {Object} Transition object
+ */
+export function resolveTransition(item, layer) {
+  return item?.transition || layer?.defaultTransition || createDefaultTransition();
+}
+
+/**
+ * Convert a transition object to casparcg-connection TransitionParameters
+ * @param {Object} transition - Transition object
+ * @returns {Object|null} { transitionType, duration, tween, direction } or null for a cut
+ */
+export function toTransitionParams(transition) {
+  if (isCutTransition(transition)) return null;
+
+  const params = {
+    transitionType: transition.type,
+    duration: Math.round(transition.duration),
+    tween: transition.tween || 'LINEAR'
+  };
+
+  if (DIRECTIONAL_TRANSITIONS.includes(transition.type)) {
+    params.direction = transition.direction || 'RIGHT';
+  }
+
+  return params;
+}
+
+/**
+ * Format transition as a short label
+ * @param {Object} transition - Transition object
+ * @returns {string} Label like "MIX 25" or "CUT"
+ */
+export function formatTransition(transition) {
+  if (isCutTransition(transition)) return 'CUT';
+  return `${transition.type} ${Math.round(transition.duration)}`;
+}